@@ -11,14 +11,50 @@ BEGIN TRANSACTION;
 -- Stores site configuration ie name and description
 -- Used by All pages to display site branding
 -- ============================================================================
+-- cancellation_cutoff_hours: attendees can change or cancel bookings
+-- online until this many hours before the event
+-- waitlist_hold_hours: how long freed seats are held for a waitlist offer
+-- reminder_hours: comma-separated hours before the event to send reminders
+-- (empty = no reminders)
+-- follow_up_hours: hours after the event ends to send a thank-you
+-- (NULL = no follow-up)
+-- time_zone: IANA time zone that event dates and times are given in
+-- (e.g. Europe/London); also used for "today" checks and displayed times
+-- payment_hold_minutes: how long seats are held while an attendee pays
+-- open_registration: 1 = anyone can register an organiser account (it waits
+-- for an admin to approve it), 0 = invitation only
+-- require_two_factor: 1 = every account must turn on two-factor authentication
+-- before it can use the organiser pages
 CREATE TABLE IF NOT EXISTS settings (
     id INTEGER PRIMARY KEY,
     site_name TEXT NOT NULL,
-    site_description TEXT NOT NULL
+    site_description TEXT NOT NULL,
+    cancellation_cutoff_hours INTEGER NOT NULL DEFAULT 48,
+    waitlist_hold_hours INTEGER NOT NULL DEFAULT 24,
+    reminder_hours TEXT NOT NULL DEFAULT '168,24',
+    follow_up_hours INTEGER DEFAULT 24,
+    time_zone TEXT NOT NULL DEFAULT 'Europe/London',
+    payment_hold_minutes INTEGER NOT NULL DEFAULT 15,
+    open_registration INTEGER NOT NULL DEFAULT 0,
+    require_two_factor INTEGER NOT NULL DEFAULT 0
 );
 
-INSERT INTO settings (id, site_name, site_description)
-VALUES (1, 'Flavour Academy', 'Hands-on cooking workshops for food lovers of all skill levels');
+INSERT INTO settings (id, site_name, site_description, cancellation_cutoff_hours, waitlist_hold_hours, reminder_hours, follow_up_hours, time_zone, payment_hold_minutes, open_registration, require_two_factor)
+VALUES (1, 'Flavour Academy', 'Hands-on cooking workshops for food lovers of all skill levels', 48, 24, '168,24', 24, 'Europe/London', 15, 0, 0);
+
+-- ============================================================================
+-- SITE_SECRETS TABLE [EXTENSION]
+-- Random secrets generated on first start (utils/secrets.js), used when the
+-- matching environment variable is not set
+-- name: 'link' (signed attendee links and check-in codes, LINK_SECRET) or
+--       'payment_webhook' (mock gateway webhook signatures, PAYMENT_WEBHOOK_SECRET)
+-- Kept apart from settings so they are never passed to page templates
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS site_secrets (
+    name TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    created_at TEXT NOT NULL
+);
 
 -- ============================================================================
 -- CATEGORIES TABLE [EXTENSION]
@@ -37,28 +73,113 @@ INSERT INTO categories (name) VALUES ('Asian Fusion');
 INSERT INTO categories (name) VALUES ('Healthy Cooking');
 INSERT INTO categories (name) VALUES ('BBQ & Grilling');
 
+-- ============================================================================
+-- VENUES TABLE [EXTENSION]
+-- Rooms/kitchens that events are held in
+-- Used by Organiser venues page, event edit form, attendee event page
+-- max_capacity: most tickets any one event in the venue can offer
+-- kitchen_stations: number of cooking stations (shown to organisers)
+-- Two published events in the same venue cannot overlap in time
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS venues (
+    venue_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    address TEXT,
+    kitchen_stations INTEGER NOT NULL DEFAULT 0,
+    max_capacity INTEGER NOT NULL,
+    accessibility_notes TEXT,
+    created_at TEXT NOT NULL
+);
+
+INSERT INTO venues (name, address, kitchen_stations, max_capacity, accessibility_notes, created_at)
+VALUES ('Main Kitchen', '12 Market Street', 12, 24, 'Step-free entrance and height-adjustable stations', datetime('now'));
+
+-- ============================================================================
+-- CANCELLATION_POLICIES TABLE [EXTENSION]
+-- How much of a paid booking is refunded when the attendee cancels or reduces it
+-- Used by Organiser cancellation policies page, event edit form, refunds (utils/refunds.js)
+-- full_refund_days: full refund when cancelled at least this many days before the start
+-- partial_refund_percent: share refunded (0-100) when cancelled later than that
+-- no_refund_hours: nothing is refunded within this many hours of the start
+-- Events without a policy refund in full; cancelling the event itself always does
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS cancellation_policies (
+    policy_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    full_refund_days INTEGER NOT NULL,
+    partial_refund_percent INTEGER NOT NULL,
+    no_refund_hours INTEGER NOT NULL,
+    created_at TEXT NOT NULL
+);
+
+INSERT INTO cancellation_policies (name, full_refund_days, partial_refund_percent, no_refund_hours, created_at)
+VALUES ('Standard', 7, 50, 24, datetime('now'));
+
+-- ============================================================================
+-- EVENT_SERIES TABLE [EXTENSION]
+-- Recurrence rule for a group of linked events (one events row per occurrence)
+-- Used by Organiser edit form (create/edit series), attendee listing (grouping)
+-- interval_weeks: repeat every N weeks; weekdays: comma-separated 0-6 (0 = Sunday)
+-- Ends on until_date or after occurrence_count occurrences (whichever comes first)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS event_series (
+    series_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    interval_weeks INTEGER NOT NULL DEFAULT 1,
+    weekdays TEXT NOT NULL,
+    start_date TEXT NOT NULL,
+    until_date TEXT,
+    occurrence_count INTEGER,
+    created_at TEXT NOT NULL
+);
+
 -- ============================================================================
 -- EVENTS TABLE
 -- Stores event information
 -- Used by Organiser dashboard, attendee browsing, booking system
+-- series_id: set when the event is one occurrence of a recurring series
+-- venue_id: [EXTENSION] where the event is held (optional)
+-- start_time/end_time: [EXTENSION] 'HH:MM' on event_date in the site time zone
+-- (settings.time_zone); the event ends after it starts on the same day
+-- sales_open_at/sales_close_at: [EXTENSION] optional UTC timestamps bounding when
+-- the event can be booked; booking_cutoff_hours closes booking that many hours
+-- before the start (booking always closes at the start)
+-- cancellation_policy_id: [EXTENSION] refund rules when attendees cancel (NULL = full refund)
+-- owner_id: [EXTENSION] organiser account that manages the event (organisers
+-- with the 'organiser' role only see their own events; NULL = admins only)
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS events (
     event_id INTEGER PRIMARY KEY AUTOINCREMENT,
     title TEXT NOT NULL,
     description TEXT,
     event_date TEXT NOT NULL,
+    start_time TEXT NOT NULL DEFAULT '18:00',
+    end_time TEXT NOT NULL DEFAULT '21:00',
+    sales_open_at TEXT,
+    sales_close_at TEXT,
+    booking_cutoff_hours INTEGER NOT NULL DEFAULT 0,
     created_at TEXT NOT NULL,
     updated_at TEXT NOT NULL,
     published_at TEXT,
     status TEXT DEFAULT 'draft',
     category_id INTEGER,
-    FOREIGN KEY (category_id) REFERENCES categories(category_id)
+    series_id INTEGER,
+    venue_id INTEGER,
+    cancellation_policy_id INTEGER,
+    owner_id INTEGER,
+    FOREIGN KEY (category_id) REFERENCES categories(category_id),
+    FOREIGN KEY (series_id) REFERENCES event_series(series_id) ON DELETE SET NULL,
+    FOREIGN KEY (venue_id) REFERENCES venues(venue_id),
+    FOREIGN KEY (cancellation_policy_id) REFERENCES cancellation_policies(policy_id),
+    FOREIGN KEY (owner_id) REFERENCES organisers(organiser_id) ON DELETE SET NULL
 );
 
 -- ============================================================================
 -- TICKETS TABLE
 -- Stores ticket types and pricing for each event
 -- Used by Event edit form, booking form, availability calculation
+-- Each event can have any number of named tiers, displayed by sort_order
+-- sales_open_at/sales_close_at: [EXTENSION] optional UTC timestamps narrowing the
+-- event's sales window for this tier (e.g. an early-bird tier that closes first)
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS tickets (
     ticket_id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -66,50 +187,314 @@ CREATE TABLE IF NOT EXISTS tickets (
     type TEXT NOT NULL,
     quantity INTEGER NOT NULL,
     price REAL NOT NULL,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    sales_open_at TEXT,
+    sales_close_at TEXT,
     FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE
 );
 
+-- ============================================================================
+-- PROMO_CODES TABLE [EXTENSION]
+-- Discount codes attendees can enter when booking
+-- Used by Organiser promo codes page, booking form and API (utils/promos.js)
+-- discount_type: 'percent' (discount_value 1-100) or 'fixed' (pounds off the order)
+-- event_id/category_id/ticket_type: optional scope - the code only works for that
+-- event, events in that category, and/or tiers with that name (all must match)
+-- max_uses/max_uses_per_email: optional limits, counting confirmed orders only
+-- valid_from/valid_until: optional UTC timestamps; active = 0 switches a code off
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS promo_codes (
+    promo_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    code TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    description TEXT,
+    discount_type TEXT NOT NULL,
+    discount_value REAL NOT NULL,
+    event_id INTEGER,
+    category_id INTEGER,
+    ticket_type TEXT,
+    max_uses INTEGER,
+    max_uses_per_email INTEGER,
+    valid_from TEXT,
+    valid_until TEXT,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL,
+    FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE,
+    FOREIGN KEY (category_id) REFERENCES categories(category_id) ON DELETE CASCADE
+);
+
+-- ============================================================================
+-- ORDERS TABLE
+-- One row per checkout, identified by an unguessable booking reference
+-- Used by Booking confirmation, organiser bookings view, self-service lookups
+-- [EXTENSION]Fields attendee_email and dietary_notes
+-- status: 'confirmed' or 'cancelled' (cancelled orders release their seats);
+-- [EXTENSION] an order that costs money starts as 'pending' and holds its seats until
+-- hold_expires_at while the attendee pays, then becomes 'confirmed', or 'expired'
+-- (seats released) if the payment fails or the hold runs out - see PAYMENTS
+-- checked_in_at/checked_in_by: set once when staff check the booking in at the door (username)
+-- promo_id/promo_code: [EXTENSION] the promo code used (the code text is kept for
+-- reports if the promo is later deleted); each line's discount is in bookings
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS orders (
+    order_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    booking_reference TEXT NOT NULL UNIQUE,
+    event_id INTEGER NOT NULL,
+    attendee_name TEXT NOT NULL,
+    attendee_email TEXT,
+    dietary_notes TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT,
+    status TEXT NOT NULL DEFAULT 'confirmed',
+    cancelled_at TEXT,
+    checked_in_at TEXT,
+    checked_in_by TEXT,
+    promo_id INTEGER,
+    promo_code TEXT,
+    hold_expires_at TEXT,
+    FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE,
+    FOREIGN KEY (promo_id) REFERENCES promo_codes(promo_id) ON DELETE SET NULL
+);
+
+-- ============================================================================
+-- PAYMENTS TABLE [EXTENSION]
+-- One attempt to take payment for an order through the configured gateway
+-- Used by utils/payments.js (checkout, webhook, hold expiry, refunds)
+-- provider/provider_ref: gateway name (e.g. 'mock') and its id for the payment; the row
+-- is added with its order and provider_ref/checkout_url are filled in once the gateway
+-- has opened the checkout
+-- status: 'pending' -> 'paid' -> 'refunded', or 'failed' / 'expired' (the hold ran
+-- out first); a partial refund stays 'paid' and adds to refunded_amount
+-- order_id is cleared rather than deleted with an event, so the record of money
+-- taken and refunded is kept (booking_reference identifies the order)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS payments (
+    payment_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id INTEGER,
+    booking_reference TEXT NOT NULL,
+    provider TEXT NOT NULL,
+    provider_ref TEXT,
+    checkout_url TEXT,
+    amount REAL NOT NULL,
+    currency TEXT NOT NULL DEFAULT 'GBP',
+    status TEXT NOT NULL DEFAULT 'pending',
+    refunded_amount REAL NOT NULL DEFAULT 0,
+    last_error TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT,
+    paid_at TEXT,
+    refunded_at TEXT,
+    UNIQUE (provider, provider_ref),
+    FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE SET NULL
+);
+
+-- ============================================================================
+-- REFUNDS TABLE [EXTENSION]
+-- Ledger of money owed back on payments, one row per refund decision
+-- Used by utils/payments.js (recording and sending refunds), organiser refunds page
+-- reason: 'attendee_cancelled', 'attendee_reduced', 'organiser_cancelled',
+-- 'event_cancelled' or 'late_payment'; policy_note says how the amount was worked out
+-- status: 'pending' until the gateway accepts the refund, then 'processed';
+-- a refund the gateway turned down stays pending with last_error for a retry
+-- booking_reference/event_title/attendee_name are copied so the entry still reads
+-- correctly after the event is deleted
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS refunds (
+    refund_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    payment_id INTEGER NOT NULL,
+    order_id INTEGER,
+    event_id INTEGER,
+    booking_reference TEXT NOT NULL,
+    event_title TEXT,
+    attendee_name TEXT,
+    amount REAL NOT NULL,
+    reason TEXT NOT NULL,
+    policy_note TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    created_at TEXT NOT NULL,
+    processed_at TEXT,
+    FOREIGN KEY (payment_id) REFERENCES payments(payment_id),
+    FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE SET NULL,
+    FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE SET NULL
+);
+
 -- ============================================================================
 -- BOOKINGS TABLE
--- Stores attendee reservations
+-- Ticket lines belonging to an order (one row per ticket tier booked)
 -- Used by Booking process, reservation view, availability calculation
--- [EXTENSION]Fields attendee_email and dietary_notes 
+-- unit_price records the tier price at the time of booking
+-- discount: [EXTENSION] amount taken off this line by a promo code, so the line
+-- was paid quantity * unit_price - discount
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS bookings (
     booking_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id INTEGER NOT NULL,
     event_id INTEGER NOT NULL,
-    attendee_name TEXT NOT NULL,
-    attendee_email TEXT,
     ticket_type TEXT NOT NULL,
     quantity INTEGER NOT NULL,
+    unit_price REAL NOT NULL DEFAULT 0,
+    discount REAL NOT NULL DEFAULT 0,
     booking_date TEXT NOT NULL,
-    dietary_notes TEXT,
+    FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
     FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE
 );
 
+-- ============================================================================
+-- ACTIVE_BOOKINGS VIEW
+-- Ticket lines that currently hold seats (excludes cancelled orders)
+-- Used by Every availability calculation
+-- ============================================================================
+CREATE VIEW IF NOT EXISTS active_bookings AS
+    SELECT b.*
+    FROM bookings b
+    JOIN orders o ON o.order_id = b.order_id
+    WHERE o.status = 'confirmed';
+
 -- ============================================================================
 -- ORGANISERS TABLE [EXTENSION]
 -- Stores organiser login credentials for authentication
 -- Used by Login system, session management
 -- New registrations use bcrypt hashing, default admin uses plain text
+-- role: [EXTENSION] 'admin' (everything, including settings and users), 'organiser'
+-- (their own events), 'staff' (check-in only) or 'finance' (read-only bookings,
+-- exports and refunds) - see utils/roles.js
+-- status: [EXTENSION] 'pending' (self-registered, cannot log in until an admin
+-- approves it) or 'active'; rejected registrations are deleted
+-- calendar_token: secret in the organiser's private calendar feed URL (NULL until created)
+-- password: [EXTENSION] bcrypt hash; plain-text and lower-cost hashes are rehashed
+-- at the current cost on the next successful login (see utils/passwords.js)
+-- password_changed_at: [EXTENSION] last password change or reset (NULL if never);
+-- sessions started before it are logged out
+-- totp_secret / totp_enabled_at: [EXTENSION] two-factor authentication app secret
+-- (base32) and when it was turned on (both NULL = off); totp_last_step is the last
+-- 30-second step a code was used for, so codes cannot be replayed
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS organisers (
     organiser_id INTEGER PRIMARY KEY AUTOINCREMENT,
     username TEXT NOT NULL UNIQUE,
     password TEXT NOT NULL,
     email TEXT,
-    role TEXT DEFAULT 'organiser',
+    role TEXT NOT NULL DEFAULT 'organiser',
+    status TEXT NOT NULL DEFAULT 'active',
+    calendar_token TEXT UNIQUE,
+    password_changed_at TEXT,
+    totp_secret TEXT,
+    totp_enabled_at TEXT,
+    totp_last_step INTEGER,
     created_at TEXT NOT NULL
 );
 
--- Default admin account (plain text for simplicity)
+-- Default admin account (plain text for simplicity - hashed on first login)
 INSERT INTO organisers (username, password, email, role, created_at)
 VALUES ('admin', 'admin123', 'admin@example.com', 'admin', datetime('now'));
 
+-- ============================================================================
+-- API_TOKENS TABLE [EXTENSION]
+-- Personal API tokens for scripts and kiosks (sent as "Authorization: Bearer ...")
+-- Used by Organiser API token page, routes/api.js (bearer authentication)
+-- Only a SHA-256 hash of each token is stored; token_prefix is shown in the
+-- list so organisers can tell tokens apart
+-- scope: 'read' (GET only) or 'write' (all organiser API endpoints)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS api_tokens (
+    token_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    organiser_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    token_prefix TEXT NOT NULL,
+    scope TEXT NOT NULL DEFAULT 'read',
+    created_at TEXT NOT NULL,
+    last_used_at TEXT,
+    revoked_at TEXT,
+    FOREIGN KEY (organiser_id) REFERENCES organisers(organiser_id) ON DELETE CASCADE
+);
+
+-- ============================================================================
+-- INVITATIONS TABLE [EXTENSION]
+-- Admin-issued links for creating an organiser account with a given role
+-- Used by Organiser users page, invitation sign-up page (routes/login.js)
+-- Only a SHA-256 hash of each link token is stored; an invitation works for
+-- its email address only, once, until expires_at (unless revoked)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS invitations (
+    invitation_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT NOT NULL,
+    role TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    invited_by INTEGER,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    accepted_at TEXT,
+    accepted_by INTEGER,
+    revoked_at TEXT,
+    FOREIGN KEY (invited_by) REFERENCES organisers(organiser_id) ON DELETE SET NULL,
+    FOREIGN KEY (accepted_by) REFERENCES organisers(organiser_id) ON DELETE SET NULL
+);
+
+-- ============================================================================
+-- PASSWORD_RESETS TABLE [EXTENSION]
+-- Emailed "forgot password" links
+-- Used by Password reset pages (routes/login.js, utils/passwords.js)
+-- Only a SHA-256 hash of each link token is stored; a link works once, until
+-- expires_at. used_at is also set when a newer link is sent or the password
+-- changes another way
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS password_resets (
+    reset_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    organiser_id INTEGER NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    used_at TEXT,
+    FOREIGN KEY (organiser_id) REFERENCES organisers(organiser_id) ON DELETE CASCADE
+);
+
+-- ============================================================================
+-- ATTEMPTS TABLE [EXTENSION]
+-- Logins, registrations, bookings and waitlist requests, for throttling and the
+-- login audit page (utils/throttle.js)
+-- action: 'login' (password or two-factor code), 'register', 'booking', 'waitlist'
+-- username: lowercase username tried (logins only); ip: client address
+-- outcome: 'failed' / 'succeeded' (logins), 'allowed' (other actions), or
+-- 'throttled' (refused by back-off or lockout - not counted)
+-- cleared_at: set when a successful login or an admin unlock stops the row counting
+-- Rows older than 30 days are deleted
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS attempts (
+    attempt_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    action TEXT NOT NULL,
+    username TEXT,
+    ip TEXT,
+    outcome TEXT NOT NULL,
+    reason TEXT,
+    created_at TEXT NOT NULL,
+    cleared_at TEXT
+);
+
+-- ============================================================================
+-- RECOVERY_CODES TABLE [EXTENSION]
+-- Single-use codes for logging in when the two-factor app is unavailable
+-- Used by Two-factor login step and enrolment page (utils/twofactor.js)
+-- Only a SHA-256 hash of each code is stored; a new set replaces the old one
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS recovery_codes (
+    code_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    organiser_id INTEGER NOT NULL,
+    code_hash TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    used_at TEXT,
+    FOREIGN KEY (organiser_id) REFERENCES organisers(organiser_id) ON DELETE CASCADE
+);
+
 -- ============================================================================
 -- WAITLIST TABLE [EXTENSION]
 -- Queue for attendees when events are fully booked
--- Used by Waitlist joining (attendee), waitlist management (organiser)
+-- Used by Waitlist joining (attendee), waitlist management (organiser),
+--         automatic offers when seats free up (utils/waitlist.js)
+-- status: 'waiting' -> 'offered' (seats held until offer_expires_at)
+--         -> 'claimed' or 'expired'; 'removed' set by organisers
+-- claim_token: random secret in the offer's claim link, set each time seats are offered
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS waitlist (
     waitlist_id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -121,9 +506,70 @@ CREATE TABLE IF NOT EXISTS waitlist (
     requested_at TEXT NOT NULL,
     status TEXT DEFAULT 'waiting',
     notified_at TEXT,
+    offer_expires_at TEXT,
+    claim_token TEXT,
     FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE
 );
 
+-- ============================================================================
+-- HELD_SEATS VIEW
+-- Everything that currently takes a seat: active bookings, orders held while
+-- payment is pending, and live waitlist offers
+-- Used by Availability shown to attendees and checked when booking
+-- ============================================================================
+CREATE VIEW IF NOT EXISTS held_seats AS
+    SELECT event_id, ticket_type, quantity FROM active_bookings
+    UNION ALL
+    SELECT b.event_id, b.ticket_type, b.quantity
+    FROM bookings b
+    JOIN orders o ON o.order_id = b.order_id
+    WHERE o.status = 'pending' AND o.hold_expires_at > strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+    UNION ALL
+    SELECT event_id, ticket_type, quantity FROM waitlist
+    WHERE status = 'offered' AND offer_expires_at > strftime('%Y-%m-%dT%H:%M:%fZ', 'now');
+
+-- ============================================================================
+-- EMAIL_OUTBOX TABLE [EXTENSION]
+-- Every outbound email, rendered and stored before sending
+-- Used by utils/mailer.js (send + retry with back-off)
+-- status: 'pending' -> 'sent', or 'failed' after the last retry
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS email_outbox (
+    email_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    template TEXT NOT NULL,
+    to_address TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    body_text TEXT NOT NULL,
+    body_html TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    created_at TEXT NOT NULL,
+    next_attempt_at TEXT NOT NULL,
+    sent_at TEXT
+);
+
+-- ============================================================================
+-- SCHEDULED_EMAILS TABLE [EXTENSION]
+-- One row per order per scheduled message, written before the email is queued
+-- so a restart never sends the same reminder twice
+-- Used by utils/reminders.js, organiser dashboard (schedule per event)
+-- kind: 'reminder_<hours>' or 'follow_up'
+-- status: 'sent' (queued in email_outbox) or 'skipped' (booked after it was
+--         due, or superseded by a later reminder)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS scheduled_emails (
+    scheduled_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER NOT NULL,
+    order_id INTEGER NOT NULL,
+    kind TEXT NOT NULL,
+    status TEXT NOT NULL,
+    processed_at TEXT NOT NULL,
+    UNIQUE (order_id, kind),
+    FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE,
+    FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE
+);
+
 -- ============================================================================
 -- INDEXES
 -- Improve query performance on frequently accessed columns
@@ -131,10 +577,28 @@ CREATE TABLE IF NOT EXISTS waitlist (
 CREATE INDEX idx_events_status ON events(status);
 CREATE INDEX idx_events_date ON events(event_date);
 CREATE INDEX idx_events_category ON events(category_id);
+CREATE INDEX idx_events_series ON events(series_id);
+CREATE INDEX idx_events_venue ON events(venue_id);
+CREATE INDEX idx_events_owner ON events(owner_id);
+CREATE INDEX idx_orders_event ON orders(event_id);
+CREATE INDEX idx_orders_email ON orders(attendee_email);
 CREATE INDEX idx_bookings_event ON bookings(event_id);
+CREATE INDEX idx_bookings_order ON bookings(order_id);
+CREATE INDEX idx_payments_order ON payments(order_id);
+CREATE INDEX idx_refunds_payment ON refunds(payment_id);
+CREATE INDEX idx_refunds_status ON refunds(status);
 CREATE INDEX idx_tickets_event ON tickets(event_id);
 CREATE INDEX idx_organisers_username ON organisers(username);
+CREATE INDEX idx_api_tokens_organiser ON api_tokens(organiser_id);
+CREATE INDEX idx_invitations_email ON invitations(email);
+CREATE INDEX idx_password_resets_organiser ON password_resets(organiser_id);
+CREATE INDEX idx_recovery_codes_organiser ON recovery_codes(organiser_id);
+CREATE INDEX idx_attempts_username ON attempts(action, username, created_at);
+CREATE INDEX idx_attempts_ip ON attempts(action, ip, created_at);
+CREATE INDEX idx_attempts_created ON attempts(created_at);
 CREATE INDEX idx_waitlist_event ON waitlist(event_id);
 CREATE INDEX idx_waitlist_status ON waitlist(status);
+CREATE INDEX idx_email_outbox_status ON email_outbox(status, next_attempt_at);
+CREATE INDEX idx_scheduled_emails_event ON scheduled_emails(event_id);
 
 COMMIT;
\ No newline at end of file
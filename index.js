@@ -16,13 +16,34 @@ const bodyParser = require('body-parser');
 // APPLICATION SETUP
 // =============================================================================
 const app = express();
-const port = 3000;
+const port = process.env.PORT || 3000;
 
 // Middleware
-app.use(bodyParser.urlencoded({ extended: true }));
+// Raised from the 100kb default so a term's programme can be pasted into the import page
+app.use(bodyParser.urlencoded({ extended: true, limit: '1mb' }));
 app.set('view engine', 'ejs');
 app.use(express.static(__dirname + '/public'));
 
+// Template helpers available in every view
+const {
+    formatTicketType,
+    formatEventTime,
+    formatDuration,
+    formatDate,
+    toDateTimeInput,
+    setSiteTimeZone,
+    setLinkSecret
+} = require('./utils/helpers');
+const { loadSecret } = require('./utils/secrets');
+const { setWebhookSecret, checkPaymentConfig } = require('./utils/payments');
+const { describePolicy } = require('./utils/refunds');
+app.locals.formatTicketType = formatTicketType;
+app.locals.formatEventTime = formatEventTime;
+app.locals.formatDuration = formatDuration;
+app.locals.formatDate = formatDate;
+app.locals.toDateTimeInput = toDateTimeInput;
+app.locals.describePolicy = describePolicy;
+
 // =============================================================================
 // SESSION CONFIGURATION
 // Purpose: Manage user authentication sessions
@@ -57,19 +78,49 @@ app.use((req, res, next) => {
 // =============================================================================
 // DATABASE CONNECTION
 // Purpose: Create single SQLite connection shared across all routes
-// Input: Database file path
+// Input: Database file path (DATABASE_FILE, default ./database.db)
 // Output: global.db available to all route modules
 // =============================================================================
 const sqlite3 = require('sqlite3').verbose();
-global.db = new sqlite3.Database('./database.db', function(err) {
+const { shareConnection } = require('./utils/db');
+// Statements from other requests wait while a transaction is open (see utils/db.js)
+global.db = shareConnection(new sqlite3.Database(process.env.DATABASE_FILE || './database.db', function(err) {
     if (err) {
         console.error('Database connection failed:', err);
         process.exit(1);
     } else {
         console.log('Database connected');
         global.db.run("PRAGMA foreign_keys=ON");
+
+        // Refuse to start without a real gateway in production (see utils/payments.js)
+        const paymentError = checkPaymentConfig();
+        if (paymentError) {
+            console.error('Payment configuration error:', paymentError);
+            process.exit(1);
+        }
+
+        // Event times are given in the site time zone (changed on the settings page)
+        global.db.get('SELECT time_zone FROM settings WHERE id = 1', [], (tzErr, row) => {
+            if (tzErr) console.error('Time zone load error:', tzErr);
+            setSiteTimeZone(row && row.time_zone);
+        });
+
+        // Links and mock gateway webhooks are signed with LINK_SECRET and PAYMENT_WEBHOOK_SECRET
+        // if they are set, otherwise with secrets generated for this site on first start;
+        // requests are only accepted once both are loaded
+        loadSecret('link', process.env.LINK_SECRET, (secretErr, linkSecret) => {
+            loadSecret('payment_webhook', process.env.PAYMENT_WEBHOOK_SECRET, (secretErr2, webhookSecret) => {
+                if (secretErr || secretErr2) {
+                    console.error('Secret load failed:', secretErr || secretErr2);
+                    process.exit(1);
+                }
+                setLinkSecret(linkSecret);
+                setWebhookSecret(webhookSecret);
+                startServer();
+            });
+        });
     }
-});
+}));
 
 // =============================================================================
 // ROUTES
@@ -119,6 +170,15 @@ app.use('/organiser', organiserRoutes);
 const attendeeRoutes = require('./routes/attendee');
 app.use('/attendee', attendeeRoutes);
 
+const apiRoutes = require('./routes/api');
+app.use('/api/v1', apiRoutes);
+
+const calendarRoutes = require('./routes/calendar');
+app.use('/calendar', calendarRoutes);
+
+const paymentRoutes = require('./routes/payments');
+app.use('/payments', paymentRoutes);
+
 // =============================================================================
 // ERROR HANDLERS
 // =============================================================================
@@ -148,9 +208,62 @@ app.use((err, req, res, next) => {
     `);
 });
 
+// =============================================================================
+// WAITLIST OFFER EXPIRY
+// Purpose: Expire unclaimed waitlist offers and roll the seats to the next person
+// Input: None (runs every minute)
+// Output: Updates waitlist statuses via utils/waitlist.js
+// =============================================================================
+const { processWaitlistOffers } = require('./utils/waitlist');
+const WAITLIST_CHECK_INTERVAL = 60 * 1000;
+setInterval(() => processWaitlistOffers(), WAITLIST_CHECK_INTERVAL);
+
+// =============================================================================
+// PAYMENT HOLD EXPIRY
+// Purpose: Release seats held for orders whose payment did not arrive in time
+// Input: None (runs every minute)
+// Output: Updates order and payment statuses via utils/payments.js
+// =============================================================================
+const { expirePaymentHolds } = require('./utils/payments');
+const PAYMENT_HOLD_CHECK_INTERVAL = 60 * 1000;
+setInterval(() => expirePaymentHolds(), PAYMENT_HOLD_CHECK_INTERVAL);
+
+// =============================================================================
+// EMAIL OUTBOX RETRY
+// Purpose: Resend outbox emails whose earlier delivery attempt failed
+// Input: None (runs every minute)
+// Output: Updates email_outbox statuses via utils/mailer.js
+// =============================================================================
+const { processOutbox } = require('./utils/mailer');
+const OUTBOX_CHECK_INTERVAL = 60 * 1000;
+setInterval(() => processOutbox(), OUTBOX_CHECK_INTERVAL);
+
+// =============================================================================
+// SCHEDULED REMINDERS
+// Purpose: Send event reminders and post-event follow-ups as they fall due
+// Input: None (runs every five minutes)
+// Output: Records sends in scheduled_emails via utils/reminders.js
+// =============================================================================
+const { processScheduledEmails } = require('./utils/reminders');
+const REMINDER_CHECK_INTERVAL = 5 * 60 * 1000;
+setInterval(() => processScheduledEmails(), REMINDER_CHECK_INTERVAL);
+
+// =============================================================================
+// ATTEMPT PRUNING
+// Purpose: Delete old login, registration, booking and waitlist attempts
+// Input: None (runs every hour)
+// Output: Deletes attempts rows via utils/throttle.js
+// =============================================================================
+const { pruneAttempts } = require('./utils/throttle');
+const ATTEMPT_PRUNE_INTERVAL = 60 * 60 * 1000;
+setInterval(() => pruneAttempts(), ATTEMPT_PRUNE_INTERVAL);
+
 // =============================================================================
 // START SERVER
+// Called once the database is open and the signing secrets are loaded
 // =============================================================================
-app.listen(port, () => {
-    console.log(`Event Manager running at http://localhost:${port}`);
-});
\ No newline at end of file
+function startServer() {
+    app.listen(port, () => {
+        console.log(`Event Manager running at http://localhost:${port}`);
+    });
+}
\ No newline at end of file
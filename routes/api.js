@@ -0,0 +1,889 @@
+/**
+ * routes/api.js
+ * JSON REST API (version 1)
+ *
+ * Purpose: Machine-readable access to events, availability, bookings and the
+ *          waitlist for the mobile app and partner integrations
+ * Database: Uses global.db (single connection from index.js)
+ * Authentication: Public endpoints need none; /organiser endpoints need an
+ *                 organiser API token (Authorization: Bearer ...) or an
+ *                 organiser session (same login as the dashboard); each endpoint
+ *                 also checks the account's role and event ownership (utils/roles.js)
+ *
+ * Responses: success bodies are { data: ... } (lists add { meta: ... });
+ * every error is { error: { code, message } } with a matching HTTP status.
+ * Validation is shared with the form routes via utils/bookings.js and
+ * utils/events.js, so the API accepts and rejects exactly what the forms do.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { sanitizeInput, manageLink, eventStart, eventEnd, getSiteTimeZone } = require('../utils/helpers');
+const { withTransaction } = require('../utils/db');
+const { absoluteUrl } = require('../utils/mailer');
+const { findApiToken } = require('../utils/tokens');
+const { can, eventOwnerScope, loadUser } = require('../utils/roles');
+const { sessionIsCurrent } = require('../utils/passwords');
+const { needsEnrolment } = require('../utils/twofactor');
+const { limitRequests } = require('../utils/throttle');
+const { isValidTimestamp, salesStatus, checkEventSales } = require('../utils/sales');
+const { applyPromoCode, roundMoney } = require('../utils/promos');
+const {
+    validateAttendee,
+    checkLineSales,
+    selectTicketLines,
+    unavailableMessage,
+    placeOrder,
+    joinWaitlist
+} = require('../utils/bookings');
+const { holdPayment, completeOrder } = require('../utils/payments');
+const {
+    DEFAULT_START_TIME,
+    DEFAULT_END_TIME,
+    validateEventDetails,
+    validateTicketTiers,
+    createEvent,
+    updateEvent,
+    publishEvent,
+    deleteEvent
+} = require('../utils/events');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+router.use(express.json());
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * sendError
+ * Purpose: Send the standard JSON error shape
+ * Input: res, status (HTTP status), code (machine-readable string), message (human-readable)
+ * Output: JSON response { error: { code, message } }
+ */
+function sendError(res, status, code, message) {
+    res.status(status).json({ error: { code, message } });
+}
+
+/**
+ * serverError
+ * Purpose: Log an unexpected error and send a generic 500 response
+ * Input: res, label (log prefix), err
+ * Output: JSON response with code 'server_error'
+ */
+function serverError(res, label, err) {
+    console.error(label, err);
+    sendError(res, 500, 'server_error', 'Something went wrong. Please try again later.');
+}
+
+/**
+ * parseId
+ * Purpose: Read a numeric ID from a route parameter
+ * Input: value (string)
+ * Output: Positive integer, or null if invalid
+ */
+function parseId(value) {
+    return /^\d+$/.test(String(value)) && parseInt(value) > 0 ? parseInt(value) : null;
+}
+
+/**
+ * text
+ * Purpose: Read a text field from a JSON body the same way the forms do
+ * Input: value (any)
+ * Output: Sanitised, trimmed string ('' if missing or not a string/number)
+ */
+function text(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') return '';
+    return sanitizeInput(String(value)).trim();
+}
+
+/**
+ * serializeEvent
+ * Purpose: Shape an events row for API output
+ * Input: event (row, optionally with category_name)
+ * Output: Plain object
+ */
+function serializeEvent(event) {
+    return {
+        event_id: event.event_id,
+        title: event.title,
+        description: event.description,
+        event_date: event.event_date,
+        start_time: event.start_time,
+        end_time: event.end_time,
+        starts_at: eventStart(event).toISOString(),
+        ends_at: eventEnd(event).toISOString(),
+        time_zone: getSiteTimeZone(),
+        sales_open_at: event.sales_open_at,
+        sales_close_at: event.sales_close_at,
+        booking_cutoff_hours: event.booking_cutoff_hours,
+        sales_status: salesStatus(event).state,
+        status: event.status,
+        category_id: event.category_id,
+        category_name: event.category_name || null,
+        series_id: event.series_id,
+        venue_id: event.venue_id,
+        cancellation_policy_id: event.cancellation_policy_id,
+        created_at: event.created_at,
+        published_at: event.published_at,
+        updated_at: event.updated_at
+    };
+}
+
+/**
+ * loadEventDetail
+ * Purpose: Load an event with its ticket tiers and live availability
+ * Input: eventId, publishedOnly (boolean), callback (err, detail or null if not found)
+ * Output: None (result passed to callback)
+ * Database: SELECT from events, categories, tickets, held_seats, active_bookings, waitlist
+ */
+function loadEventDetail(eventId, publishedOnly, callback) {
+    global.db.get(
+        `SELECT e.*, c.name AS category_name
+         FROM events e
+         LEFT JOIN categories c ON e.category_id = c.category_id
+         WHERE e.event_id = ? ${publishedOnly ? "AND e.status = 'published'" : ''}`,
+        [eventId],
+        (err, event) => {
+            if (err || !event) return callback(err, null);
+
+            global.db.all(
+                `SELECT t.*,
+                        (SELECT COALESCE(SUM(h.quantity), 0) FROM held_seats h
+                         WHERE h.event_id = t.event_id AND h.ticket_type = t.type) AS held,
+                        (SELECT COALESCE(SUM(b.quantity), 0) FROM active_bookings b
+                         WHERE b.event_id = t.event_id AND b.ticket_type = t.type) AS booked
+                 FROM tickets t
+                 WHERE t.event_id = ?
+                 ORDER BY t.sort_order ASC, t.ticket_id ASC`,
+                [eventId],
+                (err2, tickets) => {
+                    if (err2) return callback(err2);
+
+                    global.db.get(
+                        "SELECT COUNT(*) AS count FROM waitlist WHERE event_id = ? AND status = 'waiting'",
+                        [eventId],
+                        (err3, waitlist) => {
+                            if (err3) return callback(err3);
+
+                            const ticketData = tickets.map(ticket => ({
+                                ticket_id: ticket.ticket_id,
+                                type: ticket.type,
+                                price: ticket.price,
+                                quantity: ticket.quantity,
+                                remaining: Math.max(0, ticket.quantity - ticket.held),
+                                booked: ticket.booked,
+                                sales_open_at: ticket.sales_open_at,
+                                sales_close_at: ticket.sales_close_at,
+                                sales_status: salesStatus(event, ticket).state
+                            }));
+
+                            callback(null, {
+                                ...serializeEvent(event),
+                                tickets: ticketData,
+                                sold_out: ticketData.every(t => t.remaining === 0),
+                                waitlist_count: waitlist.count
+                            });
+                        }
+                    );
+                }
+            );
+        }
+    );
+}
+
+/**
+ * timestamp
+ * Purpose: Read an optional sales window time from a JSON body
+ * Input: value (ISO 8601 timestamp with Z or an offset, or null/missing)
+ * Output: ISO timestamp in UTC, null if missing, or the text unchanged if it
+ *         is not a timestamp (so validation rejects it)
+ */
+function timestamp(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const raw = text(value);
+    return isValidTimestamp(raw) ? new Date(raw).toISOString() : raw;
+}
+
+/**
+ * parseApiTiers
+ * Purpose: Read ticket tiers from a JSON body into the shape used by utils/events.js
+ * Input: list (array of { ticket_id, type, price, quantity, sales_open_at, sales_close_at } in display order)
+ * Output: Array of { ticketId, type, price, quantity, sortOrder, salesOpenAt, salesCloseAt },
+ *         or null if list is not an array
+ */
+function parseApiTiers(list) {
+    if (!Array.isArray(list)) return null;
+
+    return list.map((tier, index) => ({
+        ticketId: parseId(tier && tier.ticket_id),
+        type: text(tier && tier.type),
+        price: parseFloat(tier && tier.price) || 0,
+        quantity: parseInt(tier && tier.quantity) || 0,
+        sortOrder: index,
+        salesOpenAt: timestamp(tier && tier.sales_open_at),
+        salesCloseAt: timestamp(tier && tier.sales_close_at)
+    }));
+}
+
+/**
+ * readEventBody
+ * Purpose: Read and validate event details and tiers from a JSON body
+ * Input: body (req.body)
+ * Output: { error } with a message, or { details, tiers }
+ */
+function readEventBody(body) {
+    const details = {
+        title: text(body.title),
+        description: text(body.description),
+        eventDate: text(body.event_date),
+        startTime: body.start_time === undefined || body.start_time === null ? DEFAULT_START_TIME : text(body.start_time),
+        endTime: body.end_time === undefined || body.end_time === null ? DEFAULT_END_TIME : text(body.end_time),
+        salesOpenAt: timestamp(body.sales_open_at),
+        salesCloseAt: timestamp(body.sales_close_at),
+        bookingCutoffHours: body.booking_cutoff_hours === undefined || body.booking_cutoff_hours === null
+            ? 0
+            : Number(body.booking_cutoff_hours),
+        categoryId: body.category_id === undefined || body.category_id === null || body.category_id === ''
+            ? null
+            : parseId(body.category_id),
+        venueId: body.venue_id === undefined || body.venue_id === null || body.venue_id === ''
+            ? null
+            : parseId(body.venue_id),
+        cancellationPolicyId: body.cancellation_policy_id === undefined || body.cancellation_policy_id === null || body.cancellation_policy_id === ''
+            ? null
+            : parseId(body.cancellation_policy_id)
+    };
+
+    if (details.categoryId === null && body.category_id !== undefined && body.category_id !== null && body.category_id !== '') {
+        return { error: 'Please choose a valid category.' };
+    }
+    if (details.venueId === null && body.venue_id !== undefined && body.venue_id !== null && body.venue_id !== '') {
+        return { error: 'Please choose a valid venue.' };
+    }
+    if (details.cancellationPolicyId === null && body.cancellation_policy_id !== undefined
+        && body.cancellation_policy_id !== null && body.cancellation_policy_id !== '') {
+        return { error: 'Please choose a valid cancellation policy.' };
+    }
+
+    const tiers = parseApiTiers(body.tickets);
+    if (!tiers) {
+        return { error: 'tickets must be an array of ticket tiers.' };
+    }
+
+    const validationError = validateEventDetails(details) || validateTicketTiers(tiers);
+    if (validationError) return { error: validationError };
+
+    return { details, tiers };
+}
+
+/**
+ * requireOrganiser
+ * Purpose: Middleware - only allow organisers through, by API token or login session
+ * Input: Authorization: Bearer <token> header, or req.session.authenticated
+ * Output: Continues with req.organiserId and req.user ({ organiser_id, username, role }) set
+ *         (and req.apiToken for token requests), or 401 JSON error; read-only tokens
+ *         get 403 on anything but GET, and accounts that still have to set up two-factor
+ *         authentication (when Site Settings requires it) get 403
+ * Database: SELECT/UPDATE api_tokens via findApiToken, SELECT organisers via loadUser,
+ *           SELECT settings via needsEnrolment
+ */
+function requireOrganiser(req, res, next) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+
+    if (!header) {
+        if (!req.session || !req.session.authenticated) {
+            return sendError(res, 401, 'unauthorized', 'Organiser authentication required.');
+        }
+        return loadUser(req.session.userId, (err, user) => {
+            if (err) return serverError(res, 'API account lookup error:', err);
+            if (!user || !sessionIsCurrent(req.session, user)) {
+                return sendError(res, 401, 'unauthorized', 'Organiser authentication required.');
+            }
+
+            needsEnrolment(user, (err2, required) => {
+                if (err2) return serverError(res, 'API settings error:', err2);
+                if (required) {
+                    return sendError(res, 403, 'two_factor_required', 'Set up two-factor authentication before using the API.');
+                }
+                req.user = user;
+                req.organiserId = user.organiser_id;
+                next();
+            });
+        });
+    }
+
+    if (!match) {
+        return sendError(res, 401, 'invalid_token', 'Authorization header must be "Bearer <token>".');
+    }
+
+    findApiToken(match[1], (err, token) => {
+        if (err) return serverError(res, 'API token lookup error:', err);
+        if (!token) return sendError(res, 401, 'invalid_token', 'API token is invalid or has been revoked.');
+
+        if (token.scope !== 'write' && req.method !== 'GET' && req.method !== 'HEAD') {
+            return sendError(res, 403, 'insufficient_scope', 'This API token is read-only.');
+        }
+
+        const user = {
+            organiser_id: token.organiser_id,
+            username: token.username,
+            role: token.role,
+            two_factor_enabled: token.two_factor_enabled
+        };
+
+        needsEnrolment(user, (err2, required) => {
+            if (err2) return serverError(res, 'API settings error:', err2);
+            if (required) {
+                return sendError(res, 403, 'two_factor_required', 'Set up two-factor authentication before using the API.');
+            }
+            req.apiToken = token;
+            req.organiserId = token.organiser_id;
+            req.user = user;
+            next();
+        });
+    });
+}
+
+/**
+ * requirePermission
+ * Purpose: Middleware - only let accounts whose role holds a permission through
+ * Input: permission (key of PERMISSIONS in utils/roles.js)
+ * Output: Middleware function - 403 JSON error if the role lacks it
+ */
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (can(req.user.role, permission)) return next();
+        sendError(res, 403, 'forbidden', 'Your role does not allow this.');
+    };
+}
+
+/**
+ * requireEventAccess
+ * Purpose: Middleware - check a permission and, for roles limited to their own events,
+ *          that the event in req.params.id belongs to the account
+ * Input: permission
+ * Output: Middleware function - 403 JSON error if refused; unknown or invalid IDs
+ *         are let through so the endpoint can report them
+ * Database: SELECT from events table
+ */
+function requireEventAccess(permission) {
+    return (req, res, next) => {
+        if (!can(req.user.role, permission)) {
+            return sendError(res, 403, 'forbidden', 'Your role does not allow this.');
+        }
+
+        const ownerId = eventOwnerScope(req.user);
+        const eventId = parseId(req.params.id);
+        if (ownerId === null || !eventId) return next();
+
+        global.db.get('SELECT owner_id FROM events WHERE event_id = ?', [eventId], (err, event) => {
+            if (err) return serverError(res, 'API access check error:', err);
+            if (event && event.owner_id !== ownerId) {
+                return sendError(res, 403, 'forbidden', 'You can only manage your own events.');
+            }
+            next();
+        });
+    };
+}
+
+/**
+ * throttle
+ * Purpose: Middleware - limit how often one IP address can use an attendee endpoint
+ * Input: action ('booking' or 'waitlist', see utils/throttle.js)
+ * Output: Middleware function - 429 JSON error 'too_many_requests' with Retry-After when limited
+ * Database: SELECT/INSERT attempts table
+ */
+function throttle(action) {
+    return limitRequests(action, (req, res, block) => {
+        res.set('Retry-After', String(block.retryAfterSeconds));
+        sendError(res, 429, 'too_many_requests', block.message);
+    });
+}
+
+// =============================================================================
+// PUBLIC EVENTS
+// =============================================================================
+
+/**
+ * GET /api/v1/events
+ * Purpose: List published events
+ * Input: req.query.category (category ID), from / to (YYYY-MM-DD, inclusive),
+ *        q (search title and description), limit (1-100, default 50), offset
+ * Output: { data: [event], meta: { total, limit, offset } }
+ * Database: SELECT from events and categories tables
+ */
+router.get('/events', (req, res) => {
+    const conditions = ["e.status = 'published'"];
+    const params = [];
+
+    if (req.query.category) {
+        const categoryId = parseId(req.query.category);
+        if (!categoryId) return sendError(res, 400, 'invalid_request', 'category must be a category ID.');
+        conditions.push('e.category_id = ?');
+        params.push(categoryId);
+    }
+
+    for (const [field, operator] of [['from', '>='], ['to', '<=']]) {
+        if (!req.query[field]) continue;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(req.query[field])) {
+            return sendError(res, 400, 'invalid_request', `${field} must be a date in YYYY-MM-DD format.`);
+        }
+        conditions.push(`substr(e.event_date, 1, 10) ${operator} ?`);
+        params.push(req.query[field]);
+    }
+
+    if (req.query.q) {
+        conditions.push('(e.title LIKE ? OR e.description LIKE ?)');
+        params.push(`%${req.query.q}%`, `%${req.query.q}%`);
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    if (limit < 1) return sendError(res, 400, 'invalid_request', `limit must be between 1 and ${MAX_PAGE_SIZE}.`);
+
+    const where = conditions.join(' AND ');
+
+    global.db.get(`SELECT COUNT(*) AS total FROM events e WHERE ${where}`, params, (err, count) => {
+        if (err) return serverError(res, 'API event count error:', err);
+
+        global.db.all(
+            `SELECT e.*, c.name AS category_name
+             FROM events e
+             LEFT JOIN categories c ON e.category_id = c.category_id
+             WHERE ${where}
+             ORDER BY e.event_date ASC, e.event_id ASC
+             LIMIT ? OFFSET ?`,
+            [...params, limit, offset],
+            (err2, events) => {
+                if (err2) return serverError(res, 'API event list error:', err2);
+
+                res.json({
+                    data: events.map(serializeEvent),
+                    meta: { total: count.total, limit, offset }
+                });
+            }
+        );
+    });
+});
+
+/**
+ * GET /api/v1/events/:id
+ * Purpose: Published event detail with live availability per ticket tier
+ * Input: req.params.id
+ * Output: { data: event with tickets[], sold_out, waitlist_count }
+ * Database: SELECT via loadEventDetail
+ */
+router.get('/events/:id', (req, res) => {
+    const eventId = parseId(req.params.id);
+    if (!eventId) return sendError(res, 400, 'invalid_request', 'Invalid event ID.');
+
+    loadEventDetail(eventId, true, (err, event) => {
+        if (err) return serverError(res, 'API event detail error:', err);
+        if (!event) return sendError(res, 404, 'not_found', 'Event not found.');
+
+        // Booked counts are for organisers; attendees see what is left
+        event.tickets.forEach(ticket => delete ticket.booked);
+        res.json({ data: event });
+    });
+});
+
+// =============================================================================
+// BOOKINGS AND WAITLIST
+// =============================================================================
+
+/**
+ * POST /api/v1/events/:id/bookings
+ * Purpose: Book tickets for a published event
+ * Input: req.params.id, JSON body { attendee_name, attendee_email, dietary_notes, promo_code (optional),
+ *        tickets: [{ ticket_id, quantity }] }
+ * Output: 201 { data: { booking_reference, status, lines, subtotal, discount, total_price, payment, manage_url, ... } }
+ *         - a free booking is 'confirmed'; one that costs money is 'pending' and payment has the
+ *         checkout_url to send the attendee to before hold_expires_at (seats are released after that)
+ *         400 'invalid_promo_code' if the code cannot be used for this booking
+ *         502 'payment_unavailable' if the payment gateway could not be reached
+ *         409 'unavailable' if a tier no longer has enough seats, 409 'event_passed',
+ *         'sales_not_open' or 'sales_closed' outside the event's or a tier's sales window
+ *         429 'too_many_requests' if this IP address has booked too often
+ * Database: Promo code and availability checks and INSERT into orders, bookings and payments in one transaction
+ */
+router.post('/events/:id/bookings', throttle('booking'), (req, res) => {
+    const eventId = parseId(req.params.id);
+    if (!eventId) return sendError(res, 400, 'invalid_request', 'Invalid event ID.');
+
+    const name = text(req.body.attendee_name);
+    const email = text(req.body.attendee_email);
+    const dietaryNotes = text(req.body.dietary_notes);
+    const promoCode = text(req.body.promo_code);
+    const requested = req.body.tickets;
+    const now = new Date().toISOString();
+
+    const attendeeError = validateAttendee({ name, email }, false);
+    if (attendeeError) return sendError(res, 400, 'validation_error', attendeeError);
+
+    if (!Array.isArray(requested)) {
+        return sendError(res, 400, 'validation_error', 'tickets must be an array of { ticket_id, quantity }.');
+    }
+
+    global.db.get("SELECT * FROM events WHERE event_id = ? AND status = 'published'", [eventId], (err, event) => {
+        if (err) return serverError(res, 'API booking error:', err);
+        if (!event) return sendError(res, 404, 'not_found', 'Event not found.');
+
+        const notOnSale = checkEventSales(event);
+        if (notOnSale) return sendError(res, 409, notOnSale.code, notOnSale.message);
+
+        global.db.all('SELECT * FROM tickets WHERE event_id = ? ORDER BY sort_order ASC, ticket_id ASC', [eventId], (err2, tickets) => {
+            if (err2) return serverError(res, 'API booking error:', err2);
+
+            const unknown = requested.find(item => !item || !tickets.some(t => t.ticket_id === parseId(item.ticket_id)));
+            if (unknown) {
+                return sendError(res, 400, 'validation_error', 'Every ticket_id must be a ticket tier of this event.');
+            }
+
+            const selection = selectTicketLines(tickets, ticket => {
+                const item = requested.find(i => parseId(i.ticket_id) === ticket.ticket_id);
+                return item ? item.quantity : 0;
+            });
+            if (selection.error) return sendError(res, 400, 'validation_error', selection.error);
+
+            const tierNotOnSale = checkLineSales(event, selection.lines);
+            if (tierNotOnSale) return sendError(res, 409, tierNotOnSale.code, tierNotOnSale.message);
+
+            withTransaction((done) => {
+                applyPromoCode(promoCode, event, { email, now }, selection.lines, (promoErr, applied) => {
+                    if (promoErr) return done(promoErr);
+                    placeOrder(eventId, { name, email, dietaryNotes, now, promo: applied.promo }, applied.lines, (orderErr, order) => {
+                        if (orderErr) return done(orderErr);
+                        holdPayment(order, (payErr, held) => done(payErr, held && { ...held, applied }));
+                    });
+                });
+            }, (err3, order) => {
+                if (err3 && err3.ticketType) {
+                    return sendError(res, 409, 'unavailable', unavailableMessage(err3));
+                }
+                if (err3 && err3.userMessage) return sendError(res, 400, 'invalid_promo_code', err3.userMessage);
+                if (err3) return serverError(res, 'API booking error:', err3);
+
+                const applied = order.applied;
+                const subtotal = roundMoney(applied.lines.reduce((sum, line) => sum + line.quantity * line.ticket.price, 0));
+                const discount = roundMoney(applied.lines.reduce((sum, line) => sum + line.discount, 0));
+
+                completeOrder(order, (payErr, checkoutUrl) => {
+                    if (payErr && payErr.userMessage) return sendError(res, 502, 'payment_unavailable', payErr.userMessage);
+                    if (payErr) return serverError(res, 'API payment error:', payErr);
+
+                    res.status(201).json({
+                        data: {
+                            booking_reference: order.reference,
+                            status: order.status,
+                            event_id: eventId,
+                            attendee_name: name,
+                            attendee_email: email || null,
+                            dietary_notes: dietaryNotes || null,
+                            lines: applied.lines.map(line => ({
+                                ticket_id: line.ticket.ticket_id,
+                                ticket_type: line.ticket.type,
+                                quantity: line.quantity,
+                                unit_price: line.ticket.price,
+                                discount: line.discount
+                            })),
+                            promo_code: applied.promo ? applied.promo.code : null,
+                            subtotal,
+                            discount,
+                            total_price: roundMoney(subtotal - discount),
+                            payment: checkoutUrl ? {
+                                status: 'pending',
+                                amount: order.total,
+                                checkout_url: checkoutUrl,
+                                hold_expires_at: order.holdExpiresAt
+                            } : null,
+                            manage_url: absoluteUrl(manageLink(order.reference)),
+                            created_at: now
+                        }
+                    });
+                });
+            });
+        });
+    });
+});
+
+/**
+ * POST /api/v1/events/:id/waitlist
+ * Purpose: Join the waitlist for one ticket tier of a published event
+ * Input: req.params.id, JSON body { attendee_name, attendee_email, ticket_type, quantity }
+ * Output: 201 { data: { waitlist_id, position } }; 409 'already_waitlisted' for duplicates,
+ *         409 'event_passed', 'sales_not_open' or 'sales_closed' outside the sales window,
+ *         429 'too_many_requests' if this IP address has joined waitlists too often
+ * Database: INSERT into waitlist table via joinWaitlist
+ */
+router.post('/events/:id/waitlist', throttle('waitlist'), (req, res) => {
+    const eventId = parseId(req.params.id);
+    if (!eventId) return sendError(res, 400, 'invalid_request', 'Invalid event ID.');
+
+    const name = text(req.body.attendee_name);
+    const email = text(req.body.attendee_email);
+    const ticketType = text(req.body.ticket_type);
+    const quantity = req.body.quantity === undefined ? 1 : parseInt(req.body.quantity) || 0;
+    const now = new Date().toISOString();
+
+    const attendeeError = validateAttendee({ name, email }, true);
+    if (attendeeError) return sendError(res, 400, 'validation_error', attendeeError);
+
+    global.db.get("SELECT * FROM events WHERE event_id = ? AND status = 'published'", [eventId], (err, event) => {
+        if (err) return serverError(res, 'API waitlist error:', err);
+        if (!event) return sendError(res, 404, 'not_found', 'Event not found.');
+
+        joinWaitlist(eventId, { name, email, ticketType, quantity, now }, (err2, entry) => {
+            if (err2 && err2.alreadyWaitlisted) {
+                return sendError(res, 409, 'already_waitlisted', err2.userMessage);
+            }
+            if (err2 && err2.salesCode) return sendError(res, 409, err2.salesCode, err2.userMessage);
+            if (err2 && err2.userMessage) return sendError(res, 400, 'validation_error', err2.userMessage);
+            if (err2) return serverError(res, 'API waitlist error:', err2);
+
+            res.status(201).json({
+                data: {
+                    waitlist_id: entry.waitlistId,
+                    event_id: eventId,
+                    ticket_type: ticketType,
+                    quantity,
+                    position: entry.position,
+                    requested_at: now
+                }
+            });
+        });
+    });
+});
+
+// =============================================================================
+// ORGANISER EVENTS (authenticated)
+// =============================================================================
+
+router.use('/organiser', requireOrganiser);
+
+/**
+ * GET /api/v1/organiser/events
+ * Purpose: List all events including drafts (organisers get only their own)
+ * Input: req.query.status (optional 'draft' or 'published')
+ * Output: { data: [event] }
+ * Database: SELECT from events and categories tables
+ */
+router.get('/organiser/events', (req, res) => {
+    const status = req.query.status;
+    if (status && status !== 'draft' && status !== 'published') {
+        return sendError(res, 400, 'invalid_request', "status must be 'draft' or 'published'.");
+    }
+
+    const ownerId = eventOwnerScope(req.user);
+
+    global.db.all(
+        `SELECT e.*, c.name AS category_name
+         FROM events e
+         LEFT JOIN categories c ON e.category_id = c.category_id
+         WHERE (? IS NULL OR e.owner_id = ?) ${status ? 'AND e.status = ?' : ''}
+         ORDER BY e.event_date ASC, e.event_id ASC`,
+        status ? [ownerId, ownerId, status] : [ownerId, ownerId],
+        (err, events) => {
+            if (err) return serverError(res, 'API organiser events error:', err);
+            res.json({ data: events.map(serializeEvent) });
+        }
+    );
+});
+
+/**
+ * POST /api/v1/organiser/events
+ * Purpose: Create a draft event with its ticket tiers, owned by the authenticated account
+ * Input: JSON body { title, description, event_date, start_time, end_time, category_id, venue_id,
+ *        cancellation_policy_id, tickets: [{ type, price, quantity }] } - times are HH:MM in the site time zone (default 18:00-21:00)
+ * Output: 201 { data: event detail }
+ * Database: INSERT into events and tickets via createEvent
+ */
+router.post('/organiser/events', requirePermission('events.manage'), (req, res) => {
+    const input = readEventBody(req.body);
+    if (input.error) return sendError(res, 400, 'validation_error', input.error);
+
+    if (input.tiers.some(tier => tier.ticketId)) {
+        return sendError(res, 400, 'validation_error', 'New events cannot reference existing ticket_id values.');
+    }
+
+    createEvent({ ...input.details, ownerId: req.organiserId }, input.tiers, (err, eventId) => {
+        if (err && err.userMessage) return sendError(res, 400, 'validation_error', err.userMessage);
+        if (err) return serverError(res, 'API create event error:', err);
+
+        loadEventDetail(eventId, false, (err2, event) => {
+            if (err2) return serverError(res, 'API create event error:', err2);
+            res.status(201).json({ data: event });
+        });
+    });
+});
+
+/**
+ * GET /api/v1/organiser/events/:id
+ * Purpose: Event detail (any status) with booked and remaining counts per tier
+ * Input: req.params.id
+ * Output: { data: event detail }
+ * Database: SELECT via loadEventDetail
+ */
+router.get('/organiser/events/:id', requireEventAccess('events.view'), (req, res) => {
+    const eventId = parseId(req.params.id);
+    if (!eventId) return sendError(res, 400, 'invalid_request', 'Invalid event ID.');
+
+    loadEventDetail(eventId, false, (err, event) => {
+        if (err) return serverError(res, 'API organiser event error:', err);
+        if (!event) return sendError(res, 404, 'not_found', 'Event not found.');
+        res.json({ data: event });
+    });
+});
+
+/**
+ * PUT /api/v1/organiser/events/:id
+ * Purpose: Replace event details and ticket tiers (same rules as the edit form)
+ * Input: req.params.id, JSON body as for POST; tiers to keep must include their ticket_id,
+ *        tiers left out are removed (refused if they have bookings)
+ * Output: { data: event detail }
+ * Database: UPDATE via updateEvent (one transaction)
+ */
+router.put('/organiser/events/:id', requireEventAccess('events.manage'), (req, res) => {
+    const eventId = parseId(req.params.id);
+    if (!eventId) return sendError(res, 400, 'invalid_request', 'Invalid event ID.');
+
+    const input = readEventBody(req.body);
+    if (input.error) return sendError(res, 400, 'validation_error', input.error);
+
+    updateEvent(eventId, input.details, input.tiers, (err) => {
+        if (err && err.notFound) return sendError(res, 404, 'not_found', err.userMessage);
+        if (err && err.userMessage) return sendError(res, 409, 'conflict', err.userMessage);
+        if (err) return serverError(res, 'API update event error:', err);
+
+        loadEventDetail(eventId, false, (err2, event) => {
+            if (err2) return serverError(res, 'API update event error:', err2);
+            res.json({ data: event });
+        });
+    });
+});
+
+/**
+ * POST /api/v1/organiser/events/:id/publish
+ * Purpose: Publish a draft event
+ * Input: req.params.id
+ * Output: { data: event detail }, or 409 if its venue is taken that day
+ * Database: UPDATE via publishEvent
+ */
+router.post('/organiser/events/:id/publish', requireEventAccess('events.manage'), (req, res) => {
+    const eventId = parseId(req.params.id);
+    if (!eventId) return sendError(res, 400, 'invalid_request', 'Invalid event ID.');
+
+    publishEvent(eventId, (err, changed) => {
+        if (err && err.userMessage) return sendError(res, 409, 'conflict', err.userMessage);
+        if (err) return serverError(res, 'API publish error:', err);
+        if (!changed) return sendError(res, 404, 'not_found', 'Event not found.');
+
+        loadEventDetail(eventId, false, (err2, event) => {
+            if (err2) return serverError(res, 'API publish error:', err2);
+            res.json({ data: event });
+        });
+    });
+});
+
+/**
+ * DELETE /api/v1/organiser/events/:id
+ * Purpose: Delete an event (attendees of a published event are emailed)
+ * Input: req.params.id
+ * Output: 204 No Content
+ * Database: DELETE via deleteEvent
+ */
+router.delete('/organiser/events/:id', requireEventAccess('events.manage'), (req, res) => {
+    const eventId = parseId(req.params.id);
+    if (!eventId) return sendError(res, 400, 'invalid_request', 'Invalid event ID.');
+
+    deleteEvent(eventId, (err, deleted) => {
+        if (err) return serverError(res, 'API delete error:', err);
+        if (!deleted) return sendError(res, 404, 'not_found', 'Event not found.');
+        res.status(204).end();
+    });
+});
+
+/**
+ * GET /api/v1/organiser/events/:id/bookings
+ * Purpose: List the orders for an event with their ticket lines
+ * Input: req.params.id
+ * Output: { data: [order with lines[] and payment (latest payment, or null for free orders)] }
+ * Database: SELECT from orders, bookings and payments tables
+ */
+router.get('/organiser/events/:id/bookings', requireEventAccess('bookings.view'), (req, res) => {
+    const eventId = parseId(req.params.id);
+    if (!eventId) return sendError(res, 400, 'invalid_request', 'Invalid event ID.');
+
+    global.db.get('SELECT event_id FROM events WHERE event_id = ?', [eventId], (err, event) => {
+        if (err) return serverError(res, 'API bookings error:', err);
+        if (!event) return sendError(res, 404, 'not_found', 'Event not found.');
+
+        global.db.all(
+            `SELECT o.*, b.booking_id, b.ticket_type, b.quantity, b.unit_price, b.discount,
+                    p.status AS payment_status, p.amount AS payment_amount, p.refunded_amount
+             FROM orders o
+             JOIN bookings b ON b.order_id = o.order_id
+             LEFT JOIN payments p ON p.payment_id = (SELECT MAX(payment_id) FROM payments WHERE order_id = o.order_id)
+             WHERE o.event_id = ?
+             ORDER BY o.created_at ASC, b.booking_id ASC`,
+            [eventId],
+            (err2, rows) => {
+                if (err2) return serverError(res, 'API bookings error:', err2);
+
+                const orders = [];
+                rows.forEach(row => {
+                    let order = orders.find(o => o.order_id === row.order_id);
+                    if (!order) {
+                        order = {
+                            order_id: row.order_id,
+                            booking_reference: row.booking_reference,
+                            attendee_name: row.attendee_name,
+                            attendee_email: row.attendee_email,
+                            dietary_notes: row.dietary_notes,
+                            status: row.status,
+                            created_at: row.created_at,
+                            cancelled_at: row.cancelled_at,
+                            promo_code: row.promo_code,
+                            payment: row.payment_status ? {
+                                status: row.payment_status,
+                                amount: row.payment_amount,
+                                refunded_amount: row.refunded_amount
+                            } : null,
+                            lines: []
+                        };
+                        orders.push(order);
+                    }
+                    order.lines.push({
+                        ticket_type: row.ticket_type,
+                        quantity: row.quantity,
+                        unit_price: row.unit_price,
+                        discount: row.discount
+                    });
+                });
+
+                res.json({ data: orders });
+            }
+        );
+    });
+});
+
+// =============================================================================
+// API ERROR HANDLERS
+// Purpose: Keep unknown routes and malformed bodies in the JSON error shape
+// =============================================================================
+
+router.use((req, res) => {
+    sendError(res, 404, 'not_found', 'No such API endpoint.');
+});
+
+router.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'invalid_json', 'Request body is not valid JSON.');
+    }
+    serverError(res, 'API error:', err);
+});
+
+module.exports = router;
\ No newline at end of file
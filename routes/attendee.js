@@ -9,15 +9,225 @@
 
 const express = require('express');
 const router = express.Router();
-const { sanitizeInput, isValidEmail, formatDateShort, parsePositiveInt } = require('../utils/helpers');
-
-const MAX_TICKETS_PER_BOOKING = 10;
+const {
+    sanitizeInput,
+    isValidEmail,
+    formatDateShort,
+    parsePositiveInt,
+    normaliseBookingReference,
+    verifySignedValue,
+    manageLink,
+    checkInCode,
+    eventStart
+} = require('../utils/helpers');
+const { withTransaction } = require('../utils/db');
+const { promoteWaitlist, checkClaimToken } = require('../utils/waitlist');
+const {
+    MAX_TICKETS_PER_BOOKING,
+    validateAttendee,
+    checkLineSales,
+    selectTicketLines,
+    unavailableMessage,
+    placeOrder,
+    joinWaitlist
+} = require('../utils/bookings');
+const { holdPayment, completeOrder, findOrderPayment } = require('../utils/payments');
+const { quoteRefund, refundByPolicy } = require('../utils/refunds');
+const { qrDataUrl, qrPng } = require('../utils/checkin');
+const { salesStatus, checkEventSales } = require('../utils/sales');
+const { applyPromoCode, orderTotals, roundMoney } = require('../utils/promos');
+const { limitRequests } = require('../utils/throttle');
 
 // =============================================================================
 // HELPER FUNCTIONS
 // Note: Common helpers imported from utils/helpers.js
 // =============================================================================
 
+/**
+ * isBeforeCutoff
+ * Purpose: Check whether an order can still be changed online
+ * Input: event (row with event_date, start_time), cutoffHours (number)
+ * Output: boolean - true if now is earlier than event start minus cutoffHours
+ */
+function isBeforeCutoff(event, cutoffHours) {
+    return Date.now() < eventStart(event).getTime() - cutoffHours * 60 * 60 * 1000;
+}
+
+/**
+ * withRefundNote
+ * Purpose: Add the outcome of a refund to a success message
+ * Input: message (string), err (refund error or null), refund (ledger row or null),
+ *        quote (from refundByPolicy - null when nothing was paid)
+ * Output: Message string
+ */
+function withRefundNote(message, err, refund, quote) {
+    if (err) return `${message} Your refund could not be worked out automatically - we will be in touch.`;
+    if (refund && refund.status === 'processed') return `${message} £${refund.amount.toFixed(2)} has been refunded (${quote.note}).`;
+    if (refund) return `${message} A refund of £${refund.amount.toFixed(2)} is on its way (${quote.note}).`;
+    if (quote && quote.amount <= 0) return `${message} No refund is due (${quote.note}).`;
+    return message;
+}
+
+/**
+ * finishBooking
+ * Purpose: Send the attendee on after an order is placed - to the payment gateway if the
+ *          order costs money, otherwise straight to the confirmation page
+ * Input: req, res, order (from placeOrder), backUrl (where to return if payment cannot start)
+ * Output: Redirect
+ */
+function finishBooking(req, res, order, backUrl) {
+    completeOrder(order, (err, checkoutUrl) => {
+        if (err) {
+            if (!err.userMessage) console.error('Payment start error:', err);
+            req.flash('error', err.userMessage || 'Payment could not be started.');
+            return res.redirect(backUrl);
+        }
+        if (checkoutUrl) return res.redirect(checkoutUrl);
+
+        req.flash('success', 'Tickets booked successfully!');
+        res.redirect('/attendee/confirmation/' + order.reference);
+    });
+}
+
+/**
+ * loadManagedOrder
+ * Purpose: Middleware for self-service routes - verify the signed link and load the order
+ * Input: req.params.reference, req.query.token or req.body.token
+ * Output: req.order (with event title/date), req.bookings, req.token set; redirects to lookup page if invalid
+ * Database: SELECT from orders, events, bookings tables
+ */
+function loadManagedOrder(req, res, next) {
+    const reference = normaliseBookingReference(req.params.reference);
+    const token = req.query.token || req.body.token;
+
+    if (!verifySignedValue(reference, 'manage', token)) {
+        req.flash('error', 'This booking link is invalid. Please look up your booking again.');
+        return res.redirect('/attendee/manage');
+    }
+
+    global.db.get(
+        `SELECT o.*, e.title, e.event_date, e.start_time, e.end_time
+         FROM orders o JOIN events e ON e.event_id = o.event_id
+         WHERE o.booking_reference = ?`,
+        [reference],
+        (err, order) => {
+            if (err || !order) {
+                req.flash('error', 'Booking not found.');
+                return res.redirect('/attendee/manage');
+            }
+
+            global.db.all(
+                'SELECT * FROM bookings WHERE order_id = ? ORDER BY booking_id ASC',
+                [order.order_id],
+                (err2, bookings) => {
+                    if (err2) {
+                        console.error('Manage booking error:', err2);
+                        req.flash('error', 'Failed to load booking.');
+                        return res.redirect('/attendee/manage');
+                    }
+
+                    req.order = order;
+                    req.bookings = bookings;
+                    req.token = token;
+                    next();
+                }
+            );
+        }
+    );
+}
+
+/**
+ * loadWaitlistOffer
+ * Purpose: Middleware for claim routes - load the offer and check the link's token
+ * Input: req.params.id, req.query.token or req.body.token
+ * Output: req.offer (waitlist row with event title/date), req.token; redirects if invalid
+ * Database: SELECT from waitlist and events tables
+ */
+function loadWaitlistOffer(req, res, next) {
+    const waitlistId = req.params.id;
+    const token = req.query.token || req.body.token;
+
+    if (!waitlistId || isNaN(waitlistId)) {
+        req.flash('error', 'This offer link is invalid.');
+        return res.redirect('/attendee');
+    }
+
+    global.db.get(
+        `SELECT w.*, e.title, e.event_date, e.start_time, e.end_time
+         FROM waitlist w JOIN events e ON e.event_id = w.event_id
+         WHERE w.waitlist_id = ?`,
+        [waitlistId],
+        (err, offer) => {
+            // Unknown IDs get the same answer as a wrong token, so offers cannot be counted
+            if (err || !offer || !checkClaimToken(offer, token)) {
+                req.flash('error', 'This offer link is invalid.');
+                return res.redirect('/attendee');
+            }
+
+            req.offer = offer;
+            req.token = token;
+            next();
+        }
+    );
+}
+
+/**
+ * throttle
+ * Purpose: Middleware - limit how often one IP address can book or join a waitlist
+ * Input: action ('booking' or 'waitlist', see utils/throttle.js)
+ * Output: Middleware function - redirects back to the event page with a flash error when limited
+ * Database: SELECT/INSERT attempts table
+ */
+function throttle(action) {
+    return limitRequests(action, (req, res, block) => {
+        req.flash('error', block.message);
+        res.redirect('/attendee/event/' + encodeURIComponent(req.params.id));
+    });
+}
+
+/**
+ * isOfferLive
+ * Purpose: Check a waitlist entry is an unexpired offer
+ * Input: offer (waitlist row)
+ * Output: boolean
+ */
+function isOfferLive(offer) {
+    return offer.status === 'offered' && offer.offer_expires_at > new Date().toISOString();
+}
+
+/**
+ * groupSeries
+ * Purpose: Collapse occurrences of the same series into one listing entry
+ * Input: events (rows in date order, with series_id)
+ * Output: Array of events - the first occurrence of each series stands for it,
+ *         with occurrences listing every { event_id, event_date, start_time, end_time } in the series
+ */
+function groupSeries(events) {
+    const occurrenceOf = event => ({
+        event_id: event.event_id,
+        event_date: event.event_date,
+        start_time: event.start_time,
+        end_time: event.end_time
+    });
+
+    const grouped = [];
+    const bySeries = new Map();
+
+    events.forEach(event => {
+        if (!event.series_id) return grouped.push(event);
+
+        const first = bySeries.get(event.series_id);
+        if (first) {
+            first.occurrences.push(occurrenceOf(event));
+        } else {
+            event.occurrences = [occurrenceOf(event)];
+            bySeries.set(event.series_id, event);
+            grouped.push(event);
+        }
+    });
+    return grouped;
+}
+
 // =============================================================================
 // SETTINGS MIDDLEWARE
 // Purpose: Load site settings for all attendee pages (for navbar/title)
@@ -43,7 +253,7 @@ router.use((req, res, next) => {
  * GET /attendee
  * Purpose: Display attendee home page with published events
  * Input: req.query.category (optional filter) [EXTENSION]
- * Output: Renders attendee_home.ejs with settings, events, categories
+ * Output: Renders attendee_home.ejs with settings, events (series grouped), categories
  * Database: SELECT from settings, categories, events tables
  */
 router.get('/', (req, res) => {
@@ -84,7 +294,7 @@ router.get('/', (req, res) => {
 
                 res.render('attendee_home', {
                     settings,
-                    events,
+                    events: groupSeries(events),
                     categories: categories || [],
                     selectedCategory
                 });
@@ -101,8 +311,9 @@ router.get('/', (req, res) => {
  * GET /attendee/event/:id
  * Purpose: Display single event details with booking form
  * Input: req.params.id (event ID)
- * Output: Renders attendee_event.ejs with event, tickets, availability
- * Database: SELECT from events, tickets, bookings, waitlist tables
+ * Output: Renders attendee_event.ejs with event (and its venue and cancellation policy),
+ *         tickets, availability and sales window (see utils/sales.js) for the event and each tier
+ * Database: SELECT from events, venues, cancellation_policies, tickets, bookings, waitlist tables
  */
 router.get('/event/:id', (req, res) => {
     const eventId = req.params.id;
@@ -112,7 +323,13 @@ router.get('/event/:id', (req, res) => {
     }
 
     global.db.get(
-        'SELECT * FROM events WHERE event_id = ? AND status = ?',
+        `SELECT e.*, v.name AS venue_name, v.address AS venue_address,
+                v.accessibility_notes AS venue_accessibility_notes,
+                cp.name AS policy_name, cp.full_refund_days, cp.partial_refund_percent, cp.no_refund_hours
+         FROM events e
+         LEFT JOIN venues v ON v.venue_id = e.venue_id
+         LEFT JOIN cancellation_policies cp ON cp.policy_id = e.cancellation_policy_id
+         WHERE e.event_id = ? AND e.status = ?`,
         [eventId, 'published'],
         (err, event) => {
             if (err) {
@@ -124,14 +341,14 @@ router.get('/event/:id', (req, res) => {
                 return res.status(404).send('Event not found. <a href="/attendee">Back to events</a>');
             }
 
-            global.db.all('SELECT * FROM tickets WHERE event_id = ?', [eventId], (err2, tickets) => {
+            global.db.all('SELECT * FROM tickets WHERE event_id = ? ORDER BY sort_order ASC, ticket_id ASC', [eventId], (err2, tickets) => {
                 if (err2) {
                     console.error('Tickets error:', err2);
                     return res.status(500).send('Ticket error');
                 }
 
                 global.db.all(
-                    'SELECT ticket_type, SUM(quantity) as booked FROM bookings WHERE event_id = ? GROUP BY ticket_type',
+                    'SELECT ticket_type, SUM(quantity) as booked FROM held_seats WHERE event_id = ? GROUP BY ticket_type',
                     [eventId],
                     (err3, bookings) => {
                         if (err3) {
@@ -139,15 +356,19 @@ router.get('/event/:id', (req, res) => {
                             return res.status(500).send('Booking error');
                         }
 
+                        const sales = salesStatus(event);
                         let totalRemaining = 0;
                         const ticketData = tickets.map(ticket => {
                             const booked = bookings.find(b => b.ticket_type === ticket.type);
                             const remaining = ticket.quantity - (booked ? booked.booked : 0);
-                            totalRemaining += Math.max(0, remaining);
-                            return { ...ticket, remaining: Math.max(0, remaining) };
+                            const tierSales = salesStatus(event, ticket);
+                            if (tierSales.state === 'open') totalRemaining += Math.max(0, remaining);
+                            return { ...ticket, remaining: Math.max(0, remaining), sales: tierSales };
                         });
 
-                        const isSoldOut = totalRemaining === 0;
+                        // Sold out means every tier on sale right now is full
+                        const onSale = ticketData.filter(ticket => ticket.sales.state === 'open');
+                        const isSoldOut = sales.state === 'open' && onSale.length > 0 && totalRemaining === 0;
 
                         global.db.get(
                             "SELECT COUNT(*) as count FROM waitlist WHERE event_id = ? AND status = 'waiting'",
@@ -159,6 +380,7 @@ router.get('/event/:id', (req, res) => {
                                     event,
                                     tickets: ticketData,
                                     maxPerBooking: MAX_TICKETS_PER_BOOKING,
+                                    sales,
                                     isSoldOut,
                                     waitlistCount
                                 });
@@ -178,11 +400,15 @@ router.get('/event/:id', (req, res) => {
 /**
  * POST /attendee/event/:id/book
  * Purpose: Create booking for event tickets
- * Input: req.params.id, req.body (attendee_name, attendee_email, quantities, dietary_notes)
- * Output: Redirects to confirmation page or back with error
- * Database: SELECT for validation, INSERT into bookings table
+ * Input: req.params.id, req.body (attendee_name, attendee_email, qty_<ticket_id> per tier, dietary_notes,
+ *        promo_code (optional))
+ * Output: Redirects to the payment gateway's checkout (bookings that cost money), the
+ *         confirmation page (free bookings) or back with error (also when this IP address
+ *         has booked too often)
+ * Database: SELECT/INSERT attempts, SELECT for validation, then promo code, availability check
+ *           and INSERT into orders, bookings and payments in one transaction (all ticket lines are saved or none are)
  */
-router.post('/event/:id/book', (req, res) => {
+router.post('/event/:id/book', throttle('booking'), (req, res) => {
     const eventId = req.params.id;
 
     if (!eventId || isNaN(eventId)) {
@@ -193,28 +419,12 @@ router.post('/event/:id/book', (req, res) => {
     const name = sanitizeInput(req.body.attendee_name || '').trim();
     const email = sanitizeInput(req.body.attendee_email || '').trim();
     const dietaryNotes = sanitizeInput(req.body.dietary_notes || '').trim();
-    const fullQty = parseInt(req.body.full_quantity) || 0;
-    const concessionQty = parseInt(req.body.concession_quantity) || 0;
-    const totalQty = fullQty + concessionQty;
+    const promoCode = sanitizeInput(req.body.promo_code || '').trim();
     const now = new Date().toISOString();
 
-    if (!name || name.length < 2) {
-        req.flash('error', 'Name is required (minimum 2 characters).');
-        return res.redirect('/attendee/event/' + eventId);
-    }
-
-    if (email && !isValidEmail(email)) {
-        req.flash('error', 'Invalid email format.');
-        return res.redirect('/attendee/event/' + eventId);
-    }
-
-    if (totalQty === 0) {
-        req.flash('error', 'Please select at least one ticket.');
-        return res.redirect('/attendee/event/' + eventId);
-    }
-
-    if (totalQty > MAX_TICKETS_PER_BOOKING) {
-        req.flash('error', `Maximum ${MAX_TICKETS_PER_BOOKING} tickets per booking.`);
+    const attendeeError = validateAttendee({ name, email }, false);
+    if (attendeeError) {
+        req.flash('error', attendeeError);
         return res.redirect('/attendee/event/' + eventId);
     }
 
@@ -227,79 +437,60 @@ router.post('/event/:id/book', (req, res) => {
                 return res.redirect('/attendee');
             }
 
-            const eventDate = new Date(event.event_date);
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
-
-            if (eventDate < today) {
-                req.flash('error', 'This event has already passed.');
+            const notOnSale = checkEventSales(event);
+            if (notOnSale) {
+                req.flash('error', notOnSale.message);
                 return res.redirect('/attendee/event/' + eventId);
             }
 
-            global.db.all('SELECT * FROM tickets WHERE event_id = ?', [eventId], (err2, tickets) => {
+            global.db.all('SELECT * FROM tickets WHERE event_id = ? ORDER BY sort_order ASC, ticket_id ASC', [eventId], (err2, tickets) => {
                 if (err2) {
                     req.flash('error', 'Error checking availability.');
                     return res.redirect('/attendee/event/' + eventId);
                 }
 
-                global.db.all(
-                    'SELECT ticket_type, SUM(quantity) as booked FROM bookings WHERE event_id = ? GROUP BY ticket_type',
-                    [eventId],
-                    (err3, bookings) => {
-                        if (err3) {
-                            req.flash('error', 'Error checking availability.');
-                            return res.redirect('/attendee/event/' + eventId);
-                        }
-
-                        const available = {};
-                        tickets.forEach(t => {
-                            const booked = bookings.find(b => b.ticket_type === t.type);
-                            available[t.type] = t.quantity - (booked ? booked.booked : 0);
-                        });
-
-                        if (fullQty > (available.full || 0)) {
-                            req.flash('error', `Only ${available.full || 0} full-price tickets available.`);
-                            return res.redirect('/attendee/event/' + eventId);
-                        }
-
-                        if (concessionQty > (available.concession || 0)) {
-                            req.flash('error', `Only ${available.concession || 0} concession tickets available.`);
-                            return res.redirect('/attendee/event/' + eventId);
-                        }
+                // One quantity field per tier, named qty_<ticket_id> by attendee_event.ejs
+                const selection = selectTicketLines(tickets, ticket => req.body['qty_' + ticket.ticket_id]);
+                if (selection.error) {
+                    req.flash('error', selection.error);
+                    return res.redirect('/attendee/event/' + eventId);
+                }
 
-                        const insertBooking = (type, qty, callback) => {
-                            if (qty > 0) {
-                                global.db.run(
-                                    `INSERT INTO bookings (event_id, attendee_name, attendee_email, ticket_type, quantity, booking_date, dietary_notes)
-                                     VALUES (?, ?, ?, ?, ?, ?, ?)`,
-                                    [eventId, name, email || null, type, qty, now, dietaryNotes || null],
-                                    callback
-                                );
-                            } else {
-                                callback(null);
-                            }
-                        };
+                const tierNotOnSale = checkLineSales(event, selection.lines);
+                if (tierNotOnSale) {
+                    req.flash('error', tierNotOnSale.message);
+                    return res.redirect('/attendee/event/' + eventId);
+                }
 
-                        insertBooking('full', fullQty, (err4) => {
-                            if (err4) {
-                                console.error('Booking error:', err4);
-                                req.flash('error', 'Booking failed.');
-                                return res.redirect('/attendee/event/' + eventId);
-                            }
+                // Availability and promo code limits are re-read inside the transaction so a
+                // concurrent booking cannot take the same seats or last use between the check and the inserts
+                withTransaction((done) => {
+                    applyPromoCode(promoCode, event, { email, now }, selection.lines, (promoErr, applied) => {
+                        if (promoErr) return done(promoErr);
+                        placeOrder(eventId, { name, email, dietaryNotes, now, promo: applied.promo }, applied.lines, (orderErr, order) => {
+                            if (orderErr) return done(orderErr);
+                            holdPayment(order, done);
+                        });
+                    });
+                }, (err3, order) => {
+                    if (err3 && err3.ticketType) {
+                        req.flash('error', unavailableMessage(err3));
+                        return res.redirect('/attendee/event/' + eventId);
+                    }
 
-                            insertBooking('concession', concessionQty, (err5) => {
-                                if (err5) {
-                                    console.error('Booking error:', err5);
-                                    req.flash('error', 'Booking failed.');
-                                    return res.redirect('/attendee/event/' + eventId);
-                                }
+                    if (err3 && err3.userMessage) {
+                        req.flash('error', err3.userMessage);
+                        return res.redirect('/attendee/event/' + eventId);
+                    }
 
-                                req.flash('success', 'Tickets booked successfully!');
-                                res.redirect(`/attendee/confirmation/${eventId}?name=${encodeURIComponent(name)}`);
-                            });
-                        });
+                    if (err3) {
+                        console.error('Booking error:', err3);
+                        req.flash('error', 'Booking failed.');
+                        return res.redirect('/attendee/event/' + eventId);
                     }
-                );
+
+                    finishBooking(req, res, order, '/attendee/event/' + eventId);
+                });
             });
         }
     );
@@ -310,71 +501,368 @@ router.post('/event/:id/book', (req, res) => {
 // =============================================================================
 
 /**
- * GET /attendee/confirmation/:id
- * Purpose: Display booking confirmation
- * Input: req.params.id (event ID), req.query.name (attendee name)
- * Output: Renders booking_confirmation.ejs with booking details
- * Database: SELECT from events, bookings, tickets tables
+ * GET /attendee/confirmation/:reference
+ * Purpose: Display booking confirmation for one order
+ * Input: req.params.reference (booking reference)
+ * Output: Renders booking_confirmation.ejs with order, event, ticket lines, payment and
+ *         check-in QR code (once confirmed)
+ * Database: SELECT from orders, events, bookings, payments tables
  */
-router.get('/confirmation/:id', (req, res) => {
-    const eventId = req.params.id;
-    const attendeeName = req.query.name;
+router.get('/confirmation/:reference', (req, res) => {
+    const reference = normaliseBookingReference(req.params.reference);
 
-    if (!eventId || !attendeeName) {
+    if (!reference) {
         req.flash('error', 'Invalid confirmation request.');
         return res.redirect('/attendee');
     }
 
-    global.db.get('SELECT * FROM events WHERE event_id = ?', [eventId], (err, event) => {
-        if (err || !event) {
-            req.flash('error', 'Event not found.');
+    global.db.get('SELECT * FROM orders WHERE booking_reference = ?', [reference], (err, order) => {
+        if (err || !order) {
+            req.flash('error', 'Booking not found.');
             return res.redirect('/attendee');
         }
 
-        // Get only the most recent bookings (within last 5 minutes) to avoid showing old bookings
-        global.db.all(
-            `SELECT ticket_type, quantity, booking_date
-             FROM bookings
-             WHERE event_id = ? AND attendee_name = ?
-             AND booking_date >= datetime('now', '-5 minutes')
-             ORDER BY booking_date DESC`,
-            [eventId, attendeeName],
-            (err2, bookings) => {
-                if (err2 || !bookings || bookings.length === 0) {
-                    req.flash('error', 'No recent bookings found.');
-                    return res.redirect('/attendee');
-                }
+        global.db.get('SELECT * FROM events WHERE event_id = ?', [order.event_id], (err2, event) => {
+            if (err2 || !event) {
+                req.flash('error', 'Event not found.');
+                return res.redirect('/attendee');
+            }
 
-                global.db.all('SELECT type, price FROM tickets WHERE event_id = ?', [eventId], (err3, tickets) => {
+            global.db.all(
+                'SELECT ticket_type, quantity, unit_price, discount FROM bookings WHERE order_id = ? ORDER BY booking_id ASC',
+                [order.order_id],
+                (err3, bookings) => {
                     if (err3) {
-                        req.flash('error', 'Failed to load ticket prices.');
+                        req.flash('error', 'Failed to load booking.');
                         return res.redirect('/attendee');
                     }
 
-                    const priceMap = {};
-                    tickets.forEach(t => priceMap[t.type] = t.price);
+                    const totalQuantity = bookings.reduce((sum, b) => sum + b.quantity, 0);
 
-                    let totalQuantity = 0;
-                    let totalPrice = 0;
+                    findOrderPayment(order.order_id, (err4, payment) => {
+                        if (err4) console.error('Payment lookup error:', err4);
 
-                    bookings.forEach(b => {
-                        totalQuantity += b.quantity;
-                        totalPrice += b.quantity * (priceMap[b.ticket_type] || 0);
-                    });
+                        qrDataUrl(checkInCode(order.booking_reference), (err5, qrCode) => {
+                            if (err5) console.error('QR code error:', err5);
 
-                    res.render('booking_confirmation', {
-                        event,
-                        bookings,
-                        attendeeName,
-                        totalQuantity,
-                        totalPrice
+                            res.render('booking_confirmation', {
+                                event,
+                                order,
+                                bookings,
+                                payment: payment || null,
+                                attendeeName: order.attendee_name,
+                                totalQuantity,
+                                totals: orderTotals(bookings),
+                                manageUrl: manageLink(order.booking_reference),
+                                qrCode: (order.status === 'confirmed' && qrCode) || null
+                            });
+                        });
                     });
+                }
+            );
+        });
+    });
+});
+
+// =============================================================================
+// MANAGE MY BOOKING
+// Attendees find a booking by email + reference (or a signed link), then
+// reduce quantities, update dietary notes or cancel before the cutoff
+// =============================================================================
+
+/**
+ * GET /attendee/manage
+ * Purpose: Display booking lookup form
+ * Input: None
+ * Output: Renders manage_lookup.ejs
+ */
+router.get('/manage', (req, res) => {
+    res.render('manage_lookup');
+});
+
+/**
+ * POST /attendee/manage
+ * Purpose: Find a booking by email and booking reference
+ * Input: req.body.attendee_email, req.body.booking_reference
+ * Output: Redirects to the signed manage link, or back with error
+ * Database: SELECT from orders table
+ */
+router.post('/manage', (req, res) => {
+    const email = sanitizeInput(req.body.attendee_email || '').trim();
+    const reference = normaliseBookingReference(req.body.booking_reference);
+
+    if (!email || !isValidEmail(email) || !reference) {
+        req.flash('error', 'Please enter the email address and booking reference used when booking.');
+        return res.redirect('/attendee/manage');
+    }
+
+    global.db.get(
+        'SELECT booking_reference FROM orders WHERE booking_reference = ? AND LOWER(attendee_email) = LOWER(?)',
+        [reference, email],
+        (err, order) => {
+            if (err) {
+                console.error('Booking lookup error:', err);
+                req.flash('error', 'Database error.');
+                return res.redirect('/attendee/manage');
+            }
+
+            // Same message whether the reference or the email was wrong
+            if (!order) {
+                req.flash('error', 'No booking matches that email and reference.');
+                return res.redirect('/attendee/manage');
+            }
+
+            res.redirect(manageLink(order.booking_reference));
+        }
+    );
+});
+
+/**
+ * GET /attendee/manage/:reference
+ * Purpose: Display a booking with change and cancel options
+ * Input: req.params.reference, req.query.token (signed link)
+ * Output: Renders manage_booking.ejs (with the payment, the refund cancelling now would
+ *         give under the event's cancellation policy, and the check-in QR code while confirmed)
+ * Database: SELECT via loadManagedOrder, SELECT from payments, events, cancellation_policies tables
+ */
+router.get('/manage/:reference', loadManagedOrder, (req, res) => {
+    const canChange = req.order.status === 'confirmed'
+        && isBeforeCutoff(req.order, res.locals.settings.cancellation_cutoff_hours || 0);
+
+    findOrderPayment(req.order.order_id, (payErr, payment) => {
+        if (payErr) console.error('Payment lookup error:', payErr);
+
+        const totals = orderTotals(req.bookings);
+        const paid = payment && payment.status === 'paid'
+            ? roundMoney(Math.min(totals.total, payment.amount - payment.refunded_amount))
+            : 0;
+        quoteRefund(req.order.event_id, paid, (quoteErr, refundQuote) => {
+            if (quoteErr) console.error('Refund quote error:', quoteErr);
+
+            qrDataUrl(checkInCode(req.order.booking_reference), (err, qrCode) => {
+                if (err) console.error('QR code error:', err);
+
+                res.render('manage_booking', {
+                    order: req.order,
+                    bookings: req.bookings,
+                    payment: payment || null,
+                    refundQuote: (payment && payment.status === 'paid' && refundQuote) || null,
+                    policy: refundQuote ? refundQuote.policy : null,
+                    token: req.token,
+                    canChange,
+                    cutoffHours: res.locals.settings.cancellation_cutoff_hours || 0,
+                    totals,
+                    qrCode: (req.order.status === 'confirmed' && qrCode) || null
                 });
+            });
+        });
+    });
+});
+
+/**
+ * GET /attendee/manage/:reference/qr.png
+ * Purpose: Check-in QR code image for a booking (linked from emails, which
+ *          do not show data URLs)
+ * Input: req.params.reference, req.query.token (signed link)
+ * Output: PNG image
+ * Database: SELECT via loadManagedOrder
+ */
+router.get('/manage/:reference/qr.png', loadManagedOrder, (req, res) => {
+    qrPng(checkInCode(req.order.booking_reference), (err, png) => {
+        if (err) {
+            console.error('QR code error:', err);
+            return res.status(500).send('Failed to draw QR code');
+        }
+        res.set('Content-Type', 'image/png');
+        res.set('Cache-Control', 'private, max-age=86400');
+        res.send(png);
+    });
+});
+
+/**
+ * POST /attendee/manage/:reference/update
+ * Purpose: Reduce ticket quantities and/or update dietary notes
+ * Input: req.params.reference, req.body (token, qty_<booking_id> per line, dietary_notes)
+ * Output: Redirects back to the manage page with success/error message
+ * Database: SELECT the order's lines again, UPDATE orders and bookings (DELETE lines reduced
+ *           to 0, each only if its quantity is unchanged) in one transaction, then offers
+ *           released seats to the waitlist - a promo discount on a line
+ *           shrinks in proportion to its quantity, and a paid booking is refunded the
+ *           difference as the event's cancellation policy allows (see utils/refunds.js)
+ */
+router.post('/manage/:reference/update', loadManagedOrder, (req, res) => {
+    const order = req.order;
+    const backUrl = manageLink(order.booking_reference);
+    const dietaryNotes = sanitizeInput(req.body.dietary_notes || '').trim();
+    const now = new Date().toISOString();
+
+    if (order.status !== 'confirmed' || !isBeforeCutoff(order, res.locals.settings.cancellation_cutoff_hours || 0)) {
+        req.flash('error', 'This booking can no longer be changed online.');
+        return res.redirect(backUrl);
+    }
+
+    // Quantity asked for on each line, by booking ID
+    const requested = {};
+    req.bookings.forEach(line => {
+        const raw = req.body['qty_' + line.booking_id];
+        requested[line.booking_id] = raw === undefined ? line.quantity : parseInt(raw);
+    });
+    const quantities = Object.values(requested);
+
+    if (quantities.some(quantity => isNaN(quantity) || quantity < 0)) {
+        req.flash('error', 'Ticket quantities cannot be negative.');
+        return res.redirect(backUrl);
+    }
+
+    if (req.bookings.some(line => requested[line.booking_id] > line.quantity)) {
+        req.flash('error', 'Quantities can only be reduced. Please make a new booking for extra tickets.');
+        return res.redirect(backUrl);
+    }
+
+    if (quantities.every(quantity => quantity === 0)) {
+        req.flash('error', 'To remove all tickets, please cancel the booking instead.');
+        return res.redirect(backUrl);
+    }
+
+    // The lines are read again inside the transaction, so a second submit of the same form
+    // (or any other change since the page loaded) is worked out against what is stored now
+    // and cannot reduce the same tickets or refund them twice
+    withTransaction((done) => {
+        global.db.get('SELECT status FROM orders WHERE order_id = ?', [order.order_id], (err, current) => {
+            if (err) return done(err);
+            if (!current || current.status !== 'confirmed') {
+                const closed = new Error('Order no longer confirmed');
+                closed.userMessage = 'This booking can no longer be changed online.';
+                return done(closed);
             }
-        );
+
+            global.db.all('SELECT * FROM bookings WHERE order_id = ? ORDER BY booking_id ASC', [order.order_id], (err2, lines) => {
+                if (err2) return done(err2);
+
+                const changes = lines.map(line => ({
+                    line,
+                    quantity: requested[line.booking_id] === undefined ? line.quantity : requested[line.booking_id]
+                }));
+                if (changes.some(c => c.quantity > c.line.quantity)) {
+                    const stale = new Error('Booking changed since the page loaded');
+                    stale.userMessage = 'Your booking has changed since this page was loaded. Please check it and try again.';
+                    return done(stale);
+                }
+
+                const updatedLines = changes.map(c => ({
+                    ...c.line,
+                    quantity: c.quantity,
+                    discount: roundMoney(c.line.discount * c.quantity / c.line.quantity)
+                }));
+
+                // Each line only changes if it still holds the quantity it was read with
+                const lineStatements = [];
+                changes.forEach((c, index) => {
+                    if (c.quantity === c.line.quantity) return;
+                    lineStatements.push(c.quantity === 0
+                        ? { sql: 'DELETE FROM bookings WHERE booking_id = ? AND quantity = ?', params: [c.line.booking_id, c.line.quantity] }
+                        : {
+                            sql: 'UPDATE bookings SET quantity = ?, discount = ? WHERE booking_id = ? AND quantity = ?',
+                            params: [c.quantity, updatedLines[index].discount, c.line.booking_id, c.line.quantity]
+                        });
+                });
+
+                global.db.run(
+                    'UPDATE orders SET dietary_notes = ?, updated_at = ? WHERE order_id = ?',
+                    [dietaryNotes || null, now, order.order_id],
+                    (err3) => {
+                        if (err3) return done(err3);
+
+                        const applyNext = (index) => {
+                            if (index >= lineStatements.length) {
+                                return done(null, {
+                                    linesChanged: lineStatements.length,
+                                    refundDue: roundMoney(orderTotals(lines).total - orderTotals(updatedLines).total)
+                                });
+                            }
+                            global.db.run(lineStatements[index].sql, lineStatements[index].params, function(err4) {
+                                if (err4) return done(err4);
+                                if (this.changes !== 1) {
+                                    const stale = new Error('Booking line changed during update');
+                                    stale.userMessage = 'Your booking has changed since this page was loaded. Please check it and try again.';
+                                    return done(stale);
+                                }
+                                applyNext(index + 1);
+                            });
+                        };
+                        applyNext(0);
+                    }
+                );
+            });
+        });
+    }, (err, result) => {
+        if (err && err.userMessage) {
+            req.flash('error', err.userMessage);
+            return res.redirect(backUrl);
+        }
+        if (err) {
+            console.error('Booking update error:', err);
+            req.flash('error', 'Failed to update booking.');
+            return res.redirect(backUrl);
+        }
+
+        if (result.linesChanged > 0) promoteWaitlist(order.event_id);
+        if (result.linesChanged === 0 || result.refundDue <= 0) {
+            req.flash('success', 'Your booking has been updated.');
+            return res.redirect(backUrl);
+        }
+        refundByPolicy(order, result.refundDue, 'attendee_reduced', (refundErr, refund, quote) => {
+            if (refundErr) console.error('Booking refund error:', refundErr);
+            req.flash('success', withRefundNote('Your booking has been updated.', refundErr, refund, quote));
+            res.redirect(backUrl);
+        });
     });
 });
 
+/**
+ * POST /attendee/manage/:reference/cancel
+ * Purpose: Cancel the whole booking, releasing its seats and refunding any payment
+ *          as the event's cancellation policy allows
+ * Input: req.params.reference, req.body.token
+ * Output: Redirects back to the manage page with success/error message
+ * Database: UPDATE orders status to 'cancelled', then offers released seats to the
+ *           waitlist and records the refund (see utils/refunds.js)
+ */
+router.post('/manage/:reference/cancel', loadManagedOrder, (req, res) => {
+    const order = req.order;
+    const backUrl = manageLink(order.booking_reference);
+    const now = new Date().toISOString();
+
+    if (order.status !== 'confirmed' || !isBeforeCutoff(order, res.locals.settings.cancellation_cutoff_hours || 0)) {
+        req.flash('error', 'This booking can no longer be cancelled online.');
+        return res.redirect(backUrl);
+    }
+
+    global.db.run(
+        "UPDATE orders SET status = 'cancelled', cancelled_at = ?, updated_at = ? WHERE order_id = ? AND status = 'confirmed'",
+        [now, now, order.order_id],
+        function(err) {
+            if (err) {
+                console.error('Booking cancel error:', err);
+                req.flash('error', 'Failed to cancel booking.');
+                return res.redirect(backUrl);
+            }
+            // Already cancelled by a request that got there first (e.g. a double click)
+            if (this.changes === 0) {
+                req.flash('error', 'This booking has already been cancelled.');
+                return res.redirect(backUrl);
+            }
+
+            promoteWaitlist(order.event_id);
+            refundByPolicy(order, null, 'attendee_cancelled', (refundErr, refund, quote) => {
+                if (refundErr) console.error('Booking refund error:', refundErr);
+                req.flash('success', withRefundNote('Your booking has been cancelled.', refundErr, refund, quote));
+                res.redirect(backUrl);
+            });
+        }
+    );
+});
+
 // =============================================================================
 // WAITLIST [EXTENSION]
 // =============================================================================
@@ -383,10 +871,11 @@ router.get('/confirmation/:id', (req, res) => {
  * POST /attendee/event/:id/waitlist
  * Purpose: Add attendee to waitlist when event is sold out
  * Input: req.params.id, req.body (attendee_name, attendee_email, ticket_type, quantity)
- * Output: Redirects back with success/error message
- * Database: SELECT for validation, INSERT into waitlist table
+ * Output: Redirects back with success/error message (error also when this IP address has
+ *         joined waitlists too often)
+ * Database: SELECT/INSERT attempts, SELECT for validation, INSERT into waitlist table
  */
-router.post('/event/:id/waitlist', (req, res) => {
+router.post('/event/:id/waitlist', throttle('waitlist'), (req, res) => {
     const eventId = req.params.id;
 
     if (!eventId || isNaN(eventId)) {
@@ -396,22 +885,13 @@ router.post('/event/:id/waitlist', (req, res) => {
 
     const name = sanitizeInput(req.body.attendee_name || '').trim();
     const email = sanitizeInput(req.body.attendee_email || '').trim();
-    const ticketType = req.body.ticket_type || 'full';
+    const ticketType = sanitizeInput(req.body.ticket_type || '').trim();
     const quantity = parseInt(req.body.quantity) || 1;
     const now = new Date().toISOString();
 
-    if (!name || name.length < 2) {
-        req.flash('error', 'Name is required (minimum 2 characters).');
-        return res.redirect('/attendee/event/' + eventId);
-    }
-
-    if (!email || !isValidEmail(email)) {
-        req.flash('error', 'Valid email is required for waitlist notification.');
-        return res.redirect('/attendee/event/' + eventId);
-    }
-
-    if (quantity < 1 || quantity > MAX_TICKETS_PER_BOOKING) {
-        req.flash('error', `Quantity must be between 1 and ${MAX_TICKETS_PER_BOOKING}.`);
+    const attendeeError = validateAttendee({ name, email }, true);
+    if (attendeeError) {
+        req.flash('error', attendeeError);
         return res.redirect('/attendee/event/' + eventId);
     }
 
@@ -424,46 +904,121 @@ router.post('/event/:id/waitlist', (req, res) => {
                 return res.redirect('/attendee');
             }
 
-            global.db.get(
-                "SELECT * FROM waitlist WHERE event_id = ? AND attendee_email = ? AND status = 'waiting'",
-                [eventId, email],
-                (err2, existing) => {
-                    if (err2) {
-                        req.flash('error', 'Database error.');
-                        return res.redirect('/attendee/event/' + eventId);
-                    }
+            joinWaitlist(eventId, { name, email, ticketType, quantity, now }, (err2, entry) => {
+                if (err2 && err2.userMessage) {
+                    req.flash('error', err2.userMessage);
+                    return res.redirect('/attendee/event/' + eventId);
+                }
 
-                    if (existing) {
-                        req.flash('error', 'You are already on the waitlist for this event.');
-                        return res.redirect('/attendee/event/' + eventId);
+                if (err2) {
+                    console.error('Waitlist insert error:', err2);
+                    req.flash('error', 'Failed to join waitlist.');
+                    return res.redirect('/attendee/event/' + eventId);
+                }
+
+                req.flash('success', `Added to waitlist! Position: #${entry.position}. We will email ${email} if tickets become available.`);
+                res.redirect('/attendee/event/' + eventId);
+            });
+        }
+    );
+});
+
+/**
+ * GET /attendee/waitlist/claim/:id
+ * Purpose: Display a waitlist offer with a form to confirm the booking
+ * Input: req.params.id (waitlist ID), req.query.token (the offer's claim token)
+ * Output: Renders waitlist_claim.ejs
+ * Database: SELECT via loadWaitlistOffer
+ */
+router.get('/waitlist/claim/:id', loadWaitlistOffer, (req, res) => {
+    res.render('waitlist_claim', {
+        offer: req.offer,
+        token: req.token,
+        isLive: isOfferLive(req.offer)
+    });
+});
+
+/**
+ * POST /attendee/waitlist/claim/:id
+ * Purpose: Turn a live waitlist offer into a confirmed booking
+ * Input: req.params.id, req.body (token, dietary_notes)
+ * Output: Redirects to the payment gateway's checkout, the confirmation page or back with error
+ * Database: UPDATE waitlist to 'claimed', INSERT into orders, bookings and payments in one transaction
+ */
+router.post('/waitlist/claim/:id', loadWaitlistOffer, (req, res) => {
+    const offer = req.offer;
+    const dietaryNotes = sanitizeInput(req.body.dietary_notes || '').trim();
+    const now = new Date().toISOString();
+    const backUrl = `/attendee/waitlist/claim/${offer.waitlist_id}?token=${encodeURIComponent(req.token)}`;
+
+    // Offers are only made while the event is on sale, so a held offer can be
+    // claimed after sales close - but not once the event has started
+    if (eventStart(offer) <= new Date()) {
+        req.flash('error', 'Booking has closed because this event has already started.');
+        return res.redirect(backUrl);
+    }
+
+    withTransaction((done) => {
+        // Re-read inside the transaction: the offer may have expired or been claimed meanwhile
+        global.db.get('SELECT * FROM waitlist WHERE waitlist_id = ?', [offer.waitlist_id], (err, current) => {
+            if (err) return done(err);
+            if (!current || !isOfferLive(current)) {
+                const lapsed = new Error('Offer no longer available');
+                lapsed.userMessage = 'Sorry, this offer has expired or has already been used.';
+                return done(lapsed);
+            }
+
+            global.db.get(
+                'SELECT * FROM tickets WHERE event_id = ? AND type = ?',
+                [current.event_id, current.ticket_type],
+                (err2, ticket) => {
+                    if (err2) return done(err2);
+                    if (!ticket) {
+                        const missing = new Error('Ticket tier removed');
+                        missing.userMessage = 'This ticket type is no longer on sale.';
+                        return done(missing);
                     }
 
+                    // Release the hold first so placeOrder's availability check counts these seats as free
                     global.db.run(
-                        `INSERT INTO waitlist (event_id, attendee_name, attendee_email, ticket_type, quantity, requested_at, status)
-                         VALUES (?, ?, ?, ?, ?, ?, 'waiting')`,
-                        [eventId, name, email, ticketType, quantity, now],
-                        function(err3) {
-                            if (err3) {
-                                console.error('Waitlist insert error:', err3);
-                                req.flash('error', 'Failed to join waitlist.');
-                                return res.redirect('/attendee/event/' + eventId);
-                            }
-
-                            global.db.get(
-                                "SELECT COUNT(*) as position FROM waitlist WHERE event_id = ? AND status = 'waiting' AND requested_at <= ?",
-                                [eventId, now],
-                                (err4, result) => {
-                                    const position = result ? result.position : '?';
-                                    req.flash('success', `Added to waitlist! Position: #${position}. We will email ${email} if tickets become available.`);
-                                    res.redirect('/attendee/event/' + eventId);
-                                }
-                            );
+                        "UPDATE waitlist SET status = 'claimed' WHERE waitlist_id = ?",
+                        [current.waitlist_id],
+                        (err3) => {
+                            if (err3) return done(err3);
+
+                            placeOrder(current.event_id, {
+                                name: current.attendee_name,
+                                email: current.attendee_email,
+                                dietaryNotes,
+                                now
+                            }, [{ ticket, quantity: current.quantity }], (orderErr, order) => {
+                                if (orderErr) return done(orderErr);
+                                holdPayment(order, done);
+                            });
                         }
                     );
                 }
             );
+        });
+    }, (err, order) => {
+        if (err && err.userMessage) {
+            req.flash('error', err.userMessage);
+            return res.redirect(backUrl);
         }
-    );
+
+        if (err && err.ticketType) {
+            req.flash('error', 'Sorry, these seats are no longer available.');
+            return res.redirect(backUrl);
+        }
+
+        if (err) {
+            console.error('Waitlist claim error:', err);
+            req.flash('error', 'Booking failed.');
+            return res.redirect(backUrl);
+        }
+
+        finishBooking(req, res, order, backUrl);
+    });
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,153 @@
+/**
+ * routes/calendar.js
+ * iCalendar Downloads and Feeds
+ *
+ * Purpose: Serve .ics files so attendees and organisers can add events to
+ *          their calendar apps, either once or as a subscription that updates
+ * Database: Uses global.db (single connection from index.js)
+ * Authentication: Public event files and the public feed need none; the private
+ *                 organiser feed is protected by the secret token in its URL
+ *                 (calendar apps cannot log in)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { buildCalendar } = require('../utils/calendar');
+const { findCalendarOrganiser } = require('../utils/tokens');
+const { eventOwnerScope } = require('../utils/roles');
+
+const EVENT_QUERY = `
+    SELECT e.*, c.name AS category_name
+    FROM events e
+    LEFT JOIN categories c ON e.category_id = c.category_id
+`;
+
+/**
+ * sendCalendar
+ * Purpose: Send an iCalendar document, as a download or for a subscription
+ * Input: res, filename, body (iCalendar string), download (boolean - attachment header)
+ * Output: None (response sent)
+ */
+function sendCalendar(res, filename, body, download) {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `${download ? 'attachment' : 'inline'}; filename="${filename}"`);
+    res.set('Cache-Control', 'no-cache');
+    res.send(body);
+}
+
+// =============================================================================
+// SETTINGS MIDDLEWARE
+// Purpose: Load the site name used to label calendars
+// Input: None
+// Output: res.locals.settings
+// =============================================================================
+router.use((req, res, next) => {
+    global.db.get('SELECT * FROM settings WHERE id = 1', [], (err, settings) => {
+        res.locals.settings = (err || !settings) ? { site_name: 'Event Manager' } : settings;
+        next();
+    });
+});
+
+// =============================================================================
+// SINGLE EVENT DOWNLOAD
+// =============================================================================
+
+/**
+ * GET /calendar/event/:id.ics
+ * Purpose: Download one published event as an .ics file
+ * Input: req.params.id (event ID)
+ * Output: text/calendar attachment, or 404 if the event is not published
+ * Database: SELECT from events, categories tables
+ */
+router.get('/event/:id.ics', (req, res) => {
+    const eventId = req.params.id;
+
+    if (!eventId || isNaN(eventId)) {
+        return res.status(404).send('Event not found');
+    }
+
+    global.db.get(EVENT_QUERY + " WHERE e.event_id = ? AND e.status = 'published'", [eventId], (err, event) => {
+        if (err) {
+            console.error('Calendar event error:', err);
+            return res.status(500).send('Calendar error');
+        }
+        if (!event) {
+            return res.status(404).send('Event not found');
+        }
+
+        sendCalendar(res, `event-${event.event_id}.ics`, buildCalendar(event.title, [event], false), true);
+    });
+});
+
+// =============================================================================
+// PUBLIC FEED
+// =============================================================================
+
+/**
+ * GET /calendar/events.ics
+ * Purpose: Subscribable feed of all published events
+ * Input: req.query.category (optional filter, as on /attendee)
+ * Output: text/calendar feed
+ * Database: SELECT from events, categories tables
+ */
+router.get('/events.ics', (req, res) => {
+    const selectedCategory = req.query.category || null;
+    let query = EVENT_QUERY + " WHERE e.status = 'published'";
+    const params = [];
+
+    if (selectedCategory) {
+        query += ' AND e.category_id = ?';
+        params.push(selectedCategory);
+    }
+    query += ' ORDER BY e.event_date ASC';
+
+    global.db.all(query, params, (err, events) => {
+        if (err) {
+            console.error('Calendar feed error:', err);
+            return res.status(500).send('Calendar error');
+        }
+
+        // Name a filtered feed after its category so subscribers can tell feeds apart
+        const categoryName = selectedCategory && events.length > 0 ? events[0].category_name : null;
+        const name = res.locals.settings.site_name + (categoryName ? ` - ${categoryName}` : '');
+
+        sendCalendar(res, 'events.ics', buildCalendar(name, events, true), false);
+    });
+});
+
+// =============================================================================
+// PRIVATE ORGANISER FEED
+// =============================================================================
+
+/**
+ * GET /calendar/organiser/:token.ics
+ * Purpose: Private feed of every event including drafts (drafts marked tentative);
+ *          organisers get only the events they own
+ * Input: req.params.token (organiser's calendar_token)
+ * Output: text/calendar feed, or 404 for an unknown token
+ * Database: SELECT from organisers, events, categories tables
+ */
+router.get('/organiser/:token.ics', (req, res) => {
+    findCalendarOrganiser(req.params.token, (err, organiser) => {
+        if (err) {
+            console.error('Calendar token error:', err);
+            return res.status(500).send('Calendar error');
+        }
+        if (!organiser) {
+            return res.status(404).send('Calendar not found');
+        }
+
+        const ownerId = eventOwnerScope(organiser);
+        global.db.all(EVENT_QUERY + ' WHERE (? IS NULL OR e.owner_id = ?) ORDER BY e.event_date ASC', [ownerId, ownerId], (err2, events) => {
+            if (err2) {
+                console.error('Organiser feed error:', err2);
+                return res.status(500).send('Calendar error');
+            }
+
+            const name = `${res.locals.settings.site_name} (organiser)`;
+            sendCalendar(res, 'organiser.ics', buildCalendar(name, events, true), false);
+        });
+    });
+});
+
+module.exports = router;
\ No newline at end of file
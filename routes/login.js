@@ -4,14 +4,47 @@
  * 
  * Purpose: Handle organiser authentication with bcrypt password hashing
  * Database: Uses global.db (single connection from index.js)
+ *
+ * [EXTENSION] Accounts are created from an admin's invitation link, or - when open
+ * registration is switched on in Site Settings - by registering, after which they
+ * wait for an admin to approve them before they can log in.
+ *
+ * [EXTENSION] Forgotten passwords are reset from an emailed link, and plain-text or
+ * lower-cost password hashes are upgraded when their owner logs in (utils/passwords.js).
+ *
+ * [EXTENSION] Accounts with two-factor authentication turned on enter a code from their
+ * authenticator app (or a recovery code) after their password, before the session is
+ * logged in (utils/twofactor.js).
+ *
+ * [EXTENSION] Failed logins are counted per account and per IP address; repeated
+ * failures have to wait longer and longer and then are locked out for a while, and
+ * registrations are limited per IP address (utils/throttle.js).
  */
 
 const express = require('express');
 const router = express.Router();
-const bcrypt = require('bcrypt');
 const { isValidEmail } = require('../utils/helpers');
+const { findInvitation, acceptInvitation } = require('../utils/invitations');
+const { ROLES, loadUser } = require('../utils/roles');
+const { verifySecondFactor } = require('../utils/twofactor');
+const { beginAttempt, settleAttempt, clearFailures, limitRequests } = require('../utils/throttle');
+const { queueEmail } = require('../utils/mailer');
+const {
+    RESET_LINK_MINUTES,
+    hashPassword,
+    verifyPassword,
+    fakePasswordCheck,
+    upgradePassword,
+    validateNewPassword,
+    createPasswordReset,
+    findPasswordReset,
+    resetPassword,
+    sessionIsCurrent
+} = require('../utils/passwords');
 
-const SALT_ROUNDS = 10;
+// How long the second login step stays open after the password, and how many wrong codes it allows
+const TWO_FACTOR_LOGIN_MINUTES = 5;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
 
 // =============================================================================
 // HELPER FUNCTIONS
@@ -19,29 +52,90 @@ const SALT_ROUNDS = 10;
 // =============================================================================
 
 /**
- * hashPassword
- * Purpose: Create bcrypt hash of plain text password
- * Input: password (string)
- * Output: Promise<string> - bcrypt hash
+ * validateAccount
+ * Purpose: Check the username and password fields of a new account
+ * Input: body (req.body with username, password, confirm_password)
+ * Output: Error message string, or null if valid
  */
-async function hashPassword(password) {
-    return await bcrypt.hash(password, SALT_ROUNDS);
+function validateAccount(body) {
+    const { username, password, confirm_password } = body;
+
+    if (!username || !password || !confirm_password) {
+        return 'All fields are required.';
+    }
+    if (username.length < 3 || username.length > 50) {
+        return 'Username must be 3-50 characters.';
+    }
+    return validateNewPassword(password, confirm_password);
 }
 
 /**
- * verifyPassword
- * Purpose: Compare password against stored hash or plain text
- * Supports both bcrypt hashed passwords and legacy plain text
- * Input: password (string), storedPassword (string)
- * Output: Promise<boolean>
+ * loadSettings
+ * Purpose: Load site settings for the login pages
+ * Input: callback (settings) - falls back to defaults (registration closed) on error
+ * Output: None (result passed to callback)
+ * Database: SELECT from settings table
  */
-async function verifyPassword(password, storedPassword) {
-    // Check if stored password is bcrypt hash (starts with $2a$ or $2b$)
-    if (storedPassword.startsWith('$2a$') || storedPassword.startsWith('$2b$')) {
-        return await bcrypt.compare(password, storedPassword);
-    }
-    // Plain text comparison for legacy/default accounts
-    return password === storedPassword;
+function loadSettings(callback) {
+    global.db.get('SELECT * FROM settings WHERE id = 1', [], (err, settings) => {
+        if (err || !settings) {
+            settings = { site_name: 'Event Manager', site_description: '', open_registration: 0 };
+        }
+        callback(settings);
+    });
+}
+
+/**
+ * startSession
+ * Purpose: Log an account in once every login step has passed
+ * Input: req, user (organiser row with organiser_id, username, role, password_changed_at)
+ * Output: None - sets the session fields read by the organiser pages and API
+ */
+function startSession(req, user) {
+    delete req.session.twoFactorLogin;
+    req.session.authenticated = true;
+    req.session.username = user.username;
+    req.session.userId = user.organiser_id;
+    req.session.role = user.role || 'organiser';
+    req.session.passwordChangedAt = user.password_changed_at;
+}
+
+/**
+ * recordSuccessfulLogin
+ * Purpose: Log a completed login for the audit and stop the account's earlier failures counting
+ * Input: attemptId (from beginAttempt), username
+ * Output: None - errors are logged
+ * Database: UPDATE attempts table
+ */
+function recordSuccessfulLogin(attemptId, username) {
+    settleAttempt(attemptId, 'succeeded', null, () => {
+        clearFailures('account', username, (err) => {
+            if (err) console.error('Clear login failures error:', err);
+        });
+    });
+}
+
+/**
+ * refuseThrottled
+ * Purpose: Answer a login, registration or reset request that has to wait
+ * Input: res, block (from beginAttempt), backLink (HTML link)
+ * Output: Sends a 429 response with a Retry-After header
+ */
+function refuseThrottled(res, block, backLink) {
+    res.set('Retry-After', String(block.retryAfterSeconds));
+    res.status(429).send(block.message + ' ' + backLink);
+}
+
+/**
+ * pendingTwoFactorLogin
+ * Purpose: Get the second login step started by the password, if it is still open
+ * Input: req
+ * Output: { userId, passwordChangedAt, expiresAt, attempts } or null
+ */
+function pendingTwoFactorLogin(req) {
+    const pending = req.session && req.session.twoFactorLogin;
+    if (!pending || pending.expiresAt < Date.now()) return null;
+    return pending;
 }
 
 // =============================================================================
@@ -50,17 +144,14 @@ async function verifyPassword(password, storedPassword) {
 
 /**
  * GET /login
- * Purpose: Display login and registration forms
+ * Purpose: Display login form, and the registration form if open registration is on
  * Input: req.query.message (optional)
  * Output: Renders login.ejs with settings
  * Database: SELECT from settings table
  */
 router.get('/', (req, res) => {
     const message = req.query.message || null;
-    global.db.get('SELECT * FROM settings WHERE id = 1', [], (err, settings) => {
-        if (err || !settings) {
-            settings = { site_name: 'Event Manager', site_description: '' };
-        }
+    loadSettings((settings) => {
         res.render('login', { message, settings });
     });
 });
@@ -69,15 +160,27 @@ router.get('/', (req, res) => {
  * POST /login
  * Purpose: Authenticate organiser credentials
  * Input: req.body.username, req.body.password
- * Output: Redirects to /organiser on success, error message on failure
- * Database: SELECT from organisers, compare password with bcrypt
+ * Output: Redirects to /organiser on success (or to /login/two-factor if the account
+ *         uses two-factor authentication), error message on failure, 429 while the
+ *         account or IP address is backing off or locked out
+ * Database: SELECT/INSERT/UPDATE attempts, SELECT from organisers, compare password with bcrypt,
+ *           UPDATE organisers.password if the stored password is plain text or a lower-cost hash
  */
-router.post('/', async (req, res) => {
-    try {
-        const { username, password } = req.body;
+router.post('/', (req, res) => {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+        return res.send('Username and password are required. <a href="/login">Try again</a>');
+    }
 
-        if (!username || !password) {
-            return res.send('Username and password are required. <a href="/login">Try again</a>');
+    // The attempt counts as failed from here until the password has been checked
+    beginAttempt('login', { ip: req.ip, username }, (throttleErr, block, attemptId) => {
+        if (throttleErr) {
+            console.error('Login throttle error:', throttleErr);
+            return res.status(500).send('Database error. <a href="/login">Try again</a>');
+        }
+        if (block) {
+            return refuseThrottled(res, block, '<a href="/login">Back to login</a>');
         }
 
         global.db.get(
@@ -89,92 +192,382 @@ router.post('/', async (req, res) => {
                     return res.status(500).send('Database error. <a href="/login">Try again</a>');
                 }
 
-                if (!user) {
-                    return res.send('Invalid username or password. <a href="/login">Try again</a>');
-                }
+                try {
+                    // Unknown usernames take as long as wrong passwords
+                    const isValid = user
+                        ? await verifyPassword(password, user.password)
+                        : await fakePasswordCheck(password);
+
+                    if (!isValid) {
+                        settleAttempt(attemptId, 'failed', user ? 'wrong password' : 'unknown username');
+                        return res.send('Invalid username or password. <a href="/login">Try again</a>');
+                    }
+
+                    if (user.status === 'pending') {
+                        settleAttempt(attemptId, 'allowed', 'waiting for approval');
+                        return res.send('Your account is waiting for an administrator to approve it. <a href="/login">Back to login</a>');
+                    }
 
-                const isValid = await verifyPassword(password, user.password);
+                    upgradePassword(user.organiser_id, password, user.password, (upgradeErr) => {
+                        if (upgradeErr) console.error('Password rehash error:', upgradeErr);
 
-                if (isValid) {
-                    req.session.authenticated = true;
-                    req.session.username = user.username;
-                    req.session.userId = user.organiser_id;
-                    req.session.role = user.role || 'organiser';
-                    res.redirect('/organiser');
-                } else {
-                    res.send('Invalid username or password. <a href="/login">Try again</a>');
+                        if (user.totp_enabled_at) {
+                            settleAttempt(attemptId, 'allowed', 'waiting for two-factor code');
+                            req.session.twoFactorLogin = {
+                                userId: user.organiser_id,
+                                username: user.username,
+                                passwordChangedAt: user.password_changed_at,
+                                expiresAt: Date.now() + TWO_FACTOR_LOGIN_MINUTES * 60 * 1000,
+                                attempts: 0
+                            };
+                            return res.redirect('/login/two-factor');
+                        }
+
+                        recordSuccessfulLogin(attemptId, user.username);
+                        startSession(req, user);
+                        res.redirect('/organiser');
+                    });
+                } catch (error) {
+                    console.error('Login error:', error);
+                    res.status(500).send('Server error. <a href="/login">Try again</a>');
                 }
             }
         );
-    } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).send('Server error. <a href="/login">Try again</a>');
+    });
+});
+
+// =============================================================================
+// TWO-FACTOR LOGIN STEP [EXTENSION]
+// After a correct password, accounts with two-factor on have TWO_FACTOR_LOGIN_MINUTES
+// and TWO_FACTOR_MAX_ATTEMPTS tries to enter an app code or a recovery code
+// =============================================================================
+
+/**
+ * GET /login/two-factor
+ * Purpose: Display the code form for the second login step
+ * Input: req.session.twoFactorLogin (set by POST /login)
+ * Output: Renders login_two_factor.ejs, or redirects to /login if there is no open step
+ * Database: SELECT from settings table
+ */
+router.get('/two-factor', (req, res) => {
+    if (!pendingTwoFactorLogin(req)) {
+        return res.redirect('/login?message=Please log in with your username and password.');
     }
+    loadSettings((settings) => {
+        res.render('login_two_factor', { settings });
+    });
+});
+
+/**
+ * POST /login/two-factor
+ * Purpose: Check the code and finish logging in
+ * Input: req.body.code (6-digit app code or a recovery code), req.session.twoFactorLogin
+ * Output: Redirects to /organiser on success; error message otherwise (after too many
+ *         wrong codes the password has to be entered again). Wrong codes count as failed
+ *         logins for the account and IP address, so they back off and lock out the same way
+ * Database: SELECT/INSERT/UPDATE attempts, SELECT/UPDATE organisers, recovery_codes via verifySecondFactor
+ */
+router.post('/two-factor', (req, res) => {
+    const pending = pendingTwoFactorLogin(req);
+    if (!pending) {
+        delete req.session.twoFactorLogin;
+        return res.send('Your login has timed out. <a href="/login">Log in again</a>');
+    }
+
+    const who = { ip: req.ip, username: pending.username };
+
+    // The attempt counts as failed from here until the code has been checked
+    beginAttempt('login', who, (throttleErr, block, attemptId) => {
+        if (throttleErr) {
+            console.error('Login throttle error:', throttleErr);
+            return res.status(500).send('Database error. <a href="/login/two-factor">Try again</a>');
+        }
+        if (block) {
+            return refuseThrottled(res, block, '<a href="/login/two-factor">Try again</a>');
+        }
+
+        verifySecondFactor(pending.userId, req.body.code, (err, result) => {
+            if (err) {
+                console.error('Two-factor check error:', err);
+                return res.status(500).send('Database error. <a href="/login/two-factor">Try again</a>');
+            }
+
+            if (!result) {
+                settleAttempt(attemptId, 'failed', 'wrong two-factor code');
+                pending.attempts++;
+                if (pending.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+                    delete req.session.twoFactorLogin;
+                    return res.send('Too many wrong codes. <a href="/login">Log in again</a>');
+                }
+                return res.send('That code is not right. <a href="/login/two-factor">Try again</a>');
+            }
+
+            loadUser(pending.userId, (err2, user) => {
+                if (err2) {
+                    console.error('Account lookup error:', err2);
+                    return res.status(500).send('Database error. <a href="/login">Try again</a>');
+                }
+                if (!user || !sessionIsCurrent(pending, user)) {
+                    settleAttempt(attemptId, 'allowed', 'account changed during login');
+                    delete req.session.twoFactorLogin;
+                    return res.send('Your account has changed since you entered your password. <a href="/login">Log in again</a>');
+                }
+
+                recordSuccessfulLogin(attemptId, user.username);
+                startSession(req, user);
+                if (result.method === 'recovery') {
+                    req.flash('error', `You logged in with a recovery code - ${result.recoveryCodesLeft} left. ` +
+                        'Set up your authenticator app again or make new codes from Two-Factor Authentication.');
+                }
+                res.redirect('/organiser');
+            });
+        });
+    });
 });
 
 /**
  * POST /login/register
- * Purpose: Create new organiser account with hashed password
+ * Purpose: Create new organiser account with hashed password, waiting for an admin's
+ *          approval (only while open registration is switched on in Site Settings)
  * Input: req.body.username, req.body.password, req.body.confirm_password, req.body.email
- * Output: Redirects to /login with success message
- * Database: INSERT into organisers with bcrypt hashed password
+ * Output: Redirects to /login with a message saying approval is needed (429 if this IP
+ *         address has registered too often)
+ * Database: SELECT/INSERT attempts, SELECT from settings, INSERT into organisers with bcrypt
+ *           hashed password and status 'pending'
  */
-router.post('/register', async (req, res) => {
-    try {
-        const { username, password, confirm_password, email } = req.body;
+router.post('/register', limitRequests('register', (req, res, block) => {
+    refuseThrottled(res, block, '<a href="/login">Back to login</a>');
+}), (req, res) => {
+    loadSettings(async (settings) => {
+        try {
+            if (!settings.open_registration) {
+                return res.send('Registration is closed. Ask an administrator for an invitation. <a href="/login">Back to login</a>');
+            }
 
-        if (!username || !password || !confirm_password) {
-            return res.send('All fields are required. <a href="/login">Try again</a>');
-        }
+            const { username, password, email } = req.body;
 
-        if (username.length < 3 || username.length > 50) {
-            return res.send('Username must be 3-50 characters. <a href="/login">Try again</a>');
+            const validationError = validateAccount(req.body);
+            if (validationError) {
+                return res.send(validationError + ' <a href="/login">Try again</a>');
+            }
+
+            if (email && !isValidEmail(email)) {
+                return res.send('Invalid email format. <a href="/login">Try again</a>');
+            }
+
+            global.db.get(
+                'SELECT * FROM organisers WHERE username = ?',
+                [username],
+                async (err, existingUser) => {
+                    if (err) {
+                        console.error('Database error:', err);
+                        return res.status(500).send('Database error. <a href="/login">Try again</a>');
+                    }
+
+                    if (existingUser) {
+                        return res.send('Username already exists. <a href="/login">Try again</a>');
+                    }
+
+                    const hashedPassword = await hashPassword(password);
+                    const now = new Date().toISOString();
+
+                    global.db.run(
+                        "INSERT INTO organisers (username, password, email, status, created_at) VALUES (?, ?, ?, 'pending', ?)",
+                        [username, hashedPassword, email || null, now],
+                        function(insertErr) {
+                            if (insertErr) {
+                                console.error('Insert error:', insertErr);
+                                return res.status(500).send('Failed to create account. <a href="/login">Try again</a>');
+                            }
+                            res.redirect('/login?message=Account created. An administrator needs to approve it before you can log in.');
+                        }
+                    );
+                }
+            );
+        } catch (error) {
+            console.error('Registration error:', error);
+            res.status(500).send('Server error. <a href="/login">Try again</a>');
         }
+    });
+});
+
+// =============================================================================
+// INVITATIONS [EXTENSION]
+// Accounts created from an admin's invitation link are active straight away
+// =============================================================================
+
+/**
+ * GET /login/invite/:token
+ * Purpose: Display the sign-up form for an invitation
+ * Input: req.params.token (plain invitation token)
+ * Output: Renders invitation.ejs with the invited email and role, or a message if the
+ *         link has expired, been revoked or already been used
+ * Database: SELECT from settings, invitations tables
+ */
+router.get('/invite/:token', (req, res) => {
+    loadSettings((settings) => {
+        findInvitation(req.params.token, (err, invitation) => {
+            if (err) {
+                console.error('Invitation lookup error:', err);
+                return res.status(500).send('Database error. <a href="/login">Back to login</a>');
+            }
+            if (!invitation) {
+                return res.status(404).send('This invitation link has expired, been withdrawn or already been used. Ask an administrator for a new one. <a href="/login">Back to login</a>');
+            }
+            res.render('invitation', {
+                settings,
+                invitation,
+                roleName: ROLES[invitation.role] || invitation.role,
+                token: req.params.token
+            });
+        });
+    });
+});
+
+/**
+ * POST /login/invite/:token
+ * Purpose: Create the invited account (email and role come from the invitation)
+ * Input: req.params.token, req.body.username, req.body.password, req.body.confirm_password
+ * Output: Redirects to /login with a success message
+ * Database: INSERT into organisers, UPDATE invitations via acceptInvitation (one transaction)
+ */
+router.post('/invite/:token', async (req, res) => {
+    const backLink = `<a href="/login/invite/${encodeURIComponent(req.params.token)}">Try again</a>`;
 
-        if (password !== confirm_password) {
-            return res.send('Passwords do not match. <a href="/login">Try again</a>');
+    try {
+        const validationError = validateAccount(req.body);
+        if (validationError) {
+            return res.send(validationError + ' ' + backLink);
         }
 
-        if (password.length < 6) {
-            return res.send('Password must be at least 6 characters. <a href="/login">Try again</a>');
+        const passwordHash = await hashPassword(req.body.password);
+
+        acceptInvitation(req.params.token, { username: req.body.username, passwordHash }, (err, invitation) => {
+            if (err && err.userMessage) {
+                return res.send(err.userMessage + ' ' + backLink);
+            }
+            if (err) {
+                console.error('Invitation accept error:', err);
+                return res.status(500).send('Failed to create account. ' + backLink);
+            }
+            if (!invitation) {
+                return res.status(404).send('This invitation link has expired, been withdrawn or already been used. Ask an administrator for a new one. <a href="/login">Back to login</a>');
+            }
+            res.redirect('/login?message=Account created successfully! Please login.');
+        });
+    } catch (error) {
+        console.error('Invitation error:', error);
+        res.status(500).send('Server error. ' + backLink);
+    }
+});
+
+// =============================================================================
+// PASSWORD RESET [EXTENSION]
+// A reset link is emailed to the account's address; the same reply is given
+// whether or not an account uses the address, so it cannot be used to find accounts
+// =============================================================================
+
+/**
+ * GET /login/forgot
+ * Purpose: Display the form for asking for a password reset link
+ * Input: req.query.message (optional)
+ * Output: Renders forgot_password.ejs
+ * Database: SELECT from settings table
+ */
+router.get('/forgot', (req, res) => {
+    loadSettings((settings) => {
+        res.render('forgot_password', { settings, message: req.query.message || null, minutes: RESET_LINK_MINUTES });
+    });
+});
+
+/**
+ * POST /login/forgot
+ * Purpose: Email a password reset link to the active account using this address, if any
+ * Input: req.body.email
+ * Output: Redirects to /login/forgot with a message that does not say whether the account exists
+ *         (429 if this IP address has asked for links too often)
+ * Database: SELECT/INSERT attempts, SELECT organisers, UPDATE/INSERT password_resets via createPasswordReset
+ */
+router.post('/forgot', limitRequests('reset', (req, res, block) => {
+    refuseThrottled(res, block, '<a href="/login/forgot">Back</a>');
+}), (req, res) => {
+    const email = (req.body.email || '').trim();
+
+    if (!email || !isValidEmail(email)) {
+        return res.send('Please enter a valid email address. <a href="/login/forgot">Try again</a>');
+    }
+
+    createPasswordReset(email, (err, reset) => {
+        if (err) {
+            console.error('Password reset error:', err);
+            return res.status(500).send('Failed to send reset link. <a href="/login/forgot">Try again</a>');
         }
 
-        if (email && !isValidEmail(email)) {
-            return res.send('Invalid email format. <a href="/login">Try again</a>');
+        if (reset) {
+            queueEmail('password_reset', reset.user.email, {
+                user: reset.user,
+                resetUrl: `/login/reset/${reset.token}`,
+                minutes: RESET_LINK_MINUTES,
+                accountEmail: true
+            });
         }
+        res.redirect('/login/forgot?message=If an account uses that email address, a reset link is on its way.');
+    });
+});
 
-        global.db.get(
-            'SELECT * FROM organisers WHERE username = ?',
-            [username],
-            async (err, existingUser) => {
-                if (err) {
-                    console.error('Database error:', err);
-                    return res.status(500).send('Database error. <a href="/login">Try again</a>');
-                }
+/**
+ * GET /login/reset/:token
+ * Purpose: Display the new password form for a reset link
+ * Input: req.params.token (plain reset token)
+ * Output: Renders reset_password.ejs, or a message if the link has expired or been used
+ * Database: SELECT from settings, password_resets, organisers tables
+ */
+router.get('/reset/:token', (req, res) => {
+    loadSettings((settings) => {
+        findPasswordReset(req.params.token, (err, reset) => {
+            if (err) {
+                console.error('Password reset lookup error:', err);
+                return res.status(500).send('Database error. <a href="/login">Back to login</a>');
+            }
+            if (!reset) {
+                return res.status(404).send('This reset link has expired or already been used. <a href="/login/forgot">Ask for a new one</a>');
+            }
+            res.render('reset_password', { settings, reset, token: req.params.token });
+        });
+    });
+});
 
-                if (existingUser) {
-                    return res.send('Username already exists. <a href="/login">Try again</a>');
-                }
+/**
+ * POST /login/reset/:token
+ * Purpose: Set a new password from a reset link (other sessions for the account are logged out)
+ * Input: req.params.token, req.body.password, req.body.confirm_password
+ * Output: Redirects to /login with a success message
+ * Database: UPDATE password_resets, organisers via resetPassword (one transaction)
+ */
+router.post('/reset/:token', async (req, res) => {
+    const backLink = `<a href="/login/reset/${encodeURIComponent(req.params.token)}">Try again</a>`;
 
-                const hashedPassword = await hashPassword(password);
-                const now = new Date().toISOString();
+    try {
+        const validationError = validateNewPassword(req.body.password, req.body.confirm_password);
+        if (validationError) {
+            return res.send(validationError + ' ' + backLink);
+        }
 
-                global.db.run(
-                    'INSERT INTO organisers (username, password, email, created_at) VALUES (?, ?, ?, ?)',
-                    [username, hashedPassword, email || null, now],
-                    function(insertErr) {
-                        if (insertErr) {
-                            console.error('Insert error:', insertErr);
-                            return res.status(500).send('Failed to create account. <a href="/login">Try again</a>');
-                        }
-                        res.redirect('/login?message=Account created successfully! Please login.');
-                    }
-                );
+        const passwordHash = await hashPassword(req.body.password);
+
+        resetPassword(req.params.token, passwordHash, (err, reset) => {
+            if (err) {
+                console.error('Password reset error:', err);
+                return res.status(500).send('Failed to reset password. ' + backLink);
             }
-        );
+            if (!reset) {
+                return res.status(404).send('This reset link has expired or already been used. <a href="/login/forgot">Ask for a new one</a>');
+            }
+            res.redirect('/login?message=Password changed. Please login with your new password.');
+        });
     } catch (error) {
-        console.error('Registration error:', error);
-        res.status(500).send('Server error. <a href="/login">Try again</a>');
+        console.error('Password reset error:', error);
+        res.status(500).send('Server error. ' + backLink);
     }
 });
 
@@ -4,25 +4,148 @@
  * 
  * Purpose: Handle event management, settings, bookings, and waitlist
  * Database: Uses global.db (single connection from index.js)
- * Authentication: All routes protected by middleware
+ * Authentication: All routes protected by middleware; each route also checks the
+ *                 account's role and, for organisers, that they own the event (utils/roles.js)
  */
 
 const express = require('express');
 const router = express.Router();
-const { sanitizeInput, formatDate, isValidFutureDate, parsePositiveInt } = require('../utils/helpers');
+const {
+    sanitizeInput,
+    formatDate,
+    parsePositiveInt,
+    toArray,
+    fromDateTimeInput,
+    isValidTimeZone,
+    setSiteTimeZone
+} = require('../utils/helpers');
+const { claimLink, promoteWaitlist } = require('../utils/waitlist');
+const {
+    validateEventDetails,
+    validateTicketTiers,
+    validateRecurrence,
+    updateEvent,
+    createSeries,
+    updateSeries,
+    publishEvent,
+    publishSeries,
+    deleteEvent,
+    deleteSeries,
+    assignEventOwner,
+    importEvents
+} = require('../utils/events');
+const { CSV_COLUMNS, parseImport } = require('../utils/import');
+const { validateVenue, listVenues, saveVenue, deleteVenue } = require('../utils/venues');
+const {
+    DISCOUNT_TYPES,
+    normalisePromoCode,
+    validatePromo,
+    listPromos,
+    savePromo,
+    deletePromo,
+    orderTotals
+} = require('../utils/promos');
+const {
+    parseCheckInCode,
+    loadCheckInOrder,
+    checkInOrder,
+    loadCheckInCounts
+} = require('../utils/checkin');
+const { parseReminderHours, loadEventSchedules } = require('../utils/reminders');
+const {
+    TOKEN_SCOPES,
+    createApiToken,
+    revokeApiToken,
+    regenerateCalendarToken
+} = require('../utils/tokens');
+const { absoluteUrl, queueEmail } = require('../utils/mailer');
+const { refundOrder, processRefund } = require('../utils/payments');
+const {
+    REFUND_REASONS,
+    validatePolicy,
+    listPolicies,
+    savePolicy,
+    deletePolicy,
+    refundByPolicy,
+    listRefunds
+} = require('../utils/refunds');
+const {
+    BOOKING_COLUMNS,
+    WAITLIST_COLUMNS,
+    loadBookingRows,
+    loadWaitlistRows,
+    buildCsv,
+    buildXlsx
+} = require('../utils/exports');
+const {
+    ROLES,
+    can,
+    eventOwnerScope,
+    loadUser,
+    listUsers,
+    changeRole,
+    deleteUser,
+    approveUser,
+    rejectUser
+} = require('../utils/roles');
+const {
+    DEFAULT_INVITATION_DAYS,
+    MAX_INVITATION_DAYS,
+    invitationLink,
+    validateInvitation,
+    createInvitation,
+    listInvitations,
+    revokeInvitation
+} = require('../utils/invitations');
+const { validateNewPassword, checkCurrentPassword, changePassword, sessionIsCurrent } = require('../utils/passwords');
+const {
+    generateSecret,
+    formatSecret,
+    enrolmentQr,
+    loadTwoFactorStatus,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    needsEnrolment
+} = require('../utils/twofactor');
+const { LIMITS, KEEP_ATTEMPTS_DAYS, clearFailures, listBlocks, listFailedAttempts } = require('../utils/throttle');
+
+const DEFAULT_TICKET_TIERS = [
+    { type: 'Full Price', quantity: 0, price: 0 },
+    { type: 'Concession', quantity: 0, price: 0 }
+];
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
 // =============================================================================
 // AUTHENTICATION MIDDLEWARE
 // Purpose: Protect all organiser routes from unauthorized access
-// Input: req.session.authenticated
-// Output: Continues if authenticated, redirects to /login if not
+// Input: req.session.authenticated, req.session.userId
+// Output: Continues with req.user (the account as it is now, so role changes apply
+//         straight away) and res.locals.currentUser / res.locals.can for templates;
+//         redirects to /login if not logged in, the account has been deleted, or its
+//         password has changed since this session logged in
 // =============================================================================
 router.use((req, res, next) => {
-    if (req.session && req.session.authenticated) {
-        next();
-    } else {
-        res.redirect('/login');
+    if (!req.session || !req.session.authenticated) {
+        return res.redirect('/login');
     }
+
+    loadUser(req.session.userId, (err, user) => {
+        if (err) {
+            console.error('Account lookup error:', err);
+            return res.status(500).send('Account error');
+        }
+        if (!user || !sessionIsCurrent(req.session, user)) {
+            return req.session.destroy(() => res.redirect('/login'));
+        }
+
+        req.session.role = user.role;
+        req.user = user;
+        res.locals.currentUser = user;
+        res.locals.can = (permission) => can(user.role, permission);
+        next();
+    });
 });
 
 // =============================================================================
@@ -44,6 +167,110 @@ router.use((req, res, next) => {
     });
 });
 
+// =============================================================================
+// TWO-FACTOR ENFORCEMENT MIDDLEWARE [EXTENSION]
+// Purpose: While Site Settings requires two-factor authentication, accounts without
+//          it can only reach the two-factor pages until they turn it on
+// Input: req.user, settings.require_two_factor
+// Output: Continues, or redirects to /organiser/two-factor with a flash message
+// =============================================================================
+router.use((req, res, next) => {
+    if (req.path === '/two-factor' || req.path.startsWith('/two-factor/')) return next();
+
+    needsEnrolment(req.user, (err, required) => {
+        if (err) {
+            console.error('Two-factor settings error:', err);
+            return res.status(500).send('Settings error');
+        }
+        if (!required) return next();
+
+        req.flash('error', 'This site requires two-factor authentication. Set it up to continue.');
+        res.redirect('/organiser/two-factor');
+    });
+});
+
+// =============================================================================
+// ACCESS CONTROL
+// Purpose: Route guards for the permissions in utils/roles.js
+// =============================================================================
+
+// Owner of the event(s) behind each kind of :id, for requireEventAccess
+const EVENT_OWNER = 'SELECT owner_id FROM events WHERE event_id = ?';
+const SERIES_OWNER = 'SELECT owner_id FROM events WHERE series_id = ?';
+const ORDER_OWNER = 'SELECT e.owner_id FROM orders o JOIN events e ON e.event_id = o.event_id WHERE o.order_id = ?';
+const WAITLIST_OWNER = 'SELECT e.owner_id FROM waitlist w JOIN events e ON e.event_id = w.event_id WHERE w.waitlist_id = ?';
+const REFUND_OWNER = 'SELECT e.owner_id FROM refunds r LEFT JOIN events e ON e.event_id = r.event_id WHERE r.refund_id = ?';
+// Codes limited to no event apply to every owner's events, so only admins manage them
+const PROMO_OWNER = 'SELECT e.owner_id FROM promo_codes p LEFT JOIN events e ON e.event_id = p.event_id WHERE p.promo_id = ?';
+// Policies and venues are shared; one can be changed by whoever owns every event using it
+const POLICY_OWNER = 'SELECT owner_id FROM events WHERE cancellation_policy_id = ?';
+const VENUE_OWNER = 'SELECT owner_id FROM events WHERE venue_id = ?';
+
+/**
+ * denyAccess
+ * Purpose: Turn a request away that the account's role does not allow
+ * Input: req, res
+ * Output: Redirects to /organiser with a flash error
+ */
+function denyAccess(req, res) {
+    req.flash('error', 'You do not have permission to do that.');
+    res.redirect('/organiser');
+}
+
+/**
+ * requirePermission
+ * Purpose: Middleware - only let accounts whose role holds a permission through
+ * Input: permission (key of PERMISSIONS in utils/roles.js)
+ * Output: Middleware function
+ */
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (can(req.user.role, permission)) return next();
+        denyAccess(req, res);
+    };
+}
+
+/**
+ * requireEventAccess
+ * Purpose: Middleware - check a permission and, for roles limited to their own events,
+ *          that every event behind req.params.id belongs to the account
+ * Input: permission, ownerQuery (SQL selecting owner_id rows for req.params.id)
+ * Output: Middleware function - unknown IDs are let through so the route can report them
+ * Database: SELECT via ownerQuery
+ */
+function requireEventAccess(permission, ownerQuery) {
+    return (req, res, next) => {
+        if (!can(req.user.role, permission)) return denyAccess(req, res);
+
+        checkEventAccess(req.user, ownerQuery, req.params.id, (err, allowed) => {
+            if (err) {
+                console.error('Access check error:', err);
+                return res.status(500).send('Access check failed');
+            }
+            if (!allowed) return denyAccess(req, res);
+            next();
+        });
+    };
+}
+
+/**
+ * checkEventAccess
+ * Purpose: For roles limited to their own events, check that every event behind an ID
+ *          belongs to the account (used directly for IDs sent in a form body)
+ * Input: user, ownerQuery (SQL selecting owner_id rows for the ID), id, callback (err, allowed)
+ * Output: None (result passed to callback) - unknown or missing IDs are allowed
+ * Database: SELECT via ownerQuery
+ */
+function checkEventAccess(user, ownerQuery, id, callback) {
+    const ownerId = eventOwnerScope(user);
+    if (ownerId === null || !id) return callback(null, true);
+
+    global.db.all(ownerQuery, [id], (err, rows) => {
+        if (err) return callback(err);
+        callback(null, rows.every(row => row.owner_id === ownerId));
+    });
+}
+
 // =============================================================================
 // HELPER FUNCTIONS
 // Note: Common helpers imported from utils/helpers.js
@@ -60,13 +287,13 @@ function calculateRemainingTickets(events) {
     return Promise.all(events.map(event => {
         return new Promise(resolve => {
             global.db.all(
-                'SELECT type, quantity FROM tickets WHERE event_id = ?',
+                'SELECT type, quantity FROM tickets WHERE event_id = ? ORDER BY sort_order ASC, ticket_id ASC',
                 [event.event_id],
                 (err, tickets) => {
                     if (err) return resolve();
 
                     global.db.all(
-                        'SELECT ticket_type, SUM(quantity) as booked FROM bookings WHERE event_id = ? GROUP BY ticket_type',
+                        'SELECT ticket_type, SUM(quantity) as booked FROM held_seats WHERE event_id = ? GROUP BY ticket_type',
                         [event.event_id],
                         (err2, bookings) => {
                             if (err2) return resolve();
@@ -87,6 +314,93 @@ function calculateRemainingTickets(events) {
     }));
 }
 
+/**
+ * parseTicketTiers
+ * Purpose: Read the repeated ticket tier fields submitted by edit_event.ejs
+ * Input: body (req.body with ticket_id, ticket_type, ticket_price, ticket_quantity,
+ *        ticket_sales_open, ticket_sales_close)
+ * Output: Array of { ticketId, type, price, quantity, sortOrder, salesOpenAt, salesCloseAt } in form order
+ */
+function parseTicketTiers(body) {
+    const ids = toArray(body.ticket_id);
+    const types = toArray(body.ticket_type);
+    const prices = toArray(body.ticket_price);
+    const quantities = toArray(body.ticket_quantity);
+    const salesOpens = toArray(body.ticket_sales_open);
+    const salesCloses = toArray(body.ticket_sales_close);
+
+    return types.map((type, index) => ({
+        ticketId: parseInt(ids[index]) || null,
+        type: sanitizeInput(type || '').trim(),
+        price: parseFloat(prices[index]) || 0,
+        quantity: parseInt(quantities[index]) || 0,
+        sortOrder: index,
+        salesOpenAt: fromDateTimeInput(salesOpens[index]),
+        salesCloseAt: fromDateTimeInput(salesCloses[index])
+    }));
+}
+
+/**
+ * parseRecurrence
+ * Purpose: Read the "Repeat" fields submitted by edit_event.ejs
+ * Input: body (req.body with repeat, repeat_interval, repeat_weekday, repeat_end,
+ *        repeat_until, repeat_count)
+ * Output: Rule object for createSeries, or null if repeating was not requested
+ */
+function parseRecurrence(body) {
+    if (!body.repeat) return null;
+
+    const endsOn = body.repeat_end === 'count' ? 'count' : 'until';
+    return {
+        intervalWeeks: parseInt(body.repeat_interval),
+        weekdays: toArray(body.repeat_weekday).map(day => parseInt(day)),
+        untilDate: endsOn === 'until' ? (body.repeat_until || null) : null,
+        count: endsOn === 'count' ? (parseInt(body.repeat_count) || null) : null
+    };
+}
+
+/**
+ * describeSeries
+ * Purpose: Summarise a series recurrence rule for display
+ * Input: series (row from event_series table)
+ * Output: String, e.g. "Every 2 weeks on Tuesday, Thursday until 2026-12-01"
+ */
+function describeSeries(series) {
+    const every = series.interval_weeks === 1 ? 'Every week' : `Every ${series.interval_weeks} weeks`;
+    const days = series.weekdays.split(',').map(day => WEEKDAY_NAMES[day]).join(', ');
+    const end = series.until_date
+        ? ` until ${series.until_date}`
+        : (series.occurrence_count ? ` for ${series.occurrence_count} occurrences` : '');
+    return `${every} on ${days}${end}`;
+}
+
+/**
+ * loadSeries
+ * Purpose: Load a series with a summary of its rule and its occurrences
+ * Input: seriesId (or null), callback (err, series or null) - series.occurrences
+ *        lists { event_id, event_date, status } in date order
+ * Output: None (result passed to callback)
+ * Database: SELECT from event_series and events tables
+ */
+function loadSeries(seriesId, callback) {
+    if (!seriesId) return callback(null, null);
+
+    global.db.get('SELECT * FROM event_series WHERE series_id = ?', [seriesId], (err, series) => {
+        if (err || !series) return callback(err, null);
+
+        global.db.all(
+            'SELECT event_id, event_date, status FROM events WHERE series_id = ? ORDER BY event_date ASC',
+            [seriesId],
+            (err2, occurrences) => {
+                if (err2) return callback(err2);
+                series.summary = describeSeries(series);
+                series.occurrences = occurrences;
+                callback(null, series);
+            }
+        );
+    });
+}
+
 
 // =============================================================================
 // ORGANISER HOME PAGE
@@ -94,12 +408,16 @@ function calculateRemainingTickets(events) {
 
 /**
  * GET /organiser
- * Purpose: Display organiser home page with all events
- * Input: None
+ * Purpose: Display organiser home page with all events (organisers see only their own)
+ * Input: req.user
  * Output: Renders organiser_home.ejs with settings, published and draft events
- * Database: SELECT from settings, events tables
+ *         (published events include their reminder/follow-up schedule), role labels and,
+ *         for admins, how many accounts wait for approval
+ * Database: SELECT from settings, events, venues, scheduled_emails, organisers tables
  */
 router.get('/', (req, res) => {
+    const ownerId = eventOwnerScope(req.user);
+
     global.db.get('SELECT * FROM settings WHERE id = 1', [], (err, settings) => {
         if (err) {
             console.error('Settings error:', err);
@@ -107,8 +425,10 @@ router.get('/', (req, res) => {
         }
 
         global.db.all(
-            "SELECT * FROM events WHERE status = 'published' ORDER BY event_date ASC",
-            [],
+            `SELECT e.*, v.name AS venue_name FROM events e
+             LEFT JOIN venues v ON v.venue_id = e.venue_id
+             WHERE e.status = 'published' AND (? IS NULL OR e.owner_id = ?) ORDER BY e.event_date ASC`,
+            [ownerId, ownerId],
             (err2, publishedEvents) => {
                 if (err2) {
                     console.error('Published events error:', err2);
@@ -116,8 +436,10 @@ router.get('/', (req, res) => {
                 }
 
                 global.db.all(
-                    "SELECT * FROM events WHERE status = 'draft' ORDER BY created_at DESC",
-                    [],
+                    `SELECT e.*, v.name AS venue_name FROM events e
+                     LEFT JOIN venues v ON v.venue_id = e.venue_id
+                     WHERE e.status = 'draft' AND (? IS NULL OR e.owner_id = ?) ORDER BY e.created_at DESC`,
+                    [ownerId, ownerId],
                     async (err3, draftEvents) => {
                         if (err3) {
                             console.error('Draft events error:', err3);
@@ -125,6 +447,10 @@ router.get('/', (req, res) => {
                         }
 
                         await calculateRemainingTickets([...publishedEvents, ...draftEvents]);
+                        await new Promise(resolve => loadEventSchedules(publishedEvents, settings, (scheduleErr) => {
+                            if (scheduleErr) console.error('Schedule error:', scheduleErr);
+                            resolve();
+                        }));
 
                         publishedEvents.forEach(event => {
                             event.created_at_formatted = formatDate(event.created_at);
@@ -137,10 +463,20 @@ router.get('/', (req, res) => {
                             event.updated_at_formatted = formatDate(event.updated_at);
                         });
 
+                        const pending = await new Promise(resolve => {
+                            if (!can(req.user.role, 'users.manage')) return resolve(null);
+                            global.db.get("SELECT COUNT(*) AS count FROM organisers WHERE status = 'pending'", [], (pendingErr, row) => {
+                                if (pendingErr) console.error('Pending accounts error:', pendingErr);
+                                resolve(row || null);
+                            });
+                        });
+
                         res.render('organiser_home', {
                             settings,
                             publishedEvents,
-                            draftEvents
+                            draftEvents,
+                            roles: ROLES,
+                            pendingUserCount: pending ? pending.count : 0
                         });
                     }
                 );
@@ -155,20 +491,20 @@ router.get('/', (req, res) => {
 
 /**
  * GET /organiser/create
- * Purpose: Create new draft event and redirect to edit page
- * Input: None
+ * Purpose: Create new draft event, owned by the logged-in account, and redirect to edit page
+ * Input: req.user
  * Output: Redirects to /organiser/edit/:id
  * Database: INSERT into events table
  */
-router.get('/create', (req, res) => {
+router.get('/create', requirePermission('events.manage'), (req, res) => {
     const now = new Date().toISOString();
     const defaultDate = new Date();
     defaultDate.setDate(defaultDate.getDate() + 7);
     const defaultDateStr = defaultDate.toISOString().split('T')[0];
 
     global.db.run(
-        "INSERT INTO events (title, description, event_date, created_at, updated_at, status) VALUES (?, ?, ?, ?, ?, 'draft')",
-        ['New Event', '', defaultDateStr, now, now],
+        "INSERT INTO events (title, description, event_date, owner_id, created_at, updated_at, status) VALUES (?, ?, ?, ?, ?, ?, 'draft')",
+        ['New Event', '', defaultDateStr, req.user.organiser_id, now, now],
         function(err) {
             if (err) {
                 console.error('Create error:', err);
@@ -183,10 +519,13 @@ router.get('/create', (req, res) => {
  * GET /organiser/edit/:id
  * Purpose: Display event edit form
  * Input: req.params.id (event ID)
- * Output: Renders edit_event.ejs with event data, tickets, categories
- * Database: SELECT from events, tickets, categories tables
+ * Output: Renders edit_event.ejs with event data, tickets, categories, venues, cancellation
+ *         policies, the event's series (rule and occurrences) if it has one, and for
+ *         admins the accounts the event can be given to
+ * Database: SELECT from events, tickets, categories, venues, cancellation_policies, event_series,
+ *           organisers tables
  */
-router.get('/edit/:id', (req, res) => {
+router.get('/edit/:id', requireEventAccess('events.manage', EVENT_OWNER), (req, res) => {
     const eventId = req.params.id;
 
     if (!eventId || isNaN(eventId)) {
@@ -201,36 +540,74 @@ router.get('/edit/:id', (req, res) => {
             return res.redirect('/organiser');
         }
 
-        global.db.all('SELECT * FROM tickets WHERE event_id = ?', [eventId], (err2, tickets) => {
-            if (err2) {
-                console.error('Tickets error:', err2);
-                req.flash('error', 'Failed to load ticket data.');
-                return res.redirect('/organiser');
-            }
+        global.db.all(
+            `SELECT t.*, COALESCE(SUM(b.quantity), 0) AS booked
+             FROM tickets t
+             LEFT JOIN active_bookings b ON b.event_id = t.event_id AND b.ticket_type = t.type
+             WHERE t.event_id = ?
+             GROUP BY t.ticket_id
+             ORDER BY t.sort_order ASC, t.ticket_id ASC`,
+            [eventId],
+            (err2, tickets) => {
+                if (err2) {
+                    console.error('Tickets error:', err2);
+                    req.flash('error', 'Failed to load ticket data.');
+                    return res.redirect('/organiser');
+                }
 
-            const full = tickets.find(t => t.type === 'full') || { quantity: 0, price: 0 };
-            const concession = tickets.find(t => t.type === 'concession') || { quantity: 0, price: 0 };
+                // New events start with the two standard tiers, which can be renamed or removed
+                if (tickets.length === 0) {
+                    tickets = DEFAULT_TICKET_TIERS.map(t => ({ ...t, booked: 0 }));
+                }
 
-            global.db.all('SELECT * FROM categories ORDER BY name ASC', [], (err3, categories) => {
-                res.render('edit_event', {
-                    event,
-                    full,
-                    concession,
-                    categories: categories || []
+                global.db.all('SELECT * FROM categories ORDER BY name ASC', [], (err3, categories) => {
+                    global.db.all('SELECT * FROM venues ORDER BY name COLLATE NOCASE ASC', [], (err4, venues) => {
+                        global.db.all('SELECT * FROM cancellation_policies ORDER BY name COLLATE NOCASE ASC', [], (err5, policies) => {
+                            loadSeries(event.series_id, (err6, series) => {
+                                if (err6) console.error('Series error:', err6);
+
+                                const render = (owners) => res.render('edit_event', {
+                                    event,
+                                    tickets,
+                                    categories: categories || [],
+                                    venues: venues || [],
+                                    policies: policies || [],
+                                    series: series || null,
+                                    owners,
+                                    weekdayNames: WEEKDAY_NAMES
+                                });
+
+                                if (!can(req.user.role, 'events.assign')) return render(null);
+                                listUsers((err7, users) => {
+                                    if (err7) console.error('Owners error:', err7);
+                                    render((users || []).filter(user => user.status === 'active' && can(user.role, 'events.manage')));
+                                });
+                            });
+                        });
+                    });
                 });
-            });
-        });
+            }
+        );
     });
 });
 
 /**
  * POST /organiser/edit/:id
- * Purpose: Update event details and ticket configuration
- * Input: req.params.id, req.body (title, description, event_date, category_id, ticket data)
+ * Purpose: Update event details and ticket configuration, optionally turning the
+ *          event into a recurring series or applying the changes to every upcoming occurrence
+ * Input: req.params.id, req.body (title, description, event_date, start_time, end_time, category_id, venue_id,
+ *        cancellation_policy_id, sales_open_at, sales_close_at (site time zone), booking_cutoff_hours,
+ *        repeated ticket_id/ticket_type/ticket_price/ticket_quantity/ticket_sales_open/ticket_sales_close
+ *        fields in display order,
+ *        apply_to ('occurrence' or 'series') for series members,
+ *        repeat fields (see parseRecurrence) for events not in a series,
+ *        owner_id (admins only))
  * Output: Redirects to /organiser
- * Database: UPDATE events table, INSERT/UPDATE tickets table
+ * Database: UPDATE events table, INSERT/UPDATE/DELETE tickets table,
+ *           UPDATE bookings/waitlist ticket_type when a tier is renamed (one transaction),
+ *           INSERT event_series/events/tickets when a series is created
  */
-router.post('/edit/:id', (req, res) => {
+router.post('/edit/:id', requireEventAccess('events.manage', EVENT_OWNER), (req, res) => {
     const eventId = req.params.id;
 
     if (!eventId || isNaN(eventId)) {
@@ -238,99 +615,87 @@ router.post('/edit/:id', (req, res) => {
         return res.redirect('/organiser');
     }
 
-    const title = sanitizeInput(req.body.title || '').trim();
-    const description = sanitizeInput(req.body.description || '').trim();
-    const eventDate = req.body.event_date;
-    const categoryId = req.body.category_id || null;
-    const fullPrice = parseFloat(req.body.full_price) || 0;
-    const fullQuantity = parseInt(req.body.full_quantity) || 0;
-    const concessionPrice = parseFloat(req.body.concession_price) || 0;
-    const concessionQuantity = parseInt(req.body.concession_quantity) || 0;
-    const updatedAt = new Date().toISOString();
-
-    if (!title) {
-        req.flash('error', 'Title is required.');
+    const details = {
+        title: sanitizeInput(req.body.title || '').trim(),
+        description: sanitizeInput(req.body.description || '').trim(),
+        eventDate: req.body.event_date,
+        startTime: (req.body.start_time || '').trim(),
+        endTime: (req.body.end_time || '').trim(),
+        salesOpenAt: fromDateTimeInput(req.body.sales_open_at),
+        salesCloseAt: fromDateTimeInput(req.body.sales_close_at),
+        bookingCutoffHours: req.body.booking_cutoff_hours ? Number(req.body.booking_cutoff_hours) : 0,
+        categoryId: req.body.category_id || null,
+        venueId: parsePositiveInt(req.body.venue_id) || null,
+        cancellationPolicyId: parsePositiveInt(req.body.cancellation_policy_id) || null
+    };
+    const tiers = parseTicketTiers(req.body);
+    const rule = parseRecurrence(req.body);
+    const wholeSeries = req.body.apply_to === 'series';
+    const ownerId = can(req.user.role, 'events.assign') ? parsePositiveInt(req.body.owner_id) : null;
+
+    const validationError = validateEventDetails(details) || validateTicketTiers(tiers) || (rule && validateRecurrence(rule));
+    if (validationError) {
+        req.flash('error', validationError);
         return res.redirect('/organiser/edit/' + eventId);
     }
 
-    if (!eventDate) {
-        req.flash('error', 'Event date is required.');
-        return res.redirect('/organiser/edit/' + eventId);
-    }
+    const update = wholeSeries ? updateSeries : updateEvent;
+    update(eventId, details, tiers, (err, result) => {
+        if (err && err.userMessage) {
+            req.flash('error', err.userMessage);
+            return res.redirect('/organiser/edit/' + eventId);
+        }
 
-    if (!isValidFutureDate(eventDate)) {
-        req.flash('error', 'Event date must be today or in the future.');
-        return res.redirect('/organiser/edit/' + eventId);
-    }
+        if (err) {
+            console.error('Update error:', err);
+            req.flash('error', 'Failed to update event.');
+            return res.redirect('/organiser/edit/' + eventId);
+        }
 
-    if (fullPrice < 0 || concessionPrice < 0 || fullQuantity < 0 || concessionQuantity < 0) {
-        req.flash('error', 'Prices and quantities cannot be negative.');
-        return res.redirect('/organiser/edit/' + eventId);
-    }
+        // Give the event to its new owner before any series copies it
+        const assignOwner = (next) => {
+            if (!ownerId) return next();
+            assignEventOwner(eventId, ownerId, wholeSeries, (ownerErr) => {
+                if (ownerErr) {
+                    if (!ownerErr.userMessage) console.error('Owner error:', ownerErr);
+                    req.flash('error', 'Event saved, but the owner was not changed: ' +
+                        (ownerErr.userMessage || 'please try again.'));
+                    return res.redirect('/organiser/edit/' + eventId);
+                }
+                next();
+            });
+        };
 
-    global.db.run(
-        'UPDATE events SET title = ?, description = ?, event_date = ?, category_id = ?, updated_at = ? WHERE event_id = ?',
-        [title, description, eventDate, categoryId, updatedAt, eventId],
-        function(err) {
-            if (err) {
-                console.error('Update error:', err);
-                req.flash('error', 'Failed to update event.');
-                return res.redirect('/organiser/edit/' + eventId);
+        assignOwner(() => {
+            if (!rule) {
+                req.flash('success', wholeSeries
+                    ? `Updated ${result} occurrences of the series.`
+                    : 'Event updated successfully.');
+                return res.redirect('/organiser');
             }
 
-            const saveTicket = (type, price, quantity, callback) => {
-                global.db.get(
-                    'SELECT COUNT(*) AS count FROM tickets WHERE event_id = ? AND type = ?',
-                    [eventId, type],
-                    (queryErr, row) => {
-                        if (queryErr) return callback(queryErr);
-
-                        if (row.count > 0) {
-                            global.db.run(
-                                'UPDATE tickets SET price = ?, quantity = ? WHERE event_id = ? AND type = ?',
-                                [price, quantity, eventId, type],
-                                callback
-                            );
-                        } else {
-                            global.db.run(
-                                'INSERT INTO tickets (event_id, type, price, quantity) VALUES (?, ?, ?, ?)',
-                                [eventId, type, price, quantity],
-                                callback
-                            );
-                        }
-                    }
-                );
-            };
-
-            saveTicket('full', fullPrice, fullQuantity, (err2) => {
-                if (err2) {
-                    console.error('Ticket save error:', err2);
-                    req.flash('error', 'Failed to save tickets.');
+            createSeries(eventId, rule, (seriesErr, occurrenceCount) => {
+                if (seriesErr) {
+                    if (!seriesErr.userMessage) console.error('Series error:', seriesErr);
+                    req.flash('error', 'Event saved, but the series was not created: ' +
+                        (seriesErr.userMessage || 'please try again.'));
                     return res.redirect('/organiser/edit/' + eventId);
                 }
-
-                saveTicket('concession', concessionPrice, concessionQuantity, (err3) => {
-                    if (err3) {
-                        console.error('Ticket save error:', err3);
-                        req.flash('error', 'Failed to save tickets.');
-                        return res.redirect('/organiser/edit/' + eventId);
-                    }
-                    req.flash('success', 'Event updated successfully.');
-                    res.redirect('/organiser');
-                });
+                req.flash('success', `Event saved as a series of ${occurrenceCount} occurrences.`);
+                res.redirect('/organiser');
             });
-        }
-    );
+        });
+    });
 });
 
 /**
  * POST /organiser/publish/:id
  * Purpose: Change event status from draft to published
  * Input: req.params.id (event ID)
- * Output: Redirects to /organiser
+ * Output: Redirects to /organiser (with an error if the venue is taken that day)
  * Database: UPDATE events table (status and published_at)
  */
-router.post('/publish/:id', (req, res) => {
+router.post('/publish/:id', requireEventAccess('events.manage', EVENT_OWNER), (req, res) => {
     const eventId = req.params.id;
 
     if (!eventId || isNaN(eventId)) {
@@ -338,31 +703,34 @@ router.post('/publish/:id', (req, res) => {
         return res.redirect('/organiser');
     }
 
-    const publishedAt = new Date().toISOString();
-
-    global.db.run(
-        "UPDATE events SET status = 'published', published_at = ? WHERE event_id = ?",
-        [publishedAt, eventId],
-        function(err) {
-            if (err) {
-                console.error('Publish error:', err);
-                req.flash('error', 'Failed to publish event.');
-                return res.redirect('/organiser');
-            }
-            req.flash('success', 'Event published successfully.');
-            res.redirect('/organiser');
+    publishEvent(eventId, (err, changed) => {
+        if (err && err.userMessage) {
+            req.flash('error', err.userMessage);
+            return res.redirect('/organiser');
         }
-    );
+        if (err) {
+            console.error('Publish error:', err);
+            req.flash('error', 'Failed to publish event.');
+            return res.redirect('/organiser');
+        }
+        if (!changed) {
+            req.flash('error', 'Event not found.');
+            return res.redirect('/organiser');
+        }
+        req.flash('success', 'Event published successfully.');
+        res.redirect('/organiser');
+    });
 });
 
 /**
  * POST /organiser/delete/:id
  * Purpose: Delete event and associated data (tickets, bookings via CASCADE)
+ *          and email a cancellation notice to attendees of a published event
  * Input: req.params.id (event ID)
  * Output: Redirects to /organiser
- * Database: DELETE from events table
+ * Database: SELECT event and orders, DELETE from events table
  */
-router.post('/delete/:id', (req, res) => {
+router.post('/delete/:id', requireEventAccess('events.manage', EVENT_OWNER), (req, res) => {
     const eventId = req.params.id;
 
     if (!eventId || isNaN(eventId)) {
@@ -370,17 +738,172 @@ router.post('/delete/:id', (req, res) => {
         return res.redirect('/organiser');
     }
 
-    global.db.run('DELETE FROM events WHERE event_id = ?', [eventId], function(err) {
+    deleteEvent(eventId, (err, deleted) => {
         if (err) {
             console.error('Delete error:', err);
             req.flash('error', 'Failed to delete event.');
             return res.redirect('/organiser');
         }
+        if (!deleted) {
+            req.flash('error', 'Event not found.');
+            return res.redirect('/organiser');
+        }
         req.flash('success', 'Event deleted successfully.');
         res.redirect('/organiser');
     });
 });
 
+/**
+ * POST /organiser/publish-series/:id
+ * Purpose: Publish every draft occurrence of a series
+ * Input: req.params.id (series ID)
+ * Output: Redirects to /organiser (nothing is published if the venue is taken on any date)
+ * Database: UPDATE events table (status and published_at)
+ */
+router.post('/publish-series/:id', requireEventAccess('events.manage', SERIES_OWNER), (req, res) => {
+    const seriesId = req.params.id;
+
+    if (!seriesId || isNaN(seriesId)) {
+        req.flash('error', 'Invalid series ID.');
+        return res.redirect('/organiser');
+    }
+
+    publishSeries(seriesId, (err, count) => {
+        if (err && err.userMessage) {
+            req.flash('error', err.userMessage);
+            return res.redirect('/organiser');
+        }
+        if (err) {
+            console.error('Publish series error:', err);
+            req.flash('error', 'Failed to publish series.');
+            return res.redirect('/organiser');
+        }
+        if (count === 0) {
+            req.flash('error', 'No draft occurrences to publish.');
+            return res.redirect('/organiser');
+        }
+        req.flash('success', `Published ${count} occurrences of the series.`);
+        res.redirect('/organiser');
+    });
+});
+
+/**
+ * POST /organiser/delete-series/:id
+ * Purpose: Delete every occurrence of a series, emailing cancellation notices
+ *          to attendees of published occurrences
+ * Input: req.params.id (series ID)
+ * Output: Redirects to /organiser
+ * Database: SELECT events and orders, DELETE from events and event_series tables
+ */
+router.post('/delete-series/:id', requireEventAccess('events.manage', SERIES_OWNER), (req, res) => {
+    const seriesId = req.params.id;
+
+    if (!seriesId || isNaN(seriesId)) {
+        req.flash('error', 'Invalid series ID.');
+        return res.redirect('/organiser');
+    }
+
+    deleteSeries(seriesId, (err, count) => {
+        if (err) {
+            console.error('Delete series error:', err);
+            req.flash('error', 'Failed to delete series.');
+            return res.redirect('/organiser');
+        }
+        if (count === 0) {
+            req.flash('error', 'Series not found.');
+            return res.redirect('/organiser');
+        }
+        req.flash('success', `Deleted ${count} occurrences of the series.`);
+        res.redirect('/organiser');
+    });
+});
+
+// =============================================================================
+// BULK IMPORT [EXTENSION]
+// =============================================================================
+
+/**
+ * renderImport
+ * Purpose: Render the import page, optionally with a preview of parsed events
+ * Input: res, values ({ text, format, entries, error }) - entries is null before a preview
+ * Output: Renders import_events.ejs
+ * Database: SELECT from categories table (to flag categories the import would create)
+ */
+function renderImport(res, values) {
+    global.db.all('SELECT name FROM categories', [], (err, categories) => {
+        if (err) console.error('Categories error:', err);
+        const known = new Set((categories || []).map(c => c.name.toLowerCase()));
+
+        const entries = values.entries || null;
+        if (entries) {
+            entries.forEach(entry => {
+                entry.newCategory = !!entry.categoryName && !known.has(entry.categoryName.toLowerCase());
+            });
+        }
+
+        res.render('import_events', {
+            text: values.text || '',
+            format: values.format || 'auto',
+            entries,
+            invalidCount: entries ? entries.filter(e => e.errors.length > 0).length : 0,
+            csvColumns: CSV_COLUMNS,
+            error: values.error ? [values.error] : res.locals.error
+        });
+    });
+}
+
+/**
+ * GET /organiser/import
+ * Purpose: Display the bulk import form (CSV or JSON)
+ * Input: None
+ * Output: Renders import_events.ejs
+ */
+router.get('/import', requirePermission('events.manage'), (req, res) => {
+    renderImport(res, {});
+});
+
+/**
+ * POST /organiser/import
+ * Purpose: Preview an import (dry run) or save it
+ * Input: req.body.import_text, req.body.format ('auto', 'csv' or 'json'),
+ *        req.body.action ('preview' or 'import')
+ * Output: Renders the preview with per-event errors; on import with no errors,
+ *         saves every event as a draft owned by the logged-in account and redirects to /organiser
+ * Database: Preview reads categories only; import uses importEvents (one transaction)
+ */
+router.post('/import', requirePermission('events.manage'), (req, res) => {
+    const text = req.body.import_text || '';
+    const format = ['csv', 'json'].includes(req.body.format) ? req.body.format : 'auto';
+
+    const parsed = parseImport(text, format);
+    if (parsed.error) {
+        return renderImport(res, { text, format, error: parsed.error });
+    }
+
+    const hasErrors = parsed.entries.some(entry => entry.errors.length > 0);
+    if (req.body.action !== 'import' || hasErrors) {
+        return renderImport(res, {
+            text,
+            format,
+            entries: parsed.entries,
+            error: req.body.action === 'import' && hasErrors ? 'Nothing was imported. Fix the errors below and preview again.' : null
+        });
+    }
+
+    importEvents(parsed.entries, req.user.organiser_id, (err, result) => {
+        if (err) {
+            console.error('Import error:', err);
+            return renderImport(res, { text, format, entries: parsed.entries, error: 'Import failed - nothing was saved.' });
+        }
+
+        const categoryNote = result.categories > 0
+            ? ` and ${result.categories} new ${result.categories === 1 ? 'category' : 'categories'}`
+            : '';
+        req.flash('success', `Imported ${result.events} draft events${categoryNote}.`);
+        res.redirect('/organiser');
+    });
+});
+
 // =============================================================================
 // SITE SETTINGS
 // =============================================================================
@@ -389,44 +912,94 @@ router.post('/delete/:id', (req, res) => {
  * GET /organiser/settings
  * Purpose: Display site settings form
  * Input: None
- * Output: Renders site_settings.ejs with current settings
+ * Output: Renders site_settings.ejs with current settings and the time zones to choose from
  * Database: SELECT from settings table
  */
-router.get('/settings', (req, res) => {
+router.get('/settings', requirePermission('settings.manage'), (req, res) => {
     global.db.get('SELECT * FROM settings WHERE id = 1', (err, settings) => {
         if (err || !settings) {
             console.error('Settings error:', err);
             return res.status(500).send('Settings not found');
         }
-        res.render('site_settings', { settings });
+        const timeZones = Intl.supportedValuesOf('timeZone');
+        if (!timeZones.includes(settings.time_zone)) timeZones.unshift(settings.time_zone);
+        res.render('site_settings', { settings, timeZones });
     });
 });
 
 /**
  * POST /organiser/settings
- * Purpose: Update site name and description
- * Input: req.body.site_name, req.body.site_description
+ * Purpose: Update site name, description, time zone, booking policy and email schedule settings
+ * Input: req.body.site_name, req.body.site_description, req.body.time_zone, req.body.cancellation_cutoff_hours,
+ *        req.body.waitlist_hold_hours, req.body.payment_hold_minutes, req.body.reminder_hours,
+ *        req.body.follow_up_hours
  * Output: Redirects to /organiser
  * Database: UPDATE settings table
  */
-router.post('/settings', (req, res) => {
+router.post('/settings', requirePermission('settings.manage'), (req, res) => {
     const siteName = sanitizeInput(req.body.site_name || '').trim();
     const siteDescription = sanitizeInput(req.body.site_description || '').trim();
+    const timeZone = (req.body.time_zone || '').trim();
+    const cutoffHours = parseInt(req.body.cancellation_cutoff_hours);
+    const holdHours = parseInt(req.body.waitlist_hold_hours);
+    const paymentHoldMinutes = parseInt(req.body.payment_hold_minutes);
+    const reminderInput = (req.body.reminder_hours || '').trim();
+    const reminderHours = parseReminderHours(reminderInput);
+    const followUpInput = (req.body.follow_up_hours || '').trim();
+    const followUpHours = followUpInput === '' ? null : parseInt(followUpInput);
+    const openRegistration = req.body.open_registration ? 1 : 0;
+    const requireTwoFactor = req.body.require_two_factor ? 1 : 0;
 
     if (!siteName || !siteDescription) {
-        req.flash('error', 'Both fields are required.');
+        req.flash('error', 'Site name and description are required.');
+        return res.redirect('/organiser/settings');
+    }
+
+    if (!isValidTimeZone(timeZone)) {
+        req.flash('error', 'Please choose a valid time zone.');
+        return res.redirect('/organiser/settings');
+    }
+
+    if (isNaN(cutoffHours) || cutoffHours < 0 || cutoffHours > 720) {
+        req.flash('error', 'Cancellation cutoff must be between 0 and 720 hours.');
+        return res.redirect('/organiser/settings');
+    }
+
+    if (isNaN(holdHours) || holdHours < 1 || holdHours > 168) {
+        req.flash('error', 'Waitlist offer hold time must be between 1 and 168 hours.');
+        return res.redirect('/organiser/settings');
+    }
+
+    if (isNaN(paymentHoldMinutes) || paymentHoldMinutes < 5 || paymentHoldMinutes > 120) {
+        req.flash('error', 'Payment hold time must be between 5 and 120 minutes.');
+        return res.redirect('/organiser/settings');
+    }
+
+    const reminderParts = reminderInput === '' ? [] : reminderInput.split(',');
+    const invalidReminders = reminderParts.some(part => !/^\s*\d+\s*$/.test(part)) || reminderParts.length !== reminderHours.length;
+    if (invalidReminders || reminderHours.some(h => h > 720) || reminderHours.length > 5) {
+        req.flash('error', 'Reminder times must be up to 5 different whole numbers of hours between 1 and 720, separated by commas.');
+        return res.redirect('/organiser/settings');
+    }
+
+    if (followUpHours !== null && (isNaN(followUpHours) || followUpHours < 0 || followUpHours > 168)) {
+        req.flash('error', 'Follow-up time must be between 0 and 168 hours, or blank for no follow-up.');
         return res.redirect('/organiser/settings');
     }
 
     global.db.run(
-        'UPDATE settings SET site_name = ?, site_description = ? WHERE id = 1',
-        [siteName, siteDescription],
+        `UPDATE settings SET site_name = ?, site_description = ?, time_zone = ?, cancellation_cutoff_hours = ?,
+         waitlist_hold_hours = ?, payment_hold_minutes = ?, reminder_hours = ?, follow_up_hours = ?, open_registration = ?,
+         require_two_factor = ? WHERE id = 1`,
+        [siteName, siteDescription, timeZone, cutoffHours, holdHours, paymentHoldMinutes, reminderHours.join(','), followUpHours, openRegistration,
+            requireTwoFactor],
         (err) => {
             if (err) {
                 console.error('Settings update error:', err);
                 req.flash('error', 'Failed to update settings.');
                 return res.redirect('/organiser/settings');
             }
+            setSiteTimeZone(timeZone);
             req.flash('success', 'Settings updated successfully.');
             res.redirect('/organiser');
         }
@@ -434,74 +1007,1609 @@ router.post('/settings', (req, res) => {
 });
 
 // =============================================================================
-// VIEW BOOKINGS
+// USERS AND ROLES [EXTENSION]
+// Admins choose each account's role; permissions are listed in utils/roles.js
 // =============================================================================
 
 /**
- * GET /organiser/view-bookings
- * Purpose: Display all bookings grouped by event
- * Input: None
- * Output: Renders view_bookings.ejs with events and their bookings
- * Database: SELECT from events and bookings tables
+ * GET /organiser/users
+ * Purpose: List every account with its role and how many events it owns, accounts
+ *          waiting for approval, and recent invitations with a form to send one
+ * Input: None - a just-created invitation link is passed once via flash
+ * Output: Renders users.ejs with active and pending users, invitations and the role labels
+ * Database: SELECT from organisers, events, invitations tables
  */
-router.get('/view-bookings', (req, res) => {
-    global.db.all('SELECT * FROM events ORDER BY event_date ASC', [], (err, events) => {
+router.get('/users', requirePermission('users.manage'), (req, res) => {
+    const newInvitationUrl = req.flash('newInvitationUrl')[0] || null;
+
+    listUsers((err, users) => {
         if (err) {
-            console.error('Events error:', err);
-            return res.status(500).send('Failed to fetch events');
+            console.error('Users error:', err);
+            return res.status(500).send('Failed to load users');
         }
 
-        const promises = events.map(event => {
-            return new Promise(resolve => {
-                global.db.all(
-                    `SELECT attendee_name, attendee_email, ticket_type, quantity, booking_date, dietary_notes
-                     FROM bookings WHERE event_id = ? ORDER BY booking_date ASC`,
-                    [event.event_id],
-                    (err2, bookings) => {
-                        event.bookings = bookings || [];
-                        resolve();
-                    }
-                );
-            });
-        });
+        listInvitations((err2, invitations) => {
+            if (err2) {
+                console.error('Invitations error:', err2);
+                return res.status(500).send('Failed to load invitations');
+            }
 
-        Promise.all(promises).then(() => {
-            res.render('view_bookings', { events });
+            res.render('users', {
+                users: users.filter(user => user.status === 'active'),
+                pendingUsers: users.filter(user => user.status === 'pending'),
+                invitations,
+                newInvitationUrl,
+                roles: ROLES,
+                defaultInvitationDays: DEFAULT_INVITATION_DAYS,
+                maxInvitationDays: MAX_INVITATION_DAYS
+            });
         });
     });
 });
 
-// =============================================================================
-// WAITLIST MANAGEMENT [EXTENSION]
-// =============================================================================
-
 /**
- * GET /organiser/waitlist
- * Purpose: Display all waitlist entries grouped by event
- * Input: None
- * Output: Renders view_waitlist.ejs with grouped waitlist data
- * Database: SELECT from waitlist and events tables with JOIN
+ * POST /organiser/users/:id/approve
+ * Purpose: Approve a self-registered account with the chosen role, emailing the
+ *          new user if they gave an address
+ * Input: req.params.id (organiser ID), req.body.role
+ * Output: Redirects to /organiser/users
+ * Database: UPDATE organisers (status and role) via approveUser
  */
-router.get('/waitlist', (req, res) => {
-    const query = `
-        SELECT 
-            w.waitlist_id,
-            w.attendee_name,
+router.post('/users/:id/approve', requirePermission('users.manage'), (req, res) => {
+    const userId = parsePositiveInt(req.params.id);
+
+    if (!userId) {
+        req.flash('error', 'Invalid user ID.');
+        return res.redirect('/organiser/users');
+    }
+
+    approveUser(userId, req.body.role, (err, user) => {
+        if (err && err.userMessage) {
+            req.flash('error', err.userMessage);
+        } else if (err) {
+            console.error('Approve user error:', err);
+            req.flash('error', 'Failed to approve account.');
+        } else if (!user) {
+            req.flash('error', 'No account is waiting for approval with that ID.');
+        } else {
+            queueEmail('account_approved', user.email, { user, roleName: ROLES[user.role], accountEmail: true });
+            req.flash('success', `${user.username} approved as ${ROLES[user.role]}.`);
+        }
+        res.redirect('/organiser/users');
+    });
+});
+
+/**
+ * POST /organiser/users/:id/reject
+ * Purpose: Reject a self-registration (the waiting account is deleted)
+ * Input: req.params.id (organiser ID)
+ * Output: Redirects to /organiser/users
+ * Database: DELETE from organisers via rejectUser
+ */
+router.post('/users/:id/reject', requirePermission('users.manage'), (req, res) => {
+    const userId = parsePositiveInt(req.params.id);
+
+    if (!userId) {
+        req.flash('error', 'Invalid user ID.');
+        return res.redirect('/organiser/users');
+    }
+
+    rejectUser(userId, (err, user) => {
+        if (err) {
+            console.error('Reject user error:', err);
+            req.flash('error', 'Failed to reject account.');
+        } else if (!user) {
+            req.flash('error', 'No account is waiting for approval with that ID.');
+        } else {
+            req.flash('success', `Registration from ${user.username} rejected.`);
+        }
+        res.redirect('/organiser/users');
+    });
+});
+
+/**
+ * POST /organiser/users/:id/two-factor/reset
+ * Purpose: Turn off another account's two-factor authentication (e.g. a lost phone with
+ *          no recovery codes left) so it can log in with its password and set it up again
+ * Input: req.params.id (organiser ID)
+ * Output: Redirects to /organiser/users
+ * Database: UPDATE organisers, DELETE recovery_codes via disableTwoFactor
+ */
+router.post('/users/:id/two-factor/reset', requirePermission('users.manage'), (req, res) => {
+    const userId = parsePositiveInt(req.params.id);
+
+    if (!userId) {
+        req.flash('error', 'Invalid user ID.');
+        return res.redirect('/organiser/users');
+    }
+    if (userId === req.user.organiser_id) {
+        req.flash('error', 'Manage your own two-factor authentication from its own page.');
+        return res.redirect('/organiser/users');
+    }
+
+    disableTwoFactor(userId, (err, disabled) => {
+        if (err) {
+            console.error('Two-factor reset error:', err);
+            req.flash('error', 'Failed to reset two-factor authentication.');
+        } else if (!disabled) {
+            req.flash('error', 'That account does not use two-factor authentication.');
+        } else {
+            req.flash('success', 'Two-factor authentication reset. The account can set it up again after logging in.');
+        }
+        res.redirect('/organiser/users');
+    });
+});
+
+/**
+ * GET /organiser/login-audit
+ * Purpose: Show the accounts and IP addresses held back by login or form throttling,
+ *          and the latest failed and refused attempts
+ * Input: None
+ * Output: Renders login_audit.ejs with blocks, attempts and the limits in force
+ * Database: SELECT from attempts table via listBlocks and listFailedAttempts
+ */
+router.get('/login-audit', requirePermission('users.manage'), (req, res) => {
+    listBlocks((err, blocks) => {
+        if (err) {
+            console.error('Login audit error:', err);
+            return res.status(500).send('Failed to load login audit');
+        }
+
+        listFailedAttempts(200, (err2, attempts) => {
+            if (err2) {
+                console.error('Login audit error:', err2);
+                return res.status(500).send('Failed to load login audit');
+            }
+
+            res.render('login_audit', {
+                blocks,
+                attempts,
+                limits: LIMITS,
+                keepDays: KEEP_ATTEMPTS_DAYS
+            });
+        });
+    });
+});
+
+/**
+ * POST /organiser/login-audit/unlock
+ * Purpose: Lift a lockout or back-off early, e.g. for a user who mistyped their password
+ *          too often, by no longer counting the earlier attempts
+ * Input: req.body.scope ('account' or 'ip'), req.body.value (username or IP address)
+ * Output: Redirects to /organiser/login-audit
+ * Database: UPDATE attempts.cleared_at via clearFailures
+ */
+router.post('/login-audit/unlock', requirePermission('users.manage'), (req, res) => {
+    const scope = req.body.scope;
+    const value = (req.body.value || '').trim();
+
+    if (!['account', 'ip'].includes(scope) || !value) {
+        req.flash('error', 'Choose an account or IP address to unlock.');
+        return res.redirect('/organiser/login-audit');
+    }
+
+    clearFailures(scope, value, (err, cleared) => {
+        if (err) {
+            console.error('Unlock error:', err);
+            req.flash('error', 'Failed to unlock.');
+        } else if (!cleared) {
+            req.flash('error', 'Nothing to unlock for that ' + (scope === 'account' ? 'account' : 'IP address') + '.');
+        } else {
+            req.flash('success', `Unlocked ${value}. Its earlier attempts no longer count.`);
+        }
+        res.redirect('/organiser/login-audit');
+    });
+});
+
+/**
+ * POST /organiser/invitations
+ * Purpose: Invite someone to create an account with a chosen role; the link is emailed
+ *          to them and shown once to the admin
+ * Input: req.body.email, req.body.role, req.body.days (how long the link works)
+ * Output: Redirects to /organiser/users
+ * Database: INSERT into invitations via createInvitation (an unused invitation for the
+ *           same email is revoked)
+ */
+router.post('/invitations', requirePermission('users.manage'), (req, res) => {
+    const invitation = {
+        email: (req.body.email || '').trim().toLowerCase(),
+        role: req.body.role,
+        days: req.body.days ? Number(req.body.days) : DEFAULT_INVITATION_DAYS
+    };
+
+    const validationError = validateInvitation(invitation);
+    if (validationError) {
+        req.flash('error', validationError);
+        return res.redirect('/organiser/users');
+    }
+
+    createInvitation(invitation, req.user.organiser_id, (err, created) => {
+        if (err && err.userMessage) {
+            req.flash('error', err.userMessage);
+            return res.redirect('/organiser/users');
+        }
+        if (err) {
+            console.error('Invitation create error:', err);
+            req.flash('error', 'Failed to create invitation.');
+            return res.redirect('/organiser/users');
+        }
+
+        const inviteUrl = invitationLink(created.token);
+        queueEmail('invitation', invitation.email, {
+            invitation: { email: invitation.email, expires_at: created.expiresAt },
+            roleName: ROLES[invitation.role],
+            inviteUrl,
+            accountEmail: true
+        });
+        req.flash('success', `Invitation sent to ${invitation.email}.`);
+        req.flash('newInvitationUrl', absoluteUrl(inviteUrl));
+        res.redirect('/organiser/users');
+    });
+});
+
+/**
+ * POST /organiser/invitations/:id/revoke
+ * Purpose: Withdraw an unused invitation
+ * Input: req.params.id (invitation ID)
+ * Output: Redirects to /organiser/users
+ * Database: UPDATE invitations.revoked_at via revokeInvitation
+ */
+router.post('/invitations/:id/revoke', requirePermission('users.manage'), (req, res) => {
+    const invitationId = parsePositiveInt(req.params.id);
+
+    if (!invitationId) {
+        req.flash('error', 'Invalid invitation ID.');
+        return res.redirect('/organiser/users');
+    }
+
+    revokeInvitation(invitationId, (err, revoked) => {
+        if (err) {
+            console.error('Invitation revoke error:', err);
+            req.flash('error', 'Failed to withdraw invitation.');
+        } else if (!revoked) {
+            req.flash('error', 'That invitation has already been used or withdrawn.');
+        } else {
+            req.flash('success', 'Invitation withdrawn.');
+        }
+        res.redirect('/organiser/users');
+    });
+});
+
+/**
+ * POST /organiser/users/:id/role
+ * Purpose: Change an account's role (not your own; the last admin cannot be demoted)
+ * Input: req.params.id (organiser ID), req.body.role
+ * Output: Redirects to /organiser/users
+ * Database: UPDATE organisers.role via changeRole
+ */
+router.post('/users/:id/role', requirePermission('users.manage'), (req, res) => {
+    const userId = parsePositiveInt(req.params.id);
+
+    if (!userId) {
+        req.flash('error', 'Invalid user ID.');
+        return res.redirect('/organiser/users');
+    }
+
+    changeRole(req.user.organiser_id, userId, req.body.role, (err, user) => {
+        if (err && err.userMessage) {
+            req.flash('error', err.userMessage);
+        } else if (err) {
+            console.error('Role change error:', err);
+            req.flash('error', 'Failed to change role.');
+        } else if (!user) {
+            req.flash('error', 'User not found.');
+        } else {
+            req.flash('success', `${user.username} is now ${ROLES[user.role]}.`);
+        }
+        res.redirect('/organiser/users');
+    });
+});
+
+/**
+ * POST /organiser/users/:id/delete
+ * Purpose: Delete an account (not your own or the last admin); its events are kept
+ *          for an admin to give to someone else
+ * Input: req.params.id (organiser ID)
+ * Output: Redirects to /organiser/users
+ * Database: DELETE from organisers via deleteUser
+ */
+router.post('/users/:id/delete', requirePermission('users.manage'), (req, res) => {
+    const userId = parsePositiveInt(req.params.id);
+
+    if (!userId) {
+        req.flash('error', 'Invalid user ID.');
+        return res.redirect('/organiser/users');
+    }
+
+    deleteUser(req.user.organiser_id, userId, (err, user) => {
+        if (err && err.userMessage) {
+            req.flash('error', err.userMessage);
+        } else if (err) {
+            console.error('User delete error:', err);
+            req.flash('error', 'Failed to delete user.');
+        } else if (!user) {
+            req.flash('error', 'User not found.');
+        } else {
+            req.flash('success', `Account ${user.username} deleted.`);
+        }
+        res.redirect('/organiser/users');
+    });
+});
+
+// =============================================================================
+// VENUES [EXTENSION]
+// Rooms/kitchens events are held in; capacity and clashes are checked in utils/venues.js
+// =============================================================================
+
+/**
+ * readVenueForm
+ * Purpose: Read venue fields from a submitted form
+ * Input: body (req.body)
+ * Output: { name, address, kitchenStations, maxCapacity, accessibilityNotes }
+ */
+function readVenueForm(body) {
+    const stations = (body.kitchen_stations || '').trim();
+    return {
+        name: sanitizeInput(body.name || '').trim(),
+        address: sanitizeInput(body.address || '').trim(),
+        kitchenStations: stations === '' ? 0 : Number(stations),
+        maxCapacity: Number((body.max_capacity || '').trim()),
+        accessibilityNotes: sanitizeInput(body.accessibility_notes || '').trim()
+    };
+}
+
+/**
+ * renderVenues
+ * Purpose: Render the venues page, optionally with one venue open for editing
+ * Input: req, res, editing (venue row or null)
+ * Output: Renders venues.ejs with all venues, marking those the account may change
+ * Database: SELECT via listVenues
+ */
+function renderVenues(req, res, editing) {
+    listVenues(eventOwnerScope(req.user), (err, venues) => {
+        if (err) {
+            console.error('Venues error:', err);
+            return res.status(500).send('Failed to load venues');
+        }
+        res.render('venues', { venues, editing });
+    });
+}
+
+/**
+ * GET /organiser/venues
+ * Purpose: List venues with a form to add one
+ * Input: None
+ * Output: Renders venues.ejs
+ * Database: SELECT from venues, events tables
+ */
+router.get('/venues', requirePermission('catalogue.manage'), (req, res) => {
+    renderVenues(req, res, null);
+});
+
+/**
+ * GET /organiser/venues/:id
+ * Purpose: List venues with one venue open for editing (organisers only for venues no
+ *          other account's event uses)
+ * Input: req.params.id (venue ID)
+ * Output: Renders venues.ejs, or redirects to /organiser/venues if not found
+ * Database: SELECT from venues, events tables
+ */
+router.get('/venues/:id', requireEventAccess('catalogue.manage', VENUE_OWNER), (req, res) => {
+    const venueId = parsePositiveInt(req.params.id);
+
+    global.db.get('SELECT * FROM venues WHERE venue_id = ?', [venueId], (err, venue) => {
+        if (err || !venue) {
+            if (err) console.error('Venue error:', err);
+            req.flash('error', 'Venue not found.');
+            return res.redirect('/organiser/venues');
+        }
+        renderVenues(req, res, venue);
+    });
+});
+
+/**
+ * POST /organiser/venues
+ * Purpose: Add a venue, or update one when venue_id is submitted (organisers only venues
+ *          no other account's event uses)
+ * Input: req.body (venue_id, name, address, kitchen_stations, max_capacity, accessibility_notes)
+ * Output: Redirects to /organiser/venues
+ * Database: SELECT from events, INSERT or UPDATE venues table via saveVenue
+ */
+router.post('/venues', requirePermission('catalogue.manage'), (req, res) => {
+    const venueId = parsePositiveInt(req.body.venue_id) || null;
+    const venue = readVenueForm(req.body);
+    const backUrl = '/organiser/venues' + (venueId ? '/' + venueId : '');
+
+    const validationError = validateVenue(venue);
+    if (validationError) {
+        req.flash('error', validationError);
+        return res.redirect(backUrl);
+    }
+
+    checkEventAccess(req.user, VENUE_OWNER, venueId, (accessErr, allowed) => {
+        if (accessErr) {
+            console.error('Access check error:', accessErr);
+            req.flash('error', 'Failed to save venue.');
+            return res.redirect(backUrl);
+        }
+        if (!allowed) return denyAccess(req, res);
+
+        saveVenue(venueId, venue, (err) => {
+            if (err && err.userMessage) {
+                req.flash('error', err.userMessage);
+                return res.redirect(backUrl);
+            }
+            if (err) {
+                console.error('Venue save error:', err);
+                req.flash('error', 'Failed to save venue.');
+                return res.redirect(backUrl);
+            }
+            req.flash('success', venueId ? 'Venue updated successfully.' : 'Venue added successfully.');
+            res.redirect('/organiser/venues');
+        });
+    });
+});
+
+/**
+ * POST /organiser/venues/:id/delete
+ * Purpose: Delete a venue that no event uses
+ * Input: req.params.id (venue ID)
+ * Output: Redirects to /organiser/venues
+ * Database: DELETE from venues table via deleteVenue
+ */
+router.post('/venues/:id/delete', requireEventAccess('catalogue.manage', VENUE_OWNER), (req, res) => {
+    const venueId = parsePositiveInt(req.params.id);
+
+    deleteVenue(venueId, (err, deleted) => {
+        if (err && err.userMessage) {
+            req.flash('error', err.userMessage);
+        } else if (err) {
+            console.error('Venue delete error:', err);
+            req.flash('error', 'Failed to delete venue.');
+        } else if (!deleted) {
+            req.flash('error', 'Venue not found.');
+        } else {
+            req.flash('success', 'Venue deleted.');
+        }
+        res.redirect('/organiser/venues');
+    });
+});
+
+// =============================================================================
+// CANCELLATION POLICIES [EXTENSION]
+// How much attendees get back when they cancel; refunds are worked out in utils/refunds.js
+// =============================================================================
+
+/**
+ * readPolicyForm
+ * Purpose: Read cancellation policy fields from a submitted form
+ * Input: body (req.body)
+ * Output: { name, fullRefundDays, partialRefundPercent, noRefundHours }
+ */
+function readPolicyForm(body) {
+    const noRefundHours = (body.no_refund_hours || '').trim();
+    return {
+        name: sanitizeInput(body.name || '').trim(),
+        fullRefundDays: Number((body.full_refund_days || '').trim()),
+        partialRefundPercent: Number((body.partial_refund_percent || '').trim()),
+        noRefundHours: noRefundHours === '' ? 0 : Number(noRefundHours)
+    };
+}
+
+/**
+ * renderPolicies
+ * Purpose: Render the cancellation policies page, optionally with one policy open for editing
+ * Input: req, res, editing (policy row or null)
+ * Output: Renders cancellation_policies.ejs with all policies, marking those the account may change
+ * Database: SELECT via listPolicies
+ */
+function renderPolicies(req, res, editing) {
+    listPolicies(eventOwnerScope(req.user), (err, policies) => {
+        if (err) {
+            console.error('Cancellation policies error:', err);
+            return res.status(500).send('Failed to load cancellation policies');
+        }
+        res.render('cancellation_policies', { policies, editing });
+    });
+}
+
+/**
+ * GET /organiser/cancellation-policies
+ * Purpose: List cancellation policies with a form to add one
+ * Input: None
+ * Output: Renders cancellation_policies.ejs
+ * Database: SELECT from cancellation_policies, events tables
+ */
+router.get('/cancellation-policies', requirePermission('catalogue.manage'), (req, res) => {
+    renderPolicies(req, res, null);
+});
+
+/**
+ * GET /organiser/cancellation-policies/:id
+ * Purpose: List cancellation policies with one policy open for editing (organisers only
+ *          for policies no other account's event uses)
+ * Input: req.params.id (policy ID)
+ * Output: Renders cancellation_policies.ejs, or redirects to /organiser/cancellation-policies if not found
+ * Database: SELECT from cancellation_policies, events tables
+ */
+router.get('/cancellation-policies/:id', requireEventAccess('catalogue.manage', POLICY_OWNER), (req, res) => {
+    const policyId = parsePositiveInt(req.params.id);
+
+    global.db.get('SELECT * FROM cancellation_policies WHERE policy_id = ?', [policyId], (err, policy) => {
+        if (err || !policy) {
+            if (err) console.error('Cancellation policy error:', err);
+            req.flash('error', 'Cancellation policy not found.');
+            return res.redirect('/organiser/cancellation-policies');
+        }
+        renderPolicies(req, res, policy);
+    });
+});
+
+/**
+ * POST /organiser/cancellation-policies
+ * Purpose: Add a cancellation policy, or update one when policy_id is submitted (organisers
+ *          only policies no other account's event uses)
+ * Input: req.body (policy_id, name, full_refund_days, partial_refund_percent, no_refund_hours)
+ * Output: Redirects to /organiser/cancellation-policies
+ * Database: SELECT from events, INSERT or UPDATE cancellation_policies table via savePolicy
+ */
+router.post('/cancellation-policies', requirePermission('catalogue.manage'), (req, res) => {
+    const policyId = parsePositiveInt(req.body.policy_id) || null;
+    const policy = readPolicyForm(req.body);
+    const backUrl = '/organiser/cancellation-policies' + (policyId ? '/' + policyId : '');
+
+    const validationError = validatePolicy(policy);
+    if (validationError) {
+        req.flash('error', validationError);
+        return res.redirect(backUrl);
+    }
+
+    checkEventAccess(req.user, POLICY_OWNER, policyId, (accessErr, allowed) => {
+        if (accessErr) {
+            console.error('Access check error:', accessErr);
+            req.flash('error', 'Failed to save cancellation policy.');
+            return res.redirect(backUrl);
+        }
+        if (!allowed) return denyAccess(req, res);
+
+        savePolicy(policyId, policy, (err) => {
+            if (err && err.userMessage) {
+                req.flash('error', err.userMessage);
+                return res.redirect(backUrl);
+            }
+            if (err) {
+                console.error('Cancellation policy save error:', err);
+                req.flash('error', 'Failed to save cancellation policy.');
+                return res.redirect(backUrl);
+            }
+            req.flash('success', policyId ? 'Cancellation policy updated successfully.' : 'Cancellation policy added successfully.');
+            res.redirect('/organiser/cancellation-policies');
+        });
+    });
+});
+
+/**
+ * POST /organiser/cancellation-policies/:id/delete
+ * Purpose: Delete a cancellation policy that no event uses
+ * Input: req.params.id (policy ID)
+ * Output: Redirects to /organiser/cancellation-policies
+ * Database: DELETE from cancellation_policies table via deletePolicy
+ */
+router.post('/cancellation-policies/:id/delete', requireEventAccess('catalogue.manage', POLICY_OWNER), (req, res) => {
+    const policyId = parsePositiveInt(req.params.id);
+
+    deletePolicy(policyId, (err, deleted) => {
+        if (err && err.userMessage) {
+            req.flash('error', err.userMessage);
+        } else if (err) {
+            console.error('Cancellation policy delete error:', err);
+            req.flash('error', 'Failed to delete cancellation policy.');
+        } else if (!deleted) {
+            req.flash('error', 'Cancellation policy not found.');
+        } else {
+            req.flash('success', 'Cancellation policy deleted.');
+        }
+        res.redirect('/organiser/cancellation-policies');
+    });
+});
+
+// =============================================================================
+// PROMO CODES [EXTENSION]
+// Discount codes attendees enter when booking; limits and discounts are worked
+// out in utils/promos.js
+// =============================================================================
+
+/**
+ * readPromoForm
+ * Purpose: Read promo code fields from a submitted form
+ * Input: body (req.body)
+ * Output: { code, description, discountType, discountValue, eventId, categoryId, ticketType,
+ *         maxUses, maxUsesPerEmail, validFrom, validUntil, active }
+ */
+function readPromoForm(body) {
+    const limit = (value) => ((value || '').trim() === '' ? null : Number(value));
+    return {
+        code: normalisePromoCode(sanitizeInput(body.code || '')),
+        description: sanitizeInput(body.description || '').trim(),
+        discountType: body.discount_type,
+        discountValue: Number((body.discount_value || '').trim()),
+        eventId: parsePositiveInt(body.event_id) || null,
+        categoryId: parsePositiveInt(body.category_id) || null,
+        ticketType: sanitizeInput(body.ticket_type || '').trim(),
+        maxUses: limit(body.max_uses),
+        maxUsesPerEmail: limit(body.max_uses_per_email),
+        validFrom: fromDateTimeInput(body.valid_from),
+        validUntil: fromDateTimeInput(body.valid_until),
+        active: body.active === '1'
+    };
+}
+
+/**
+ * renderPromos
+ * Purpose: Render the promo codes page, optionally with one code open for editing
+ * Input: req, res, editing (promo row or null)
+ * Output: Renders promo_codes.ejs with the codes and the events/categories they can be limited
+ *         to - organisers only see codes for, and can only choose, their own events
+ * Database: SELECT via listPromos, SELECT from events, categories tables
+ */
+function renderPromos(req, res, editing) {
+    const ownerId = eventOwnerScope(req.user);
+
+    listPromos(ownerId, (err, promos) => {
+        if (err) {
+            console.error('Promo codes error:', err);
+            return res.status(500).send('Failed to load promo codes');
+        }
+        global.db.all(
+            'SELECT event_id, title, event_date FROM events WHERE (? IS NULL OR owner_id = ?) ORDER BY event_date ASC',
+            [ownerId, ownerId],
+            (err2, events) => {
+                global.db.all('SELECT * FROM categories ORDER BY name ASC', [], (err3, categories) => {
+                    res.render('promo_codes', {
+                        promos,
+                        editing,
+                        events: events || [],
+                        categories: categories || [],
+                        discountTypes: DISCOUNT_TYPES,
+                        anyEvent: ownerId === null
+                    });
+                });
+            }
+        );
+    });
+}
+
+/**
+ * GET /organiser/promo-codes
+ * Purpose: List promo codes with their usage and a form to add one
+ * Input: None
+ * Output: Renders promo_codes.ejs
+ * Database: SELECT from promo_codes, orders, bookings, events, categories tables
+ */
+router.get('/promo-codes', requirePermission('catalogue.manage'), (req, res) => {
+    renderPromos(req, res, null);
+});
+
+/**
+ * GET /organiser/promo-codes/:id
+ * Purpose: List promo codes with one code open for editing (organisers only codes for their own events)
+ * Input: req.params.id (promo ID)
+ * Output: Renders promo_codes.ejs, or redirects to /organiser/promo-codes if not found
+ * Database: SELECT from promo_codes and related tables
+ */
+router.get('/promo-codes/:id', requireEventAccess('catalogue.manage', PROMO_OWNER), (req, res) => {
+    const promoId = parsePositiveInt(req.params.id);
+
+    global.db.get('SELECT * FROM promo_codes WHERE promo_id = ?', [promoId], (err, promo) => {
+        if (err || !promo) {
+            if (err) console.error('Promo code error:', err);
+            req.flash('error', 'Promo code not found.');
+            return res.redirect('/organiser/promo-codes');
+        }
+        renderPromos(req, res, promo);
+    });
+});
+
+/**
+ * POST /organiser/promo-codes
+ * Purpose: Add a promo code, or update one when promo_id is submitted - organisers can only
+ *          limit codes to, and change codes for, their own events
+ * Input: req.body (promo_id, code, description, discount_type, discount_value, event_id, category_id,
+ *        ticket_type, max_uses, max_uses_per_email, valid_from, valid_until (site time zone), active)
+ * Output: Redirects to /organiser/promo-codes
+ * Database: SELECT from promo_codes, events, INSERT or UPDATE promo_codes table via savePromo
+ */
+router.post('/promo-codes', requirePermission('catalogue.manage'), (req, res) => {
+    const promoId = parsePositiveInt(req.body.promo_id) || null;
+    const promo = readPromoForm(req.body);
+    const backUrl = '/organiser/promo-codes' + (promoId ? '/' + promoId : '');
+
+    const validationError = validatePromo(promo);
+    if (validationError) {
+        req.flash('error', validationError);
+        return res.redirect(backUrl);
+    }
+    if (!promo.eventId && eventOwnerScope(req.user) !== null) {
+        req.flash('error', 'Please choose one of your events for this code.');
+        return res.redirect(backUrl);
+    }
+
+    checkEventAccess(req.user, PROMO_OWNER, promoId, (accessErr, allowed) => {
+        checkEventAccess(req.user, EVENT_OWNER, promo.eventId, (accessErr2, allowed2) => {
+            if (accessErr || accessErr2) {
+                console.error('Access check error:', accessErr || accessErr2);
+                req.flash('error', 'Failed to save promo code.');
+                return res.redirect(backUrl);
+            }
+            if (!allowed || !allowed2) return denyAccess(req, res);
+
+            savePromo(promoId, promo, (err) => {
+                if (err && err.userMessage) {
+                    req.flash('error', err.userMessage);
+                    return res.redirect(backUrl);
+                }
+                if (err) {
+                    console.error('Promo code save error:', err);
+                    req.flash('error', 'Failed to save promo code.');
+                    return res.redirect(backUrl);
+                }
+                req.flash('success', promoId ? 'Promo code updated successfully.' : 'Promo code added successfully.');
+                res.redirect('/organiser/promo-codes');
+            });
+        });
+    });
+});
+
+/**
+ * POST /organiser/promo-codes/:id/delete
+ * Purpose: Delete a promo code that has never been used
+ * Input: req.params.id (promo ID)
+ * Output: Redirects to /organiser/promo-codes
+ * Database: DELETE from promo_codes table via deletePromo
+ */
+router.post('/promo-codes/:id/delete', requireEventAccess('catalogue.manage', PROMO_OWNER), (req, res) => {
+    const promoId = parsePositiveInt(req.params.id);
+
+    deletePromo(promoId, (err, deleted) => {
+        if (err && err.userMessage) {
+            req.flash('error', err.userMessage);
+        } else if (err) {
+            console.error('Promo code delete error:', err);
+            req.flash('error', 'Failed to delete promo code.');
+        } else if (!deleted) {
+            req.flash('error', 'Promo code not found.');
+        } else {
+            req.flash('success', 'Promo code deleted.');
+        }
+        res.redirect('/organiser/promo-codes');
+    });
+});
+
+// =============================================================================
+// CHANGE PASSWORD [EXTENSION]
+// Open to every role - each account can only change its own password
+// =============================================================================
+
+/**
+ * GET /organiser/password
+ * Purpose: Display the change password form
+ * Input: None
+ * Output: Renders change_password.ejs
+ */
+router.get('/password', (req, res) => {
+    res.render('change_password');
+});
+
+/**
+ * POST /organiser/password
+ * Purpose: Change the logged-in account's password after checking the current one;
+ *          this session stays logged in, every other session is logged out
+ * Input: req.body.current_password, req.body.password, req.body.confirm_password
+ * Output: Redirects to /organiser on success, back to the form with a flash error otherwise
+ * Database: SELECT/UPDATE organisers, UPDATE password_resets via changePassword
+ */
+router.post('/password', (req, res) => {
+    const validationError = validateNewPassword(req.body.password, req.body.confirm_password);
+    if (validationError) {
+        req.flash('error', validationError);
+        return res.redirect('/organiser/password');
+    }
+
+    changePassword(req.user.organiser_id, req.body.current_password, req.body.password, (err, changedAt) => {
+        if (err && err.userMessage) {
+            req.flash('error', err.userMessage);
+            return res.redirect('/organiser/password');
+        }
+        if (err) {
+            console.error('Change password error:', err);
+            req.flash('error', 'Failed to change password.');
+            return res.redirect('/organiser/password');
+        }
+
+        req.session.passwordChangedAt = changedAt;
+        req.flash('success', 'Password changed. Any other sessions have been logged out.');
+        res.redirect('/organiser');
+    });
+});
+
+// =============================================================================
+// TWO-FACTOR AUTHENTICATION [EXTENSION]
+// Open to every role - each account manages its own authenticator app and recovery codes
+// =============================================================================
+
+/**
+ * GET /organiser/two-factor
+ * Purpose: Show whether two-factor is on; if not, show a QR code and key to add the
+ *          account to an authenticator app (the secret is kept in the session until confirmed)
+ * Input: req.session.pendingTotpSecret; new recovery codes are passed once via flash
+ * Output: Renders two_factor.ejs
+ * Database: SELECT from organisers, recovery_codes tables
+ */
+router.get('/two-factor', (req, res) => {
+    const recoveryCodes = req.flash('recoveryCodes');
+
+    loadTwoFactorStatus(req.user.organiser_id, (err, status) => {
+        if (err) {
+            console.error('Two-factor status error:', err);
+            return res.status(500).send('Failed to load two-factor settings');
+        }
+
+        if (status.enabled) {
+            delete req.session.pendingTotpSecret;
+            return res.render('two_factor', { status, recoveryCodes, secret: null, qrCode: null });
+        }
+
+        if (!req.session.pendingTotpSecret) {
+            req.session.pendingTotpSecret = generateSecret();
+        }
+        const secret = req.session.pendingTotpSecret;
+
+        enrolmentQr(secret, req.user.username, res.locals.settings.site_name, (qrErr, qrCode) => {
+            if (qrErr) console.error('Two-factor QR error:', qrErr);
+            res.render('two_factor', { status, recoveryCodes, secret: formatSecret(secret), qrCode: qrCode || null });
+        });
+    });
+});
+
+/**
+ * POST /organiser/two-factor/enable
+ * Purpose: Turn two-factor on after checking a code from the newly added app
+ * Input: req.body.code, req.session.pendingTotpSecret
+ * Output: Redirects to /organiser/two-factor, showing the recovery codes once
+ * Database: UPDATE organisers, INSERT recovery_codes via enableTwoFactor
+ */
+router.post('/two-factor/enable', (req, res) => {
+    enableTwoFactor(req.user.organiser_id, req.session.pendingTotpSecret, req.body.code, (err, codes) => {
+        if (err && err.userMessage) {
+            req.flash('error', err.userMessage);
+            return res.redirect('/organiser/two-factor');
+        }
+        if (err) {
+            console.error('Two-factor enable error:', err);
+            req.flash('error', 'Failed to turn on two-factor authentication.');
+            return res.redirect('/organiser/two-factor');
+        }
+
+        delete req.session.pendingTotpSecret;
+        req.flash('success', 'Two-factor authentication is on. Save your recovery codes somewhere safe.');
+        req.flash('recoveryCodes', codes);
+        res.redirect('/organiser/two-factor');
+    });
+});
+
+/**
+ * POST /organiser/two-factor/recovery-codes
+ * Purpose: Replace the account's recovery codes (the old ones stop working)
+ * Input: req.body.current_password
+ * Output: Redirects to /organiser/two-factor, showing the new codes once
+ * Database: SELECT organisers, DELETE/INSERT recovery_codes
+ */
+router.post('/two-factor/recovery-codes', (req, res) => {
+    checkCurrentPassword(req.user.organiser_id, req.body.current_password, (err) => {
+        if (err) {
+            if (!err.userMessage) console.error('Password check error:', err);
+            req.flash('error', err.userMessage || 'Failed to check password.');
+            return res.redirect('/organiser/two-factor');
+        }
+
+        regenerateRecoveryCodes(req.user.organiser_id, (err2, codes) => {
+            if (err2) {
+                if (!err2.userMessage) console.error('Recovery codes error:', err2);
+                req.flash('error', err2.userMessage || 'Failed to make new recovery codes.');
+                return res.redirect('/organiser/two-factor');
+            }
+            req.flash('success', 'New recovery codes made. The old ones no longer work.');
+            req.flash('recoveryCodes', codes);
+            res.redirect('/organiser/two-factor');
+        });
+    });
+});
+
+/**
+ * POST /organiser/two-factor/disable
+ * Purpose: Turn two-factor off for the account (not allowed while Site Settings requires it)
+ * Input: req.body.current_password
+ * Output: Redirects to /organiser/two-factor
+ * Database: SELECT/UPDATE organisers, DELETE recovery_codes via disableTwoFactor
+ */
+router.post('/two-factor/disable', (req, res) => {
+    if (res.locals.settings.require_two_factor) {
+        req.flash('error', 'This site requires two-factor authentication, so it cannot be turned off.');
+        return res.redirect('/organiser/two-factor');
+    }
+
+    checkCurrentPassword(req.user.organiser_id, req.body.current_password, (err) => {
+        if (err) {
+            if (!err.userMessage) console.error('Password check error:', err);
+            req.flash('error', err.userMessage || 'Failed to check password.');
+            return res.redirect('/organiser/two-factor');
+        }
+
+        disableTwoFactor(req.user.organiser_id, (err2) => {
+            if (err2) {
+                console.error('Two-factor disable error:', err2);
+                req.flash('error', 'Failed to turn off two-factor authentication.');
+                return res.redirect('/organiser/two-factor');
+            }
+            req.flash('success', 'Two-factor authentication is off.');
+            res.redirect('/organiser/two-factor');
+        });
+    });
+});
+
+// =============================================================================
+// API TOKENS AND CALENDAR FEEDS [EXTENSION]
+// =============================================================================
+
+/**
+ * GET /organiser/api-tokens
+ * Purpose: List the logged-in organiser's API tokens with a form to create one,
+ *          and show their calendar feed links
+ * Input: req.session.userId; a just-created token is passed once via flash
+ * Output: Renders api_tokens.ejs
+ * Database: SELECT from api_tokens and organisers tables
+ */
+router.get('/api-tokens', (req, res) => {
+    const newToken = req.flash('newToken')[0] || null;
+
+    global.db.all(
+        `SELECT token_id, name, token_prefix, scope, created_at, last_used_at, revoked_at
+         FROM api_tokens
+         WHERE organiser_id = ?
+         ORDER BY revoked_at IS NOT NULL, created_at DESC`,
+        [req.session.userId],
+        (err, tokens) => {
+            if (err) {
+                console.error('API tokens error:', err);
+                return res.status(500).send('Failed to load API tokens');
+            }
+
+            global.db.get('SELECT calendar_token FROM organisers WHERE organiser_id = ?', [req.session.userId], (err2, organiser) => {
+                if (err2) console.error('Calendar token error:', err2);
+
+                res.render('api_tokens', {
+                    tokens,
+                    newToken,
+                    publicFeedUrl: absoluteUrl('/calendar/events.ics'),
+                    privateFeedUrl: organiser && organiser.calendar_token
+                        ? absoluteUrl(`/calendar/organiser/${organiser.calendar_token}.ics`)
+                        : null
+                });
+            });
+        }
+    );
+});
+
+/**
+ * POST /organiser/api-tokens
+ * Purpose: Create a named API token with read or write scope
+ * Input: req.body.name, req.body.scope ('read' or 'write')
+ * Output: Redirects to /organiser/api-tokens, showing the token once
+ * Database: INSERT into api_tokens table (hash only)
+ */
+router.post('/api-tokens', (req, res) => {
+    const name = sanitizeInput(req.body.name || '').trim();
+    const scope = req.body.scope;
+
+    if (!name || name.length > 100) {
+        req.flash('error', 'Token name is required (maximum 100 characters).');
+        return res.redirect('/organiser/api-tokens');
+    }
+
+    if (!TOKEN_SCOPES.includes(scope)) {
+        req.flash('error', 'Please choose read-only or read and write access.');
+        return res.redirect('/organiser/api-tokens');
+    }
+
+    createApiToken(req.session.userId, name, scope, (err, token) => {
+        if (err) {
+            console.error('API token create error:', err);
+            req.flash('error', 'Failed to create API token.');
+            return res.redirect('/organiser/api-tokens');
+        }
+        req.flash('success', `API token "${name}" created.`);
+        req.flash('newToken', token);
+        res.redirect('/organiser/api-tokens');
+    });
+});
+
+/**
+ * POST /organiser/api-tokens/revoke/:id
+ * Purpose: Revoke one of the logged-in organiser's API tokens
+ * Input: req.params.id (token ID)
+ * Output: Redirects to /organiser/api-tokens
+ * Database: UPDATE api_tokens.revoked_at
+ */
+router.post('/api-tokens/revoke/:id', (req, res) => {
+    const tokenId = req.params.id;
+
+    if (!tokenId || isNaN(tokenId)) {
+        req.flash('error', 'Invalid token ID.');
+        return res.redirect('/organiser/api-tokens');
+    }
+
+    revokeApiToken(tokenId, req.session.userId, (err, revoked) => {
+        if (err) {
+            console.error('API token revoke error:', err);
+            req.flash('error', 'Failed to revoke API token.');
+        } else if (!revoked) {
+            req.flash('error', 'Token not found.');
+        } else {
+            req.flash('success', 'API token revoked.');
+        }
+        res.redirect('/organiser/api-tokens');
+    });
+});
+
+/**
+ * POST /organiser/calendar-token
+ * Purpose: Create (or replace) the logged-in organiser's private calendar feed link
+ * Input: req.session.userId
+ * Output: Redirects to /organiser/api-tokens
+ * Database: UPDATE organisers.calendar_token
+ */
+router.post('/calendar-token', (req, res) => {
+    regenerateCalendarToken(req.session.userId, (err) => {
+        if (err) {
+            console.error('Calendar token error:', err);
+            req.flash('error', 'Failed to create calendar feed link.');
+        } else {
+            req.flash('success', 'New private calendar feed link created. Any previous link no longer works.');
+        }
+        res.redirect('/organiser/api-tokens');
+    });
+});
+
+// =============================================================================
+// VIEW BOOKINGS
+// =============================================================================
+
+/**
+ * GET /organiser/view-bookings
+ * Purpose: Display all orders grouped by event, with their ticket lines
+ * Input: req.user (organisers see only their own events)
+ * Output: Renders view_bookings.ejs with events and their orders (with totals after promo
+ *         discounts and the latest payment's status)
+ * Database: SELECT from events, orders, bookings and payments tables
+ */
+router.get('/view-bookings', requirePermission('bookings.view'), (req, res) => {
+    const ownerId = eventOwnerScope(req.user);
+
+    global.db.all('SELECT * FROM events WHERE (? IS NULL OR owner_id = ?) ORDER BY event_date ASC', [ownerId, ownerId], (err, events) => {
+        if (err) {
+            console.error('Events error:', err);
+            return res.status(500).send('Failed to fetch events');
+        }
+
+        const promises = events.map(event => {
+            return new Promise(resolve => {
+                global.db.all(
+                    `SELECT o.order_id, o.booking_reference, o.attendee_name, o.attendee_email, o.dietary_notes,
+                            o.created_at, o.status, o.promo_code, b.ticket_type, b.quantity, b.unit_price, b.discount,
+                            p.status AS payment_status, p.refunded_amount
+                     FROM orders o
+                     JOIN bookings b ON b.order_id = o.order_id
+                     LEFT JOIN payments p ON p.payment_id = (SELECT MAX(payment_id) FROM payments WHERE order_id = o.order_id)
+                     WHERE o.event_id = ?
+                     ORDER BY o.created_at ASC, b.booking_id ASC`,
+                    [event.event_id],
+                    (err2, rows) => {
+                        const orders = [];
+                        (rows || []).forEach(row => {
+                            let order = orders.find(o => o.order_id === row.order_id);
+                            if (!order) {
+                                order = {
+                                    order_id: row.order_id,
+                                    booking_reference: row.booking_reference,
+                                    attendee_name: row.attendee_name,
+                                    attendee_email: row.attendee_email,
+                                    dietary_notes: row.dietary_notes,
+                                    created_at: row.created_at,
+                                    status: row.status,
+                                    promo_code: row.promo_code,
+                                    payment_status: row.payment_status,
+                                    refunded_amount: row.refunded_amount,
+                                    lines: [],
+                                    quantity: 0
+                                };
+                                orders.push(order);
+                            }
+                            order.lines.push({
+                                ticket_type: row.ticket_type,
+                                quantity: row.quantity,
+                                unit_price: row.unit_price,
+                                discount: row.discount
+                            });
+                            order.quantity += row.quantity;
+                        });
+                        orders.forEach(order => order.totals = orderTotals(order.lines));
+                        event.orders = orders;
+                        resolve();
+                    }
+                );
+            });
+        });
+
+        Promise.all(promises).then(() => {
+            res.render('view_bookings', { events });
+        });
+    });
+});
+
+/**
+ * POST /organiser/bookings/cancel/:id
+ * Purpose: Cancel an attendee's order on their behalf, refunding any payment under the
+ *          event's cancellation policy, or in full if the organiser chooses
+ * Input: req.params.id (order ID), req.body.refund ('full', or 'policy' by default)
+ * Output: Redirects to /organiser/view-bookings
+ * Database: UPDATE orders status to 'cancelled', then offers released seats to the
+ *           waitlist and records the refund (see utils/refunds.js)
+ */
+router.post('/bookings/cancel/:id', requireEventAccess('bookings.manage', ORDER_OWNER), (req, res) => {
+    const orderId = req.params.id;
+    const fullRefund = req.body.refund === 'full';
+    const now = new Date().toISOString();
+
+    if (!orderId || isNaN(orderId)) {
+        return res.status(400).send('Invalid order ID');
+    }
+
+    global.db.get('SELECT order_id, event_id FROM orders WHERE order_id = ?', [orderId], (err, order) => {
+        if (err || !order) {
+            req.flash('error', 'Booking not found.');
+            return res.redirect('/organiser/view-bookings');
+        }
+
+        global.db.run(
+            "UPDATE orders SET status = 'cancelled', cancelled_at = ?, updated_at = ? WHERE order_id = ? AND status = 'confirmed'",
+            [now, now, orderId],
+            function(err2) {
+                if (err2) {
+                    console.error('Booking cancel error:', err2);
+                    req.flash('error', 'Failed to cancel booking.');
+                    return res.redirect('/organiser/view-bookings');
+                }
+                if (this.changes === 0) {
+                    req.flash('error', 'Only confirmed bookings can be cancelled.');
+                    return res.redirect('/organiser/view-bookings');
+                }
+
+                promoteWaitlist(order.event_id);
+
+                const finish = (refundErr, refund, quote) => {
+                    if (refundErr) {
+                        console.error('Booking refund error:', refundErr);
+                        req.flash('error', 'Booking cancelled, but the refund could not be recorded: ' + refundErr.message);
+                    } else if (refund && refund.status === 'processed') {
+                        req.flash('success', `Booking cancelled and £${refund.amount.toFixed(2)} refunded.`);
+                    } else if (refund) {
+                        req.flash('success', `Booking cancelled. The £${refund.amount.toFixed(2)} refund is pending - see Refunds.`);
+                    } else if (quote) {
+                        req.flash('success', `Booking cancelled. No refund is due (${quote.note}).`);
+                    } else {
+                        req.flash('success', 'Booking cancelled.');
+                    }
+                    res.redirect('/organiser/view-bookings');
+                };
+
+                if (fullRefund) {
+                    return refundOrder(order.order_id, null, { reason: 'organiser_cancelled', note: 'Full refund given by the organiser' },
+                        (refundErr, refund) => finish(refundErr, refund, null));
+                }
+                refundByPolicy(order, null, 'organiser_cancelled', finish);
+            }
+        );
+    });
+});
+
+// =============================================================================
+// REFUNDS [EXTENSION]
+// The refunds ledger: refunds waiting on the gateway and those already sent
+// =============================================================================
+
+/**
+ * GET /organiser/refunds
+ * Purpose: Display pending refunds (with a retry for each) and recently processed ones
+ * Input: req.user (organisers see only refunds for their own events)
+ * Output: Renders refunds.ejs with pending, processed, pendingTotal and reason labels
+ * Database: SELECT from refunds table via listRefunds
+ */
+router.get('/refunds', requirePermission('refunds.view'), (req, res) => {
+    listRefunds(100, eventOwnerScope(req.user), (err, ledger) => {
+        if (err) {
+            console.error('Refunds error:', err);
+            return res.status(500).send('Failed to load refunds');
+        }
+        res.render('refunds', { ...ledger, reasons: REFUND_REASONS });
+    });
+});
+
+/**
+ * POST /organiser/refunds/:id/retry
+ * Purpose: Send a pending refund to the payment gateway again
+ * Input: req.params.id (refund ID)
+ * Output: Redirects to /organiser/refunds
+ * Database: UPDATE refunds and payments tables via processRefund
+ */
+router.post('/refunds/:id/retry', requireEventAccess('refunds.manage', REFUND_OWNER), (req, res) => {
+    const refundId = parsePositiveInt(req.params.id);
+
+    processRefund(refundId, (err, refund) => {
+        if (err && err.notFound) {
+            req.flash('error', 'Refund not found.');
+        } else if (err) {
+            console.error('Refund retry error:', err);
+            req.flash('error', 'Failed to retry the refund.');
+        } else if (refund.status === 'processed') {
+            req.flash('success', `The £${refund.amount.toFixed(2)} refund for booking ${refund.booking_reference} has been processed.`);
+        } else {
+            req.flash('error', 'The payment gateway did not accept the refund' + (refund.last_error ? ': ' + refund.last_error : '.'));
+        }
+        res.redirect('/organiser/refunds');
+    });
+});
+
+// =============================================================================
+// EXPORTS AND SIGN-IN SHEETS [EXTENSION]
+// =============================================================================
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+/**
+ * sendExport
+ * Purpose: Send export rows as a CSV or XLSX download
+ * Input: res, format ('csv' or 'xlsx'), name (file name without extension),
+ *        sheetName, columns, rows
+ * Output: None (response sent)
+ */
+function sendExport(res, format, name, sheetName, columns, rows) {
+    const filename = `${name}-${new Date().toISOString().split('T')[0]}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'csv') {
+        res.type('text/csv; charset=utf-8');
+        return res.send(buildCsv(columns, rows));
+    }
+
+    buildXlsx(sheetName, columns, rows, (err, buffer) => {
+        if (err) {
+            console.error('XLSX export error:', err);
+            res.removeHeader('Content-Disposition');
+            return res.status(500).send('Export failed');
+        }
+        res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.send(buffer);
+    });
+}
+
+/**
+ * parseExportRequest
+ * Purpose: Read the format and optional event filter of an export request
+ * Input: req (params.format, query.event_id)
+ * Output: { format, eventId } - eventId is null for all events, or { error } message
+ */
+function parseExportRequest(req) {
+    const format = req.params.format;
+    if (!EXPORT_FORMATS.includes(format)) {
+        return { error: 'Unknown export format.' };
+    }
+
+    if (!req.query.event_id) return { format, eventId: null };
+
+    const eventId = parsePositiveInt(req.query.event_id);
+    return eventId ? { format, eventId } : { error: 'Invalid event ID.' };
+}
+
+/**
+ * GET /organiser/export/bookings.:format
+ * Purpose: Download bookings (one row per ticket line) as CSV or XLSX
+ * Input: req.params.format ('csv' or 'xlsx'), req.query.event_id (optional - all events if omitted;
+ *        organisers only get their own events)
+ * Output: File download, or redirect with a flash error
+ * Database: SELECT from events, orders, bookings tables
+ */
+router.get('/export/bookings.:format', requirePermission('bookings.view'), (req, res) => {
+    const request = parseExportRequest(req);
+    if (request.error) {
+        req.flash('error', request.error);
+        return res.redirect('/organiser/view-bookings');
+    }
+
+    loadBookingRows(request.eventId, eventOwnerScope(req.user), (err, rows) => {
+        if (err) {
+            console.error('Booking export error:', err);
+            req.flash('error', 'Failed to export bookings.');
+            return res.redirect('/organiser/view-bookings');
+        }
+
+        const name = request.eventId ? `bookings-event-${request.eventId}` : 'bookings-all-events';
+        sendExport(res, request.format, name, 'Bookings', BOOKING_COLUMNS, rows);
+    });
+});
+
+/**
+ * GET /organiser/export/waitlist.:format
+ * Purpose: Download waiting and offered waitlist entries as CSV or XLSX
+ * Input: req.params.format ('csv' or 'xlsx'), req.query.event_id (optional - all events if omitted;
+ *        organisers only get their own events)
+ * Output: File download, or redirect with a flash error
+ * Database: SELECT from waitlist, events tables
+ */
+router.get('/export/waitlist.:format', requirePermission('bookings.manage'), (req, res) => {
+    const request = parseExportRequest(req);
+    if (request.error) {
+        req.flash('error', request.error);
+        return res.redirect('/organiser/waitlist');
+    }
+
+    loadWaitlistRows(request.eventId, eventOwnerScope(req.user), (err, rows) => {
+        if (err) {
+            console.error('Waitlist export error:', err);
+            req.flash('error', 'Failed to export waitlist.');
+            return res.redirect('/organiser/waitlist');
+        }
+
+        const name = request.eventId ? `waitlist-event-${request.eventId}` : 'waitlist-all-events';
+        sendExport(res, request.format, name, 'Waitlist', WAITLIST_COLUMNS, rows);
+    });
+});
+
+/**
+ * GET /organiser/sign-in/:id
+ * Purpose: Printable attendee sign-in sheet for an event
+ * Input: req.params.id (event ID)
+ * Output: Renders sign_in_sheet.ejs with confirmed orders sorted by attendee name
+ * Database: SELECT from events, orders, bookings tables
+ */
+router.get('/sign-in/:id', requireEventAccess('bookings.view', EVENT_OWNER), (req, res) => {
+    const eventId = req.params.id;
+
+    if (!eventId || isNaN(eventId)) {
+        req.flash('error', 'Invalid event ID.');
+        return res.redirect('/organiser/view-bookings');
+    }
+
+    global.db.get('SELECT * FROM events WHERE event_id = ?', [eventId], (err, event) => {
+        if (err || !event) {
+            if (err) console.error('Sign-in sheet error:', err);
+            req.flash('error', 'Event not found.');
+            return res.redirect('/organiser/view-bookings');
+        }
+
+        global.db.all(
+            `SELECT o.order_id, o.booking_reference, o.attendee_name, o.dietary_notes,
+                    b.ticket_type, b.quantity
+             FROM orders o
+             JOIN bookings b ON b.order_id = o.order_id
+             WHERE o.event_id = ? AND o.status = 'confirmed'
+             ORDER BY o.attendee_name COLLATE NOCASE ASC, o.order_id ASC, b.booking_id ASC`,
+            [eventId],
+            (err2, rows) => {
+                if (err2) {
+                    console.error('Sign-in sheet error:', err2);
+                    req.flash('error', 'Failed to load bookings.');
+                    return res.redirect('/organiser/view-bookings');
+                }
+
+                const orders = [];
+                rows.forEach(row => {
+                    let order = orders.find(o => o.order_id === row.order_id);
+                    if (!order) {
+                        order = {
+                            order_id: row.order_id,
+                            booking_reference: row.booking_reference,
+                            attendee_name: row.attendee_name,
+                            dietary_notes: row.dietary_notes,
+                            lines: [],
+                            quantity: 0
+                        };
+                        orders.push(order);
+                    }
+                    order.lines.push({ ticket_type: row.ticket_type, quantity: row.quantity });
+                    order.quantity += row.quantity;
+                });
+
+                res.render('sign_in_sheet', {
+                    event,
+                    orders,
+                    totalTickets: orders.reduce((sum, o) => sum + o.quantity, 0)
+                });
+            }
+        );
+    });
+});
+
+// =============================================================================
+// CHECK-IN [EXTENSION]
+// Staff scan a ticket QR code (or type a booking reference), see the booking,
+// then confirm the check-in
+// =============================================================================
+
+/**
+ * GET /organiser/check-in/:id
+ * Purpose: Display the check-in page for an event, with the scanned booking if any
+ * Input: req.params.id (event ID), req.query.code (optional scanned code or typed reference)
+ * Output: Renders check_in.ejs with event, counts, attendee list and the looked-up booking
+ * Database: SELECT from events, orders, bookings tables
+ */
+router.get('/check-in/:id', requireEventAccess('checkin', EVENT_OWNER), (req, res) => {
+    const eventId = parsePositiveInt(req.params.id);
+
+    if (!eventId) {
+        req.flash('error', 'Invalid event ID.');
+        return res.redirect('/organiser');
+    }
+
+    global.db.get('SELECT * FROM events WHERE event_id = ?', [eventId], (err, event) => {
+        if (err || !event) {
+            if (err) console.error('Check-in event error:', err);
+            req.flash('error', 'Event not found.');
+            return res.redirect('/organiser');
+        }
+
+        loadCheckInCounts(eventId, (err2, counts) => {
+            if (err2) {
+                console.error('Check-in counts error:', err2);
+                return res.status(500).send('Failed to load check-in');
+            }
+
+            global.db.all(
+                `SELECT o.order_id, o.booking_reference, o.attendee_name, o.checked_in_at, SUM(b.quantity) AS quantity
+                 FROM orders o JOIN bookings b ON b.order_id = o.order_id
+                 WHERE o.event_id = ? AND o.status = 'confirmed'
+                 GROUP BY o.order_id
+                 ORDER BY o.attendee_name COLLATE NOCASE ASC`,
+                [eventId],
+                (err3, attendees) => {
+                    if (err3) {
+                        console.error('Check-in list error:', err3);
+                        return res.status(500).send('Failed to load check-in');
+                    }
+
+                    const render = (lookup) => res.render('check_in', {
+                        event,
+                        counts,
+                        attendees,
+                        code: req.query.code || '',
+                        lookup
+                    });
+
+                    if (req.query.code === undefined) return render(null);
+
+                    const parsed = parseCheckInCode(req.query.code);
+                    if (parsed.error) return render({ error: parsed.error });
+
+                    loadCheckInOrder(eventId, parsed.reference, (err4, order) => {
+                        if (err4) {
+                            console.error('Check-in lookup error:', err4);
+                            return render({ error: 'Failed to look up booking.' });
+                        }
+                        if (!order) {
+                            return render({ error: `No booking found with reference ${parsed.reference}.` });
+                        }
+                        if (order.event_id !== eventId) {
+                            return render({ error: `Booking ${order.booking_reference} is for ${order.event_title} on ${order.event_date.split('T')[0]}, not this event.` });
+                        }
+                        order.checked_in_at_formatted = formatDate(order.checked_in_at);
+                        render({ order });
+                    });
+                }
+            );
+        });
+    });
+});
+
+/**
+ * POST /organiser/check-in/:id/confirm/:orderId
+ * Purpose: Check a booking in (once only)
+ * Input: req.params.id (event ID), req.params.orderId, req.session.username
+ * Output: Redirects to the check-in page with the result
+ * Database: UPDATE orders (checked_in_at, checked_in_by)
+ */
+router.post('/check-in/:id/confirm/:orderId', requireEventAccess('checkin', EVENT_OWNER), (req, res) => {
+    const eventId = parsePositiveInt(req.params.id);
+    const orderId = parsePositiveInt(req.params.orderId);
+
+    if (!eventId || !orderId) {
+        req.flash('error', 'Invalid check-in request.');
+        return res.redirect('/organiser');
+    }
+    const backUrl = '/organiser/check-in/' + eventId;
+
+    checkInOrder(eventId, orderId, req.session.username || null, (err, result) => {
+        if (err) {
+            console.error('Check-in error:', err);
+            req.flash('error', 'Failed to check in booking.');
+        } else if (result.checkedIn) {
+            req.flash('success', `${result.order.attendee_name} (${result.order.booking_reference}) checked in.`);
+        } else if (!result.order) {
+            req.flash('error', 'Booking not found for this event.');
+        } else if (result.order.checked_in_at) {
+            req.flash('error', `${result.order.attendee_name} was already checked in at ${formatDate(result.order.checked_in_at)}` +
+                (result.order.checked_in_by ? ` by ${result.order.checked_in_by}.` : '.'));
+        } else if (result.order.status === 'pending') {
+            req.flash('error', `Booking ${result.order.booking_reference} has not been paid yet and cannot be checked in.`);
+        } else {
+            req.flash('error', `Booking ${result.order.booking_reference} is ${result.order.status} and cannot be checked in.`);
+        }
+        res.redirect(backUrl);
+    });
+});
+
+/**
+ * GET /organiser/check-in/:id/counts
+ * Purpose: Live checked-in / expected counts, polled by the check-in page
+ * Input: req.params.id (event ID)
+ * Output: JSON { checkedInTickets, expectedTickets, checkedInOrders, expectedOrders }
+ * Database: SELECT from orders, bookings tables
+ */
+router.get('/check-in/:id/counts', requireEventAccess('checkin', EVENT_OWNER), (req, res) => {
+    const eventId = parsePositiveInt(req.params.id);
+    if (!eventId) return res.status(400).json({ error: 'Invalid event ID' });
+
+    loadCheckInCounts(eventId, (err, counts) => {
+        if (err) {
+            console.error('Check-in counts error:', err);
+            return res.status(500).json({ error: 'Failed to load counts' });
+        }
+        res.json(counts);
+    });
+});
+
+// =============================================================================
+// WAITLIST MANAGEMENT [EXTENSION]
+// =============================================================================
+
+/**
+ * GET /organiser/waitlist
+ * Purpose: Display waiting and offered waitlist entries grouped by event
+ * Input: req.user (organisers see only their own events)
+ * Output: Renders view_waitlist.ejs with grouped waitlist data
+ * Database: SELECT from waitlist and events tables with JOIN
+ */
+router.get('/waitlist', requirePermission('bookings.manage'), (req, res) => {
+    const query = `
+        SELECT 
+            w.waitlist_id,
+            w.attendee_name,
             w.attendee_email,
             w.ticket_type,
             w.quantity,
             w.requested_at,
             w.status,
+            w.offer_expires_at,
+            w.claim_token,
             e.event_id,
             e.title as event_title,
             e.event_date
         FROM waitlist w
         JOIN events e ON w.event_id = e.event_id
-        WHERE w.status = 'waiting'
+        WHERE w.status IN ('waiting', 'offered') AND (? IS NULL OR e.owner_id = ?)
         ORDER BY e.event_date ASC, w.requested_at ASC
     `;
+    const ownerId = eventOwnerScope(req.user);
 
-    global.db.all(query, [], (err, entries) => {
+    global.db.all(query, [ownerId, ownerId], (err, entries) => {
         if (err) {
             console.error('Waitlist query error:', err);
             return res.status(500).send('Failed to load waitlist');
@@ -520,15 +2628,21 @@ router.get('/waitlist', (req, res) => {
             groupedByEvent[entry.event_id].entries.push(entry);
         });
 
+        // Position counts only people still waiting; offered entries show their claim link
         Object.values(groupedByEvent).forEach(event => {
-            event.entries.forEach((entry, index) => {
-                entry.position = index + 1;
+            let position = 0;
+            event.entries.forEach(entry => {
+                if (entry.status === 'offered') {
+                    entry.claimUrl = claimLink(entry);
+                } else {
+                    entry.position = ++position;
+                }
             });
         });
 
         res.render('view_waitlist', {
             waitlistByEvent: Object.values(groupedByEvent),
-            totalEntries: entries.length
+            totalEntries: entries.filter(e => e.status === 'waiting').length
         });
     });
 });
@@ -540,7 +2654,7 @@ router.get('/waitlist', (req, res) => {
  * Output: Redirects to /organiser/waitlist
  * Database: UPDATE waitlist status to 'removed'
  */
-router.post('/waitlist/remove/:id', (req, res) => {
+router.post('/waitlist/remove/:id', requireEventAccess('bookings.manage', WAITLIST_OWNER), (req, res) => {
     const waitlistId = req.params.id;
 
     if (!waitlistId || isNaN(waitlistId)) {
@@ -560,32 +2674,4 @@ router.post('/waitlist/remove/:id', (req, res) => {
     );
 });
 
-/**
- * POST /organiser/waitlist/notify/:id
- * Purpose: Mark waitlist entry as notified
- * Input: req.params.id (waitlist entry ID)
- * Output: Redirects to /organiser/waitlist
- * Database: UPDATE waitlist status and notified_at timestamp
- */
-router.post('/waitlist/notify/:id', (req, res) => {
-    const waitlistId = req.params.id;
-    const now = new Date().toISOString();
-
-    if (!waitlistId || isNaN(waitlistId)) {
-        return res.status(400).send('Invalid waitlist ID');
-    }
-
-    global.db.run(
-        "UPDATE waitlist SET status = 'notified', notified_at = ? WHERE waitlist_id = ?",
-        [now, waitlistId],
-        function(err) {
-            if (err) {
-                console.error('Waitlist notify error:', err);
-                return res.status(500).send('Notify failed');
-            }
-            res.redirect('/organiser/waitlist');
-        }
-    );
-});
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,127 @@
+/**
+ * routes/payments.js
+ * Payment Webhooks and Mock Checkout
+ *
+ * Purpose: Receive payment status callbacks from the gateway, and serve the
+ *          local mock gateway's checkout page for development
+ * Database: Uses global.db (single connection from index.js)
+ * Authentication: None - webhooks are checked by the gateway's signature, and
+ *                 mock checkout pages by their unguessable payment reference
+ */
+
+const express = require('express');
+const router = express.Router();
+const { PAYMENT_PROVIDER, getProvider, handleWebhook } = require('../utils/payments');
+
+// =============================================================================
+// SETTINGS MIDDLEWARE
+// Purpose: Load site settings for the mock checkout page
+// Input: None
+// Output: res.locals.settings
+// =============================================================================
+router.use((req, res, next) => {
+    global.db.get('SELECT * FROM settings WHERE id = 1', [], (err, settings) => {
+        res.locals.settings = (err || !settings) ? { site_name: 'Event Manager' } : settings;
+        next();
+    });
+});
+
+// =============================================================================
+// WEBHOOK
+// =============================================================================
+
+/**
+ * POST /payments/webhook/:provider
+ * Purpose: Apply a payment status callback (paid or failed) from a gateway
+ * Input: req.params.provider (gateway name), raw request body and headers (signature checked by the gateway)
+ * Output: JSON { received: true, action }, 400 for a bad body or signature, 404 for an unknown payment
+ * Database: UPDATE payments and orders via utils/payments.js
+ */
+// The raw body is kept so the gateway can check its signature over the exact bytes sent
+router.post('/webhook/:provider', express.raw({ type: '*/*', limit: '100kb' }), (req, res) => {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+    handleWebhook(req.params.provider, rawBody, req.headers, (err, result) => {
+        if (err && err.userMessage) {
+            return res.status(400).json({ error: { code: 'invalid_webhook', message: err.userMessage } });
+        }
+        if (err && err.notFound) {
+            return res.status(404).json({ error: { code: 'not_found', message: 'Payment not found.' } });
+        }
+        if (err) {
+            console.error('Payment webhook error:', err);
+            return res.status(500).json({ error: { code: 'server_error', message: 'Webhook could not be processed.' } });
+        }
+        res.json({ received: true, action: result.action });
+    });
+});
+
+// =============================================================================
+// MOCK GATEWAY CHECKOUT
+// Only served when PAYMENT_PROVIDER is 'mock'
+// =============================================================================
+
+/**
+ * loadMockPayment
+ * Purpose: Middleware - load the payment behind a mock checkout page
+ * Input: req.params.ref (mock payment reference)
+ * Output: Sets req.payment (with event title and date), or 404
+ * Database: SELECT from payments, orders, events tables
+ */
+function loadMockPayment(req, res, next) {
+    if (PAYMENT_PROVIDER !== 'mock') return res.status(404).send('Not found');
+
+    global.db.get(
+        `SELECT p.*, o.attendee_name, o.hold_expires_at, e.title, e.event_date, e.start_time, e.end_time
+         FROM payments p
+         LEFT JOIN orders o ON o.order_id = p.order_id
+         LEFT JOIN events e ON e.event_id = o.event_id
+         WHERE p.provider = 'mock' AND p.provider_ref = ?`,
+        [req.params.ref],
+        (err, payment) => {
+            if (err || !payment) return res.status(404).send('Payment not found');
+            req.payment = payment;
+            next();
+        }
+    );
+}
+
+/**
+ * GET /payments/mock/:ref
+ * Purpose: Display the mock gateway's checkout page
+ * Input: req.params.ref
+ * Output: Renders payment_mock.ejs
+ * Database: SELECT via loadMockPayment
+ */
+router.get('/mock/:ref', loadMockPayment, (req, res) => {
+    res.render('payment_mock', { payment: req.payment });
+});
+
+/**
+ * POST /payments/mock/:ref
+ * Purpose: Pay or decline on the mock checkout page; the mock gateway reports the
+ *          result through the webhook, exactly as a real gateway would
+ * Input: req.params.ref, req.body.outcome ('paid' or 'failed')
+ * Output: Redirects to the booking confirmation page
+ * Database: UPDATE payments and orders via handleWebhook
+ */
+router.post('/mock/:ref', loadMockPayment, (req, res) => {
+    const payment = req.payment;
+    const outcome = req.body.outcome === 'paid' ? 'paid' : 'failed';
+    const webhook = getProvider('mock').buildWebhook(payment.provider_ref, outcome);
+
+    // A lapsed hold can still be paid, to try out the late payment path (kept if seats are free, otherwise refunded)
+    if (payment.status !== 'pending' && payment.status !== 'expired') {
+        return res.redirect('/attendee/confirmation/' + payment.booking_reference);
+    }
+
+    handleWebhook('mock', webhook.rawBody, webhook.headers, (err) => {
+        if (err) {
+            console.error('Mock payment error:', err);
+            return res.status(500).send('Payment could not be processed');
+        }
+        res.redirect('/attendee/confirmation/' + payment.booking_reference);
+    });
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,101 @@
+/**
+ * test/concurrent-bookings.test.js
+ * Concurrent Bookings
+ *
+ * Purpose: Fire many bookings at one event at the same time and check that seats are
+ *          never oversold, that refused bookings leave nothing behind, and that writes
+ *          from other requests are not lost when a refused booking rolls back
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./support/server');
+
+const SEATS = 3;
+const REQUESTS = 6;
+
+/**
+ * book
+ * Purpose: Book one ticket through the JSON API
+ * Input: url (server), eventId, ticketId, index (used for the attendee name)
+ * Output: Promise<{ status, body }>
+ */
+async function book(url, eventId, ticketId, index) {
+    const response = await fetch(`${url}/api/v1/events/${eventId}/bookings`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            attendee_name: `Attendee ${index}`,
+            attendee_email: `attendee${index}@example.com`,
+            tickets: [{ ticket_id: ticketId, quantity: 1 }]
+        })
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+describe('concurrent bookings for one event', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer(async (db) => {
+            const now = new Date().toISOString();
+            await db.run(
+                `INSERT INTO events (event_id, title, event_date, created_at, updated_at, published_at, status)
+                 VALUES (1, 'Knife Skills', '2099-06-01', ?, ?, ?, 'published')`,
+                [now, now, now]
+            );
+            await db.run("INSERT INTO tickets (ticket_id, event_id, type, quantity, price) VALUES (1, 1, 'Free taster', ?, 0)", [SEATS]);
+            await db.run("INSERT INTO tickets (ticket_id, event_id, type, quantity, price) VALUES (2, 1, 'Full class', ?, 10)", [SEATS]);
+        });
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    it('sells each free seat once and refuses the rest as sold out', async () => {
+        const results = await Promise.all(
+            Array.from({ length: REQUESTS }, (_, index) => book(server.url, 1, 1, index))
+        );
+
+        const booked = results.filter(result => result.status === 201);
+        const refused = results.filter(result => result.status === 409);
+        assert.equal(booked.length, SEATS);
+        assert.equal(refused.length, REQUESTS - SEATS);
+        refused.forEach(result => assert.equal(result.body.error.code, 'unavailable'));
+
+        const row = await server.db.get("SELECT COALESCE(SUM(quantity), 0) AS sold FROM bookings WHERE ticket_type = 'Free taster'");
+        assert.equal(row.sold, SEATS);
+        const orders = await server.db.get(
+            `SELECT COUNT(*) AS count FROM orders o
+             WHERE EXISTS (SELECT 1 FROM bookings b WHERE b.order_id = o.order_id AND b.ticket_type = 'Free taster')`
+        );
+        assert.equal(orders.count, SEATS);
+    });
+
+    it('keeps every paid order payable while sold-out bookings roll back', async () => {
+        // The first burst used up this address's free bookings (see LIMITS in utils/throttle.js)
+        await server.db.run('UPDATE attempts SET cleared_at = ?', [new Date().toISOString()]);
+
+        const results = await Promise.all(
+            Array.from({ length: REQUESTS }, (_, index) => book(server.url, 1, 2, 100 + index))
+        );
+
+        const booked = results.filter(result => result.status === 201);
+        assert.equal(booked.length, SEATS);
+        assert.equal(results.filter(result => result.status === 409).length, REQUESTS - SEATS);
+
+        // Each pending order's payment row must have survived the other requests' rollbacks
+        const missing = await server.db.all(
+            `SELECT o.order_id FROM orders o
+             WHERE o.status = 'pending' AND NOT EXISTS (SELECT 1 FROM payments p WHERE p.order_id = o.order_id)`
+        );
+        assert.deepEqual(missing, []);
+
+        for (const result of booked) {
+            assert.equal(result.body.data.status, 'pending');
+            const checkout = await fetch(result.body.data.payment.checkout_url);
+            assert.equal(checkout.status, 200, `checkout page for ${result.body.data.booking_reference}`);
+        }
+    });
+});
\ No newline at end of file
@@ -0,0 +1,210 @@
+/**
+ * test/event-access.test.js
+ * Who May Manage Events
+ *
+ * Purpose: Check check-in staff and finance accounts cannot create, change, publish or
+ *          delete events, and that organisers cannot touch another account's events,
+ *          through both the organiser pages and the organiser API
+ */
+
+const crypto = require('crypto');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./support/server');
+
+const PASSWORD = 'right-password';
+const ACCOUNTS = ['staff', 'finance', 'chef', 'baker'];
+// Event 1 (the only occurrence of series 1) belongs to baker, event 2 to chef
+const OTHERS_EVENT = 1;
+const OWN_EVENT = 2;
+
+/**
+ * apiToken
+ * Purpose: The API token seeded for an account
+ * Input: username
+ * Output: String
+ */
+function apiToken(username) {
+    return `fa_test_${username}_token`;
+}
+
+/**
+ * logIn
+ * Purpose: Log in through the login form
+ * Input: url (server), username
+ * Output: Promise<string> - the session cookie to send with later requests
+ */
+async function logIn(url, username) {
+    const response = await fetch(`${url}/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ username, password: PASSWORD }).toString(),
+        redirect: 'manual'
+    });
+    assert.equal(response.status, 302, `${username} logs in`);
+    return response.headers.getSetCookie().map(cookie => cookie.split(';')[0]).join('; ');
+}
+
+/**
+ * sendForm
+ * Purpose: Request an organiser page as a logged-in account
+ * Input: url (server), cookie, method, path, form (object, for POST)
+ * Output: Promise<Response>
+ */
+function sendForm(url, cookie, method, path, form) {
+    return fetch(url + path, {
+        method,
+        headers: { Cookie: cookie, 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: method === 'POST' ? new URLSearchParams(form || {}).toString() : undefined,
+        redirect: 'manual'
+    });
+}
+
+/**
+ * sendApi
+ * Purpose: Call an organiser API endpoint with an account's token
+ * Input: url (server), username, method, path, body (object, optional)
+ * Output: Promise<{ status, body }>
+ */
+async function sendApi(url, username, method, path, body) {
+    const response = await fetch(`${url}/api/v1${path}`, {
+        method,
+        headers: { Authorization: `Bearer ${apiToken(username)}`, 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+// Every organiser page that changes an event, with the event it acts on
+const MANAGE_PAGES = (eventId) => [
+    ['GET', '/organiser/create'],
+    ['GET', `/organiser/edit/${eventId}`],
+    ['POST', `/organiser/edit/${eventId}`, { title: 'Changed' }],
+    ['POST', `/organiser/publish/${eventId}`],
+    ['POST', `/organiser/delete/${eventId}`],
+    ['POST', `/organiser/publish-series/${eventId}`],
+    ['POST', `/organiser/delete-series/${eventId}`],
+    ['GET', '/organiser/import'],
+    ['POST', '/organiser/import', { import_text: 'title,event_date,ticket_type\nNew,2099-01-01,Standard', action: 'import' }]
+];
+
+// Every organiser API endpoint that changes an event
+const MANAGE_ENDPOINTS = (eventId) => [
+    ['POST', '/organiser/events', { title: 'New', event_date: '2099-01-01', tickets: [{ type: 'Standard', price: 0, quantity: 5 }] }],
+    ['PUT', `/organiser/events/${eventId}`, { title: 'Changed' }],
+    ['POST', `/organiser/events/${eventId}/publish`],
+    ['DELETE', `/organiser/events/${eventId}`]
+];
+
+describe('event access by role and owner', () => {
+    let server;
+
+    /**
+     * eventsUnchanged
+     * Purpose: Check the seeded events are still there as they were
+     * Input: None
+     * Output: Promise
+     */
+    async function eventsUnchanged() {
+        const events = await server.db.all('SELECT event_id, title, status FROM events ORDER BY event_id');
+        assert.deepEqual(events, [
+            { event_id: OTHERS_EVENT, title: "Baker's Bread", status: 'draft' },
+            { event_id: OWN_EVENT, title: "Chef's Pasta", status: 'draft' }
+        ]);
+    }
+
+    before(async () => {
+        server = await startServer(async (db) => {
+            const now = new Date().toISOString();
+            for (const username of ACCOUNTS) {
+                const role = ['staff', 'finance'].includes(username) ? username : 'organiser';
+                const account = await db.run(
+                    'INSERT INTO organisers (username, password, email, role, created_at) VALUES (?, ?, ?, ?, ?)',
+                    [username, PASSWORD, `${username}@example.com`, role, now]
+                );
+                await db.run(
+                    `INSERT INTO api_tokens (organiser_id, name, token_hash, token_prefix, scope, created_at)
+                     VALUES (?, 'test', ?, 'fa_test', 'write', ?)`,
+                    [account.lastID, crypto.createHash('sha256').update(apiToken(username)).digest('hex'), now]
+                );
+            }
+
+            await db.run(
+                "INSERT INTO event_series (series_id, weekdays, start_date, occurrence_count, created_at) VALUES (1, '1', '2099-06-01', 2, ?)",
+                [now]
+            );
+            const addEvent = (eventId, title, date, seriesId, owner) => db.run(
+                `INSERT INTO events (event_id, title, event_date, start_time, end_time, series_id, owner_id, created_at, updated_at, status)
+                 VALUES (?, ?, ?, '18:00', '21:00', ?, (SELECT organiser_id FROM organisers WHERE username = ?), ?, ?, 'draft')`,
+                [eventId, title, date, seriesId, owner, now, now]
+            );
+            await addEvent(OTHERS_EVENT, "Baker's Bread", '2099-06-01', 1, 'baker');
+            await addEvent(OWN_EVENT, "Chef's Pasta", '2099-06-08', null, 'chef');
+            await db.run("INSERT INTO tickets (event_id, type, quantity, price, sort_order) VALUES (1, 'Standard', 10, 0, 0), (2, 'Standard', 10, 0, 0)");
+        });
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    for (const username of ['staff', 'finance']) {
+        it(`turns ${username} away from every page that manages events`, async () => {
+            const cookie = await logIn(server.url, username);
+            for (const [method, path, form] of MANAGE_PAGES(OWN_EVENT)) {
+                const response = await sendForm(server.url, cookie, method, path, form);
+                assert.equal(response.status, 302, `${method} ${path}`);
+                assert.equal(response.headers.get('location'), '/organiser', `${method} ${path}`);
+            }
+
+            const dashboard = await sendForm(server.url, cookie, 'GET', '/organiser');
+            assert.match(await dashboard.text(), /You do not have permission to do that\./);
+            await eventsUnchanged();
+        });
+
+        it(`refuses ${username} every API endpoint that manages events`, async () => {
+            for (const [method, path, body] of MANAGE_ENDPOINTS(OWN_EVENT)) {
+                const response = await sendApi(server.url, username, method, path, body);
+                assert.equal(response.status, 403, `${method} ${path}`);
+                assert.equal(response.body.error.code, 'forbidden');
+            }
+            await eventsUnchanged();
+
+            // Viewing is still allowed, across every account's events
+            assert.equal((await sendApi(server.url, username, 'GET', `/organiser/events/${OTHERS_EVENT}`)).status, 200);
+        });
+    }
+
+    it("turns an organiser away from another account's event pages", async () => {
+        const cookie = await logIn(server.url, 'chef');
+        const otherPages = MANAGE_PAGES(OTHERS_EVENT).filter(([, path]) => path.includes(`/${OTHERS_EVENT}`));
+        for (const [method, path, form] of otherPages) {
+            const response = await sendForm(server.url, cookie, method, path, form);
+            assert.equal(response.status, 302, `${method} ${path}`);
+            assert.equal(response.headers.get('location'), '/organiser', `${method} ${path}`);
+        }
+        await eventsUnchanged();
+
+        // Their own event opens as usual
+        assert.equal((await sendForm(server.url, cookie, 'GET', `/organiser/edit/${OWN_EVENT}`)).status, 200);
+    });
+
+    it("refuses an organiser the API for another account's event", async () => {
+        const endpoints = [
+            ['GET', `/organiser/events/${OTHERS_EVENT}`],
+            ['GET', `/organiser/events/${OTHERS_EVENT}/bookings`],
+            ...MANAGE_ENDPOINTS(OTHERS_EVENT).slice(1)
+        ];
+        for (const [method, path, body] of endpoints) {
+            const response = await sendApi(server.url, 'chef', method, path, body);
+            assert.equal(response.status, 403, `${method} ${path}`);
+            assert.equal(response.body.error.message, 'You can only manage your own events.');
+        }
+        await eventsUnchanged();
+
+        const own = await sendApi(server.url, 'chef', 'GET', `/organiser/events/${OWN_EVENT}`);
+        assert.equal(own.status, 200);
+        const listed = await sendApi(server.url, 'chef', 'GET', '/organiser/events');
+        assert.deepEqual(listed.body.data.map(event => event.event_id), [OWN_EVENT]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,70 @@
+/**
+ * test/exports.test.js
+ * CSV Exports
+ *
+ * Purpose: Check CSV cells typed in by the public cannot run as spreadsheet formulas
+ *          and that commas, quotes and line breaks are quoted so columns stay in line
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { csvCell, buildCsv } = require('../utils/exports');
+
+describe('csvCell', () => {
+    it('prefixes cells that start with a formula character with an apostrophe', () => {
+        assert.equal(csvCell('=1+1'), "'=1+1");
+        assert.equal(csvCell('+44 20 7946 0000'), "'+44 20 7946 0000");
+        assert.equal(csvCell('-2+3'), "'-2+3");
+        assert.equal(csvCell('@SUM(A1:A9)'), "'@SUM(A1:A9)");
+        assert.equal(csvCell('\t=cmd'), "'\t=cmd");
+    });
+
+    it('leaves formula characters alone after the first', () => {
+        assert.equal(csvCell('Ann=Lee'), 'Ann=Lee');
+        assert.equal(csvCell('ann+events@example.com'), 'ann+events@example.com');
+    });
+
+    it('quotes cells with commas, quotes or line breaks and doubles the quotes', () => {
+        assert.equal(csvCell('Lee, Ann'), '"Lee, Ann"');
+        assert.equal(csvCell('The "big" night'), '"The ""big"" night"');
+        assert.equal(csvCell('No nuts\nNo dairy'), '"No nuts\nNo dairy"');
+        assert.equal(csvCell('No nuts\r\nNo dairy'), '"No nuts\r\nNo dairy"');
+    });
+
+    it('prefixes before quoting when a formula has commas or quotes', () => {
+        assert.equal(csvCell('=HYPERLINK("http://example.com","Click")'), '"\'=HYPERLINK(""http://example.com"",""Click"")"');
+        assert.equal(csvCell('\rhidden'), '"\'\rhidden"');
+    });
+
+    it('writes numbers as they are, and money to two decimal places', () => {
+        assert.equal(csvCell(-5), '-5');
+        assert.equal(csvCell(12.5, true), '12.50');
+        assert.equal(csvCell(0, true), '0.00');
+    });
+
+    it('writes nothing for missing values', () => {
+        assert.equal(csvCell(null), '');
+        assert.equal(csvCell(undefined), '');
+        assert.equal(csvCell(''), '');
+    });
+});
+
+describe('buildCsv', () => {
+    it('writes a byte order mark, a header row and CRLF line endings', () => {
+        const columns = [
+            { header: 'Attendee Name', key: 'attendee_name' },
+            { header: 'Price Paid', key: 'price_paid', money: true },
+            { header: 'Dietary Notes', key: 'dietary_notes' }
+        ];
+        const rows = [
+            { attendee_name: 'Lee, Ann', price_paid: 15, dietary_notes: '=IMPORTXML("x")' },
+            { attendee_name: 'Bob', price_paid: 0, dietary_notes: null }
+        ];
+        assert.equal(
+            buildCsv(columns, rows),
+            '\uFEFFAttendee Name,Price Paid,Dietary Notes\r\n' +
+            '"Lee, Ann",15.00,"\'=IMPORTXML(""x"")"\r\n' +
+            'Bob,0.00,\r\n'
+        );
+    });
+});
\ No newline at end of file
@@ -0,0 +1,203 @@
+/**
+ * test/import.test.js
+ * Bulk Event Import
+ *
+ * Purpose: Check malformed files and rows, bad dates and times and repeated rows are
+ *          reported before anything is saved, and that an import that fails part of
+ *          the way through saves nothing
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useDatabase } = require('./support/database');
+const { parseImport } = require('../utils/import');
+const { DEFAULT_START_TIME, DEFAULT_END_TIME, importEvents } = require('../utils/events');
+
+const HEADER = 'title,event_date,start_time,end_time,category,ticket_type,ticket_price,ticket_quantity';
+
+/**
+ * csv
+ * Purpose: Parse CSV rows under the usual header
+ * Input: rows (array of lines without the header)
+ * Output: Result of parseImport
+ */
+function csv(rows) {
+    return parseImport([HEADER, ...rows].join('\n'), 'csv');
+}
+
+/**
+ * errorsOf
+ * Purpose: The errors found for each entry of a parsed import
+ * Input: parsed (from parseImport)
+ * Output: Array of arrays of messages
+ */
+function errorsOf(parsed) {
+    return parsed.entries.map(entry => entry.errors);
+}
+
+describe('parseImport', () => {
+    it('groups consecutive rows for the same event into its ticket tiers', () => {
+        const parsed = parseImport([
+            HEADER,
+            '"Pasta Night, Autumn",2099-06-01,18:00,21:00,Cookery,Standard,15,20',
+            '"Pasta Night, Autumn",2099-06-01,18:00,21:00,Cookery,Child,7.5,10',
+            '',
+            'Wine Tasting,2099-06-08,,,,Standard,,'
+        ].join('\r\n'), 'auto');
+
+        assert.equal(parsed.format, 'csv');
+        assert.deepEqual(parsed.entries.map(entry => entry.source), ['Lines 2-3', 'Line 5']);
+        assert.deepEqual(errorsOf(parsed), [[], []]);
+
+        const [pasta, wine] = parsed.entries;
+        assert.equal(pasta.details.title, 'Pasta Night, Autumn');
+        assert.equal(pasta.categoryName, 'Cookery');
+        assert.deepEqual(pasta.tiers.map(tier => [tier.type, tier.price, tier.quantity]), [['Standard', 15, 20], ['Child', 7.5, 10]]);
+
+        // Blank times and amounts take the same defaults as the edit form
+        assert.deepEqual([wine.details.startTime, wine.details.endTime], [DEFAULT_START_TIME, DEFAULT_END_TIME]);
+        assert.deepEqual(wine.tiers.map(tier => [tier.price, tier.quantity]), [[0, 0]]);
+    });
+
+    it('refuses files it cannot read as a whole', () => {
+        assert.equal(parseImport('  ', 'auto').error, 'Paste or choose a file to import.');
+        assert.equal(csv(['"Pasta Night,2099-06-01,,,,Standard,15,20']).error, 'Line 2: a quoted value is never closed.');
+        assert.equal(parseImport(HEADER, 'csv').error, 'The CSV needs a header row and at least one event row.');
+        assert.match(parseImport('title,date,ticket_type\nPasta,2099-06-01,Standard', 'csv').error, /^Unknown column "date"\./);
+        assert.equal(parseImport('title,ticket_type\nPasta,Standard', 'csv').error, 'The CSV is missing the "event_date" column.');
+        assert.match(parseImport('[{"title": "Pasta"', 'auto').error, /^The JSON could not be read: /);
+        assert.equal(parseImport('{"events": []}', 'json').error, 'The JSON must be an array of events (or an object with an "events" array).');
+    });
+
+    it('reports malformed rows against the event they belong to', () => {
+        const parsed = csv([
+            'Pasta Night,2099-06-01,18:00,21:00,,Standard,ten,20',
+            'Wine Tasting,2099-06-08,18:00,21:00,,Standard,15,2.5',
+            'Cheese Board,2099-06-15',
+            'Bread Making,2099-06-22,18:00,21:00,,Standard,-5,20'
+        ]);
+        assert.deepEqual(errorsOf(parsed), [
+            ['Ticket price "ten" is not a number.'],
+            ['Ticket quantity "2.5" is not a whole number.'],
+            ['Every ticket tier needs a name.'],
+            ['Prices and quantities cannot be negative.']
+        ]);
+
+        const json = parseImport('[{"title": "Pasta Night", "event_date": "2099-06-01", "tickets": [{"type": "Standard"}]}, "Wine"]', 'auto');
+        assert.equal(json.format, 'json');
+        assert.deepEqual(errorsOf(json), [[], ['Each event must be an object.']]);
+        assert.deepEqual(parseImport('[{"title": "Pasta Night", "event_date": "2099-06-01"}]', 'json').entries[0].errors,
+            ['At least one ticket tier is required.']);
+    });
+
+    it('reports dates and times that are not real or not in the right form', () => {
+        const parsed = csv([
+            'Pasta Night,2099-02-30,18:00,21:00,,Standard,15,20',
+            'Wine Tasting,2099-13-01,18:00,21:00,,Standard,15,20',
+            'Cheese Board,01/06/2099,18:00,21:00,,Standard,15,20',
+            'Bread Making,2020-01-01,18:00,21:00,,Standard,15,20',
+            'Pie Night,2099-06-01,7pm,21:00,,Standard,15,20',
+            'Soup Night,2099-06-02,18:00,24:00,,Standard,15,20',
+            'Late Supper,2099-06-03,21:00,18:00,,Standard,15,20'
+        ]);
+        const errors = errorsOf(parsed);
+
+        assert.deepEqual(errors[0], ['Event date is not a valid date.']);
+        assert.deepEqual(errors[1], ['Event date is not a valid date.']);
+        assert.ok(errors[2].includes('Event date must be written as YYYY-MM-DD.'));
+        assert.deepEqual(errors[3], ['Event date must be today or in the future.']);
+        assert.deepEqual(errors[4], ['Start and end times must be written as HH:MM (24-hour clock).']);
+        assert.deepEqual(errors[5], ['Start and end times must be written as HH:MM (24-hour clock).']);
+        assert.deepEqual(errors[6], ['The event must end after it starts (on the same day).']);
+    });
+
+    it('reports a ticket tier listed twice, whether by a repeated row or in JSON', () => {
+        const row = 'Pasta Night,2099-06-01,18:00,21:00,,Standard,15,20';
+        const parsed = csv([row, row]);
+        assert.equal(parsed.entries.length, 1);
+        assert.equal(parsed.entries[0].source, 'Lines 2-3');
+        assert.deepEqual(parsed.entries[0].errors, ['Ticket tier "Standard" is listed more than once.']);
+
+        const json = parseImport(JSON.stringify({
+            events: [{ title: 'Pasta Night', event_date: '2099-06-01', tickets: [{ type: 'Standard' }, { type: 'standard' }] }]
+        }), 'auto');
+        assert.deepEqual(errorsOf(json), [['Ticket tier "standard" is listed more than once.']]);
+    });
+});
+
+describe('importEvents', () => {
+    let database;
+
+    /**
+     * save
+     * Purpose: Promise wrapper around importEvents
+     * Input: entries, ownerId
+     * Output: Promise<{ events, categories }>
+     */
+    function save(entries, ownerId) {
+        return new Promise((resolve, reject) => {
+            importEvents(entries, ownerId, (err, result) => (err ? reject(err) : resolve(result)));
+        });
+    }
+
+    /**
+     * counts
+     * Purpose: How many events, tickets and categories are stored
+     * Input: None
+     * Output: Promise<{ events, tickets, categories }>
+     */
+    function counts() {
+        return database.db.get(
+            `SELECT (SELECT COUNT(*) FROM events) AS events, (SELECT COUNT(*) FROM tickets) AS tickets,
+                    (SELECT COUNT(*) FROM categories) AS categories`
+        );
+    }
+
+    before(async () => {
+        database = await useDatabase(async (db) => {
+            await db.run("INSERT INTO categories (name) VALUES ('Cookery')");
+        });
+    });
+
+    after(async () => {
+        if (database) await database.close();
+    });
+
+    it('saves nothing when an event fails part of the way through', async () => {
+        const earlier = await counts();
+        const parsed = csv([
+            'Pasta Night,2099-06-01,18:00,21:00,Supper Club,Standard,15,20',
+            'Pasta Night,2099-06-01,18:00,21:00,Supper Club,Child,7.5,10',
+            'Wine Tasting,2099-06-08,18:00,21:00,Tastings,Standard,15,20'
+        ]);
+        assert.deepEqual(errorsOf(parsed), [[], []]);
+
+        // The second event cannot be stored, after the first and its new category have been
+        const [first, second] = parsed.entries;
+        await assert.rejects(save([first, { ...second, details: { ...second.details, title: null } }], null), /NOT NULL/);
+
+        assert.deepEqual(await counts(), earlier);
+        const category = await database.db.get("SELECT category_id FROM categories WHERE name IN ('Supper Club', 'Tastings')");
+        assert.equal(category, undefined);
+    });
+
+    it('saves every event as a draft for its owner, matching categories ignoring case', async () => {
+        const earlier = await counts();
+        const parsed = csv([
+            'Pasta Night,2099-06-01,18:00,21:00,cookery,Standard,15,20',
+            'Pasta Night,2099-06-01,18:00,21:00,cookery,Child,7.5,10',
+            'Wine Tasting,2099-06-08,18:00,21:00,Tastings,Standard,15,20'
+        ]);
+        assert.deepEqual(await save(parsed.entries, 1), { events: 2, categories: 1 });
+
+        assert.deepEqual(await counts(), { events: earlier.events + 2, tickets: earlier.tickets + 3, categories: earlier.categories + 1 });
+        const events = await database.db.all(
+            `SELECT e.title, e.status, e.owner_id, c.name AS category FROM events e
+             JOIN categories c ON c.category_id = e.category_id ORDER BY e.event_date`
+        );
+        assert.deepEqual(events, [
+            { title: 'Pasta Night', status: 'draft', owner_id: 1, category: 'Cookery' },
+            { title: 'Wine Tasting', status: 'draft', owner_id: 1, category: 'Tastings' }
+        ]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,95 @@
+/**
+ * test/late-payment.test.js
+ * Payments That Arrive Late
+ *
+ * Purpose: Send a "paid" webhook for a payment the site has already given up on and
+ *          check the money is recorded and refunded rather than dropped
+ */
+
+const crypto = require('crypto');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./support/server');
+
+const PRICE = 15;
+
+/**
+ * sendWebhook
+ * Purpose: Post a mock gateway webhook signed with the site's generated secret
+ * Input: server, providerRef, type ('payment.succeeded' or 'payment.failed')
+ * Output: Promise<{ status, body }>
+ */
+async function sendWebhook(server, providerRef, type) {
+    const secret = await server.db.get("SELECT value FROM site_secrets WHERE name = 'payment_webhook'");
+    const body = JSON.stringify({ type, payment_ref: providerRef });
+    const response = await fetch(`${server.url}/payments/webhook/mock`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Mock-Signature': crypto.createHmac('sha256', secret.value).update(body).digest('hex')
+        },
+        body
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+describe('a payment that arrives after the order was released', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer(async (db) => {
+            const now = new Date().toISOString();
+            await db.run(
+                `INSERT INTO events (event_id, title, event_date, created_at, updated_at, published_at, status)
+                 VALUES (1, 'Pasta Night', '2099-06-01', ?, ?, ?, 'published')`,
+                [now, now, now]
+            );
+            await db.run("INSERT INTO tickets (ticket_id, event_id, type, quantity, price) VALUES (1, 1, 'Standard', 10, ?)", [PRICE]);
+        });
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    it('records the money and refunds it in full', async () => {
+        const booking = await fetch(`${server.url}/api/v1/events/1/bookings`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                attendee_name: 'Ann Lee',
+                attendee_email: 'ann@example.com',
+                tickets: [{ ticket_id: 1, quantity: 1 }]
+            })
+        });
+        assert.equal(booking.status, 201);
+        const { data } = await booking.json();
+
+        const declined = await server.db.get('SELECT provider_ref FROM payments WHERE booking_reference = ?', [data.booking_reference]);
+        const failed = await sendWebhook(server, declined.provider_ref, 'payment.failed');
+        assert.equal(failed.body.action, 'released');
+
+        const paid = await sendWebhook(server, declined.provider_ref, 'payment.succeeded');
+        assert.equal(paid.status, 200);
+        assert.equal(paid.body.action, 'refund');
+
+        const order = await server.db.get('SELECT status FROM orders WHERE booking_reference = ?', [data.booking_reference]);
+        assert.equal(order.status, 'expired');
+
+        // The refund is sent after the webhook has been answered
+        const payment = await server.db.get('SELECT payment_id FROM payments WHERE booking_reference = ?', [data.booking_reference]);
+        let refunds = [];
+        for (let i = 0; i < 20 && !(refunds.length > 0 && refunds[0].status === 'processed'); i++) {
+            if (i > 0) await new Promise(resolve => setTimeout(resolve, 50));
+            refunds = await server.db.all('SELECT amount, reason, status FROM refunds WHERE payment_id = ?', [payment.payment_id]);
+        }
+        assert.deepEqual(refunds, [{ amount: PRICE, reason: 'late_payment', status: 'processed' }]);
+
+        const refunded = await server.db.get('SELECT status, refunded_amount FROM payments WHERE payment_id = ?', [payment.payment_id]);
+        assert.deepEqual(refunded, { status: 'refunded', refunded_amount: PRICE });
+
+        // A repeated webhook does not refund twice
+        const repeated = await sendWebhook(server, declined.provider_ref, 'payment.succeeded');
+        assert.equal(repeated.body.action, 'none');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,88 @@
+/**
+ * test/login-throttle.test.js
+ * Login Lockout
+ *
+ * Purpose: Send a burst of wrong passwords at once and check they are counted before
+ *          the passwords are checked, so a parallel burst cannot get past the back-off
+ *          or the lockout
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./support/server');
+const { LIMITS } = require('../utils/throttle');
+
+const BURST = 12;
+
+/**
+ * login
+ * Purpose: Post the login form once
+ * Input: url (server), username, password
+ * Output: Promise<{ status, text }>
+ */
+async function login(url, username, password) {
+    const response = await fetch(`${url}/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ username, password }).toString(),
+        redirect: 'manual'
+    });
+    return { status: response.status, text: await response.text() };
+}
+
+describe('wrong passwords sent at the same time', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer(async (db) => {
+            await db.run(
+                "INSERT INTO organisers (username, password, email, role, created_at) VALUES ('chef', 'right-password', 'chef@example.com', 'organiser', ?)",
+                [new Date().toISOString()]
+            );
+        });
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    it('only lets the free attempts through, then backs off', async () => {
+        const results = await Promise.all(
+            Array.from({ length: BURST }, () => login(server.url, 'admin', 'wrong-password'))
+        );
+
+        const checked = results.filter(result => result.status === 200);
+        const refused = results.filter(result => result.status === 429);
+        assert.equal(checked.length, LIMITS.login.free);
+        assert.equal(refused.length, BURST - LIMITS.login.free);
+        checked.forEach(result => assert.match(result.text, /Invalid username or password/));
+    });
+
+    it('locks the account once the last allowed failure is counted, even for the right password', async () => {
+        // Start from a clean address, and put the account one failure short of the
+        // lockout with failures old enough that the back-off has passed
+        await server.db.run('UPDATE attempts SET cleared_at = ?', [new Date().toISOString()]);
+        const earlier = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+        for (let i = 0; i < LIMITS.login.lockAfter.account - 1; i++) {
+            await server.db.run(
+                "INSERT INTO attempts (action, username, ip, outcome, reason, created_at) VALUES ('login', 'chef', '203.0.113.9', 'failed', 'wrong password', ?)",
+                [earlier]
+            );
+        }
+
+        const results = await Promise.all(
+            Array.from({ length: BURST }, () => login(server.url, 'chef', 'wrong-password'))
+        );
+        assert.equal(results.filter(result => result.status === 200).length, 1);
+        assert.equal(results.filter(result => result.status === 429).length, BURST - 1);
+
+        const failed = await server.db.get(
+            "SELECT COUNT(*) AS count FROM attempts WHERE username = 'chef' AND outcome = 'failed' AND cleared_at IS NULL"
+        );
+        assert.equal(failed.count, LIMITS.login.lockAfter.account);
+
+        const correct = await login(server.url, 'chef', 'right-password');
+        assert.equal(correct.status, 429);
+        assert.match(correct.text, /Try again in 1[45] minutes/);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,91 @@
+/**
+ * test/manage-booking.test.js
+ * Managing a Paid Booking
+ *
+ * Purpose: Send the same "reduce my tickets" form several times at once and check the
+ *          tickets are only taken off, and refunded, once
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./support/server');
+
+const PRICE = 10;
+
+/**
+ * paidBooking
+ * Purpose: Book tickets through the JSON API and pay on the mock checkout page
+ * Input: url (server), quantity
+ * Output: Promise<string> - the booking's manage link from the confirmation page
+ */
+async function paidBooking(url, quantity) {
+    const booking = await fetch(`${url}/api/v1/events/1/bookings`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            attendee_name: 'Ann Lee',
+            attendee_email: 'ann@example.com',
+            tickets: [{ ticket_id: 1, quantity }]
+        })
+    });
+    assert.equal(booking.status, 201);
+    const { data } = await booking.json();
+
+    const paid = await fetch(data.payment.checkout_url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: 'outcome=paid'
+    });
+    assert.equal(paid.status, 200);
+
+    const link = (await paid.text()).match(/href="([^"]*\/attendee\/manage\/[^"]+)"/);
+    assert.ok(link, 'confirmation page links to the manage page');
+    return link[1].replace(/&amp;/g, '&');
+}
+
+describe('reducing a paid booking', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer(async (db) => {
+            const now = new Date().toISOString();
+            await db.run(
+                `INSERT INTO events (event_id, title, event_date, created_at, updated_at, published_at, status)
+                 VALUES (1, 'Bread Basics', '2099-06-01', ?, ?, ?, 'published')`,
+                [now, now, now]
+            );
+            await db.run("INSERT INTO tickets (ticket_id, event_id, type, quantity, price) VALUES (1, 1, 'Standard', 10, ?)", [PRICE]);
+        });
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    it('takes off and refunds the tickets once when the form is sent three times at once', async () => {
+        const manageUrl = new URL(await paidBooking(server.url, 2), server.url);
+        const reference = manageUrl.pathname.split('/').pop();
+        const line = await server.db.get('SELECT booking_id FROM bookings b JOIN orders o USING (order_id) WHERE o.booking_reference = ?', [reference]);
+
+        const form = new URLSearchParams({ token: manageUrl.searchParams.get('token'), ['qty_' + line.booking_id]: '1' });
+        const responses = await Promise.all([1, 2, 3].map(() => fetch(`${server.url}/attendee/manage/${reference}/update`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: form.toString(),
+            redirect: 'manual'
+        })));
+        responses.forEach(response => assert.equal(response.status, 302));
+
+        const booked = await server.db.get('SELECT quantity FROM bookings WHERE booking_id = ?', [line.booking_id]);
+        assert.equal(booked.quantity, 1);
+
+        const refunds = await server.db.all(
+            "SELECT r.amount FROM refunds r JOIN payments p USING (payment_id) WHERE p.booking_reference = ? AND r.reason = 'attendee_reduced'",
+            [reference]
+        );
+        assert.deepEqual(refunds.map(refund => refund.amount), [PRICE]);
+
+        const payment = await server.db.get('SELECT refunded_amount FROM payments WHERE booking_reference = ?', [reference]);
+        assert.equal(payment.refunded_amount, PRICE);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,208 @@
+/**
+ * test/promos.test.js
+ * Promo Codes
+ *
+ * Purpose: Check the discounts a promo code gives, how they are rounded and shared
+ *          between ticket lines, and that usage limits and validity dates are kept
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useDatabase } = require('./support/database');
+const { setSiteTimeZone } = require('../utils/helpers');
+const { applyPromoCode, orderTotals } = require('../utils/promos');
+
+const NOW = '2026-06-01T12:00:00.000Z';
+const EVENT = { event_id: 1, category_id: null };
+
+/**
+ * line
+ * Purpose: A ticket line as selectTicketLines gives it
+ * Input: type, price, quantity
+ * Output: { ticket, quantity }
+ */
+function line(type, price, quantity) {
+    return { ticket: { type, price }, quantity };
+}
+
+/**
+ * apply
+ * Purpose: Promise wrapper around applyPromoCode
+ * Input: code, lines, details (merged over { email, now: NOW }), event (default EVENT)
+ * Output: Promise<{ promo, lines }>
+ */
+function apply(code, lines, details = {}, event = EVENT) {
+    return new Promise((resolve, reject) => {
+        applyPromoCode(code, event, { email: 'ann@example.com', now: NOW, ...details }, lines, (err, result) => {
+            if (err) return reject(err);
+            resolve(result);
+        });
+    });
+}
+
+/**
+ * discounts
+ * Purpose: The discount worked out for each line
+ * Input: result (from apply)
+ * Output: Array of numbers
+ */
+function discounts(result) {
+    return result.lines.map(item => item.discount);
+}
+
+/**
+ * refused
+ * Purpose: Check a code is turned down with the message the attendee sees
+ * Input: promise (from apply), message
+ * Output: Promise
+ */
+function refused(promise, message) {
+    return assert.rejects(promise, err => {
+        assert.equal(err.userMessage, message);
+        return true;
+    });
+}
+
+describe('applyPromoCode', () => {
+    let database;
+    let orders = 0;
+
+    /**
+     * addPromo
+     * Purpose: Seed a promo code
+     * Input: code, fields (columns to set besides code and created_at)
+     * Output: Promise<promo_id>
+     */
+    async function addPromo(code, fields) {
+        const columns = Object.keys(fields);
+        const result = await database.db.run(
+            `INSERT INTO promo_codes (code, ${columns.join(', ')}, created_at)
+             VALUES (?, ${columns.map(() => '?').join(', ')}, ?)`,
+            [code, ...Object.values(fields), NOW]
+        );
+        return result.lastID;
+    }
+
+    /**
+     * addUse
+     * Purpose: Seed an order that used a promo code
+     * Input: promoId, status, email, holdExpiresAt (for pending orders)
+     * Output: Promise
+     */
+    function addUse(promoId, status, email = 'someone@example.com', holdExpiresAt = null) {
+        orders++;
+        return database.db.run(
+            `INSERT INTO orders (booking_reference, event_id, attendee_name, attendee_email, created_at, status, promo_id, hold_expires_at)
+             VALUES (?, 1, 'Guest', ?, ?, ?, ?, ?)`,
+            [`PROMO${orders}`, email, NOW, status, promoId, holdExpiresAt]
+        );
+    }
+
+    before(async () => {
+        setSiteTimeZone('Europe/London');
+        database = await useDatabase(async (db) => {
+            await db.run(
+                `INSERT INTO events (event_id, title, event_date, created_at, updated_at, status)
+                 VALUES (1, 'Pasta Night', '2099-06-01', ?, ?, 'published'), (2, 'Wine Tasting', '2099-07-01', ?, ?, 'published')`,
+                [NOW, NOW, NOW, NOW]
+            );
+        });
+    });
+
+    after(async () => {
+        if (database) await database.close();
+    });
+
+    beforeEach(async () => {
+        await database.db.run('DELETE FROM orders');
+        await database.db.run('DELETE FROM promo_codes');
+    });
+
+    it('leaves the lines alone when no code is given', async () => {
+        const result = await apply('  ', [line('Standard', 10, 2)]);
+        assert.equal(result.promo, null);
+        assert.deepEqual(discounts(result), [0]);
+    });
+
+    it('takes a percentage off every line the code covers', async () => {
+        await addPromo('TENOFF', { discount_type: 'percent', discount_value: 10, ticket_type: 'standard' });
+        const result = await apply(' tenoff ', [line('Standard', 12, 2), line('VIP', 40, 1)]);
+        assert.equal(result.promo.code, 'TENOFF');
+        assert.deepEqual(discounts(result), [2.4, 0]);
+    });
+
+    it('shares a fixed amount between the lines in proportion to their cost', async () => {
+        await addPromo('FIVER', { discount_type: 'fixed', discount_value: 5 });
+        const result = await apply('FIVER', [line('Standard', 10, 3), line('Child', 5, 2)]);
+        assert.deepEqual(discounts(result), [3.75, 1.25]);
+    });
+
+    it('never takes off more than the tickets cost', async () => {
+        await addPromo('BIG', { discount_type: 'fixed', discount_value: 50 });
+        const result = await apply('BIG', [line('Standard', 10, 2), line('Child', 5, 1)]);
+        assert.deepEqual(discounts(result), [20, 5]);
+
+        const totals = orderTotals(result.lines.map(item => ({ ...item, unit_price: item.ticket.price })));
+        assert.deepEqual(totals, { subtotal: 25, discount: 25, total: 0 });
+
+        await addPromo('FREE', { discount_type: 'percent', discount_value: 100 });
+        assert.deepEqual(discounts(await apply('FREE', [line('Standard', 10, 2)])), [20]);
+    });
+
+    it('rounds each discount to the penny and lets the last line take what rounding left', async () => {
+        await addPromo('FIFTEEN', { discount_type: 'percent', discount_value: 15 });
+        assert.deepEqual(discounts(await apply('FIFTEEN', [line('Standard', 9.99, 3)])), [4.5]);
+
+        await addPromo('TENNER', { discount_type: 'fixed', discount_value: 10 });
+        const result = await apply('TENNER', [line('Standard', 10, 1), line('Child', 10, 1), line('VIP', 10, 1)]);
+        assert.deepEqual(discounts(result), [3.33, 3.33, 3.34]);
+    });
+
+    it('refuses a code that does not cover any of the tickets chosen', async () => {
+        await addPromo('VIPONLY', { discount_type: 'percent', discount_value: 20, ticket_type: 'VIP' });
+        await refused(apply('VIPONLY', [line('Standard', 10, 1)]), 'VIPONLY does not apply to the tickets you selected.');
+    });
+
+    it('refuses unknown, inactive and other events\' codes', async () => {
+        await addPromo('ASLEEP', { discount_type: 'percent', discount_value: 10, active: 0 });
+        await addPromo('WINE', { discount_type: 'percent', discount_value: 10, event_id: 2 });
+        await refused(apply('NOPE', [line('Standard', 10, 1)]), 'NOPE is not a valid promo code.');
+        await refused(apply('ASLEEP', [line('Standard', 10, 1)]), 'ASLEEP is not a valid promo code.');
+        await refused(apply('WINE', [line('Standard', 10, 1)]), 'WINE cannot be used for this event.');
+    });
+
+    it('only works between its start and expiry', async () => {
+        await addPromo('LATER', { discount_type: 'percent', discount_value: 10, valid_from: '2026-06-01T12:01:00.000Z' });
+        await addPromo('ENDED', { discount_type: 'percent', discount_value: 10, valid_until: NOW });
+        await addPromo('LASTMINUTE', { discount_type: 'percent', discount_value: 10, valid_until: '2026-06-01T12:01:00.000Z' });
+        const lines = [line('Standard', 10, 1)];
+
+        await refused(apply('LATER', lines), 'LATER can be used from 01 Jun 2026, 13:01.');
+        assert.deepEqual(discounts(await apply('LATER', lines, { now: '2026-06-01T12:01:00.000Z' })), [1]);
+        await refused(apply('ENDED', lines), 'ENDED has expired.');
+        assert.deepEqual(discounts(await apply('LASTMINUTE', lines)), [1]);
+    });
+
+    it('stops at the usage limit, counting confirmed orders and unexpired payment holds', async () => {
+        const promoId = await addPromo('TWICE', { discount_type: 'percent', discount_value: 10, max_uses: 2 });
+        const lines = [line('Standard', 10, 1)];
+
+        await addUse(promoId, 'confirmed');
+        await addUse(promoId, 'cancelled');
+        await addUse(promoId, 'pending', 'someone@example.com', '2026-06-01T11:59:00.000Z');
+        assert.deepEqual(discounts(await apply('TWICE', lines)), [1]);
+
+        await addUse(promoId, 'pending', 'someone@example.com', '2026-06-01T12:10:00.000Z');
+        await refused(apply('TWICE', lines), 'TWICE has been used the maximum number of times.');
+    });
+
+    it('stops at the limit for each email address, whatever its case', async () => {
+        const promoId = await addPromo('ONCE', { discount_type: 'percent', discount_value: 10, max_uses_per_email: 1 });
+        const lines = [line('Standard', 10, 1)];
+
+        await refused(apply('ONCE', lines, { email: '' }), 'Please enter your email address to use ONCE.');
+        await addUse(promoId, 'confirmed', 'Ann@Example.com');
+        await refused(apply('ONCE', lines), 'You have already used ONCE the maximum number of times.');
+        assert.deepEqual(discounts(await apply('ONCE', lines, { email: 'bob@example.com' })), [1]);
+    });
+});
\ No newline at end of file
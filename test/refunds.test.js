@@ -0,0 +1,234 @@
+/**
+ * test/refunds.test.js
+ * Cancellation Policy Refunds
+ *
+ * Purpose: Check which band of a cancellation policy applies right at and either side
+ *          of each cutoff, and that refunds for cancelled orders follow the policy,
+ *          including events without a policy and orders that cost nothing
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useDatabase } = require('./support/database');
+const { setSiteTimeZone, toDateTimeInput } = require('../utils/helpers');
+const { policyRefund, quoteRefund, refundByPolicy } = require('../utils/refunds');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Full refund from 7 days before, 50% after that, nothing within 24 hours (the seeded 'Standard' policy)
+const POLICY = { name: 'Standard', full_refund_days: 7, partial_refund_percent: 50, no_refund_hours: 24 };
+const EVENT = { event_date: '2026-12-15', start_time: '18:00' };
+const START = Date.UTC(2026, 11, 15, 18, 0);
+
+/**
+ * refundAt
+ * Purpose: The refund due under POLICY for a cancellation some time before EVENT starts
+ * Input: msBefore (time before the start, negative once it has started), amount (default 40)
+ * Output: { amount, percent, note }
+ */
+function refundAt(msBefore, amount = 40) {
+    return policyRefund(POLICY, EVENT, amount, new Date(START - msBefore));
+}
+
+/**
+ * inDays
+ * Purpose: Date and start time, in the site time zone, a number of days from now
+ * Input: days
+ * Output: { date: 'YYYY-MM-DD', time: 'HH:MM' }
+ */
+function inDays(days) {
+    const [date, time] = toDateTimeInput(new Date(Date.now() + days * 24 * HOUR_MS).toISOString()).split('T');
+    return { date, time };
+}
+
+/**
+ * callbackResult
+ * Purpose: Promise wrapper for callback functions whose results are wanted together
+ * Input: fn (function taking a callback last), ...args
+ * Output: Promise<Array of the callback's results after err>
+ */
+function callbackResult(fn, ...args) {
+    return new Promise((resolve, reject) => {
+        fn(...args, (err, ...results) => (err ? reject(err) : resolve(results)));
+    });
+}
+
+describe('policyRefund', () => {
+    before(() => setSiteTimeZone('Europe/London'));
+
+    it('refunds in full exactly at the full refund cutoff and earlier', () => {
+        assert.deepEqual(
+            refundAt(7 * 24 * HOUR_MS),
+            { amount: 40, percent: 100, note: 'Standard: full refund, 7 days or more before the start' }
+        );
+        assert.equal(refundAt(7 * 24 * HOUR_MS + MINUTE_MS).percent, 100);
+        assert.equal(refundAt(300 * 24 * HOUR_MS).percent, 100);
+    });
+
+    it('refunds the partial percentage just inside the full refund cutoff', () => {
+        assert.deepEqual(
+            refundAt(7 * 24 * HOUR_MS - MINUTE_MS),
+            { amount: 20, percent: 50, note: 'Standard: 50% refund, less than 7 days before the start' }
+        );
+    });
+
+    it('still refunds the partial percentage exactly at the no refund cutoff', () => {
+        assert.equal(refundAt(24 * HOUR_MS).percent, 50);
+        assert.equal(refundAt(24 * HOUR_MS + MINUTE_MS).percent, 50);
+    });
+
+    it('refunds nothing just inside the no refund cutoff or after the start', () => {
+        assert.deepEqual(
+            refundAt(24 * HOUR_MS - MINUTE_MS),
+            { amount: 0, percent: 0, note: 'Standard: no refund within 24 hours of the start' }
+        );
+        assert.equal(refundAt(0).percent, 0);
+        assert.equal(refundAt(-HOUR_MS).percent, 0);
+    });
+
+    it('counts the cutoffs from the start time in the site time zone', () => {
+        // 18:00 BST is 17:00 UTC, so the full refund cutoff is an hour earlier than for GMT
+        const summer = { event_date: '2026-06-15', start_time: '18:00' };
+        const cutoff = Date.UTC(2026, 5, 15, 17, 0) - 7 * 24 * HOUR_MS;
+        assert.equal(policyRefund(POLICY, summer, 40, new Date(cutoff)).percent, 100);
+        assert.equal(policyRefund(POLICY, summer, 40, new Date(cutoff + MINUTE_MS)).percent, 50);
+    });
+
+    it('refunds in full when there is no policy, even after the start', () => {
+        assert.deepEqual(
+            policyRefund(null, EVENT, 40, new Date(START + HOUR_MS)),
+            { amount: 40, percent: 100, note: 'Full refund (no cancellation policy)' }
+        );
+    });
+
+    it('rounds the partial refund to the penny', () => {
+        assert.equal(refundAt(2 * 24 * HOUR_MS, 15.55).amount, 7.78);
+        assert.equal(policyRefund({ ...POLICY, partial_refund_percent: 33 }, EVENT, 10.01, new Date(START - 2 * 24 * HOUR_MS)).amount, 3.3);
+    });
+
+    it('gives nothing back for nothing paid, whatever the band', () => {
+        assert.deepEqual(refundAt(30 * 24 * HOUR_MS, 0), { ...refundAt(30 * 24 * HOUR_MS), amount: 0 });
+        assert.equal(refundAt(2 * 24 * HOUR_MS, 0).amount, 0);
+    });
+});
+
+describe('quoteRefund and refundByPolicy', () => {
+    let database;
+    let nextOrderId = 1;
+
+    /**
+     * addOrder
+     * Purpose: Seed an order for an event, with its ticket lines and optionally a paid payment
+     * Input: eventId, lines ([{ quantity, unitPrice, discount }]), paid (amount taken, or null for none)
+     * Output: Promise<order row>
+     */
+    async function addOrder(eventId, lines, paid) {
+        const orderId = nextOrderId++;
+        const reference = `REF${orderId}`;
+        const now = new Date().toISOString();
+        await database.db.run(
+            "INSERT INTO orders (order_id, booking_reference, event_id, attendee_name, created_at) VALUES (?, ?, ?, 'Ann Lee', ?)",
+            [orderId, reference, eventId, now]
+        );
+        for (const line of lines) {
+            await database.db.run(
+                "INSERT INTO bookings (order_id, event_id, ticket_type, quantity, unit_price, discount, booking_date) VALUES (?, ?, 'Standard', ?, ?, ?, ?)",
+                [orderId, eventId, line.quantity, line.unitPrice, line.discount || 0, now]
+            );
+        }
+        if (paid !== null) {
+            await database.db.run(
+                "INSERT INTO payments (order_id, booking_reference, provider, provider_ref, amount, status, created_at) VALUES (?, ?, 'mock', ?, ?, 'paid', ?)",
+                [orderId, reference, `mock_${orderId}`, paid, now]
+            );
+        }
+        return database.db.get('SELECT * FROM orders WHERE order_id = ?', [orderId]);
+    }
+
+    before(async () => {
+        setSiteTimeZone('Europe/London');
+        const soon = inDays(3);
+        database = await useDatabase(async (db) => {
+            const now = new Date().toISOString();
+            const addEvent = (id, when, policyId) => db.run(
+                `INSERT INTO events (event_id, title, event_date, start_time, cancellation_policy_id, created_at, updated_at, status)
+                 VALUES (?, 'Pasta Night', ?, ?, ?, ?, ?, 'published')`,
+                [id, when.date, when.time, policyId, now, now]
+            );
+            await addEvent(1, { date: '2099-06-01', time: '18:00' }, 1);
+            await addEvent(2, soon, 1);
+            await addEvent(3, soon, null);
+        });
+    });
+
+    after(async () => {
+        if (database) await database.close();
+    });
+
+    it('quotes with the event policy and the current time', async () => {
+        const [early] = await callbackResult(quoteRefund, 1, 30);
+        assert.equal(early.percent, 100);
+        assert.equal(early.policy.name, 'Standard');
+
+        const [partial] = await callbackResult(quoteRefund, 2, 30);
+        assert.deepEqual([partial.amount, partial.percent], [15, 50]);
+
+        const [none] = await callbackResult(quoteRefund, 3, 30);
+        assert.deepEqual([none.amount, none.percent, none.policy], [30, 100, null]);
+    });
+
+    it('refuses to quote for an event that does not exist', async () => {
+        await assert.rejects(callbackResult(quoteRefund, 99, 30), err => err.userMessage === 'Event not found.');
+    });
+
+    it('refunds a cancelled order under the policy band it falls in', async () => {
+        const order = await addOrder(2, [{ quantity: 2, unitPrice: 15 }], 30);
+        const [refund, quote] = await callbackResult(refundByPolicy, order, null, 'attendee_cancelled');
+        assert.equal(quote.percent, 50);
+        assert.equal(refund.amount, 15);
+
+        const stored = await database.db.get('SELECT amount, reason, policy_note, status FROM refunds WHERE order_id = ?', [order.order_id]);
+        assert.deepEqual(stored, {
+            amount: 15,
+            reason: 'attendee_cancelled',
+            policy_note: 'Standard: 50% refund, less than 7 days before the start',
+            status: 'processed'
+        });
+        const payment = await database.db.get('SELECT refunded_amount, status FROM payments WHERE order_id = ?', [order.order_id]);
+        assert.deepEqual(payment, { refunded_amount: 15, status: 'paid' });
+    });
+
+    it('refunds only the part given up when an order is reduced, after its discount', async () => {
+        const order = await addOrder(1, [{ quantity: 3, unitPrice: 10, discount: 3 }], 27);
+        const [refund] = await callbackResult(refundByPolicy, order, 9, 'attendee_reduced');
+        assert.equal(refund.amount, 9);
+
+        // Never more than is left of the payment
+        const [rest] = await callbackResult(refundByPolicy, order, 50, 'attendee_cancelled');
+        assert.equal(rest.amount, 18);
+        const payment = await database.db.get('SELECT refunded_amount, status FROM payments WHERE order_id = ?', [order.order_id]);
+        assert.deepEqual(payment, { refunded_amount: 27, status: 'refunded' });
+    });
+
+    it('refunds in full for an event without a policy', async () => {
+        const order = await addOrder(3, [{ quantity: 1, unitPrice: 12.5 }], 12.5);
+        const [refund, quote] = await callbackResult(refundByPolicy, order, null, 'attendee_cancelled');
+        assert.equal(quote.note, 'Full refund (no cancellation policy)');
+        assert.equal(refund.amount, 12.5);
+    });
+
+    it('records nothing for an order that cost nothing', async () => {
+        const free = await addOrder(2, [{ quantity: 2, unitPrice: 0 }], null);
+        assert.deepEqual(await callbackResult(refundByPolicy, free, null, 'attendee_cancelled'), [null, null]);
+
+        // Paid for, but the promo code took the whole price off
+        const discounted = await addOrder(1, [{ quantity: 1, unitPrice: 20, discount: 20 }], 0);
+        const [refund, quote] = await callbackResult(refundByPolicy, discounted, null, 'attendee_cancelled');
+        assert.equal(refund, null);
+        assert.deepEqual([quote.amount, quote.percent], [0, 100]);
+
+        const recorded = await database.db.get('SELECT COUNT(*) AS count FROM refunds WHERE order_id IN (?, ?)', [free.order_id, discounted.order_id]);
+        assert.equal(recorded.count, 0);
+    });
+});
\ No newline at end of file
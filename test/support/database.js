@@ -0,0 +1,62 @@
+/**
+ * test/support/database.js
+ * Test Database
+ *
+ * Purpose: Give unit tests of the utils/ modules a fresh database built from db_schema.sql
+ *          as global.db, shared the same way index.js shares it
+ * Used by: test/*.test.js that call utils/ functions directly
+ *
+ * Require this before any utils/ module: emails queued by the code under test are
+ * written to a temporary MAIL_DIR instead of the project's mail folder.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-manager-unit-'));
+process.env.MAIL_DIR = process.env.MAIL_DIR || path.join(dir, 'mail');
+
+const { shareConnection } = require('../../utils/db');
+
+/**
+ * useDatabase
+ * Purpose: Build a fresh database, make it global.db and let the test add its own rows
+ * Input: seed (async function(db)) - optional
+ * Output: Promise<{ db, close }> - db has promise versions of run (resolving to
+ *         { lastID, changes }), get, all and exec; close() closes it and deletes the files
+ */
+async function useDatabase(seed) {
+    const file = path.join(dir, `database-${Date.now()}.db`);
+    const connection = new sqlite3.Database(file);
+    global.db = shareConnection(connection);
+
+    const call = (method, sql, params = []) => new Promise((resolve, reject) => {
+        global.db[method](sql, params, function(err, result) {
+            if (err) return reject(err);
+            resolve(method === 'run' ? { lastID: this.lastID, changes: this.changes } : result);
+        });
+    });
+
+    const db = {
+        run: (sql, params) => call('run', sql, params),
+        get: (sql, params) => call('get', sql, params),
+        all: (sql, params) => call('all', sql, params),
+        exec: (sql) => new Promise((resolve, reject) => connection.exec(sql, err => (err ? reject(err) : resolve())))
+    };
+
+    await db.exec(fs.readFileSync(path.join(__dirname, '..', '..', 'db_schema.sql'), 'utf8'));
+    if (seed) await seed(db);
+
+    const close = async () => {
+        await new Promise(resolve => connection.close(() => resolve()));
+        fs.rmSync(dir, { recursive: true, force: true });
+    };
+
+    return { db, close };
+}
+
+module.exports = {
+    useDatabase
+};
\ No newline at end of file
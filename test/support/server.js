@@ -0,0 +1,122 @@
+/**
+ * test/support/server.js
+ * Test Server
+ *
+ * Purpose: Start the app on a free port with a fresh database built from db_schema.sql,
+ *          so tests can send real HTTP requests and then check the rows they left
+ * Used by: test/*.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const { spawn } = require('child_process');
+const sqlite3 = require('sqlite3');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * freePort
+ * Purpose: Ask the operating system for a port nothing is listening on
+ * Input: None
+ * Output: Promise<number>
+ */
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * openDatabase
+ * Purpose: Open a database file with small promise wrappers for test queries
+ * Input: file (path)
+ * Output: { run, get, all, exec, close } - each returns a promise
+ */
+function openDatabase(file) {
+    const db = new sqlite3.Database(file);
+    const call = (method, sql, params = []) => new Promise((resolve, reject) => {
+        db[method](sql, params, function(err, result) {
+            if (err) return reject(err);
+            resolve(method === 'run' ? { lastID: this.lastID, changes: this.changes } : result);
+        });
+    });
+
+    return {
+        run: (sql, params) => call('run', sql, params),
+        get: (sql, params) => call('get', sql, params),
+        all: (sql, params) => call('all', sql, params),
+        exec: (sql) => new Promise((resolve, reject) => db.exec(sql, err => (err ? reject(err) : resolve()))),
+        close: () => new Promise(resolve => db.close(() => resolve()))
+    };
+}
+
+/**
+ * startServer
+ * Purpose: Build a fresh database, let the test add its own rows, then start index.js on it
+ * Input: seed (async function(db)) - optional, runs before the server starts
+ * Output: Promise<{ url, db, stop }> - db stays open for checking rows; stop() ends the
+ *         server and deletes the temporary files
+ */
+async function startServer(seed) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-manager-test-'));
+    const file = path.join(dir, 'database.db');
+
+    const db = openDatabase(file);
+    await db.exec(fs.readFileSync(path.join(ROOT, 'db_schema.sql'), 'utf8'));
+    if (seed) await seed(db);
+
+    const port = await freePort();
+    const url = `http://localhost:${port}`;
+    const child = spawn(process.execPath, ['index.js'], {
+        cwd: ROOT,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            DATABASE_FILE: file,
+            MAIL_DIR: path.join(dir, 'mail'),
+            BASE_URL: url
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Server did not start:\n' + output)), 10000);
+        child.stdout.on('data', (chunk) => {
+            output += chunk;
+            if (output.includes('running at')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.stderr.on('data', (chunk) => { output += chunk; });
+        child.once('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}:\n` + output));
+        });
+    });
+
+    const stop = async () => {
+        child.removeAllListeners('exit');
+        await new Promise((resolve) => {
+            child.once('exit', resolve);
+            child.kill();
+        });
+        await db.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    };
+
+    return { url, db, stop, output: () => output };
+}
+
+module.exports = {
+    openDatabase,
+    startServer
+};
\ No newline at end of file
@@ -0,0 +1,210 @@
+/**
+ * test/throttle.test.js
+ * Login and Form Throttling
+ *
+ * Purpose: Check the back-off doubles up to its cap, that accounts and addresses lock
+ *          at their thresholds, and that a successful login clears the account's failures
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useDatabase } = require('./support/database');
+const {
+    LIMITS,
+    MAX_BACKOFF_SECONDS,
+    blockUntil,
+    checkThrottle,
+    beginAttempt,
+    settleAttempt,
+    clearFailures
+} = require('../utils/throttle');
+
+const LOGIN = LIMITS.login;
+const LAST_AT = '2026-06-01T12:00:00.000Z';
+const LAST = new Date(LAST_AT).getTime();
+
+/**
+ * waitSeconds
+ * Purpose: How long blockUntil holds a key back after its latest attempt
+ * Input: scope ('account' or 'ip'), count (counted attempts in the window)
+ * Output: Seconds, or null if the key is not held back
+ */
+function waitSeconds(scope, count) {
+    const block = blockUntil(LOGIN, scope, count, LAST_AT);
+    return block ? (block.until - LAST) / 1000 : null;
+}
+
+/**
+ * callbackResult
+ * Purpose: Promise wrapper for callback functions whose results are wanted together
+ * Input: fn (function taking a callback last), ...args
+ * Output: Promise<Array of the callback's results after err>
+ */
+function callbackResult(fn, ...args) {
+    return new Promise((resolve, reject) => {
+        fn(...args, (err, ...results) => (err ? reject(err) : resolve(results)));
+    });
+}
+
+describe('blockUntil', () => {
+    it('lets the free attempts through', () => {
+        for (let count = 0; count < LOGIN.free; count++) {
+            assert.equal(blockUntil(LOGIN, 'account', count, LAST_AT), null);
+        }
+        assert.equal(blockUntil(LOGIN, 'account', LOGIN.free + 5, null), null);
+    });
+
+    it('doubles the wait after each counted attempt past the free ones', () => {
+        const waits = [0, 1, 2, 3, 4, 5].map(extra => waitSeconds('account', LOGIN.free + extra));
+        assert.deepEqual(waits, [1, 2, 4, 8, 16, 32]);
+        assert.equal(blockUntil(LOGIN, 'account', LOGIN.free, LAST_AT).locked, false);
+    });
+
+    it(`never waits longer than ${MAX_BACKOFF_SECONDS / 60} minutes between attempts`, () => {
+        // Addresses lock much later than accounts, so their back-off reaches the cap
+        assert.equal(waitSeconds('ip', LOGIN.free + 8), 256);
+        assert.equal(waitSeconds('ip', LOGIN.free + 9), MAX_BACKOFF_SECONDS);
+        assert.equal(waitSeconds('ip', LOGIN.lockAfter.ip - 1), MAX_BACKOFF_SECONDS);
+        assert.equal(blockUntil(LOGIN, 'ip', LOGIN.lockAfter.ip - 1, LAST_AT).locked, false);
+    });
+
+    it('locks an account or address for the whole window at its threshold', () => {
+        for (const scope of ['account', 'ip']) {
+            const threshold = LOGIN.lockAfter[scope];
+            assert.equal(blockUntil(LOGIN, scope, threshold - 1, LAST_AT).locked, false, scope);
+            assert.deepEqual(blockUntil(LOGIN, scope, threshold, LAST_AT), { until: LAST + LOGIN.minutes * 60 * 1000, locked: true }, scope);
+            assert.equal(blockUntil(LOGIN, scope, threshold + 5, LAST_AT).locked, true, scope);
+        }
+    });
+
+    it('never locks a scope the action has no threshold for', () => {
+        assert.equal(blockUntil(LIMITS.booking, 'account', 1000, LAST_AT).locked, false);
+    });
+});
+
+describe('login attempts in the database', () => {
+    let database;
+    let address = 0;
+
+    /**
+     * attempt
+     * Purpose: Start a login attempt for an account from a new address each time, so
+     *          only the account's own failures count
+     * Input: username
+     * Output: Promise<{ block, attemptId }>
+     */
+    async function attempt(username) {
+        address++;
+        const [block, attemptId] = await callbackResult(beginAttempt, 'login', { username, ip: `203.0.113.${address}` });
+        return { block, attemptId };
+    }
+
+    /**
+     * addFailures
+     * Purpose: Seed failed logins for an account, old enough that their back-off has passed
+     * Input: username, count
+     * Output: Promise
+     */
+    async function addFailures(username, count) {
+        const earlier = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+        for (let i = 0; i < count; i++) {
+            await database.db.run(
+                "INSERT INTO attempts (action, username, ip, outcome, reason, created_at) VALUES ('login', ?, '198.51.100.1', 'failed', 'wrong password', ?)",
+                [username, earlier]
+            );
+        }
+    }
+
+    /**
+     * failures
+     * Purpose: Count the failures still counting against an account
+     * Input: username
+     * Output: Promise<number>
+     */
+    async function failures(username) {
+        const row = await database.db.get(
+            "SELECT COUNT(*) AS count FROM attempts WHERE username = ? AND outcome = 'failed' AND cleared_at IS NULL",
+            [username]
+        );
+        return row.count;
+    }
+
+    before(async () => {
+        database = await useDatabase();
+    });
+
+    after(async () => {
+        if (database) await database.close();
+    });
+
+    beforeEach(async () => {
+        await database.db.run('DELETE FROM attempts');
+    });
+
+    it('backs off once the free attempts are used, keyed however the username is typed', async () => {
+        for (let i = 0; i < LOGIN.free; i++) {
+            const { block } = await attempt(i % 2 ? ' Chef ' : 'chef');
+            assert.equal(block, null);
+        }
+
+        const { block } = await attempt('CHEF');
+        assert.deepEqual(block, {
+            scope: 'account',
+            locked: false,
+            retryAfterSeconds: 1,
+            message: 'Too many attempts. Try again in 1 second.'
+        });
+
+        // The refused attempt is stored, but does not count
+        assert.equal(await failures('chef'), LOGIN.free);
+        const throttled = await database.db.get("SELECT reason FROM attempts WHERE outcome = 'throttled'");
+        assert.equal(throttled.reason, 'back-off');
+    });
+
+    it('locks the account when the failure that reaches the threshold is counted', async () => {
+        await addFailures('chef', LOGIN.lockAfter.account - 1);
+        const { block, attemptId } = await attempt('chef');
+        assert.equal(block, null);
+        await callbackResult(settleAttempt, attemptId, 'failed', 'wrong password');
+
+        const [locked] = await callbackResult(checkThrottle, 'login', { username: 'chef', ip: '192.0.2.1' });
+        assert.equal(locked.locked, true);
+        assert.equal(locked.message, `Too many attempts. Try again in ${LOGIN.minutes} minutes.`);
+
+        const { block: refused } = await attempt('chef');
+        assert.equal(refused.locked, true);
+        assert.equal(await failures('chef'), LOGIN.lockAfter.account);
+    });
+
+    it('clears the account\'s failures after a successful login', async () => {
+        await addFailures('chef', LOGIN.lockAfter.account - 1);
+        await addFailures('baker', 2);
+
+        // The correct password: settled as succeeded, then the account's failures cleared
+        const { block, attemptId } = await attempt('chef');
+        assert.equal(block, null);
+        await callbackResult(settleAttempt, attemptId, 'succeeded', null);
+        const [cleared] = await callbackResult(clearFailures, 'account', ' Chef ');
+        // The seeded failures and the successful attempt itself
+        assert.equal(cleared, LOGIN.lockAfter.account);
+
+        assert.equal(await failures('chef'), 0);
+        assert.equal(await failures('baker'), 2);
+
+        // A wrong password afterwards starts again from the free attempts
+        const next = await attempt('chef');
+        assert.equal(next.block, null);
+        await callbackResult(settleAttempt, next.attemptId, 'failed', 'wrong password');
+        const [check] = await callbackResult(checkThrottle, 'login', { username: 'chef', ip: '192.0.2.1' });
+        assert.equal(check, null);
+    });
+
+    it('clears an address\'s failures, and nothing for a scope it does not know', async () => {
+        await addFailures('chef', LOGIN.free);
+        const [cleared] = await callbackResult(clearFailures, 'ip', '198.51.100.1');
+        assert.equal(cleared, LOGIN.free);
+        assert.equal(await failures('chef'), 0);
+
+        assert.deepEqual(await callbackResult(clearFailures, 'session', 'anything'), [0]);
+    });
+});
\ No newline at end of file
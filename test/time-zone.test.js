@@ -0,0 +1,127 @@
+/**
+ * test/time-zone.test.js
+ * Event Times and Clock Changes
+ *
+ * Purpose: Check wall-clock event times in the site time zone turn into the right
+ *          instants, including the hour skipped and the hour repeated when the clocks
+ *          change, and that they are shown with the right zone name
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    setSiteTimeZone,
+    zonedTimeToDate,
+    eventStart,
+    eventEnd,
+    toDateTimeInput,
+    formatEventTime,
+    formatDuration
+} = require('../utils/helpers');
+
+// In 2026 the UK clocks go forward at 01:00 GMT on 29 March and back at 01:00 GMT on 25 October
+const SPRING = '2026-03-29';
+const AUTUMN = '2026-10-25';
+
+/**
+ * instant
+ * Purpose: Shorthand for the UTC instant a local date and time turns into
+ * Input: dateString, timeString
+ * Output: String (ISO 8601)
+ */
+function instant(dateString, timeString) {
+    return zonedTimeToDate(dateString, timeString).toISOString();
+}
+
+describe('zonedTimeToDate in Europe/London', () => {
+    before(() => setSiteTimeZone('Europe/London'));
+
+    it('uses GMT in winter and BST in summer', () => {
+        assert.equal(instant('2026-12-15', '18:00'), '2026-12-15T18:00:00.000Z');
+        assert.equal(instant('2026-06-01', '18:00'), '2026-06-01T17:00:00.000Z');
+    });
+
+    it('changes offset at 01:00 GMT when the clocks go forward', () => {
+        assert.equal(instant(SPRING, '00:30'), '2026-03-29T00:30:00.000Z');
+        assert.equal(instant(SPRING, '02:00'), '2026-03-29T01:00:00.000Z');
+        assert.equal(instant(SPRING, '03:00'), '2026-03-29T02:00:00.000Z');
+    });
+
+    it('moves a time in the skipped hour forward by an hour', () => {
+        assert.equal(instant(SPRING, '01:00'), '2026-03-29T01:00:00.000Z');
+        assert.equal(instant(SPRING, '01:30'), '2026-03-29T01:30:00.000Z');
+        assert.equal(toDateTimeInput(instant(SPRING, '01:30')), `${SPRING}T02:30`);
+    });
+
+    it('takes the first of a time in the repeated hour when the clocks go back', () => {
+        assert.equal(instant(AUTUMN, '00:30'), '2026-10-24T23:30:00.000Z');
+        assert.equal(instant(AUTUMN, '01:00'), '2026-10-25T00:00:00.000Z');
+        assert.equal(instant(AUTUMN, '01:30'), '2026-10-25T00:30:00.000Z');
+        assert.equal(instant(AUTUMN, '02:00'), '2026-10-25T02:00:00.000Z');
+
+        // Both 01:30s show as the same local time
+        assert.equal(toDateTimeInput('2026-10-25T00:30:00.000Z'), `${AUTUMN}T01:30`);
+        assert.equal(toDateTimeInput('2026-10-25T01:30:00.000Z'), `${AUTUMN}T01:30`);
+    });
+
+    it('ignores a time part on the date', () => {
+        assert.equal(instant('2026-06-01T00:00:00', '18:00'), '2026-06-01T17:00:00.000Z');
+    });
+});
+
+describe('zonedTimeToDate in America/New_York', () => {
+    before(() => setSiteTimeZone('America/New_York'));
+
+    it('handles the skipped and repeated hours the same way', () => {
+        assert.equal(instant('2026-07-01', '09:00'), '2026-07-01T13:00:00.000Z');
+        // 02:30 does not exist on 8 March; it becomes 03:30 EDT
+        assert.equal(instant('2026-03-08', '02:30'), '2026-03-08T07:30:00.000Z');
+        // 01:30 happens twice on 1 November; the first is 01:30 EDT
+        assert.equal(instant('2026-11-01', '01:30'), '2026-11-01T05:30:00.000Z');
+    });
+});
+
+describe('event times', () => {
+    before(() => setSiteTimeZone('Europe/London'));
+
+    it('starts at midnight and ends at 23:59 when the event has no times', () => {
+        const event = { event_date: '2026-06-15' };
+        assert.equal(eventStart(event).toISOString(), '2026-06-14T23:00:00.000Z');
+        assert.equal(eventEnd(event).toISOString(), '2026-06-15T22:59:00.000Z');
+    });
+
+    it('uses the start and end times when they are set', () => {
+        const event = { event_date: '2026-12-15', start_time: '18:00', end_time: '21:00' };
+        assert.equal(eventStart(event).toISOString(), '2026-12-15T18:00:00.000Z');
+        assert.equal(eventEnd(event).toISOString(), '2026-12-15T21:00:00.000Z');
+    });
+
+    it('names the zone in force when the event starts', () => {
+        assert.equal(
+            formatEventTime({ event_date: '2026-12-15', start_time: '18:00', end_time: '21:00' }),
+            'Tue 15 Dec 2026, 18:00-21:00 GMT'
+        );
+        assert.equal(
+            formatEventTime({ event_date: '2026-06-15', start_time: '18:00', end_time: '21:00' }),
+            'Mon 15 Jun 2026, 18:00-21:00 BST'
+        );
+        assert.equal(
+            formatEventTime({ event_date: SPRING, start_time: '00:30', end_time: '03:30' }),
+            'Sun 29 Mar 2026, 00:30-03:30 GMT'
+        );
+    });
+
+    it('shows only the start time when there is no end time', () => {
+        assert.equal(
+            formatEventTime({ event_date: '2026-06-15', start_time: '18:00', end_time: null }),
+            'Mon 15 Jun 2026, 18:00 BST'
+        );
+        assert.equal(formatEventTime({ event_date: '2026-06-15' }), 'Mon 15 Jun 2026');
+    });
+
+    it('counts the real length of an event over a clock change', () => {
+        assert.equal(formatDuration({ event_date: SPRING, start_time: '00:30', end_time: '03:30' }), '2 hours');
+        assert.equal(formatDuration({ event_date: AUTUMN, start_time: '00:30', end_time: '03:30' }), '4 hours');
+        assert.equal(formatDuration({ event_date: '2026-06-15', start_time: '18:00', end_time: '20:30' }), '2 hours 30 minutes');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,150 @@
+/**
+ * test/twofactor.test.js
+ * Two-Factor Codes
+ *
+ * Purpose: Check the base32 and TOTP code against the RFC test vectors, and that app
+ *          codes and recovery codes only work once
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useDatabase } = require('./support/database');
+const {
+    RECOVERY_CODE_COUNT,
+    base32Encode,
+    base32Decode,
+    totpCode,
+    matchTotp,
+    generateSecret,
+    regenerateRecoveryCodes,
+    verifySecondFactor
+} = require('../utils/twofactor');
+
+// RFC 6238 appendix B uses this ASCII key for its SHA-1 vectors
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const STEP_SECONDS = 30;
+
+/**
+ * currentStep
+ * Purpose: The TOTP time step for the current time
+ * Input: None
+ * Output: Integer
+ */
+function currentStep() {
+    return Math.floor(Date.now() / 1000 / STEP_SECONDS);
+}
+
+/**
+ * verify
+ * Purpose: Promise wrapper around verifySecondFactor
+ * Input: userId, code
+ * Output: Promise<result or null>
+ */
+function verify(userId, code) {
+    return new Promise((resolve, reject) => {
+        verifySecondFactor(userId, code, (err, result) => (err ? reject(err) : resolve(result)));
+    });
+}
+
+describe('base32', () => {
+    it('encodes the RFC 4648 test vectors without padding', () => {
+        const vectors = { '': '', f: 'MY', fo: 'MZXQ', foo: 'MZXW6', foob: 'MZXW6YQ', fooba: 'MZXW6YTB', foobar: 'MZXW6YTBOI' };
+        Object.entries(vectors).forEach(([text, encoded]) => {
+            assert.equal(base32Encode(Buffer.from(text)), encoded);
+        });
+    });
+
+    it('decodes whatever case, spacing and padding the user typed', () => {
+        assert.equal(base32Decode('mzxw 6ytb oi======').toString(), 'foobar');
+        assert.equal(base32Decode(RFC_SECRET).toString(), '12345678901234567890');
+    });
+
+    it('round-trips a generated secret', () => {
+        const secret = generateSecret();
+        assert.equal(base32Encode(base32Decode(secret)), secret);
+    });
+});
+
+describe('totpCode', () => {
+    it('gives the last six digits of the RFC 6238 SHA-1 vectors', () => {
+        const vectors = [
+            [59, '287082'],
+            [1111111109, '081804'],
+            [1111111111, '050471'],
+            [1234567890, '005924'],
+            [2000000000, '279037'],
+            [20000000000, '353130']
+        ];
+        vectors.forEach(([seconds, code]) => {
+            assert.equal(totpCode(RFC_SECRET, Math.floor(seconds / STEP_SECONDS)), code, `T = ${seconds}`);
+        });
+    });
+});
+
+describe('matchTotp', () => {
+    it('accepts the code for now and one step either side, and nothing further out', () => {
+        const secret = generateSecret();
+        const now = currentStep();
+        assert.equal(matchTotp(secret, totpCode(secret, now), null), now);
+        assert.equal(matchTotp(secret, totpCode(secret, now - 1), null), now - 1);
+        assert.equal(matchTotp(secret, totpCode(secret, now + 3), null), null);
+    });
+
+    it('refuses a code from a step that has already been used', () => {
+        const secret = generateSecret();
+        const now = currentStep();
+        const code = totpCode(secret, now);
+        assert.equal(matchTotp(secret, code, now), null);
+        assert.equal(matchTotp(secret, totpCode(secret, now - 1), now), null);
+    });
+
+    it('refuses codes that are not six digits', () => {
+        const secret = generateSecret();
+        ['', '12345', '1234567', 'abcdef', null].forEach(code => assert.equal(matchTotp(secret, code, null), null));
+    });
+});
+
+describe('verifySecondFactor', () => {
+    const secret = generateSecret();
+    let database;
+    let userId;
+
+    before(async () => {
+        database = await useDatabase(async (db) => {
+            const result = await db.run(
+                `INSERT INTO organisers (username, password, email, role, created_at, totp_secret, totp_enabled_at)
+                 VALUES ('chef', 'x', 'chef@example.com', 'organiser', ?, ?, ?)`,
+                [new Date().toISOString(), secret, new Date().toISOString()]
+            );
+            userId = result.lastID;
+        });
+    });
+
+    after(async () => {
+        if (database) await database.close();
+    });
+
+    it('accepts an app code once and refuses the same time step again', async () => {
+        const code = totpCode(secret, currentStep());
+        assert.deepEqual(await verify(userId, code), { method: 'app' });
+
+        const stored = await database.db.get('SELECT totp_last_step FROM organisers WHERE organiser_id = ?', [userId]);
+        assert.ok(stored.totp_last_step >= currentStep() - 1);
+        assert.equal(await verify(userId, code), null);
+    });
+
+    it('uses each recovery code up, however it is typed', async () => {
+        const codes = await new Promise((resolve, reject) => {
+            regenerateRecoveryCodes(userId, (err, result) => (err ? reject(err) : resolve(result)));
+        });
+        assert.equal(codes.length, RECOVERY_CODE_COUNT);
+
+        assert.deepEqual(await verify(userId, ` ${codes[0].toUpperCase()} `), { method: 'recovery', recoveryCodesLeft: RECOVERY_CODE_COUNT - 1 });
+        assert.equal(await verify(userId, codes[0]), null);
+        assert.deepEqual(await verify(userId, codes[1].replace('-', '')), { method: 'recovery', recoveryCodesLeft: RECOVERY_CODE_COUNT - 2 });
+    });
+
+    it('refuses a wrong code', async () => {
+        assert.equal(await verify(userId, 'not-a-code'), null);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,324 @@
+/**
+ * utils/bookings.js
+ * Bookings and Waitlist Requests
+ *
+ * Purpose: Validate attendee booking and waitlist requests, save orders with
+ *          their ticket lines, and send booking confirmations
+ * Used by: routes/attendee.js (forms), routes/api.js (JSON API)
+ *
+ * The attendee forms and the API share these checks and messages, so a
+ * request that is rejected on one is rejected the same way on the other.
+ */
+
+const {
+    isValidEmail,
+    formatTicketType,
+    generateBookingReference,
+    manageLink,
+    ticketQrLink
+} = require('./helpers');
+const { withTransaction, runStatements } = require('./db');
+const { queueEmail } = require('./mailer');
+const { checkEventSales, checkTierSales } = require('./sales');
+const { orderTotals } = require('./promos');
+
+const MAX_TICKETS_PER_BOOKING = 10;
+// Used if the settings row has no payment hold
+const DEFAULT_PAYMENT_HOLD_MINUTES = 15;
+
+/**
+ * validateAttendee
+ * Purpose: Check the name and email given with a booking or waitlist request
+ * Input: details ({ name, email }), emailRequired (boolean - waitlist needs an email)
+ * Output: Error message string, or null if valid
+ */
+function validateAttendee(details, emailRequired) {
+    if (!details.name || details.name.length < 2) {
+        return 'Name is required (minimum 2 characters).';
+    }
+    if (emailRequired && (!details.email || !isValidEmail(details.email))) {
+        return 'Valid email is required for waitlist notification.';
+    }
+    if (details.email && !isValidEmail(details.email)) {
+        return 'Invalid email format.';
+    }
+    return null;
+}
+
+/**
+ * checkLineSales
+ * Purpose: Make sure every selected ticket tier is inside its sales window
+ * Input: event (row), lines (array of { ticket, quantity } from selectTicketLines)
+ * Output: null if all are on sale, otherwise { code, message } (see utils/sales.js)
+ */
+function checkLineSales(event, lines) {
+    for (const line of lines) {
+        const problem = checkTierSales(event, line.ticket);
+        if (problem) return problem;
+    }
+    return null;
+}
+
+/**
+ * selectTicketLines
+ * Purpose: Pair each ticket tier with its requested quantity and check the totals
+ * Input: tickets (rows from tickets table), quantityFor (function(ticket) returning the requested number)
+ * Output: { error } with a message, or { lines } - array of { ticket, quantity } for tiers with quantity > 0
+ */
+function selectTicketLines(tickets, quantityFor) {
+    const lines = tickets.map(ticket => ({
+        ticket,
+        quantity: parseInt(quantityFor(ticket)) || 0
+    }));
+
+    if (lines.some(line => line.quantity < 0)) {
+        return { error: 'Ticket quantities cannot be negative.' };
+    }
+
+    const selected = lines.filter(line => line.quantity > 0);
+    const totalQty = selected.reduce((sum, line) => sum + line.quantity, 0);
+
+    if (totalQty === 0) {
+        return { error: 'Please select at least one ticket.' };
+    }
+
+    if (totalQty > MAX_TICKETS_PER_BOOKING) {
+        return { error: `Maximum ${MAX_TICKETS_PER_BOOKING} tickets per booking.` };
+    }
+
+    return { lines: selected };
+}
+
+/**
+ * unavailableMessage
+ * Purpose: Explain a failed availability check from placeOrder
+ * Input: err (with ticketType and available set)
+ * Output: Message string
+ */
+function unavailableMessage(err) {
+    const label = formatTicketType(err.ticketType);
+    return err.available === 0
+        ? `Sorry, ${label} tickets sold out while you were booking.`
+        : `Only ${err.available} ${label} tickets are still available.`;
+}
+
+/**
+ * insertOrder
+ * Purpose: Create an order row with a fresh booking reference
+ * Retries with a new reference in the unlikely event of a collision
+ * Input: eventId, details ({ name, email, dietaryNotes, now, promo (optional promo code row),
+ *        status, holdExpiresAt }), callback (err, { orderId, reference })
+ * Output: None (result passed to callback)
+ * Database: INSERT into orders table
+ */
+function insertOrder(eventId, details, callback, attempt = 1) {
+    const reference = generateBookingReference();
+
+    global.db.run(
+        `INSERT INTO orders (booking_reference, event_id, attendee_name, attendee_email, dietary_notes, created_at,
+                             promo_id, promo_code, status, hold_expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [reference, eventId, details.name, details.email || null, details.dietaryNotes || null, details.now,
+            details.promo ? details.promo.promo_id : null, details.promo ? details.promo.code : null,
+            details.status, details.holdExpiresAt || null],
+        function(err) {
+            if (err && err.code === 'SQLITE_CONSTRAINT' && attempt < 3) {
+                return insertOrder(eventId, details, callback, attempt + 1);
+            }
+            if (err) return callback(err);
+            callback(null, { orderId: this.lastID, reference });
+        }
+    );
+}
+
+/**
+ * checkAvailability
+ * Purpose: Make sure each ticket line still fits in the seats left for its tier
+ * Input: eventId, lines (array of { ticketType, quantity }), callback (err)
+ * Output: None - err.ticketType/err.available are set when a tier has too few seats left
+ * Database: SELECT from tickets, held_seats
+ */
+function checkAvailability(eventId, lines, callback) {
+    global.db.all(
+        `SELECT t.type, t.quantity - COALESCE(SUM(b.quantity), 0) AS available
+         FROM tickets t
+         LEFT JOIN held_seats b ON b.event_id = t.event_id AND b.ticket_type = t.type
+         WHERE t.event_id = ?
+         GROUP BY t.ticket_id`,
+        [eventId],
+        (err, rows) => {
+            if (err) return callback(err);
+
+            for (const line of lines) {
+                const row = rows.find(r => r.type === line.ticketType);
+                const available = row ? Math.max(0, row.available) : 0;
+                if (line.quantity > available) {
+                    const unavailable = new Error('Tickets no longer available');
+                    unavailable.ticketType = line.ticketType;
+                    unavailable.available = available;
+                    return callback(unavailable);
+                }
+            }
+            callback(null);
+        }
+    );
+}
+
+/**
+ * placeOrder
+ * Purpose: Check availability and save an order with its ticket lines
+ * A free order is confirmed straight away; one that costs money is saved as
+ * 'pending', holding its seats for the site's payment hold while the attendee
+ * pays (see utils/payments.js)
+ * Must be called inside withTransaction so the check and inserts are atomic
+ * Input: eventId, details ({ name, email, dietaryNotes, now, promo }),
+ *        lines (array of { ticket, quantity, discount (optional, from applyPromoCode) }),
+ *        callback (err, { orderId, reference, status, total, holdExpiresAt })
+ * Output: None - err.ticketType/err.available are set when a tier has too few seats left
+ * Database: SELECT tickets/held_seats/settings, INSERT into orders and bookings tables
+ */
+function placeOrder(eventId, details, lines, callback) {
+    const wanted = lines.map(line => ({ ticketType: line.ticket.type, quantity: line.quantity }));
+
+    checkAvailability(eventId, wanted, (err) => {
+        if (err) return callback(err);
+
+        global.db.get('SELECT payment_hold_minutes FROM settings WHERE id = 1', [], (settingsErr, settings) => {
+            if (settingsErr) return callback(settingsErr);
+
+            const holdMinutes = (settings && settings.payment_hold_minutes) || DEFAULT_PAYMENT_HOLD_MINUTES;
+            const total = orderTotals(lines.map(line => ({
+                quantity: line.quantity,
+                unit_price: line.ticket.price,
+                discount: line.discount
+            }))).total;
+            const status = total > 0 ? 'pending' : 'confirmed';
+            const holdExpiresAt = status === 'pending'
+                ? new Date(new Date(details.now).getTime() + holdMinutes * 60 * 1000).toISOString()
+                : null;
+
+            insertOrder(eventId, { ...details, status, holdExpiresAt }, (err2, order) => {
+                if (err2) return callback(err2);
+
+                runStatements(lines.map(line => ({
+                    sql: `INSERT INTO bookings (order_id, event_id, ticket_type, quantity, unit_price, discount, booking_date)
+                          VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    params: [order.orderId, eventId, line.ticket.type, line.quantity, line.ticket.price,
+                        line.discount || 0, details.now]
+                })), (err3) => callback(err3, { ...order, status, total, holdExpiresAt }));
+            });
+        });
+    });
+}
+
+/**
+ * sendBookingConfirmation
+ * Purpose: Email the confirmation for an order (skipped if no email was given)
+ * Input: orderId
+ * Output: None (email queued in the outbox)
+ * Database: SELECT from orders, events, bookings tables
+ */
+function sendBookingConfirmation(orderId) {
+    global.db.get('SELECT * FROM orders WHERE order_id = ?', [orderId], (err, order) => {
+        if (err || !order || !order.attendee_email) return;
+
+        global.db.get('SELECT * FROM events WHERE event_id = ?', [order.event_id], (err2, event) => {
+            if (err2 || !event) return;
+
+            global.db.all('SELECT * FROM bookings WHERE order_id = ? ORDER BY booking_id ASC', [orderId], (err3, lines) => {
+                if (err3) return console.error('Confirmation email error:', err3);
+
+                queueEmail('booking_confirmation', order.attendee_email, {
+                    event,
+                    order,
+                    lines,
+                    totals: orderTotals(lines),
+                    manageUrl: manageLink(order.booking_reference),
+                    qrUrl: ticketQrLink(order.booking_reference)
+                });
+            });
+        });
+    });
+}
+
+/**
+ * joinWaitlist
+ * Purpose: Add an attendee to the waitlist for one ticket tier of an event
+ * Input: eventId, details ({ name, email, ticketType, quantity, now }),
+ *        callback (err, { waitlistId, position })
+ * Output: None - err.userMessage is set for an unknown tier, a bad quantity,
+ *         an email that is already waiting (err.alreadyWaitlisted) or an event or
+ *         tier that is not on sale (err.salesCode, see utils/sales.js)
+ * Database: SELECT events/tickets/waitlist for validation, INSERT into waitlist table (one transaction)
+ */
+function joinWaitlist(eventId, details, callback) {
+    if (details.quantity < 1 || details.quantity > MAX_TICKETS_PER_BOOKING) {
+        const invalid = new Error('Invalid waitlist quantity');
+        invalid.userMessage = `Quantity must be between 1 and ${MAX_TICKETS_PER_BOOKING}.`;
+        return callback(invalid);
+    }
+
+    withTransaction((done) => {
+        global.db.get(
+            `SELECT e.*, t.type, t.sales_open_at AS tier_sales_open_at, t.sales_close_at AS tier_sales_close_at,
+                    (SELECT COUNT(*) FROM waitlist WHERE event_id = ? AND attendee_email = ? AND status IN ('waiting', 'offered')) AS existing
+             FROM events e LEFT JOIN tickets t ON t.event_id = e.event_id AND t.type = ?
+             WHERE e.event_id = ?`,
+            [eventId, details.email, details.ticketType, eventId],
+            (err, check) => {
+                if (err) return done(err);
+
+                if (!check || !check.type) {
+                    const unknown = new Error('Unknown ticket tier');
+                    unknown.userMessage = 'Please choose a valid ticket type.';
+                    return done(unknown);
+                }
+
+                // Nobody can queue for seats that are not (or no longer) on sale
+                const tier = { type: check.type, sales_open_at: check.tier_sales_open_at, sales_close_at: check.tier_sales_close_at };
+                const notOnSale = checkEventSales(check) || checkTierSales(check, tier);
+                if (notOnSale) {
+                    const closed = new Error('Not on sale');
+                    closed.userMessage = notOnSale.message;
+                    closed.salesCode = notOnSale.code;
+                    return done(closed);
+                }
+
+                if (check.existing > 0) {
+                    const duplicate = new Error('Already on waitlist');
+                    duplicate.userMessage = 'You are already on the waitlist for this event.';
+                    duplicate.alreadyWaitlisted = true;
+                    return done(duplicate);
+                }
+
+                global.db.run(
+                    `INSERT INTO waitlist (event_id, attendee_name, attendee_email, ticket_type, quantity, requested_at, status)
+                     VALUES (?, ?, ?, ?, ?, ?, 'waiting')`,
+                    [eventId, details.name, details.email, details.ticketType, details.quantity, details.now],
+                    function(err2) {
+                        if (err2) return done(err2);
+                        const waitlistId = this.lastID;
+
+                        global.db.get(
+                            "SELECT COUNT(*) as position FROM waitlist WHERE event_id = ? AND status = 'waiting' AND requested_at <= ?",
+                            [eventId, details.now],
+                            (err3, result) => done(err3, { waitlistId, position: result ? result.position : null })
+                        );
+                    }
+                );
+            }
+        );
+    }, callback);
+}
+
+module.exports = {
+    MAX_TICKETS_PER_BOOKING,
+    validateAttendee,
+    checkLineSales,
+    selectTicketLines,
+    unavailableMessage,
+    checkAvailability,
+    placeOrder,
+    sendBookingConfirmation,
+    joinWaitlist
+};
\ No newline at end of file
@@ -0,0 +1,140 @@
+/**
+ * utils/calendar.js
+ * iCalendar (.ics) Output
+ *
+ * Purpose: Build iCalendar files for single events and subscribable feeds
+ * Used by: routes/calendar.js
+ *
+ * Start and end times are given in the site time zone and written in UTC
+ * (DTSTART:...Z), so calendar apps show them at the right local time wherever
+ * the subscriber is without needing a VTIMEZONE definition. Each event keeps
+ * the same UID and its SEQUENCE rises with every edit, so calendar apps
+ * replace their copy instead of adding a duplicate when an event changes.
+ */
+
+const { absoluteUrl } = require('./mailer');
+const { eventStart, eventEnd, getSiteTimeZone } = require('./helpers');
+
+const PRODID = '-//Flavour Academy//Event Manager//EN';
+const UID_DOMAIN = new URL(absoluteUrl('/')).hostname;
+
+// How often subscribed calendar apps should fetch a feed again
+const FEED_REFRESH = 'PT1H';
+
+/**
+ * escapeText
+ * Purpose: Escape a value for an iCalendar TEXT property
+ * Input: value (string or null)
+ * Output: Escaped string (backslash, semicolon, comma and newlines)
+ */
+function escapeText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * foldLine
+ * Purpose: Split a content line into 75-octet pieces as iCalendar requires
+ * Input: line (string)
+ * Output: String with CRLF + space before each continuation
+ */
+function foldLine(line) {
+    const pieces = [];
+    let current = '';
+    let size = 0;
+
+    for (const char of line) {
+        const charSize = Buffer.byteLength(char);
+        // Continuation lines start with a space, which counts towards the limit
+        const limit = pieces.length === 0 ? 75 : 74;
+        if (size + charSize > limit) {
+            pieces.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    }
+    pieces.push(current);
+    return pieces.join('\r\n ');
+}
+
+/**
+ * formatTimestamp
+ * Purpose: Format an ISO timestamp as an iCalendar UTC DATE-TIME
+ * Input: iso (ISO 8601 string)
+ * Output: String e.g. 20261019T034702Z
+ */
+function formatTimestamp(iso) {
+    return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * eventLines
+ * Purpose: Build the VEVENT lines for one event
+ * Input: event (row with optional category_name)
+ * Output: Array of unfolded content lines
+ */
+function eventLines(event) {
+    const eventUrl = absoluteUrl(`/attendee/event/${event.event_id}`);
+    const isDraft = event.status !== 'published';
+    const description = [event.description, `Details and booking: ${eventUrl}`].filter(Boolean).join('\n\n');
+
+    // Publishing changes the status without touching updated_at, so count it as a change too
+    const modifiedAt = [event.updated_at, event.published_at].filter(Boolean).sort().pop();
+    // Whole seconds since creation: increases every time the event is saved or published
+    const sequence = Math.max(0, Math.floor((new Date(modifiedAt) - new Date(event.created_at)) / 1000));
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:event-${event.event_id}@${UID_DOMAIN}`,
+        `DTSTAMP:${formatTimestamp(new Date().toISOString())}`,
+        `LAST-MODIFIED:${formatTimestamp(modifiedAt)}`,
+        `SEQUENCE:${sequence}`,
+        `DTSTART:${formatTimestamp(eventStart(event).toISOString())}`,
+        `DTEND:${formatTimestamp(eventEnd(event).toISOString())}`,
+        `SUMMARY:${escapeText((isDraft ? '[Draft] ' : '') + event.title)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        `URL:${eventUrl}`,
+        `STATUS:${isDraft ? 'TENTATIVE' : 'CONFIRMED'}`,
+        'TRANSP:OPAQUE'
+    ];
+    if (event.category_name) {
+        lines.push(`CATEGORIES:${escapeText(event.category_name)}`);
+    }
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * buildCalendar
+ * Purpose: Build a complete iCalendar document
+ * Input: name (calendar name shown by calendar apps), events (rows), isFeed
+ *        (boolean - adds refresh hints for subscribed calendars)
+ * Output: String with CRLF line endings
+ */
+function buildCalendar(name, events, isFeed) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `X-WR-TIMEZONE:${getSiteTimeZone()}`
+    ];
+    if (isFeed) {
+        lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${FEED_REFRESH}`, `X-PUBLISHED-TTL:${FEED_REFRESH}`);
+    }
+    events.forEach(event => lines.push(...eventLines(event)));
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    buildCalendar
+};
\ No newline at end of file
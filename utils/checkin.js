@@ -0,0 +1,151 @@
+/**
+ * utils/checkin.js
+ * Event Check-In
+ *
+ * Purpose: Draw booking QR codes, read scanned or typed codes, and check
+ *          bookings in at the door
+ * Used by: routes/organiser.js (check-in page), routes/attendee.js (QR images),
+ *          utils/bookings.js (confirmation email)
+ *
+ * A QR code holds "<booking reference>.<signature>" (see checkInCode in
+ * helpers.js), so a code cannot be made up from a guessed reference. Staff
+ * are logged in, so they may also type a bare booking reference from a
+ * printout. A booking is checked in once, as a whole order; the UPDATE only
+ * matches bookings not yet checked in, so two scanners cannot both succeed.
+ */
+
+const QRCode = require('qrcode');
+const { normaliseBookingReference, verifySignedValue } = require('./helpers');
+
+const QR_OPTIONS = { errorCorrectionLevel: 'M', margin: 2, width: 240 };
+
+/**
+ * qrDataUrl
+ * Purpose: Draw a check-in code as a PNG data URL for use in a web page
+ * Input: code (string), callback (err, dataUrl)
+ * Output: None (result passed to callback)
+ */
+function qrDataUrl(code, callback) {
+    QRCode.toDataURL(code, QR_OPTIONS, callback);
+}
+
+/**
+ * qrPng
+ * Purpose: Draw a check-in code as PNG image data (for emails, which block data URLs)
+ * Input: code (string), callback (err, buffer)
+ * Output: None (result passed to callback)
+ */
+function qrPng(code, callback) {
+    QRCode.toBuffer(code, { ...QR_OPTIONS, type: 'png' }, callback);
+}
+
+/**
+ * parseCheckInCode
+ * Purpose: Read a scanned QR code or a typed booking reference
+ * Input: code (string)
+ * Output: { reference } or { error } message
+ */
+function parseCheckInCode(code) {
+    const value = (code || '').trim();
+    if (!value) return { error: 'Scan a ticket or type a booking reference.' };
+
+    const dot = value.lastIndexOf('.');
+    if (dot === -1) {
+        const reference = normaliseBookingReference(value);
+        return reference ? { reference } : { error: 'That is not a valid booking reference.' };
+    }
+
+    const reference = normaliseBookingReference(value.slice(0, dot));
+    if (!reference || !verifySignedValue(reference, 'checkin', value.slice(dot + 1))) {
+        return { error: 'This QR code is not valid. Check the booking reference instead.' };
+    }
+    return { reference };
+}
+
+/**
+ * loadCheckInOrder
+ * Purpose: Load a booking by reference for the check-in screen
+ * Input: eventId (event being checked in), reference, callback (err, order or null)
+ * Output: None - order includes lines (ticket lines), quantity and event_title;
+ *         order.event_id may differ from eventId (booking for another event)
+ * Database: SELECT from orders, events, bookings tables
+ */
+function loadCheckInOrder(eventId, reference, callback) {
+    global.db.get(
+        `SELECT o.*, e.title AS event_title, e.event_date
+         FROM orders o JOIN events e ON e.event_id = o.event_id
+         WHERE o.booking_reference = ?`,
+        [reference],
+        (err, order) => {
+            if (err || !order) return callback(err, null);
+
+            global.db.all(
+                'SELECT ticket_type, quantity FROM bookings WHERE order_id = ? ORDER BY booking_id ASC',
+                [order.order_id],
+                (err2, lines) => {
+                    if (err2) return callback(err2);
+                    order.lines = lines;
+                    order.quantity = lines.reduce((sum, line) => sum + line.quantity, 0);
+                    callback(null, order);
+                }
+            );
+        }
+    );
+}
+
+/**
+ * checkInOrder
+ * Purpose: Mark a confirmed booking for an event as checked in
+ * Input: eventId, orderId, staffName (username recorded against the check-in),
+ *        callback (err, { checkedIn, order }) - checkedIn is false when the booking
+ *        was already checked in, is not confirmed (cancelled, or still awaiting
+ *        payment) or belongs to another event
+ * Output: None (result passed to callback) - order is the row after the attempt (or null)
+ * Database: UPDATE orders (checked_in_at, checked_in_by), SELECT from orders table
+ */
+function checkInOrder(eventId, orderId, staffName, callback) {
+    global.db.run(
+        `UPDATE orders SET checked_in_at = ?, checked_in_by = ?
+         WHERE order_id = ? AND event_id = ? AND status = 'confirmed' AND checked_in_at IS NULL`,
+        [new Date().toISOString(), staffName, orderId, eventId],
+        function(err) {
+            if (err) return callback(err);
+            const checkedIn = this.changes > 0;
+
+            global.db.get('SELECT * FROM orders WHERE order_id = ? AND event_id = ?', [orderId, eventId], (err2, order) => {
+                if (err2) return callback(err2);
+                callback(null, { checkedIn, order: order || null });
+            });
+        }
+    );
+}
+
+/**
+ * loadCheckInCounts
+ * Purpose: Count checked-in and expected tickets and bookings for an event
+ * Input: eventId, callback (err, { checkedInTickets, expectedTickets, checkedInOrders, expectedOrders })
+ * Output: None (result passed to callback) - cancelled bookings are not expected
+ * Database: SELECT from orders, bookings tables
+ */
+function loadCheckInCounts(eventId, callback) {
+    global.db.get(
+        `SELECT COUNT(*) AS expectedOrders,
+                COALESCE(SUM(o.checked_in_at IS NOT NULL), 0) AS checkedInOrders,
+                COALESCE(SUM(t.quantity), 0) AS expectedTickets,
+                COALESCE(SUM(CASE WHEN o.checked_in_at IS NOT NULL THEN t.quantity ELSE 0 END), 0) AS checkedInTickets
+         FROM orders o
+         JOIN (SELECT order_id, SUM(quantity) AS quantity FROM bookings GROUP BY order_id) t ON t.order_id = o.order_id
+         WHERE o.event_id = ? AND o.status = 'confirmed'`,
+        [eventId],
+        callback
+    );
+}
+
+module.exports = {
+    qrDataUrl,
+    qrPng,
+    parseCheckInCode,
+    loadCheckInOrder,
+    checkInOrder,
+    loadCheckInCounts
+};
\ No newline at end of file
@@ -0,0 +1,178 @@
+/**
+ * utils/db.js
+ * Database Transaction Helpers
+ *
+ * Purpose: Run multi-statement work atomically on the shared global.db connection
+ * Used by: index.js (shareConnection), routes/attendee.js, routes/api.js, utils/bookings.js,
+ *          utils/events.js, utils/waitlist.js, utils/reminders.js, utils/roles.js and the other
+ *          utils modules that save several rows at once
+ *
+ * All route modules share one SQLite connection, so two requests cannot each
+ * open their own transaction. withTransaction queues callers and runs them one
+ * at a time inside BEGIN IMMEDIATE ... COMMIT, so a read-check-write sequence
+ * (e.g. availability check then booking insert) cannot interleave with another.
+ *
+ * Because the connection is shared, any statement sent while a transaction is open
+ * would become part of it (and be lost if it rolls back). shareConnection wraps the
+ * connection so the transaction's own statements are told apart from everyone else's:
+ * the transaction is tracked with AsyncLocalStorage, which sqlite3 callbacks do not
+ * carry, so each callback is run back inside its caller's context. Statements from
+ * outside wait until the transaction has ended, and a transaction only begins once
+ * the statements already sent have finished.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const transactionContext = new AsyncLocalStorage();
+
+// Transactions waiting to run
+const queue = [];
+// Statements from outside the running transaction, waiting for it to end
+const waiting = [];
+// Context object of the running transaction, or null
+let current = null;
+// Statements sent outside any transaction that have not finished yet
+let running = 0;
+
+/**
+ * drainQueue
+ * Purpose: Send waiting statements, then start the next queued transaction once
+ *          nothing else is running on the connection
+ * Input: None
+ * Output: None
+ */
+function drainQueue() {
+    if (current) return;
+    while (waiting.length > 0) waiting.shift()();
+    if (running > 0 || queue.length === 0) return;
+
+    const context = {};
+    const task = queue.shift();
+    current = context;
+    transactionContext.run(context, () => task(() => {
+        current = null;
+        drainQueue();
+    }));
+}
+
+/**
+ * shareConnection
+ * Purpose: Wrap a connection's run, get and all so statements sent while a transaction
+ *          is open wait for it, unless they belong to that transaction
+ * Input: db (sqlite3.Database)
+ * Output: The same db, wrapped
+ */
+function shareConnection(db) {
+    ['run', 'get', 'all'].forEach((method) => {
+        const original = db[method];
+
+        db[method] = function(sql, ...params) {
+            const callback = typeof params[params.length - 1] === 'function' ? params.pop() : null;
+            const context = transactionContext.getStore();
+            const inTransaction = current !== null && context === current;
+
+            // Results go back to the caller inside its own context (this keeps lastID/changes)
+            const reply = (self, results) => {
+                if (callback) {
+                    transactionContext.run(context, () => callback.apply(self, results));
+                } else if (results[0]) {
+                    console.error('Database error:', results[0]);
+                }
+            };
+
+            const send = () => {
+                if (!inTransaction) running++;
+                original.call(db, sql, ...params, function(...results) {
+                    if (inTransaction) return reply(this, results);
+                    running--;
+                    reply(this, results);
+                    drainQueue();
+                });
+            };
+
+            if (inTransaction || (!current && queue.length === 0)) {
+                send();
+            } else {
+                waiting.push(send);
+            }
+            return db;
+        };
+    });
+    return db;
+}
+
+/**
+ * withTransaction
+ * Purpose: Run work inside a transaction, holding the connection lock until it ends
+ * Input: work (function(done)) - call done(err, result) when finished;
+ *        an error (or a thrown exception) rolls back, otherwise commits
+ *        callback (function(err, result)) - called after COMMIT or ROLLBACK
+ * Output: None (result passed to callback)
+ */
+function withTransaction(work, callback) {
+    queue.push((release) => {
+        const context = transactionContext.getStore();
+        const finish = (err, result) => {
+            release();
+            callback(err, result);
+        };
+
+        global.db.run('BEGIN IMMEDIATE', (beginErr) => {
+            if (beginErr) return finish(beginErr);
+
+            let settled = false;
+            const done = (workErr, result) => {
+                if (settled) return;
+                settled = true;
+
+                // done may be called from a callback that lost the context, so end
+                // the transaction from inside it
+                transactionContext.run(context, () => {
+                    if (workErr) {
+                        return global.db.run('ROLLBACK', (rollbackErr) => {
+                            if (rollbackErr) console.error('Rollback error:', rollbackErr);
+                            finish(workErr);
+                        });
+                    }
+
+                    global.db.run('COMMIT', (commitErr) => {
+                        if (commitErr) {
+                            return global.db.run('ROLLBACK', () => finish(commitErr));
+                        }
+                        finish(null, result);
+                    });
+                });
+            };
+
+            try {
+                work(done);
+            } catch (e) {
+                done(e);
+            }
+        });
+    });
+    drainQueue();
+}
+
+/**
+ * runStatements
+ * Purpose: Run a list of write statements one after another, stopping at the first error
+ * Input: statements (array of { sql, params }), callback (err)
+ * Output: Calls callback when all statements have run
+ */
+function runStatements(statements, callback) {
+    const next = (index) => {
+        if (index >= statements.length) return callback(null);
+        global.db.run(statements[index].sql, statements[index].params, (err) => {
+            if (err) return callback(err);
+            next(index + 1);
+        });
+    };
+    next(0);
+}
+
+module.exports = {
+    shareConnection,
+    withTransaction,
+    runStatements
+};
\ No newline at end of file
@@ -0,0 +1,933 @@
+/**
+ * utils/events.js
+ * Event Management
+ *
+ * Purpose: Validate and save events and their ticket tiers, publish and delete
+ *          events, manage recurring series, and tell booked attendees about changes
+ * Used by: routes/organiser.js (forms), routes/api.js (JSON API)
+ *
+ * Both the organiser forms and the API go through these functions so an event
+ * saved either way passes the same checks. Errors meant for the user carry
+ * err.userMessage; anything else is an unexpected database error.
+ */
+
+const {
+    isValidFutureDate,
+    isValidDate,
+    isValidTime,
+    zonedTimeToDate,
+    todayInSiteZone,
+    shiftDays,
+    formatDateShort,
+    formatEventTime,
+    manageLink,
+    userError
+} = require('./helpers');
+const { withTransaction, runStatements } = require('./db');
+const { promoteWaitlist } = require('./waitlist');
+const { queueEmail } = require('./mailer');
+const { checkEventVenue, findVenueClash } = require('./venues');
+const { validateSalesWindow, validateCutoffHours } = require('./sales');
+const { refundEventOrders } = require('./payments');
+const { checkPolicy } = require('./refunds');
+const { can } = require('./roles');
+
+const MAX_SERIES_OCCURRENCES = 52;
+const MAX_SERIES_INTERVAL_WEEKS = 12;
+// New and imported events run at these times unless others are given (matches db_schema.sql)
+const DEFAULT_START_TIME = '18:00';
+const DEFAULT_END_TIME = '21:00';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * validateEventDetails
+ * Purpose: Check the title, date, times and sales window of an event
+ * The date is compared with today in the site time zone
+ * Input: details ({ title, eventDate, startTime, endTime, salesOpenAt, salesCloseAt, bookingCutoffHours })
+ * Output: Error message string, or null if valid
+ */
+function validateEventDetails(details) {
+    if (!details.title) {
+        return 'Title is required.';
+    }
+    if (details.title.length > 200) {
+        return 'Title must be 200 characters or fewer.';
+    }
+    if (!details.eventDate) {
+        return 'Event date is required.';
+    }
+    if (!isValidDate(details.eventDate)) {
+        return 'Event date is not a valid date.';
+    }
+    if (!isValidFutureDate(details.eventDate)) {
+        return 'Event date must be today or in the future.';
+    }
+    if (!isValidTime(details.startTime) || !isValidTime(details.endTime)) {
+        return 'Start and end times must be written as HH:MM (24-hour clock).';
+    }
+    if (details.endTime <= details.startTime) {
+        return 'The event must end after it starts (on the same day).';
+    }
+    const salesError = validateSalesWindow(details, 'Sales') || validateCutoffHours(details.bookingCutoffHours);
+    if (salesError) {
+        return salesError;
+    }
+    if (details.salesOpenAt && new Date(details.salesOpenAt) >= zonedTimeToDate(details.eventDate, details.startTime)) {
+        return 'Sales must open before the event starts.';
+    }
+    return null;
+}
+
+/**
+ * validateTicketTiers
+ * Purpose: Check submitted tiers have names, unique names, non-negative values
+ *          and (if set) a sales window that closes after it opens
+ * Input: tiers (array of { ticketId, type, price, quantity, sortOrder, salesOpenAt, salesCloseAt })
+ * Output: Error message string, or null if valid
+ */
+function validateTicketTiers(tiers) {
+    if (tiers.length === 0) {
+        return 'At least one ticket tier is required.';
+    }
+
+    const seen = new Set();
+    for (const tier of tiers) {
+        if (!tier.type) {
+            return 'Every ticket tier needs a name.';
+        }
+        if (tier.type.length > 50) {
+            return 'Ticket tier names must be 50 characters or fewer.';
+        }
+        if (tier.price < 0 || tier.quantity < 0) {
+            return 'Prices and quantities cannot be negative.';
+        }
+        const salesError = validateSalesWindow(tier, `"${tier.type}" sales`);
+        if (salesError) {
+            return salesError;
+        }
+        const key = tier.type.toLowerCase();
+        if (seen.has(key)) {
+            return `Ticket tier "${tier.type}" is listed more than once.`;
+        }
+        seen.add(key);
+    }
+    return null;
+}
+
+/**
+ * buildTicketStatements
+ * Purpose: Work out the writes needed to turn the stored tiers into the submitted tiers
+ * Renamed tiers also rename matching bookings and waitlist entries in a single
+ * CASE statement so that swapping two names does not merge their rows
+ * Input: eventId, tiers (submitted), existing (rows from tickets table)
+ * Output: Array of { sql, params }
+ */
+function buildTicketStatements(eventId, tiers, existing) {
+    const statements = [];
+    const keptIds = tiers.filter(t => t.ticketId).map(t => t.ticketId);
+    const renames = [];
+
+    existing.forEach(ticket => {
+        if (!keptIds.includes(ticket.ticket_id)) {
+            statements.push({ sql: 'DELETE FROM tickets WHERE ticket_id = ?', params: [ticket.ticket_id] });
+        }
+    });
+
+    tiers.forEach(tier => {
+        const current = existing.find(t => t.ticket_id === tier.ticketId);
+        if (current) {
+            if (current.type !== tier.type) {
+                renames.push({ from: current.type, to: tier.type });
+            }
+            statements.push({
+                sql: `UPDATE tickets SET type = ?, price = ?, quantity = ?, sort_order = ?, sales_open_at = ?, sales_close_at = ?
+                      WHERE ticket_id = ?`,
+                params: [tier.type, tier.price, tier.quantity, tier.sortOrder,
+                    tier.salesOpenAt || null, tier.salesCloseAt || null, current.ticket_id]
+            });
+        } else {
+            statements.push({
+                sql: `INSERT INTO tickets (event_id, type, price, quantity, sort_order, sales_open_at, sales_close_at)
+                      VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                params: [eventId, tier.type, tier.price, tier.quantity, tier.sortOrder,
+                    tier.salesOpenAt || null, tier.salesCloseAt || null]
+            });
+        }
+    });
+
+    if (renames.length > 0) {
+        const cases = renames.map(() => 'WHEN ? THEN ?').join(' ');
+        const caseParams = [];
+        renames.forEach(r => caseParams.push(r.from, r.to));
+        const oldTypes = renames.map(r => r.from);
+        const placeholders = oldTypes.map(() => '?').join(', ');
+
+        ['bookings', 'waitlist'].forEach(table => {
+            statements.push({
+                sql: `UPDATE ${table} SET ticket_type = CASE ticket_type ${cases} END
+                      WHERE event_id = ? AND ticket_type IN (${placeholders})`,
+                params: [...caseParams, eventId, ...oldTypes]
+            });
+        });
+    }
+
+    return statements;
+}
+
+/**
+ * loadEventAttendees
+ * Purpose: Load an event and its confirmed orders that have an email address
+ * Input: eventId, callback (err, event, orders)
+ * Output: None (result passed to callback)
+ * Database: SELECT from events and orders tables
+ */
+function loadEventAttendees(eventId, callback) {
+    global.db.get('SELECT * FROM events WHERE event_id = ?', [eventId], (err, event) => {
+        if (err || !event) return callback(err, null, []);
+
+        global.db.all(
+            "SELECT * FROM orders WHERE event_id = ? AND status = 'confirmed' AND attendee_email IS NOT NULL",
+            [eventId],
+            (err2, orders) => callback(err2, event, orders || [])
+        );
+    });
+}
+
+/**
+ * describeEventChanges
+ * Purpose: List the attendee-facing changes between two versions of an event
+ * Input: before, after (event rows with title, event_date, start_time, end_time)
+ * Output: Array of human-readable change strings (empty if nothing relevant changed)
+ */
+function describeEventChanges(before, after) {
+    const changes = [];
+    if (before.title !== after.title) {
+        changes.push(`Title changed from "${before.title}" to "${after.title}"`);
+    }
+    if (before.event_date.split('T')[0] !== after.event_date.split('T')[0] ||
+        before.start_time !== after.start_time || before.end_time !== after.end_time) {
+        changes.push(`Time changed from ${formatEventTime(before)} to ${formatEventTime(after)}`);
+    }
+    return changes;
+}
+
+/**
+ * notifyEventChanged
+ * Purpose: Email booked attendees when the title, date or times of a published event change
+ * Input: previous (event row before the update), eventId
+ * Output: None (emails queued in the outbox)
+ * Database: SELECT via loadEventAttendees
+ */
+function notifyEventChanged(previous, eventId) {
+    if (previous.status !== 'published') return;
+
+    loadEventAttendees(eventId, (err, event, orders) => {
+        if (err) return console.error('Event change email error:', err);
+        if (!event) return;
+
+        const changes = describeEventChanges(previous, event);
+        if (changes.length === 0) return;
+
+        orders.forEach(order => {
+            queueEmail('event_changed', order.attendee_email, {
+                event,
+                order,
+                changes,
+                manageUrl: manageLink(order.booking_reference)
+            });
+        });
+    });
+}
+
+/**
+ * checkCategory
+ * Purpose: Make sure a chosen category exists (no category is allowed)
+ * Input: categoryId (or null), callback (err) - err.userMessage set if the category is unknown
+ * Output: None
+ * Database: SELECT from categories table
+ */
+function checkCategory(categoryId, callback) {
+    if (!categoryId) return callback(null);
+
+    global.db.get('SELECT category_id FROM categories WHERE category_id = ?', [categoryId], (err, category) => {
+        if (err) return callback(err);
+        if (!category) return callback(userError('Please choose a valid category.'));
+        callback(null);
+    });
+}
+
+/**
+ * insertDraftEvent
+ * Purpose: Insert a draft event with its ticket tiers
+ * Must be called inside withTransaction
+ * Input: details ({ title, description, eventDate, startTime, endTime, salesOpenAt, salesCloseAt,
+ *        bookingCutoffHours, categoryId, venueId, cancellationPolicyId, ownerId }),
+ *        tiers, now (ISO timestamp), callback (err, eventId)
+ * Output: None (result passed to callback)
+ * Database: INSERT into events and tickets tables
+ */
+function insertDraftEvent(details, tiers, now, callback) {
+    global.db.run(
+        `INSERT INTO events (title, description, event_date, start_time, end_time, sales_open_at, sales_close_at,
+                             booking_cutoff_hours, category_id, venue_id, cancellation_policy_id, owner_id,
+                             created_at, updated_at, status)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'draft')`,
+        [details.title, details.description, details.eventDate, details.startTime, details.endTime,
+            details.salesOpenAt || null, details.salesCloseAt || null, details.bookingCutoffHours || 0,
+            details.categoryId, details.venueId || null, details.cancellationPolicyId || null,
+            details.ownerId || null, now, now],
+        function(err) {
+            if (err) return callback(err);
+            const eventId = this.lastID;
+            runStatements(buildTicketStatements(eventId, tiers, []), (err2) => callback(err2, eventId));
+        }
+    );
+}
+
+/**
+ * createEvent
+ * Purpose: Save a new draft event with its ticket tiers
+ * Input: details ({ title, description, eventDate, startTime, endTime, salesOpenAt, salesCloseAt,
+ *        bookingCutoffHours, categoryId, venueId, cancellationPolicyId, ownerId }), tiers, callback (err, eventId)
+ * Output: None - err.userMessage is set for an unknown category, venue or
+ *         cancellation policy, or more tickets than the venue holds
+ * Database: INSERT into events and tickets tables (one transaction)
+ */
+function createEvent(details, tiers, callback) {
+    const now = new Date().toISOString();
+
+    withTransaction((done) => {
+        checkCategory(details.categoryId, (categoryErr) => {
+            if (categoryErr) return done(categoryErr);
+
+            checkPolicy(details.cancellationPolicyId, (policyErr) => {
+                if (policyErr) return done(policyErr);
+
+                checkEventVenue(details.venueId, { ...details, eventId: null, published: false }, tiers, (venueErr) => {
+                    if (venueErr) return done(venueErr);
+                    insertDraftEvent(details, tiers, now, done);
+                });
+            });
+        });
+    }, callback);
+}
+
+/**
+ * importEvents
+ * Purpose: Save a batch of validated events as drafts, creating any categories
+ *          they name that do not exist yet (names match existing ones ignoring case)
+ * Input: entries (array of { details, categoryName, tiers } from utils/import.js),
+ *        ownerId (organiser who will own the events), callback (err, { events, categories }) -
+ *        counts of rows created
+ * Output: None (result passed to callback) - nothing is saved if any insert fails
+ * Database: SELECT/INSERT categories, INSERT into events and tickets tables (one transaction)
+ */
+function importEvents(entries, ownerId, callback) {
+    const now = new Date().toISOString();
+    const categoryIds = new Map();
+    let createdCategories = 0;
+
+    withTransaction((done) => {
+        const resolveCategory = (name, next) => {
+            if (!name) return next(null, null);
+            const key = name.toLowerCase();
+            if (categoryIds.has(key)) return next(null, categoryIds.get(key));
+
+            global.db.get('SELECT category_id FROM categories WHERE name = ? COLLATE NOCASE', [name], (err, category) => {
+                if (err) return next(err);
+                if (category) {
+                    categoryIds.set(key, category.category_id);
+                    return next(null, category.category_id);
+                }
+
+                global.db.run('INSERT INTO categories (name) VALUES (?)', [name], function(err2) {
+                    if (err2) return next(err2);
+                    createdCategories++;
+                    categoryIds.set(key, this.lastID);
+                    next(null, this.lastID);
+                });
+            });
+        };
+
+        const importNext = (index) => {
+            if (index >= entries.length) {
+                return done(null, { events: entries.length, categories: createdCategories });
+            }
+            const entry = entries[index];
+
+            resolveCategory(entry.categoryName, (err, categoryId) => {
+                if (err) return done(err);
+                insertDraftEvent({ ...entry.details, categoryId, ownerId }, entry.tiers, now, (err2) => {
+                    if (err2) return done(err2);
+                    importNext(index + 1);
+                });
+            });
+        };
+        importNext(0);
+    }, callback);
+}
+
+/**
+ * applyEventUpdate
+ * Purpose: Check and write an update to one event and its ticket tiers
+ * Must be called inside withTransaction
+ * Input: eventId, details ({ title, description, eventDate, startTime, endTime, salesOpenAt, salesCloseAt,
+ *        bookingCutoffHours, categoryId, venueId, cancellationPolicyId }),
+ *        tiersFor (function(existing) returning the submitted tiers for this event),
+ *        callback (err, previous) - previous is the event row before the update
+ * Output: None - err.userMessage is set for missing events (err.notFound), unknown
+ *         categories or cancellation policies, stale tier IDs, removed tiers that still hold seats
+ *         (bookings, orders waiting for payment or live waitlist offers), and venue problems
+ *         (see checkEventVenue)
+ * Database: SELECT held_seats, UPDATE events table, INSERT/UPDATE/DELETE tickets table,
+ *           UPDATE bookings/waitlist ticket_type when a tier is renamed
+ */
+function applyEventUpdate(eventId, details, tiersFor, callback) {
+    global.db.get('SELECT * FROM events WHERE event_id = ?', [eventId], (eventErr, previous) => {
+        if (eventErr) return callback(eventErr);
+        if (!previous) {
+            const missing = userError('Event not found.');
+            missing.notFound = true;
+            return callback(missing);
+        }
+
+        checkCategory(details.categoryId, (categoryErr) => {
+            if (categoryErr) return callback(categoryErr);
+
+            checkPolicy(details.cancellationPolicyId, (policyErr) => {
+                if (policyErr) return callback(policyErr);
+
+                global.db.all(
+                    `SELECT t.ticket_id, t.type, COALESCE(SUM(b.quantity), 0) AS held
+                     FROM tickets t
+                     LEFT JOIN held_seats b ON b.event_id = t.event_id AND b.ticket_type = t.type
+                     WHERE t.event_id = ?
+                     GROUP BY t.ticket_id`,
+                    [eventId],
+                    (err, existing) => {
+                        if (err) return callback(err);
+
+                        const tiers = tiersFor(existing);
+
+                        const unknown = tiers.find(t => t.ticketId && !existing.some(e => e.ticket_id === t.ticketId));
+                        if (unknown) {
+                            return callback(userError('Ticket tiers have changed since they were loaded. Please try again.'));
+                        }
+
+                        // Unpaid orders and waitlist offers hold seats too, and could still become bookings
+                        const removedWithSeats = existing.find(e => e.held > 0 && !tiers.some(t => t.ticketId === e.ticket_id));
+                        if (removedWithSeats) {
+                            return callback(userError(`Cannot remove the "${removedWithSeats.type}" tier because it has bookings, ` +
+                                'unpaid orders or waitlist offers holding seats.'));
+                        }
+
+                        const venueEvent = { ...details, eventId: previous.event_id, published: previous.status === 'published' };
+                        checkEventVenue(details.venueId, venueEvent, tiers, (venueErr) => {
+                            if (venueErr) return callback(venueErr);
+
+                            runStatements([
+                                {
+                                    sql: `UPDATE events SET title = ?, description = ?, event_date = ?, start_time = ?, end_time = ?,
+                                          sales_open_at = ?, sales_close_at = ?, booking_cutoff_hours = ?,
+                                          category_id = ?, venue_id = ?, cancellation_policy_id = ?, updated_at = ? WHERE event_id = ?`,
+                                    params: [details.title, details.description, details.eventDate, details.startTime, details.endTime,
+                                        details.salesOpenAt || null, details.salesCloseAt || null, details.bookingCutoffHours || 0,
+                                        details.categoryId, details.venueId || null, details.cancellationPolicyId || null,
+                                        new Date().toISOString(), eventId]
+                                },
+                                ...buildTicketStatements(eventId, tiers, existing)
+                            ], (err2) => callback(err2, previous));
+                        });
+                    }
+                );
+            });
+        });
+    });
+}
+
+/**
+ * updateEvent
+ * Purpose: Update event details and ticket tiers, then offer any freed seats to
+ *          the waitlist and tell attendees about title/date changes
+ * For an occurrence of a series this changes that occurrence only
+ * Input: eventId, details ({ title, description, eventDate, startTime, endTime, salesOpenAt, salesCloseAt,
+ *        bookingCutoffHours, categoryId, venueId, cancellationPolicyId }), tiers,
+ *        callback (err, previous) - previous is the event row before the update
+ * Output: None - err.userMessage is set as described for applyEventUpdate
+ * Database: UPDATE events/tickets tables via applyEventUpdate (one transaction)
+ */
+function updateEvent(eventId, details, tiers, callback) {
+    // Tier checks and writes share one transaction so a booking made mid-save
+    // cannot land on a tier that is being removed
+    withTransaction((done) => {
+        applyEventUpdate(eventId, details, () => tiers, done);
+    }, (err, previous) => {
+        if (err) return callback(err);
+
+        // Raised quantities may free seats for people on the waitlist
+        promoteWaitlist(eventId);
+        notifyEventChanged(previous, eventId);
+        callback(null, previous);
+    });
+}
+
+// -----------------------------------------------------------------------------
+// Recurring series
+// -----------------------------------------------------------------------------
+
+/**
+ * validateRecurrence
+ * Purpose: Check a recurrence rule submitted with an event
+ * Input: rule ({ intervalWeeks, weekdays (array of 0-6, 0 = Sunday), untilDate, count })
+ * Output: Error message string, or null if valid
+ */
+function validateRecurrence(rule) {
+    if (!Number.isInteger(rule.intervalWeeks) || rule.intervalWeeks < 1 || rule.intervalWeeks > MAX_SERIES_INTERVAL_WEEKS) {
+        return `Repeat interval must be between 1 and ${MAX_SERIES_INTERVAL_WEEKS} weeks.`;
+    }
+    if (rule.weekdays.length === 0) {
+        return 'Choose at least one day of the week to repeat on.';
+    }
+    if (rule.weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        return 'Repeat days are not valid.';
+    }
+    if (!rule.untilDate && !rule.count) {
+        return 'Choose when the series ends: an end date or a number of occurrences.';
+    }
+    if (rule.untilDate && (!/^\d{4}-\d{2}-\d{2}$/.test(rule.untilDate) || !isValidDate(rule.untilDate))) {
+        return 'Series end date is not a valid date.';
+    }
+    if (rule.count && (!Number.isInteger(rule.count) || rule.count < 2 || rule.count > MAX_SERIES_OCCURRENCES)) {
+        return `Number of occurrences must be between 2 and ${MAX_SERIES_OCCURRENCES}.`;
+    }
+    return null;
+}
+
+/**
+ * daysBetween
+ * Purpose: Count the days from one event date to another
+ * Input: fromDate, toDate ('YYYY-MM-DD', optionally with a time part)
+ * Output: Integer (negative if toDate is earlier)
+ */
+function daysBetween(fromDate, toDate) {
+    const day = (date) => new Date(date.slice(0, 10) + 'T00:00:00Z').getTime();
+    return Math.round((day(toDate) - day(fromDate)) / DAY_MS);
+}
+
+/**
+ * buildOccurrenceDates
+ * Purpose: List the dates of a series from its first date and recurrence rule
+ * Weeks are counted from the Monday of the first date's week, so "every 2 weeks
+ * on Tuesday and Thursday" keeps both days in the same active week. The first
+ * date is always included even if its weekday is not in the rule.
+ * Input: startDate ('YYYY-MM-DD'), rule (see validateRecurrence)
+ * Output: Array of 'YYYY-MM-DD' strings - one more than MAX_SERIES_OCCURRENCES
+ *         if the rule would produce too many
+ */
+function buildOccurrenceDates(startDate, rule) {
+    const start = new Date(startDate.split('T')[0] + 'T00:00:00Z');
+    const until = rule.untilDate ? new Date(rule.untilDate + 'T00:00:00Z') : null;
+    const limit = Math.min(rule.count || Infinity, MAX_SERIES_OCCURRENCES + 1);
+    const weekStart = start.getTime() - ((start.getUTCDay() + 6) % 7) * DAY_MS;
+
+    const dates = [start.toISOString().split('T')[0]];
+    for (let time = start.getTime() + DAY_MS; dates.length < limit; time += DAY_MS) {
+        if (until && time > until.getTime()) break;
+
+        const day = new Date(time);
+        const week = Math.floor((time - weekStart) / (7 * DAY_MS));
+        if (week % rule.intervalWeeks === 0 && rule.weekdays.includes(day.getUTCDay())) {
+            dates.push(day.toISOString().split('T')[0]);
+        }
+    }
+    return dates;
+}
+
+/**
+ * checkOccurrenceVenue
+ * Purpose: Make sure a published event's venue is free at its times on a date
+ * Input: event (row with event_id, venue_id, status), date, callback (err) -
+ *        err.userMessage is set if another published event has the venue that day
+ * Output: None
+ * Database: SELECT from events via findVenueClash
+ */
+function checkOccurrenceVenue(event, date, callback) {
+    if (!event.venue_id || event.status !== 'published') return callback(null);
+
+    const slot = { eventDate: date, startTime: event.start_time, endTime: event.end_time };
+    findVenueClash(event.venue_id, slot, event.event_id, (err, clash) => {
+        if (err) return callback(err);
+        callback(clash ? userError(clash) : null);
+    });
+}
+
+/**
+ * createSeries
+ * Purpose: Turn an event into the first occurrence of a recurring series,
+ *          copying its title, description, times, category, venue, cancellation policy,
+ *          status and ticket tiers to one new event per later date
+ * Input: eventId, rule (see validateRecurrence), callback (err, occurrenceCount)
+ * Output: None - err.userMessage is set if the event is missing or already in a
+ *         series, the rule gives fewer than two or too many occurrences, or (for a
+ *         published event) the venue is taken on one of the dates
+ * Database: INSERT into event_series, UPDATE events.series_id,
+ *           INSERT into events and tickets tables (one transaction)
+ */
+function createSeries(eventId, rule, callback) {
+    const now = new Date().toISOString();
+
+    withTransaction((done) => {
+        global.db.get('SELECT * FROM events WHERE event_id = ?', [eventId], (err, event) => {
+            if (err) return done(err);
+            if (!event) return done(userError('Event not found.'));
+            if (event.series_id) return done(userError('This event is already part of a series.'));
+
+            const dates = buildOccurrenceDates(event.event_date, rule);
+            if (dates.length > MAX_SERIES_OCCURRENCES) {
+                return done(userError(`A series can have at most ${MAX_SERIES_OCCURRENCES} occurrences. Choose an earlier end date.`));
+            }
+            if (dates.length < 2) {
+                return done(userError('The repeat rule gives no dates after this event. Check the days and end date.'));
+            }
+
+            global.db.all('SELECT * FROM tickets WHERE event_id = ? ORDER BY sort_order ASC, ticket_id ASC', [eventId], (err2, tickets) => {
+                if (err2) return done(err2);
+
+                global.db.run(
+                    `INSERT INTO event_series (interval_weeks, weekdays, start_date, until_date, occurrence_count, created_at)
+                     VALUES (?, ?, ?, ?, ?, ?)`,
+                    [rule.intervalWeeks, rule.weekdays.join(','), dates[0], rule.untilDate || null, rule.count || null, now],
+                    function(err3) {
+                        if (err3) return done(err3);
+                        const seriesId = this.lastID;
+
+                        // Add the occurrences one at a time, each followed by its ticket tiers
+                        const addOccurrence = (index) => {
+                            if (index >= dates.length) return done(null, dates.length);
+                            // Sales windows move with the date, e.g. "opens a week before"
+                            const offset = daysBetween(event.event_date, dates[index]);
+
+                            checkOccurrenceVenue(event, dates[index], (venueErr) => {
+                                if (venueErr) return done(venueErr);
+
+                                global.db.run(
+                                    `INSERT INTO events (title, description, event_date, start_time, end_time, sales_open_at, sales_close_at,
+                                                         booking_cutoff_hours, category_id, venue_id, cancellation_policy_id, owner_id,
+                                                         created_at, updated_at, published_at, status, series_id)
+                                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                                    [event.title, event.description, dates[index], event.start_time, event.end_time,
+                                        shiftDays(event.sales_open_at, offset), shiftDays(event.sales_close_at, offset),
+                                        event.booking_cutoff_hours, event.category_id,
+                                        event.venue_id, event.cancellation_policy_id, event.owner_id,
+                                        now, now, event.published_at, event.status, seriesId],
+                                    function(err4) {
+                                        if (err4) return done(err4);
+                                        const tiers = tickets.map(t => ({
+                                            type: t.type,
+                                            price: t.price,
+                                            quantity: t.quantity,
+                                            sortOrder: t.sort_order,
+                                            salesOpenAt: shiftDays(t.sales_open_at, offset),
+                                            salesCloseAt: shiftDays(t.sales_close_at, offset)
+                                        }));
+                                        runStatements(buildTicketStatements(this.lastID, tiers, []), (err5) => {
+                                            if (err5) return done(err5);
+                                            addOccurrence(index + 1);
+                                        });
+                                    }
+                                );
+                            });
+                        };
+
+                        global.db.run('UPDATE events SET series_id = ? WHERE event_id = ?', [seriesId, eventId], (err4) => {
+                            if (err4) return done(err4);
+                            addOccurrence(1);
+                        });
+                    }
+                );
+            });
+        });
+    }, callback);
+}
+
+/**
+ * matchSeriesTiers
+ * Purpose: Map tiers submitted for one occurrence onto another occurrence's tiers
+ * Each submitted tier is matched by the name it had on the edited occurrence
+ * (so renames carry across), falling back to its new name
+ * Input: tiers (submitted), sourceTickets (edited occurrence's tiers before the update),
+ *        existing (the other occurrence's tiers)
+ * Output: Array of tiers with ticketId pointing at the other occurrence's rows (or null to add)
+ */
+function matchSeriesTiers(tiers, sourceTickets, existing) {
+    const used = new Set();
+    return tiers.map(tier => {
+        const source = sourceTickets.find(t => t.ticket_id === tier.ticketId);
+        const names = source ? [source.type, tier.type] : [tier.type];
+        const match = names
+            .map(name => existing.find(e => e.type === name && !used.has(e.ticket_id)))
+            .find(Boolean);
+        if (match) used.add(match.ticket_id);
+        return { ...tier, ticketId: match ? match.ticket_id : null };
+    });
+}
+
+/**
+ * updateSeries
+ * Purpose: Update an occurrence and every other upcoming occurrence of its series
+ * The edited occurrence takes all submitted details; the other upcoming occurrences
+ * (earlier and later ones, from today on) keep their own dates and take the title,
+ * description, times, category, venue, cancellation policy and ticket tiers; sales
+ * windows move by the same number of days as each occurrence's date. Past occurrences
+ * are left as they were held
+ * Input: eventId, details, tiers (as for updateEvent), callback (err, updatedCount)
+ * Output: None - err.userMessage is set as for updateEvent, prefixed with the
+ *         occurrence date when another occurrence cannot be changed
+ * Database: SELECT events/tickets, UPDATE via applyEventUpdate (one transaction)
+ */
+function updateSeries(eventId, details, tiers, callback) {
+    withTransaction((done) => {
+        global.db.get('SELECT * FROM events WHERE event_id = ?', [eventId], (err, event) => {
+            if (err) return done(err);
+            if (!event) {
+                const missing = userError('Event not found.');
+                missing.notFound = true;
+                return done(missing);
+            }
+            if (!event.series_id) return done(userError('This event is not part of a series.'));
+
+            global.db.all('SELECT ticket_id, type FROM tickets WHERE event_id = ?', [eventId], (err2, sourceTickets) => {
+                if (err2) return done(err2);
+
+                global.db.all(
+                    'SELECT * FROM events WHERE series_id = ? AND event_id != ? AND substr(event_date, 1, 10) >= ? ORDER BY event_date ASC',
+                    [event.series_id, eventId, todayInSiteZone()],
+                    (err3, others) => {
+                        if (err3) return done(err3);
+
+                        applyEventUpdate(eventId, details, () => tiers, (err4, previous) => {
+                            if (err4) return done(err4);
+                            const updated = [previous];
+
+                            const updateNext = (index) => {
+                                if (index >= others.length) return done(null, updated);
+                                const occurrence = others[index];
+
+                                const offset = daysBetween(details.eventDate, occurrence.event_date);
+                                const occurrenceDetails = {
+                                    ...details,
+                                    eventDate: occurrence.event_date,
+                                    salesOpenAt: shiftDays(details.salesOpenAt, offset),
+                                    salesCloseAt: shiftDays(details.salesCloseAt, offset)
+                                };
+                                const occurrenceTiers = tiers.map(tier => ({
+                                    ...tier,
+                                    salesOpenAt: shiftDays(tier.salesOpenAt, offset),
+                                    salesCloseAt: shiftDays(tier.salesCloseAt, offset)
+                                }));
+
+                                applyEventUpdate(
+                                    occurrence.event_id,
+                                    occurrenceDetails,
+                                    (existing) => matchSeriesTiers(occurrenceTiers, sourceTickets, existing),
+                                    (err5, occurrencePrevious) => {
+                                        if (err5 && err5.userMessage) {
+                                            err5.userMessage = `${formatDateShort(occurrence.event_date)} occurrence: ${err5.userMessage}`;
+                                        }
+                                        if (err5) return done(err5);
+                                        updated.push(occurrencePrevious);
+                                        updateNext(index + 1);
+                                    }
+                                );
+                            };
+                            updateNext(0);
+                        });
+                    }
+                );
+            });
+        });
+    }, (err, updated) => {
+        if (err) return callback(err);
+
+        updated.forEach(previous => {
+            promoteWaitlist(previous.event_id);
+            notifyEventChanged(previous, previous.event_id);
+        });
+        callback(null, updated.length);
+    });
+}
+
+/**
+ * assignEventOwner
+ * Purpose: Hand an event (or every occurrence of its series) to another account
+ * Input: eventId, ownerId (organiser_id), wholeSeries (boolean), callback (err, count) -
+ *        count of events changed
+ * Output: None - err.userMessage is set if the account does not exist or cannot manage events
+ * Database: SELECT from organisers and events, UPDATE events.owner_id
+ */
+function assignEventOwner(eventId, ownerId, wholeSeries, callback) {
+    global.db.get("SELECT role FROM organisers WHERE organiser_id = ? AND status = 'active'", [ownerId], (err, owner) => {
+        if (err) return callback(err);
+        if (!owner || !can(owner.role, 'events.manage')) {
+            return callback(userError('Events can only be given to an administrator or organiser account.'));
+        }
+
+        global.db.get('SELECT series_id FROM events WHERE event_id = ?', [eventId], (err2, event) => {
+            if (err2) return callback(err2);
+            if (!event) return callback(null, 0);
+
+            const bySeries = wholeSeries && event.series_id;
+            global.db.run(
+                `UPDATE events SET owner_id = ? WHERE ${bySeries ? 'series_id' : 'event_id'} = ?`,
+                [ownerId, bySeries ? event.series_id : eventId],
+                function(err3) {
+                    callback(err3, err3 ? 0 : this.changes);
+                }
+            );
+        });
+    });
+}
+
+/**
+ * publishEvent
+ * Purpose: Change event status from draft to published
+ * Input: eventId, callback (err, changed) - changed is false if the event does not exist
+ * Output: None - err.userMessage is set if another published event has the venue that day
+ * Database: SELECT events (venue clash), UPDATE events table (status and published_at)
+ */
+function publishEvent(eventId, callback) {
+    const publishedAt = new Date().toISOString();
+
+    withTransaction((done) => {
+        global.db.get('SELECT * FROM events WHERE event_id = ?', [eventId], (err, event) => {
+            if (err) return done(err);
+            if (!event) return done(null, false);
+
+            checkOccurrenceVenue({ ...event, status: 'published' }, event.event_date, (venueErr) => {
+                if (venueErr) return done(venueErr);
+
+                global.db.run(
+                    "UPDATE events SET status = 'published', published_at = ? WHERE event_id = ?",
+                    [publishedAt, eventId],
+                    function(err2) {
+                        if (err2) return done(err2);
+                        done(null, this.changes > 0);
+                    }
+                );
+            });
+        });
+    }, callback);
+}
+
+/**
+ * deleteEvent
+ * Purpose: Delete an event and associated data (tickets, orders, bookings via CASCADE),
+ *          refund paid orders and email a cancellation notice to attendees of a published event
+ * Input: eventId, callback (err, deleted) - deleted is false if the event does not exist
+ * Output: None (result passed to callback)
+ * Database: SELECT event and orders, full refunds via utils/payments.js (payment and refund rows are
+ *           kept), DELETE from events table
+ */
+function deleteEvent(eventId, callback) {
+    // Attendee details are gone once the cascade runs, so load them first
+    loadEventAttendees(eventId, (loadErr, event, orders) => {
+        if (loadErr) return callback(loadErr);
+        if (!event) return callback(null, false);
+
+        refundEventOrders(eventId, (refundErr) => {
+            if (refundErr) return callback(refundErr);
+
+            global.db.run('DELETE FROM events WHERE event_id = ?', [eventId], (err) => {
+                if (err) return callback(err);
+
+                if (event.status === 'published') {
+                    orders.forEach(order => {
+                        queueEmail('event_cancelled', order.attendee_email, { event, order });
+                    });
+                }
+                callback(null, true);
+            });
+        });
+    });
+}
+
+/**
+ * publishSeries
+ * Purpose: Publish every draft occurrence of a series
+ * Input: seriesId, callback (err, count) - count of occurrences published
+ * Output: None - err.userMessage is set (and nothing is published) if the venue
+ *         is taken on any of the dates
+ * Database: SELECT events (venue clashes), UPDATE events table (status and published_at)
+ */
+function publishSeries(seriesId, callback) {
+    withTransaction((done) => {
+        global.db.all("SELECT * FROM events WHERE series_id = ? AND status = 'draft' ORDER BY event_date ASC", [seriesId], (err, drafts) => {
+            if (err) return done(err);
+
+            const checkNext = (index) => {
+                if (index >= drafts.length) {
+                    return global.db.run(
+                        "UPDATE events SET status = 'published', published_at = ? WHERE series_id = ? AND status = 'draft'",
+                        [new Date().toISOString(), seriesId],
+                        function(err2) {
+                            if (err2) return done(err2);
+                            done(null, this.changes);
+                        }
+                    );
+                }
+                const draft = drafts[index];
+                checkOccurrenceVenue({ ...draft, status: 'published' }, draft.event_date, (venueErr) => {
+                    if (venueErr) return done(venueErr);
+                    checkNext(index + 1);
+                });
+            };
+            checkNext(0);
+        });
+    }, callback);
+}
+
+/**
+ * deleteSeries
+ * Purpose: Delete every occurrence of a series (cancellation emails as for deleteEvent)
+ * Input: seriesId, callback (err, count) - count of occurrences deleted
+ * Output: None (result passed to callback)
+ * Database: SELECT events, DELETE via deleteEvent, DELETE from event_series table
+ */
+function deleteSeries(seriesId, callback) {
+    global.db.all('SELECT event_id FROM events WHERE series_id = ? ORDER BY event_date ASC', [seriesId], (err, occurrences) => {
+        if (err) return callback(err);
+
+        let deleted = 0;
+        const deleteNext = (index) => {
+            if (index >= occurrences.length) {
+                return global.db.run('DELETE FROM event_series WHERE series_id = ?', [seriesId], (err2) => callback(err2, deleted));
+            }
+            deleteEvent(occurrences[index].event_id, (err2, removed) => {
+                if (err2) return callback(err2);
+                if (removed) deleted++;
+                deleteNext(index + 1);
+            });
+        };
+        deleteNext(0);
+    });
+}
+
+module.exports = {
+    DEFAULT_START_TIME,
+    DEFAULT_END_TIME,
+    MAX_SERIES_OCCURRENCES,
+    MAX_SERIES_INTERVAL_WEEKS,
+    validateEventDetails,
+    validateTicketTiers,
+    validateRecurrence,
+    createEvent,
+    importEvents,
+    updateEvent,
+    createSeries,
+    updateSeries,
+    assignEventOwner,
+    publishEvent,
+    publishSeries,
+    deleteEvent,
+    deleteSeries
+};
\ No newline at end of file
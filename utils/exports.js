@@ -0,0 +1,201 @@
+/**
+ * utils/exports.js
+ * Booking and Waitlist Exports
+ *
+ * Purpose: Load bookings and waitlist entries as flat rows and write them as
+ *          CSV or XLSX files for front-of-house
+ * Used by: routes/organiser.js (export downloads)
+ *
+ * Attendee names and notes are typed in by the public, so CSV cells that start
+ * with a formula character are prefixed with an apostrophe to stop spreadsheet
+ * apps running them. XLSX cells are written as plain text and numbers, never formulas.
+ */
+
+const ExcelJS = require('exceljs');
+const { formatTicketType, toDateTimeInput } = require('./helpers');
+
+const BOOKING_COLUMNS = [
+    { header: 'Event', key: 'event_title', width: 30 },
+    { header: 'Event Date', key: 'event_date', width: 12 },
+    { header: 'Booking Reference', key: 'booking_reference', width: 18 },
+    { header: 'Attendee Name', key: 'attendee_name', width: 24 },
+    { header: 'Email', key: 'attendee_email', width: 28 },
+    { header: 'Ticket Type', key: 'ticket_type', width: 16 },
+    { header: 'Quantity', key: 'quantity', width: 10 },
+    { header: 'Unit Price', key: 'unit_price', width: 12, money: true },
+    { header: 'Discount', key: 'discount', width: 12, money: true },
+    { header: 'Price Paid', key: 'price_paid', width: 12, money: true },
+    { header: 'Promo Code', key: 'promo_code', width: 14 },
+    { header: 'Dietary Notes', key: 'dietary_notes', width: 30 },
+    { header: 'Booked At', key: 'created_at', width: 20 },
+    { header: 'Status', key: 'status', width: 12 },
+    { header: 'Payment', key: 'payment_status', width: 12 }
+];
+
+const WAITLIST_COLUMNS = [
+    { header: 'Event', key: 'event_title', width: 30 },
+    { header: 'Event Date', key: 'event_date', width: 12 },
+    { header: 'Position', key: 'position', width: 10 },
+    { header: 'Attendee Name', key: 'attendee_name', width: 24 },
+    { header: 'Email', key: 'attendee_email', width: 28 },
+    { header: 'Ticket Type', key: 'ticket_type', width: 16 },
+    { header: 'Quantity', key: 'quantity', width: 10 },
+    { header: 'Requested At', key: 'requested_at', width: 20 },
+    { header: 'Status', key: 'status', width: 12 },
+    { header: 'Offer Expires At', key: 'offer_expires_at', width: 20 }
+];
+
+/**
+ * formatTimestamp
+ * Purpose: Show an ISO timestamp as "YYYY-MM-DD HH:MM" in the site time zone in exports
+ * Input: iso (string or null)
+ * Output: String ('' if empty)
+ */
+function formatTimestamp(iso) {
+    return toDateTimeInput(iso).replace('T', ' ');
+}
+
+/**
+ * loadBookingRows
+ * Purpose: Load one export row per ticket line, for one event or all events
+ * Input: eventId (or null for all events), ownerId (only events this account owns, or null
+ *        for any owner - see eventOwnerScope in utils/roles.js), callback (err, rows)
+ * Output: None (rows in BOOKING_COLUMNS shape passed to callback)
+ * Database: SELECT from events, orders, bookings, payments tables
+ */
+function loadBookingRows(eventId, ownerId, callback) {
+    global.db.all(
+        `SELECT e.title AS event_title, e.event_date, o.booking_reference, o.attendee_name,
+                o.attendee_email, o.dietary_notes, o.created_at, o.status, o.promo_code,
+                b.ticket_type, b.quantity, b.unit_price, b.discount, p.status AS payment_status
+         FROM orders o
+         JOIN events e ON e.event_id = o.event_id
+         JOIN bookings b ON b.order_id = o.order_id
+         LEFT JOIN payments p ON p.payment_id = (SELECT MAX(payment_id) FROM payments WHERE order_id = o.order_id)
+         WHERE (? IS NULL OR o.event_id = ?) AND (? IS NULL OR e.owner_id = ?)
+         ORDER BY e.event_date ASC, e.event_id ASC, o.created_at ASC, b.booking_id ASC`,
+        [eventId, eventId, ownerId, ownerId],
+        (err, rows) => {
+            if (err) return callback(err);
+
+            callback(null, rows.map(row => ({
+                ...row,
+                event_date: row.event_date.split('T')[0],
+                ticket_type: formatTicketType(row.ticket_type),
+                price_paid: row.quantity * row.unit_price - row.discount,
+                promo_code: row.promo_code || '',
+                payment_status: row.payment_status || '',
+                created_at: formatTimestamp(row.created_at)
+            })));
+        }
+    );
+}
+
+/**
+ * loadWaitlistRows
+ * Purpose: Load waiting and offered waitlist entries, for one event or all events
+ * Input: eventId (or null for all events), ownerId (as for loadBookingRows), callback (err, rows)
+ * Output: None (rows in WAITLIST_COLUMNS shape passed to callback) - position
+ *         counts only people still waiting, as on the waitlist page
+ * Database: SELECT from waitlist, events tables
+ */
+function loadWaitlistRows(eventId, ownerId, callback) {
+    global.db.all(
+        `SELECT w.event_id, e.title AS event_title, e.event_date, w.attendee_name, w.attendee_email,
+                w.ticket_type, w.quantity, w.requested_at, w.status, w.offer_expires_at
+         FROM waitlist w
+         JOIN events e ON e.event_id = w.event_id
+         WHERE w.status IN ('waiting', 'offered') AND (? IS NULL OR w.event_id = ?) AND (? IS NULL OR e.owner_id = ?)
+         ORDER BY e.event_date ASC, e.event_id ASC, w.requested_at ASC`,
+        [eventId, eventId, ownerId, ownerId],
+        (err, rows) => {
+            if (err) return callback(err);
+
+            const positions = {};
+            callback(null, rows.map(row => {
+                let position = '';
+                if (row.status === 'waiting') {
+                    positions[row.event_id] = (positions[row.event_id] || 0) + 1;
+                    position = positions[row.event_id];
+                }
+                return {
+                    ...row,
+                    event_date: row.event_date.split('T')[0],
+                    position,
+                    ticket_type: formatTicketType(row.ticket_type),
+                    requested_at: formatTimestamp(row.requested_at),
+                    offer_expires_at: formatTimestamp(row.offer_expires_at)
+                };
+            }));
+        }
+    );
+}
+
+/**
+ * csvCell
+ * Purpose: Escape one value for a CSV file
+ * Input: value (any), money (boolean - format to 2 decimal places)
+ * Output: String, quoted when it contains a comma, quote or line break
+ */
+function csvCell(value, money) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return money ? value.toFixed(2) : String(value);
+
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = "'" + text;
+    }
+    if (/[",\r\n]/.test(text)) {
+        text = '"' + text.replace(/"/g, '""') + '"';
+    }
+    return text;
+}
+
+/**
+ * buildCsv
+ * Purpose: Write rows as CSV text
+ * Input: columns (array of { header, key, money }), rows
+ * Output: String with a UTF-8 byte order mark (so Excel reads accents correctly) and CRLF line endings
+ */
+function buildCsv(columns, rows) {
+    const lines = [columns.map(col => csvCell(col.header)).join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(col => csvCell(row[col.key], col.money)).join(','));
+    });
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * buildXlsx
+ * Purpose: Write rows as a single-sheet Excel workbook
+ * Input: sheetName, columns (array of { header, key, width, money }), rows, callback (err, buffer)
+ * Output: None (file contents passed to callback)
+ */
+function buildXlsx(sheetName, columns, rows, callback) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(sheetName.slice(0, 31));
+
+    sheet.columns = columns.map(col => ({
+        header: col.header,
+        key: col.key,
+        width: col.width,
+        style: col.money ? { numFmt: '"£"#,##0.00' } : {}
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    rows.forEach(row => sheet.addRow(row));
+
+    workbook.xlsx.writeBuffer()
+        .then(buffer => callback(null, buffer))
+        .catch(callback);
+}
+
+module.exports = {
+    BOOKING_COLUMNS,
+    WAITLIST_COLUMNS,
+    loadBookingRows,
+    loadWaitlistRows,
+    csvCell,
+    buildCsv,
+    buildXlsx
+};
\ No newline at end of file
@@ -3,9 +3,24 @@
  * Shared Helper Functions
  * 
  * Purpose: Common utility functions used across multiple route modules
- * Used by: routes/organiser.js, routes/attendee.js, routes/login.js
+ * Used by: routes/organiser.js, routes/attendee.js, routes/login.js, routes/api.js and utils/
  */
 
+const crypto = require('crypto');
+
+// Booking reference alphabet: no 0/O or 1/I/L so references can be read aloud
+const REFERENCE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+// Secret for signed links (e.g. manage-booking links sent to attendees). index.js sets it
+// at startup from LINK_SECRET or the secret generated for this site (utils/secrets.js)
+let linkSecret = null;
+
+// Event dates and times are wall-clock values in the site time zone (Site Settings).
+// index.js loads it at startup and the settings page updates it, so every
+// "today" check and displayed time is the same wherever the server runs.
+const DEFAULT_TIME_ZONE = 'Europe/London';
+let siteTimeZone = DEFAULT_TIME_ZONE;
+
 /**
  * sanitizeInput
  * Purpose: Basic XSS protection - removes angle brackets
@@ -29,9 +44,194 @@ function isValidEmail(email) {
     return emailRegex.test(email);
 }
 
+/**
+ * isValidTimeZone
+ * Purpose: Check a time zone name is one the server knows (e.g. "Europe/London")
+ * Input: timeZone (string)
+ * Output: boolean
+ */
+function isValidTimeZone(timeZone) {
+    if (!timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-GB', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * setSiteTimeZone
+ * Purpose: Set the time zone used for event times, "today" checks and display
+ * Input: timeZone (string - falls back to Europe/London if unknown)
+ * Output: None
+ */
+function setSiteTimeZone(timeZone) {
+    siteTimeZone = isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+}
+
+/**
+ * getSiteTimeZone
+ * Purpose: Read the current site time zone
+ * Input: None
+ * Output: Time zone name string
+ */
+function getSiteTimeZone() {
+    return siteTimeZone;
+}
+
+/**
+ * zonedParts
+ * Purpose: Read the wall-clock date and time of an instant in the site time zone
+ * Input: date (Date)
+ * Output: { date: 'YYYY-MM-DD', time: 'HH:MM' }
+ */
+function zonedParts(date) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-GB', {
+        timeZone: siteTimeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        time: `${parts.hour}:${parts.minute}`
+    };
+}
+
+/**
+ * todayInSiteZone
+ * Purpose: Today's date in the site time zone
+ * Input: None
+ * Output: String 'YYYY-MM-DD'
+ */
+function todayInSiteZone() {
+    return zonedParts(new Date()).date;
+}
+
+/**
+ * zonedTimeToDate
+ * Purpose: Turn a wall-clock date and time in the site time zone into an instant
+ * Input: dateString ('YYYY-MM-DD', optionally with a time part, which is ignored),
+ *        timeString ('HH:MM')
+ * Output: Date (clock changes are handled: a time skipped when the clocks go forward
+ *         moves forward by the gap, and a time that happens twice when they go back
+ *         means the first one)
+ */
+function zonedTimeToDate(dateString, timeString) {
+    const [year, month, day] = dateString.slice(0, 10).split('-').map(Number);
+    const [hour, minute] = (timeString || '00:00').split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Offset of the zone from UTC at a given instant, in milliseconds
+    const offsetAt = (instant) => {
+        const local = zonedParts(new Date(instant));
+        const [y, mo, d] = local.date.split('-').map(Number);
+        const [h, mi] = local.time.split(':').map(Number);
+        return Date.UTC(y, mo - 1, d, h, mi) - Math.floor(instant / 60000) * 60000;
+    };
+
+    // The offsets a day either side cover any clock change on this date. Trying the
+    // earlier one first picks the first of a repeated time; a skipped time matches
+    // neither, and the earlier offset moves it forward by the gap
+    const oneDay = 24 * 60 * 60 * 1000;
+    const candidates = [offsetAt(wallClock - oneDay), offsetAt(wallClock + oneDay)].map(offset => wallClock - offset);
+    const instant = candidates.find(candidate => offsetAt(candidate) === wallClock - candidate);
+    return new Date(instant === undefined ? candidates[0] : instant);
+}
+
+/**
+ * isValidTime
+ * Purpose: Check a 24-hour time written as HH:MM
+ * Input: timeString
+ * Output: boolean
+ */
+function isValidTime(timeString) {
+    return /^([01]\d|2[0-3]):[0-5]\d$/.test(timeString || '');
+}
+
+/**
+ * isValidDate
+ * Purpose: Check a date written as YYYY-MM-DD is a real day (not e.g. 30 February)
+ * Input: dateString (a time part after a T is ignored)
+ * Output: boolean
+ */
+function isValidDate(dateString) {
+    if (!/^\d{4}-\d{2}-\d{2}(T|$)/.test(dateString || '')) return false;
+    const date = dateString.slice(0, 10);
+    const parsed = new Date(date + 'T00:00:00Z');
+    return !isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === date;
+}
+
+/**
+ * eventStart
+ * Purpose: The instant an event starts (midnight for events without a start time)
+ * Input: event (row with event_date, start_time)
+ * Output: Date
+ */
+function eventStart(event) {
+    return zonedTimeToDate(event.event_date, event.start_time || '00:00');
+}
+
+/**
+ * eventEnd
+ * Purpose: The instant an event ends (end of the day for events without an end time)
+ * Input: event (row with event_date, end_time)
+ * Output: Date
+ */
+function eventEnd(event) {
+    return zonedTimeToDate(event.event_date, event.end_time || '23:59');
+}
+
+/**
+ * toDateTimeInput
+ * Purpose: Show a timestamp in a datetime-local form field, in the site time zone
+ * Input: isoString (or null)
+ * Output: String 'YYYY-MM-DDTHH:MM' ('' for no timestamp)
+ */
+function toDateTimeInput(isoString) {
+    if (!isoString) return '';
+    const local = zonedParts(new Date(isoString));
+    return `${local.date}T${local.time}`;
+}
+
+/**
+ * fromDateTimeInput
+ * Purpose: Read a datetime-local form field, entered in the site time zone
+ * Input: value ('YYYY-MM-DDTHH:MM' or blank)
+ * Output: ISO timestamp, null if blank, or the value unchanged if it is not
+ *         a date and time (so validation rejects it)
+ */
+function fromDateTimeInput(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+    const match = text.match(/^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})$/);
+    if (!match || !isValidTime(match[2]) || isNaN(new Date(match[1]).getTime())) return text;
+    return zonedTimeToDate(match[1], match[2]).toISOString();
+}
+
+/**
+ * shiftDays
+ * Purpose: Move a timestamp by whole days, keeping its wall-clock time in the
+ *          site time zone (so 09:00 stays 09:00 across a clock change)
+ * Input: isoString (or null), days (integer, may be negative)
+ * Output: ISO timestamp (null for no timestamp)
+ */
+function shiftDays(isoString, days) {
+    if (!isoString) return null;
+    const local = zonedParts(new Date(isoString));
+    const day = new Date(new Date(local.date + 'T00:00:00Z').getTime() + days * 24 * 60 * 60 * 1000);
+    return zonedTimeToDate(day.toISOString().slice(0, 10), local.time).toISOString();
+}
+
 /**
  * formatDate
- * Purpose: Convert ISO date string to readable UK format
+ * Purpose: Convert ISO date string to readable UK format in the site time zone
  * Input: dateString (ISO format)
  * Output: Formatted string e.g. "15 Jan 2025, 14:30"
  */
@@ -39,6 +239,7 @@ function formatDate(dateString) {
     if (!dateString) return '';
     const date = new Date(dateString);
     return date.toLocaleString('en-GB', {
+        timeZone: siteTimeZone,
         day: '2-digit',
         month: 'short',
         year: 'numeric',
@@ -50,30 +251,68 @@ function formatDate(dateString) {
 /**
  * formatDateShort
  * Purpose: Convert ISO date string to short readable format (no time)
+ * Event dates ('YYYY-MM-DD') are already site-zone dates and are shown as written;
+ * full timestamps are shown as the date in the site time zone
  * Input: dateString (ISO format)
  * Output: Formatted string e.g. "15 Jan 2025"
  */
 function formatDateShort(dateString) {
     if (!dateString) return '';
-    const date = new Date(dateString);
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(dateString);
+    const date = new Date(dateOnly ? dateString + 'T00:00:00Z' : dateString);
     return date.toLocaleDateString('en-GB', {
+        timeZone: dateOnly ? 'UTC' : siteTimeZone,
         day: '2-digit',
         month: 'short',
         year: 'numeric'
     });
 }
 
+/**
+ * formatEventTime
+ * Purpose: Show when an event runs, the same way on every page and email
+ * Input: event (row with event_date, start_time, end_time)
+ * Output: String e.g. "Tue 15 Dec 2026, 18:00-21:00 GMT" (just the start time if there is no end time)
+ */
+function formatEventTime(event) {
+    if (!event || !event.event_date) return '';
+    const day = new Date(event.event_date.slice(0, 10) + 'T00:00:00Z')
+        .toLocaleDateString('en-GB', { timeZone: 'UTC', weekday: 'short' });
+    const dateText = `${day} ${formatDateShort(event.event_date.slice(0, 10))}`;
+    if (!event.start_time) return dateText;
+
+    const zoneName = new Intl.DateTimeFormat('en-GB', { timeZone: siteTimeZone, timeZoneName: 'short' })
+        .formatToParts(eventStart(event))
+        .find(part => part.type === 'timeZoneName').value;
+    const times = event.end_time ? `${event.start_time}-${event.end_time}` : event.start_time;
+    return `${dateText}, ${times} ${zoneName}`;
+}
+
+/**
+ * formatDuration
+ * Purpose: Show how long an event lasts
+ * Input: event (row with event_date, start_time, end_time)
+ * Output: String e.g. "2 hours 30 minutes" ('' if the event has no times)
+ */
+function formatDuration(event) {
+    if (!event || !event.start_time || !event.end_time) return '';
+    const minutes = Math.round((eventEnd(event) - eventStart(event)) / 60000);
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return [
+        hours > 0 ? `${hours} ${hours === 1 ? 'hour' : 'hours'}` : '',
+        rest > 0 ? `${rest} ${rest === 1 ? 'minute' : 'minutes'}` : ''
+    ].filter(Boolean).join(' ');
+}
+
 /**
  * isValidFutureDate
- * Purpose: Check if date is today or in the future
- * Input: dateString
+ * Purpose: Check if date is today or in the future (in the site time zone)
+ * Input: dateString ('YYYY-MM-DD')
  * Output: boolean
  */
 function isValidFutureDate(dateString) {
-    const inputDate = new Date(dateString);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    return inputDate >= today;
+    return String(dateString).slice(0, 10) >= todayInSiteZone();
 }
 
 /**
@@ -87,11 +326,168 @@ function parsePositiveInt(value) {
     return (parsed > 0) ? parsed : 0;
 }
 
+/**
+ * toArray
+ * Purpose: Normalise a form field that may be submitted once or repeated
+ * Input: value (string, array or undefined)
+ * Output: array (empty if value missing)
+ */
+function toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * userError
+ * Purpose: Create an error whose message can be shown to the user as-is
+ * Input: message (string)
+ * Output: Error with userMessage set (routes flash or return err.userMessage, and log
+ *         any other error)
+ */
+function userError(message) {
+    const err = new Error(message);
+    err.userMessage = message;
+    return err;
+}
+
+/**
+ * formatTicketType
+ * Purpose: Display label for a ticket tier name
+ * Legacy 'full'/'concession' types are mapped to readable labels
+ * Input: type (string)
+ * Output: Label string e.g. "Full Price", "Early bird"
+ */
+function formatTicketType(type) {
+    if (type === 'full') return 'Full Price';
+    if (type === 'concession') return 'Concession';
+    return type || '';
+}
+
+/**
+ * generateBookingReference
+ * Purpose: Create a random, hard-to-guess booking reference
+ * Input: None
+ * Output: String e.g. "K7QM-3XRB-9TWD" (12 random characters, ~59 bits)
+ */
+function generateBookingReference() {
+    let reference = '';
+    for (let i = 0; i < 12; i++) {
+        if (i > 0 && i % 4 === 0) reference += '-';
+        reference += REFERENCE_ALPHABET[crypto.randomInt(REFERENCE_ALPHABET.length)];
+    }
+    return reference;
+}
+
+/**
+ * normaliseBookingReference
+ * Purpose: Tidy a user-typed booking reference for lookup
+ * Accepts any case, spacing or dashes, e.g. "k7qm 3xrb9twd"
+ * Input: value (string)
+ * Output: Reference in stored form "K7QM-3XRB-9TWD"
+ */
+function normaliseBookingReference(value) {
+    if (!value) return '';
+    const chars = String(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return (chars.match(/.{1,4}/g) || []).join('-');
+}
+
+/**
+ * setLinkSecret
+ * Purpose: Set the secret signed links are made with
+ * Input: secret (string)
+ * Output: None
+ */
+function setLinkSecret(secret) {
+    linkSecret = secret;
+}
+
+/**
+ * signValue
+ * Purpose: Create an HMAC signature so a value can be trusted when it comes back in a link
+ * Input: value (string), purpose (string, e.g. 'manage' - signatures are not reusable across purposes)
+ * Output: URL-safe signature string
+ */
+function signValue(value, purpose) {
+    if (!linkSecret) throw new Error('Link secret has not been loaded');
+    return crypto.createHmac('sha256', linkSecret)
+        .update(purpose + ':' + value)
+        .digest('base64url');
+}
+
+/**
+ * verifySignedValue
+ * Purpose: Check a signature produced by signValue (constant-time comparison)
+ * Input: value (string), purpose (string), signature (string)
+ * Output: boolean
+ */
+function verifySignedValue(value, purpose, signature) {
+    if (!value || !signature) return false;
+    const expected = Buffer.from(signValue(value, purpose));
+    const given = Buffer.from(String(signature));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * manageLink
+ * Purpose: Build the signed self-service link for an order
+ * Input: reference (booking reference)
+ * Output: Path string e.g. /attendee/manage/K7QM-3XRB-9TWD?token=...
+ */
+function manageLink(reference) {
+    return `/attendee/manage/${reference}?token=${signValue(reference, 'manage')}`;
+}
+
+/**
+ * checkInCode
+ * Purpose: Build the signed code carried in a booking's check-in QR code
+ * Input: reference (booking reference)
+ * Output: String e.g. K7QM-3XRB-9TWD.<signature>
+ */
+function checkInCode(reference) {
+    return `${reference}.${signValue(reference, 'checkin')}`;
+}
+
+/**
+ * ticketQrLink
+ * Purpose: Build the signed link to a booking's check-in QR code image (used in emails)
+ * Input: reference (booking reference)
+ * Output: Path string e.g. /attendee/manage/K7QM-3XRB-9TWD/qr.png?token=...
+ */
+function ticketQrLink(reference) {
+    return `/attendee/manage/${reference}/qr.png?token=${signValue(reference, 'manage')}`;
+}
+
 module.exports = {
     sanitizeInput,
     isValidEmail,
+    DEFAULT_TIME_ZONE,
+    isValidTimeZone,
+    setSiteTimeZone,
+    getSiteTimeZone,
+    todayInSiteZone,
+    zonedTimeToDate,
+    isValidTime,
+    isValidDate,
+    eventStart,
+    eventEnd,
+    toDateTimeInput,
+    fromDateTimeInput,
+    shiftDays,
     formatDate,
     formatDateShort,
+    formatEventTime,
+    formatDuration,
     isValidFutureDate,
-    parsePositiveInt
+    parsePositiveInt,
+    toArray,
+    userError,
+    formatTicketType,
+    generateBookingReference,
+    normaliseBookingReference,
+    setLinkSecret,
+    signValue,
+    verifySignedValue,
+    manageLink,
+    checkInCode,
+    ticketQrLink
 };
\ No newline at end of file
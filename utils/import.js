@@ -0,0 +1,253 @@
+/**
+ * utils/import.js
+ * Bulk Event Import
+ *
+ * Purpose: Parse a term's programme from CSV or JSON into events with ticket
+ *          tiers, and check each one with the same rules as the edit form
+ * Used by: routes/organiser.js (import page)
+ *
+ * CSV has one row per ticket tier; consecutive rows with the same title and
+ * event_date form one event. JSON is an array of events with a tickets array.
+ * Parsing never touches the database - utils/events.js importEvents saves the
+ * result once the preview is clean.
+ */
+
+const { sanitizeInput } = require('./helpers');
+const { DEFAULT_START_TIME, DEFAULT_END_TIME, validateEventDetails, validateTicketTiers } = require('./events');
+
+const MAX_IMPORT_EVENTS = 200;
+const CSV_COLUMNS = ['title', 'description', 'event_date', 'start_time', 'end_time', 'category', 'ticket_type', 'ticket_price', 'ticket_quantity'];
+const REQUIRED_CSV_COLUMNS = ['title', 'event_date', 'ticket_type'];
+
+/**
+ * parseCsv
+ * Purpose: Split CSV text into rows of cells (quoted cells may hold commas,
+ *          doubled quotes and line breaks)
+ * Input: text (string)
+ * Output: { rows } - array of { line, cells }, or { error } for an unclosed quote
+ */
+function parseCsv(text) {
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            cells.push(cell);
+            rows.push({ line: rowLine, cells });
+            cells = [];
+            cell = '';
+            line++;
+            rowLine = line;
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) {
+        return { error: `Line ${rowLine}: a quoted value is never closed.` };
+    }
+    if (cell !== '' || cells.length > 0) {
+        cells.push(cell);
+        rows.push({ line: rowLine, cells });
+    }
+
+    // Skip blank lines
+    return { rows: rows.filter(row => row.cells.some(c => c.trim() !== '')) };
+}
+
+/**
+ * parseAmount
+ * Purpose: Read a price or quantity, treating blank as 0 like the edit form
+ * Input: value (string, number or undefined), integer (boolean)
+ * Output: Number, or NaN if the value is not a (whole) number
+ */
+function parseAmount(value, integer) {
+    if (value === undefined || value === null || String(value).trim() === '') return 0;
+    const number = Number(String(value).trim());
+    if (integer && !Number.isInteger(number)) return NaN;
+    return number;
+}
+
+/**
+ * buildEntry
+ * Purpose: Turn raw fields for one event into details and tiers, with its errors
+ * Input: source (label e.g. "Line 2" or "Event 1"), fields ({ title, description,
+ *        event_date, start_time, end_time, category }), rawTiers (array of { type, price, quantity })
+ *        - blank times use the defaults for new events
+ * Output: { source, details, categoryName, tiers, errors }
+ */
+function buildEntry(source, fields, rawTiers) {
+    const errors = [];
+    const details = {
+        title: sanitizeInput(String(fields.title || '')).trim(),
+        description: sanitizeInput(String(fields.description || '')).trim(),
+        eventDate: String(fields.event_date || '').trim(),
+        startTime: String(fields.start_time || '').trim() || DEFAULT_START_TIME,
+        endTime: String(fields.end_time || '').trim() || DEFAULT_END_TIME,
+        // Sales windows are set on the edit form before publishing
+        salesOpenAt: null,
+        salesCloseAt: null,
+        bookingCutoffHours: 0
+    };
+    const categoryName = sanitizeInput(String(fields.category || '')).trim() || null;
+
+    const tiers = rawTiers.map((tier, index) => {
+        const price = parseAmount(tier.price, false);
+        const quantity = parseAmount(tier.quantity, true);
+        if (isNaN(price)) errors.push(`Ticket price "${tier.price}" is not a number.`);
+        if (isNaN(quantity)) errors.push(`Ticket quantity "${tier.quantity}" is not a whole number.`);
+
+        return {
+            ticketId: null,
+            type: sanitizeInput(String(tier.type || '')).trim(),
+            price: isNaN(price) ? 0 : price,
+            quantity: isNaN(quantity) ? 0 : quantity,
+            sortOrder: index
+        };
+    });
+
+    if (details.eventDate && !/^\d{4}-\d{2}-\d{2}$/.test(details.eventDate)) {
+        errors.push('Event date must be written as YYYY-MM-DD.');
+    }
+    if (categoryName && categoryName.length > 50) {
+        errors.push('Category names must be 50 characters or fewer.');
+    }
+
+    const ruleErrors = [validateEventDetails(details), validateTicketTiers(tiers)].filter(Boolean);
+    errors.unshift(...ruleErrors);
+
+    return { source, details, categoryName, tiers, errors };
+}
+
+/**
+ * parseCsvImport
+ * Purpose: Read CSV rows (one per ticket tier) into event entries
+ * Input: text (CSV with a header row)
+ * Output: { entries } or { error } for a problem with the file as a whole
+ */
+function parseCsvImport(text) {
+    const parsed = parseCsv(text);
+    if (parsed.error) return parsed;
+    if (parsed.rows.length < 2) {
+        return { error: 'The CSV needs a header row and at least one event row.' };
+    }
+
+    const header = parsed.rows[0].cells.map(c => c.trim().toLowerCase());
+    const unknown = header.find(name => !CSV_COLUMNS.includes(name));
+    if (unknown !== undefined) {
+        return { error: `Unknown column "${unknown}". Columns can be: ${CSV_COLUMNS.join(', ')}.` };
+    }
+    const missing = REQUIRED_CSV_COLUMNS.find(name => !header.includes(name));
+    if (missing) {
+        return { error: `The CSV is missing the "${missing}" column.` };
+    }
+
+    const groups = [];
+    parsed.rows.slice(1).forEach(row => {
+        const fields = {};
+        header.forEach((name, index) => { fields[name] = (row.cells[index] || '').trim(); });
+
+        // A row continues the previous event when its title and date match
+        const previous = groups[groups.length - 1];
+        if (previous && previous.fields.title === fields.title && previous.fields.event_date === fields.event_date) {
+            previous.lines.push(row.line);
+            previous.tiers.push({ type: fields.ticket_type, price: fields.ticket_price, quantity: fields.ticket_quantity });
+        } else {
+            groups.push({
+                lines: [row.line],
+                fields,
+                tiers: [{ type: fields.ticket_type, price: fields.ticket_price, quantity: fields.ticket_quantity }]
+            });
+        }
+    });
+
+    return {
+        entries: groups.map(group => {
+            const first = group.lines[0];
+            const last = group.lines[group.lines.length - 1];
+            const source = first === last ? `Line ${first}` : `Lines ${first}-${last}`;
+            return buildEntry(source, group.fields, group.tiers);
+        })
+    };
+}
+
+/**
+ * parseJsonImport
+ * Purpose: Read a JSON array of events (each with a tickets array) into event entries
+ * Input: text (JSON - an array, or an object with an "events" array)
+ * Output: { entries } or { error } for a problem with the file as a whole
+ */
+function parseJsonImport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        return { error: 'The JSON could not be read: ' + e.message };
+    }
+
+    const events = Array.isArray(data) ? data : (data && data.events);
+    if (!Array.isArray(events) || events.length === 0) {
+        return { error: 'The JSON must be an array of events (or an object with an "events" array).' };
+    }
+
+    return {
+        entries: events.map((event, index) => {
+            const source = `Event ${index + 1}`;
+            if (!event || typeof event !== 'object' || Array.isArray(event)) {
+                return { source, details: {}, categoryName: null, tiers: [], errors: ['Each event must be an object.'] };
+            }
+            const tickets = Array.isArray(event.tickets) ? event.tickets : [];
+            return buildEntry(source, event, tickets.map(t => (t && typeof t === 'object') ? t : {}));
+        })
+    };
+}
+
+/**
+ * parseImport
+ * Purpose: Parse and validate an import in either format
+ * Input: text (file contents), format ('csv', 'json' or 'auto' - JSON if it starts with [ or {)
+ * Output: { format, entries } - each entry has its own errors - or { error }
+ */
+function parseImport(text, format) {
+    const trimmed = (text || '').replace(/^\uFEFF/, '').trim();
+    if (!trimmed) return { error: 'Paste or choose a file to import.' };
+
+    const chosen = format === 'csv' || format === 'json'
+        ? format
+        : (/^[[{]/.test(trimmed) ? 'json' : 'csv');
+
+    const result = chosen === 'json' ? parseJsonImport(trimmed) : parseCsvImport(trimmed);
+    if (result.error) return result;
+
+    if (result.entries.length > MAX_IMPORT_EVENTS) {
+        return { error: `An import can contain at most ${MAX_IMPORT_EVENTS} events.` };
+    }
+    return { format: chosen, entries: result.entries };
+}
+
+module.exports = {
+    CSV_COLUMNS,
+    parseImport
+};
\ No newline at end of file
@@ -0,0 +1,215 @@
+/**
+ * utils/invitations.js
+ * Organiser Invitations
+ *
+ * Purpose: Admin-issued links that let one person create an organiser account with a
+ *          chosen role. Each invitation is bound to an email address, expires, and
+ *          can be used once
+ * Used by: routes/organiser.js (users page), routes/login.js (accepting an invitation)
+ *
+ * Like API tokens, only a SHA-256 hash of the link token is stored, so the link is
+ * shown to the admin (and emailed to the invitee) once when it is created.
+ */
+
+const crypto = require('crypto');
+const { withTransaction } = require('./db');
+const { isValidEmail, userError } = require('./helpers');
+const { ROLES } = require('./roles');
+
+const DEFAULT_INVITATION_DAYS = 7;
+const MAX_INVITATION_DAYS = 30;
+
+/**
+ * hashInvitationToken
+ * Purpose: Hash an invitation token for storage or lookup
+ * Input: token (string)
+ * Output: Hex SHA-256 digest
+ */
+function hashInvitationToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * invitationLink
+ * Purpose: Build the site path for accepting an invitation
+ * Input: token (plain invitation token)
+ * Output: String path, e.g. /login/invite/abc...
+ */
+function invitationLink(token) {
+    return `/login/invite/${token}`;
+}
+
+/**
+ * validateInvitation
+ * Purpose: Check the fields of a new invitation
+ * Input: invitation ({ email, role, days })
+ * Output: Error message string, or null if valid
+ */
+function validateInvitation(invitation) {
+    if (!invitation.email || !isValidEmail(invitation.email)) {
+        return 'Please enter a valid email address.';
+    }
+    if (!ROLES[invitation.role]) {
+        return 'Please choose a valid role.';
+    }
+    if (!Number.isInteger(invitation.days) || invitation.days < 1 || invitation.days > MAX_INVITATION_DAYS) {
+        return `Invitations must last between 1 and ${MAX_INVITATION_DAYS} days.`;
+    }
+    return null;
+}
+
+/**
+ * createInvitation
+ * Purpose: Store a new invitation, replacing any unused one for the same email
+ * Input: invitation ({ email, role, days }), invitedBy (organiser_id),
+ *        callback (err, { token, expiresAt }) - token is the plain link token
+ * Output: None - err.userMessage is set if an account already uses the email
+ * Database: SELECT organisers, UPDATE/INSERT invitations (one transaction)
+ */
+function createInvitation(invitation, invitedBy, callback) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + invitation.days * 24 * 60 * 60 * 1000).toISOString();
+
+    withTransaction((done) => {
+        global.db.get('SELECT organiser_id FROM organisers WHERE email = ? COLLATE NOCASE', [invitation.email], (err, existing) => {
+            if (err) return done(err);
+            if (existing) return done(userError('An account with that email address already exists.'));
+
+            global.db.run(
+                `UPDATE invitations SET revoked_at = ?
+                 WHERE email = ? COLLATE NOCASE AND accepted_at IS NULL AND revoked_at IS NULL`,
+                [now.toISOString(), invitation.email],
+                (err2) => {
+                    if (err2) return done(err2);
+
+                    global.db.run(
+                        `INSERT INTO invitations (email, role, token_hash, invited_by, created_at, expires_at)
+                         VALUES (?, ?, ?, ?, ?, ?)`,
+                        [invitation.email, invitation.role, hashInvitationToken(token), invitedBy, now.toISOString(), expiresAt],
+                        (err3) => done(err3, { token, expiresAt })
+                    );
+                }
+            );
+        });
+    }, callback);
+}
+
+/**
+ * findInvitation
+ * Purpose: Look up an invitation that can still be used
+ * Input: token (plain link token), callback (err, invitation row or null)
+ * Output: None - expired, revoked and used invitations give null
+ * Database: SELECT from invitations table
+ */
+function findInvitation(token, callback) {
+    if (!token) return callback(null, null);
+
+    global.db.get(
+        `SELECT * FROM invitations
+         WHERE token_hash = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > ?`,
+        [hashInvitationToken(token), new Date().toISOString()],
+        (err, invitation) => callback(err, invitation || null)
+    );
+}
+
+/**
+ * acceptInvitation
+ * Purpose: Create the invited account and use up the invitation
+ * Input: token (plain link token), account ({ username, passwordHash }),
+ *        callback (err, invitation) - invitation is null if it can no longer be used
+ * Output: None - err.userMessage is set if the username is taken
+ * Database: SELECT/UPDATE invitations, SELECT/INSERT organisers (one transaction)
+ */
+function acceptInvitation(token, account, callback) {
+    const now = new Date().toISOString();
+
+    withTransaction((done) => {
+        findInvitation(token, (err, invitation) => {
+            if (err || !invitation) return done(err, null);
+
+            global.db.get('SELECT organiser_id FROM organisers WHERE username = ?', [account.username], (err2, existing) => {
+                if (err2) return done(err2);
+                if (existing) return done(userError('Username already exists.'));
+
+                global.db.run(
+                    `INSERT INTO organisers (username, password, email, role, status, created_at)
+                     VALUES (?, ?, ?, ?, 'active', ?)`,
+                    [account.username, account.passwordHash, invitation.email, invitation.role, now],
+                    function(err3) {
+                        if (err3) return done(err3);
+                        const organiserId = this.lastID;
+
+                        global.db.run(
+                            'UPDATE invitations SET accepted_at = ?, accepted_by = ? WHERE invitation_id = ?',
+                            [now, organiserId, invitation.invitation_id],
+                            (err4) => done(err4, invitation)
+                        );
+                    }
+                );
+            });
+        });
+    }, callback);
+}
+
+/**
+ * listInvitations
+ * Purpose: Load the invitations created in the last MAX_INVITATION_DAYS days (so every open one)
+ * Input: callback (err, invitations) - each has a state: 'open', 'accepted', 'expired' or 'revoked'
+ * Output: None (result passed to callback)
+ * Database: SELECT from invitations and organisers tables
+ */
+function listInvitations(callback) {
+    const now = new Date();
+    const since = new Date(now.getTime() - MAX_INVITATION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    global.db.all(
+        `SELECT i.*, inviter.username AS invited_by_name, accepted.username AS accepted_username
+         FROM invitations i
+         LEFT JOIN organisers inviter ON inviter.organiser_id = i.invited_by
+         LEFT JOIN organisers accepted ON accepted.organiser_id = i.accepted_by
+         WHERE i.created_at > ?
+         ORDER BY i.created_at DESC`,
+        [since],
+        (err, invitations) => {
+            if (err) return callback(err);
+            invitations.forEach(invitation => {
+                if (invitation.accepted_at) invitation.state = 'accepted';
+                else if (invitation.revoked_at) invitation.state = 'revoked';
+                else if (invitation.expires_at <= now.toISOString()) invitation.state = 'expired';
+                else invitation.state = 'open';
+            });
+            callback(null, invitations);
+        }
+    );
+}
+
+/**
+ * revokeInvitation
+ * Purpose: Stop an unused invitation from working
+ * Input: invitationId, callback (err, revoked) - revoked is false if not found or already used
+ * Output: None (result passed to callback)
+ * Database: UPDATE invitations.revoked_at
+ */
+function revokeInvitation(invitationId, callback) {
+    global.db.run(
+        'UPDATE invitations SET revoked_at = ? WHERE invitation_id = ? AND accepted_at IS NULL AND revoked_at IS NULL',
+        [new Date().toISOString(), invitationId],
+        function(err) {
+            if (err) return callback(err);
+            callback(null, this.changes > 0);
+        }
+    );
+}
+
+module.exports = {
+    DEFAULT_INVITATION_DAYS,
+    MAX_INVITATION_DAYS,
+    invitationLink,
+    validateInvitation,
+    createInvitation,
+    findInvitation,
+    acceptInvitation,
+    listInvitations,
+    revokeInvitation
+};
\ No newline at end of file
@@ -0,0 +1,242 @@
+/**
+ * utils/mailer.js
+ * Outbound Email
+ *
+ * Purpose: Render templated emails, persist them in the email_outbox table and
+ *          deliver them through the configured transport, retrying failures
+ * Used by: utils/bookings.js, utils/events.js, utils/waitlist.js, utils/reminders.js,
+ *          routes/organiser.js (invitations, approvals), routes/login.js (password resets),
+ *          index.js (retry timer)
+ *
+ * Configuration (environment variables):
+ *   MAIL_TRANSPORT  'file' (default) writes .eml files to MAIL_DIR; 'smtp' sends via SMTP_*
+ *   MAIL_DIR        folder for .eml files (default ./mail)
+ *   MAIL_FROM       From address (default "Flavour Academy <no-reply@localhost>")
+ *   SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ *   BASE_URL        absolute site URL used for links in emails (default http://localhost:3000)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ejs = require('ejs');
+const nodemailer = require('nodemailer');
+const { formatDateShort, formatEventTime, formatTicketType } = require('./helpers');
+
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'file';
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '..', 'mail');
+const MAIL_FROM = process.env.MAIL_FROM || 'Flavour Academy <no-reply@localhost>';
+const BASE_URL = (process.env.BASE_URL || 'http://localhost:3000').replace(/\/$/, '');
+const TEMPLATE_DIR = path.join(__dirname, '..', 'views', 'emails');
+
+const MAX_ATTEMPTS = 5;
+const BATCH_SIZE = 20;
+
+// Subject line for each template in views/emails/
+const SUBJECTS = {
+    booking_confirmation: (data) => `Booking confirmed: ${data.event.title}`,
+    waitlist_offer: (data) => `Seats available: ${data.event.title}`,
+    event_changed: (data) => `Event updated: ${data.event.title}`,
+    event_cancelled: (data) => `Event cancelled: ${data.event.title}`,
+    reminder: (data) => `Reminder: ${data.event.title}`,
+    follow_up: (data) => `Thank you for coming to ${data.event.title}`,
+    invitation: (data) => `You are invited to join ${data.siteName}`,
+    account_approved: (data) => `Your ${data.siteName} account is ready`,
+    password_reset: (data) => `Reset your ${data.siteName} password`
+};
+
+let transport = null;
+let processing = false;
+let runAgain = false;
+
+/**
+ * getTransport
+ * Purpose: Create the nodemailer transport once, based on MAIL_TRANSPORT
+ * Input: None
+ * Output: nodemailer transport
+ */
+function getTransport() {
+    if (transport) return transport;
+
+    if (MAIL_TRANSPORT === 'smtp') {
+        transport = nodemailer.createTransport({
+            host: process.env.SMTP_HOST || 'localhost',
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+    } else {
+        // Build the raw message in memory; deliver() writes it to MAIL_DIR
+        transport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    }
+    return transport;
+}
+
+/**
+ * absoluteUrl
+ * Purpose: Turn a site path into a full URL for use in emails
+ * Input: urlPath (string e.g. /attendee/manage/...)
+ * Output: String e.g. http://localhost:3000/attendee/manage/...
+ */
+function absoluteUrl(urlPath) {
+    return BASE_URL + urlPath;
+}
+
+/**
+ * renderEmail
+ * Purpose: Render the text and HTML bodies of a template
+ * Input: template (name in views/emails without extension), data (object), callback (err, { subject, text, html })
+ * Output: None (result passed to callback)
+ */
+function renderEmail(template, data, callback) {
+    if (!SUBJECTS[template]) return callback(new Error('Unknown email template: ' + template));
+
+    const locals = { ...data, absoluteUrl, formatDateShort, formatEventTime, formatTicketType };
+    ejs.renderFile(path.join(TEMPLATE_DIR, template + '.ejs'), locals, (err, html) => {
+        if (err) return callback(err);
+
+        // Plain-text part: strip tags and tidy whitespace from the HTML body
+        const text = html
+            .replace(/<style[\s\S]*?<\/style>/gi, '')
+            .replace(/<a [^>]*href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/gi, '$2 ($1)')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(p|h\d|li|tr|div)>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+            .replace(/&#39;/g, "'").replace(/&#34;/g, '"').replace(/&pound;/g, '£').replace(/&times;/g, 'x')
+            .replace(/[ \t]+/g, ' ')
+            .replace(/\n\s*\n\s*/g, '\n\n')
+            .trim();
+
+        callback(null, { subject: SUBJECTS[template](data), text, html });
+    });
+}
+
+/**
+ * queueEmail
+ * Purpose: Render an email and store it in the outbox, then try to send straight away
+ * Input: template (string), to (email address, skipped if empty),
+ *        data (template locals - siteName is added from settings), callback (optional, err, emailId)
+ * Output: None - delivery failures stay in the outbox and are retried by processOutbox
+ * Database: SELECT from settings, INSERT into email_outbox table
+ */
+function queueEmail(template, to, data, callback) {
+    const finish = callback || ((err) => { if (err) console.error('Email queue error:', err); });
+
+    if (!to) return finish(null, null);
+
+    global.db.get('SELECT site_name FROM settings WHERE id = 1', [], (settingsErr, settings) => {
+        const siteName = settings ? settings.site_name : 'Event Manager';
+
+        renderEmail(template, { siteName, ...data }, (err, message) => {
+            if (err) return finish(err);
+
+            const now = new Date().toISOString();
+            global.db.run(
+                `INSERT INTO email_outbox (template, to_address, subject, body_text, body_html, status, attempts, created_at, next_attempt_at)
+                 VALUES (?, ?, ?, ?, ?, 'pending', 0, ?, ?)`,
+                [template, to, message.subject, message.text, message.html, now, now],
+                function(err2) {
+                    if (err2) return finish(err2);
+                    finish(null, this.lastID);
+                    processOutbox();
+                }
+            );
+        });
+    });
+}
+
+/**
+ * deliver
+ * Purpose: Hand one outbox row to the transport
+ * Input: email (email_outbox row), callback (err)
+ * Output: None
+ */
+function deliver(email, callback) {
+    getTransport().sendMail({
+        from: MAIL_FROM,
+        to: email.to_address,
+        subject: email.subject,
+        text: email.body_text,
+        html: email.body_html
+    }, (err, info) => {
+        if (err) return callback(err);
+        if (MAIL_TRANSPORT === 'smtp') return callback(null);
+
+        fs.mkdir(MAIL_DIR, { recursive: true }, (mkdirErr) => {
+            if (mkdirErr) return callback(mkdirErr);
+            const fileName = `${Date.now()}-${email.email_id}-${email.template}.eml`;
+            fs.writeFile(path.join(MAIL_DIR, fileName), info.message, callback);
+        });
+    });
+}
+
+/**
+ * processOutbox
+ * Purpose: Send pending emails that are due; failures back off exponentially
+ *          (1, 2, 4, 8 minutes) and are marked 'failed' after MAX_ATTEMPTS
+ * Input: callback (optional, err)
+ * Output: None
+ * Database: SELECT/UPDATE email_outbox table
+ */
+function processOutbox(callback) {
+    const finish = callback || (() => {});
+    if (processing) {
+        // Emails queued mid-run are picked up by one more pass when this run ends
+        runAgain = true;
+        return finish(null);
+    }
+    processing = true;
+    runAgain = false;
+
+    const now = new Date().toISOString();
+    global.db.all(
+        `SELECT * FROM email_outbox
+         WHERE status = 'pending' AND next_attempt_at <= ?
+         ORDER BY email_id ASC LIMIT ?`,
+        [now, BATCH_SIZE],
+        (err, emails) => {
+            if (err) {
+                processing = false;
+                console.error('Outbox query error:', err);
+                return finish(err);
+            }
+
+            const next = (index) => {
+                if (index >= emails.length) {
+                    processing = false;
+                    if (runAgain) processOutbox();
+                    return finish(null);
+                }
+
+                const email = emails[index];
+                deliver(email, (sendErr) => {
+                    const attempts = email.attempts + 1;
+                    const sentAt = new Date().toISOString();
+
+                    if (!sendErr) {
+                        return global.db.run(
+                            "UPDATE email_outbox SET status = 'sent', attempts = ?, sent_at = ?, last_error = NULL WHERE email_id = ?",
+                            [attempts, sentAt, email.email_id],
+                            () => next(index + 1)
+                        );
+                    }
+
+                    console.error(`Email ${email.email_id} send error:`, sendErr.message);
+                    const retryAt = new Date(Date.now() + Math.pow(2, attempts - 1) * 60 * 1000).toISOString();
+                    global.db.run(
+                        'UPDATE email_outbox SET status = ?, attempts = ?, last_error = ?, next_attempt_at = ? WHERE email_id = ?',
+                        [attempts >= MAX_ATTEMPTS ? 'failed' : 'pending', attempts, sendErr.message, retryAt, email.email_id],
+                        () => next(index + 1)
+                    );
+                });
+            };
+            next(0);
+        }
+    );
+}
+
+module.exports = {
+    absoluteUrl,
+    queueEmail,
+    processOutbox
+};
\ No newline at end of file
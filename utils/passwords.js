@@ -0,0 +1,308 @@
+/**
+ * utils/passwords.js
+ * Organiser Passwords
+ *
+ * Purpose: Hash and check organiser passwords, upgrade old hashes, change passwords
+ *          and run the emailed "forgot password" links
+ * Used by: routes/login.js (login, registration, invitations, password reset),
+ *          routes/organiser.js (change password and two-factor pages, session check),
+ *          routes/api.js (session check)
+ *
+ * Passwords are stored as bcrypt hashes at SALT_ROUNDS. Older accounts may still hold
+ * a plain-text password (the seeded admin) or a hash made at a lower cost; these are
+ * rehashed at the current cost the next time the password is entered correctly.
+ *
+ * Reset links work like invitations: only a SHA-256 hash of the token is stored, a link
+ * works once, and asking for a new one withdraws the old one. Changing or resetting a
+ * password records organisers.password_changed_at, which logs out every other session.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { withTransaction } = require('./db');
+const { userError } = require('./helpers');
+
+const SALT_ROUNDS = 12;
+const RESET_LINK_MINUTES = 60;
+const MIN_PASSWORD_LENGTH = 6;
+
+/**
+ * isBcryptHash
+ * Purpose: Tell a bcrypt hash apart from a legacy plain-text password
+ * Input: storedPassword (string)
+ * Output: Boolean
+ */
+function isBcryptHash(storedPassword) {
+    return /^\$2[aby]\$\d{2}\$/.test(storedPassword);
+}
+
+/**
+ * hashResetToken
+ * Purpose: Hash a reset token for storage or lookup
+ * Input: token (string)
+ * Output: Hex SHA-256 digest
+ */
+function hashResetToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * hashPassword
+ * Purpose: Create bcrypt hash of plain text password at the current cost
+ * Input: password (string)
+ * Output: Promise<string> - bcrypt hash
+ */
+async function hashPassword(password) {
+    return await bcrypt.hash(password, SALT_ROUNDS);
+}
+
+/**
+ * verifyPassword
+ * Purpose: Compare password against stored hash or plain text
+ * Supports both bcrypt hashed passwords and legacy plain text
+ * Input: password (string), storedPassword (string)
+ * Output: Promise<boolean>
+ */
+async function verifyPassword(password, storedPassword) {
+    if (isBcryptHash(storedPassword)) {
+        return await bcrypt.compare(password, storedPassword);
+    }
+    // Plain text comparison for legacy/default accounts (rehashed on login)
+    const given = Buffer.from(String(password));
+    const stored = Buffer.from(String(storedPassword));
+    return given.length === stored.length && crypto.timingSafeEqual(given, stored);
+}
+
+/**
+ * fakePasswordCheck
+ * Purpose: Take as long as a real password check, so a login for an unknown username
+ *          is not answered faster than a wrong password for a real one
+ * Input: password (string)
+ * Output: Promise<false>
+ */
+let dummyHash = null;
+async function fakePasswordCheck(password) {
+    if (!dummyHash) dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+    await bcrypt.compare(String(password), dummyHash);
+    return false;
+}
+
+/**
+ * needsRehash
+ * Purpose: Check whether a stored password should be replaced by a new hash
+ * Input: storedPassword (string)
+ * Output: Boolean - true for plain text and bcrypt hashes below SALT_ROUNDS
+ */
+function needsRehash(storedPassword) {
+    return !isBcryptHash(storedPassword) || bcrypt.getRounds(storedPassword) < SALT_ROUNDS;
+}
+
+/**
+ * upgradePassword
+ * Purpose: Rehash a password that was just entered correctly, if its stored form is out of date
+ * Input: organiserId, password (plain, already verified), storedPassword, callback (err)
+ * Output: None - the update only applies if the stored password has not changed meanwhile,
+ *         and password_changed_at is left alone so no session is logged out
+ * Database: UPDATE organisers.password
+ */
+async function upgradePassword(organiserId, password, storedPassword, callback) {
+    if (!needsRehash(storedPassword)) return callback(null);
+
+    try {
+        const passwordHash = await hashPassword(password);
+        global.db.run(
+            'UPDATE organisers SET password = ? WHERE organiser_id = ? AND password = ?',
+            [passwordHash, organiserId, storedPassword],
+            (err) => callback(err)
+        );
+    } catch (error) {
+        callback(error);
+    }
+}
+
+/**
+ * validateNewPassword
+ * Purpose: Check a new password and its confirmation
+ * Input: password, confirmPassword (strings)
+ * Output: Error message string, or null if valid
+ */
+function validateNewPassword(password, confirmPassword) {
+    if (!password || !confirmPassword) {
+        return 'Please enter the new password twice.';
+    }
+    if (password !== confirmPassword) {
+        return 'Passwords do not match.';
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+    }
+    return null;
+}
+
+/**
+ * setPassword
+ * Purpose: Store a new password hash and record when it changed
+ * Input: organiserId, passwordHash, callback (err, changedAt)
+ * Output: None - open reset links for the account stop working
+ * Database: UPDATE organisers, UPDATE password_resets
+ */
+function setPassword(organiserId, passwordHash, callback) {
+    const changedAt = new Date().toISOString();
+
+    global.db.run(
+        'UPDATE organisers SET password = ?, password_changed_at = ? WHERE organiser_id = ?',
+        [passwordHash, changedAt, organiserId],
+        (err) => {
+            if (err) return callback(err);
+            global.db.run(
+                'UPDATE password_resets SET used_at = ? WHERE organiser_id = ? AND used_at IS NULL',
+                [changedAt, organiserId],
+                (err2) => callback(err2, changedAt)
+            );
+        }
+    );
+}
+
+/**
+ * createPasswordReset
+ * Purpose: Start a password reset for the active account with this email address
+ * Input: email, callback (err, reset or null) - reset is { token, expiresAt, user }, null if
+ *        no active account uses the address
+ * Output: None - any earlier unused link for the account is withdrawn
+ * Database: SELECT organisers, UPDATE/INSERT password_resets (one transaction)
+ */
+function createPasswordReset(email, callback) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + RESET_LINK_MINUTES * 60 * 1000).toISOString();
+
+    withTransaction((done) => {
+        global.db.get(
+            "SELECT organiser_id, username, email FROM organisers WHERE email = ? COLLATE NOCASE AND status = 'active'",
+            [email],
+            (err, user) => {
+                if (err || !user) return done(err, null);
+
+                global.db.run(
+                    'UPDATE password_resets SET used_at = ? WHERE organiser_id = ? AND used_at IS NULL',
+                    [now.toISOString(), user.organiser_id],
+                    (err2) => {
+                        if (err2) return done(err2);
+
+                        global.db.run(
+                            `INSERT INTO password_resets (organiser_id, token_hash, created_at, expires_at)
+                             VALUES (?, ?, ?, ?)`,
+                            [user.organiser_id, hashResetToken(token), now.toISOString(), expiresAt],
+                            (err3) => done(err3, { token, expiresAt, user })
+                        );
+                    }
+                );
+            }
+        );
+    }, callback);
+}
+
+/**
+ * findPasswordReset
+ * Purpose: Look up a reset link that can still be used
+ * Input: token (plain link token), callback (err, reset row with username, or null)
+ * Output: None - expired and used links give null
+ * Database: SELECT from password_resets and organisers tables
+ */
+function findPasswordReset(token, callback) {
+    if (!token) return callback(null, null);
+
+    global.db.get(
+        `SELECT r.*, o.username FROM password_resets r
+         JOIN organisers o ON o.organiser_id = r.organiser_id
+         WHERE r.token_hash = ? AND r.used_at IS NULL AND r.expires_at > ? AND o.status = 'active'`,
+        [hashResetToken(token), new Date().toISOString()],
+        (err, reset) => callback(err, reset || null)
+    );
+}
+
+/**
+ * resetPassword
+ * Purpose: Set a new password from a reset link and use the link up
+ * Input: token (plain link token), passwordHash, callback (err, reset or null) - null if
+ *        the link can no longer be used
+ * Output: None (result passed to callback)
+ * Database: SELECT/UPDATE password_resets, UPDATE organisers (one transaction)
+ */
+function resetPassword(token, passwordHash, callback) {
+    withTransaction((done) => {
+        findPasswordReset(token, (err, reset) => {
+            if (err || !reset) return done(err, null);
+            setPassword(reset.organiser_id, passwordHash, (err2) => done(err2, reset));
+        });
+    }, callback);
+}
+
+/**
+ * checkCurrentPassword
+ * Purpose: Confirm a logged-in account's password before a sensitive change
+ * Input: organiserId, password, callback (err) - err.userMessage is set if it is wrong
+ * Output: None (result passed to callback)
+ * Database: SELECT from organisers table
+ */
+function checkCurrentPassword(organiserId, password, callback) {
+    global.db.get('SELECT password FROM organisers WHERE organiser_id = ?', [organiserId], async (err, user) => {
+        if (err) return callback(err);
+
+        try {
+            if (!user || !password || !(await verifyPassword(password, user.password))) {
+                return callback(userError('Current password is incorrect.'));
+            }
+            callback(null);
+        } catch (error) {
+            callback(error);
+        }
+    });
+}
+
+/**
+ * changePassword
+ * Purpose: Change a logged-in account's password after checking the current one
+ * Input: organiserId, currentPassword, newPassword, callback (err, changedAt) -
+ *        err.userMessage is set if the current password is wrong
+ * Output: None (result passed to callback)
+ * Database: SELECT/UPDATE organisers, UPDATE password_resets
+ */
+function changePassword(organiserId, currentPassword, newPassword, callback) {
+    checkCurrentPassword(organiserId, currentPassword, async (err) => {
+        if (err) return callback(err);
+
+        try {
+            setPassword(organiserId, await hashPassword(newPassword), callback);
+        } catch (error) {
+            callback(error);
+        }
+    });
+}
+
+/**
+ * sessionIsCurrent
+ * Purpose: Check a logged-in session was started (or last had its password changed)
+ *          after the account's latest password change
+ * Input: session (req.session), user (from loadUser, with password_changed_at)
+ * Output: Boolean - false means the session should be logged out
+ */
+function sessionIsCurrent(session, user) {
+    return (session.passwordChangedAt || null) === (user.password_changed_at || null);
+}
+
+module.exports = {
+    SALT_ROUNDS,
+    RESET_LINK_MINUTES,
+    hashPassword,
+    verifyPassword,
+    fakePasswordCheck,
+    upgradePassword,
+    validateNewPassword,
+    createPasswordReset,
+    findPasswordReset,
+    resetPassword,
+    checkCurrentPassword,
+    changePassword,
+    sessionIsCurrent
+};
\ No newline at end of file
@@ -0,0 +1,606 @@
+/**
+ * utils/payments.js
+ * Payments
+ *
+ * Purpose: Take payment for orders through a pluggable gateway, apply the
+ *          gateway's webhook callbacks, release seats whose payment hold runs
+ *          out, and refund paid orders through the refunds ledger
+ * Used by: routes/attendee.js and routes/api.js (checkout and refunds), routes/payments.js
+ *          (webhook and mock checkout page), routes/organiser.js and utils/events.js
+ *          (refunds on cancellation and retries), index.js (hold expiry timer)
+ *
+ * An order that costs money is saved as 'pending' by placeOrder and holds its
+ * seats until hold_expires_at. holdPayment adds its pending payment row in the same
+ * transaction, so an order is never saved without one; after the commit startPayment
+ * asks the gateway for a checkout page and records it on that row;
+ * the gateway then calls the webhook with the outcome, which confirms the order
+ * (and sends the confirmation email) or releases its seats. A payment that only
+ * arrives after the hold ran out is kept if the seats are still free, otherwise
+ * it is refunded straight away.
+ *
+ * Every refund is first written to the refunds ledger as 'pending' and then sent
+ * to the gateway; one the gateway turns down stays pending so organisers can
+ * retry it from the refunds page. How much to refund is decided by the caller
+ * (see utils/refunds.js for cancellation policies).
+ *
+ * Configuration (environment variables):
+ *   PAYMENT_PROVIDER        gateway in PROVIDERS (default 'mock', except when NODE_ENV is
+ *                           'production': the mock checkout lets anyone mark their own
+ *                           order paid, so there it has to be asked for by name)
+ *   PAYMENT_CURRENCY        currency code sent to the gateway (default GBP)
+ *   PAYMENT_WEBHOOK_SECRET  secret the mock gateway signs its webhooks with (if unset, index.js
+ *                           uses a random one generated for this site, see utils/secrets.js)
+ *
+ * A gateway is an entry in PROVIDERS with three functions:
+ *   createPayment({ reference, amount, currency, description, returnUrl }, callback(err, { providerRef, checkoutUrl }))
+ *   refundPayment({ providerRef, amount, currency }, callback(err))
+ *   parseWebhook(rawBody, headers) - returns { providerRef, outcome: 'paid' | 'failed' },
+ *                                    or null if the body or signature is not valid
+ */
+
+const crypto = require('crypto');
+const { withTransaction, runStatements } = require('./db');
+const { absoluteUrl } = require('./mailer');
+const { checkAvailability, sendBookingConfirmation } = require('./bookings');
+const { promoteWaitlist } = require('./waitlist');
+const { roundMoney } = require('./promos');
+const { userError } = require('./helpers');
+
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || (process.env.NODE_ENV === 'production' ? '' : 'mock');
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || 'GBP';
+// Set at startup by index.js from PAYMENT_WEBHOOK_SECRET or the site's generated secret
+let webhookSecret = null;
+
+/**
+ * setWebhookSecret
+ * Purpose: Set the secret mock gateway webhooks are signed with
+ * Input: secret (string)
+ * Output: None
+ */
+function setWebhookSecret(secret) {
+    webhookSecret = secret;
+}
+
+/**
+ * signMockWebhook
+ * Purpose: Sign a mock gateway webhook body
+ * Input: body (string or Buffer)
+ * Output: Hex HMAC-SHA256 signature
+ */
+function signMockWebhook(body) {
+    if (!webhookSecret) throw new Error('Webhook secret has not been loaded');
+    return crypto.createHmac('sha256', webhookSecret).update(body).digest('hex');
+}
+
+// Local stand-in for a real gateway: the checkout page is served by routes/payments.js
+// and "pays" by sending itself a signed webhook, so the full flow runs without an account
+const mockProvider = {
+    createPayment(payment, callback) {
+        const providerRef = 'mock_' + crypto.randomBytes(12).toString('hex');
+        callback(null, { providerRef, checkoutUrl: absoluteUrl('/payments/mock/' + providerRef) });
+    },
+
+    refundPayment(refund, callback) {
+        callback(null);
+    },
+
+    parseWebhook(rawBody, headers) {
+        const expected = Buffer.from(signMockWebhook(rawBody));
+        const given = Buffer.from(String(headers['x-mock-signature'] || ''));
+        if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+        let body;
+        try {
+            body = JSON.parse(rawBody.toString('utf8'));
+        } catch (e) {
+            return null;
+        }
+        if (!body || typeof body.payment_ref !== 'string') return null;
+        if (body.type === 'payment.succeeded') return { providerRef: body.payment_ref, outcome: 'paid' };
+        if (body.type === 'payment.failed') return { providerRef: body.payment_ref, outcome: 'failed' };
+        return null;
+    },
+
+    // Mock only: the webhook the gateway sends once the attendee pays or declines
+    buildWebhook(providerRef, outcome) {
+        const body = JSON.stringify({
+            type: outcome === 'paid' ? 'payment.succeeded' : 'payment.failed',
+            payment_ref: providerRef
+        });
+        return { rawBody: Buffer.from(body), headers: { 'x-mock-signature': signMockWebhook(body) } };
+    }
+};
+
+// Available gateways, by the name used in PAYMENT_PROVIDER and the webhook URL
+const PROVIDERS = {
+    mock: mockProvider
+};
+
+/**
+ * getProvider
+ * Purpose: Look up a gateway by name
+ * Input: name (defaults to PAYMENT_PROVIDER)
+ * Output: Gateway object, or null if there is no such gateway
+ */
+function getProvider(name = PAYMENT_PROVIDER) {
+    return Object.prototype.hasOwnProperty.call(PROVIDERS, name) ? PROVIDERS[name] : null;
+}
+
+/**
+ * checkPaymentConfig
+ * Purpose: Check a usable gateway is configured before the site starts taking bookings
+ * Input: None
+ * Output: Error message string, or null if PAYMENT_PROVIDER names a gateway in PROVIDERS
+ */
+function checkPaymentConfig() {
+    if (!PAYMENT_PROVIDER) {
+        return 'PAYMENT_PROVIDER must be set when NODE_ENV is production (use PAYMENT_PROVIDER=mock only for a demo site).';
+    }
+    if (!getProvider()) return 'Unknown PAYMENT_PROVIDER: ' + PAYMENT_PROVIDER;
+    return null;
+}
+
+/**
+ * releaseOrder
+ * Purpose: Give up on a pending order so its seats are free again
+ * Input: orderId, callback (err)
+ * Output: None
+ * Database: UPDATE orders and payments tables
+ */
+function releaseOrder(orderId, callback) {
+    const now = new Date().toISOString();
+    runStatements([
+        {
+            sql: "UPDATE payments SET status = 'failed', updated_at = ? WHERE order_id = ? AND status = 'pending'",
+            params: [now, orderId]
+        },
+        {
+            sql: "UPDATE orders SET status = 'expired', updated_at = ? WHERE order_id = ? AND status = 'pending'",
+            params: [now, orderId]
+        }
+    ], callback);
+}
+
+/**
+ * holdPayment
+ * Purpose: Add the pending payment row for a newly placed order that costs money
+ * Must be called inside the same withTransaction as placeOrder, so the order and its
+ * payment row are saved or rolled back together
+ * Input: order (from placeOrder), callback (err, order) - order.paymentId is set when a
+ *        row was added (free orders are passed through unchanged)
+ * Output: None (result passed to callback)
+ * Database: INSERT into payments table
+ */
+function holdPayment(order, callback) {
+    if (order.status !== 'pending') return callback(null, order);
+
+    global.db.run(
+        `INSERT INTO payments (order_id, booking_reference, provider, amount, currency, status, created_at)
+         VALUES (?, ?, ?, ?, ?, 'pending', ?)`,
+        [order.orderId, order.reference, PAYMENT_PROVIDER, order.total, PAYMENT_CURRENCY, new Date().toISOString()],
+        function(err) {
+            if (err) return callback(err);
+            callback(null, { ...order, paymentId: this.lastID });
+        }
+    );
+}
+
+/**
+ * startPayment
+ * Purpose: Open a checkout with the gateway for a pending order
+ * Input: order ({ orderId, reference, total, paymentId } from placeOrder and holdPayment),
+ *        callback (err, checkoutUrl)
+ * Output: None - if the gateway cannot be reached, or the order's payment row is no
+ *         longer pending, the order is released and err.userMessage is set
+ * Database: UPDATE payments table
+ */
+function startPayment(order, callback) {
+    const provider = getProvider();
+    const failed = (err) => {
+        console.error('Payment start error:', err);
+        releaseOrder(order.orderId, (releaseErr) => {
+            if (releaseErr) console.error('Order release error:', releaseErr);
+            callback(userError('We could not start the payment, so your seats have been released. Please try again.'));
+        });
+    };
+
+    if (!provider) return failed(new Error('Unknown PAYMENT_PROVIDER: ' + PAYMENT_PROVIDER));
+    if (!order.paymentId) return failed(new Error('No payment row held for order ' + order.orderId));
+
+    provider.createPayment({
+        reference: order.reference,
+        amount: order.total,
+        currency: PAYMENT_CURRENCY,
+        description: 'Booking ' + order.reference,
+        returnUrl: absoluteUrl('/attendee/confirmation/' + order.reference)
+    }, (err, checkout) => {
+        if (err) return failed(err);
+
+        global.db.run(
+            `UPDATE payments SET provider_ref = ?, checkout_url = ?, updated_at = ?
+             WHERE payment_id = ? AND status = 'pending'`,
+            [checkout.providerRef, checkout.checkoutUrl, new Date().toISOString(), order.paymentId],
+            function(err2) {
+                if (err2) return failed(err2);
+                if (this.changes === 0) return failed(new Error('Payment row missing for order ' + order.orderId));
+                callback(null, checkout.checkoutUrl);
+            }
+        );
+    });
+}
+
+/**
+ * completeOrder
+ * Purpose: Finish a newly placed order - email a free order's confirmation, or
+ *          start payment for one that costs money
+ * Input: order (from placeOrder and holdPayment), callback (err, checkoutUrl) - checkoutUrl is null
+ *        when the order is already confirmed
+ * Output: None (see startPayment for errors)
+ */
+function completeOrder(order, callback) {
+    if (order.status !== 'pending') {
+        sendBookingConfirmation(order.orderId);
+        return callback(null, null);
+    }
+    startPayment(order, callback);
+}
+
+/**
+ * applyPaymentOutcome
+ * Purpose: Update a payment and its order with the result the gateway reported
+ * Webhooks can repeat, so a payment that has already been settled is left alone - except
+ * that money arriving for a payment already marked failed is recorded and refunded
+ * Input: providerName, providerRef, outcome ('paid' or 'failed'), callback (err, { action })
+ * Output: None - action is 'confirmed', 'released', 'refund' (paid too late to keep
+ *         the seats, or after the payment was given up) or 'none'; err.notFound is set
+ *         for an unknown payment
+ * Database: SELECT payments/orders/bookings, UPDATE payments and orders (one transaction),
+ *           then sends the confirmation, offers freed seats or refunds
+ */
+function applyPaymentOutcome(providerName, providerRef, outcome, callback) {
+    const now = new Date().toISOString();
+
+    withTransaction((done) => {
+        global.db.get(
+            `SELECT p.*, o.status AS order_status, o.hold_expires_at, o.event_id
+             FROM payments p LEFT JOIN orders o ON o.order_id = p.order_id
+             WHERE p.provider = ? AND p.provider_ref = ?`,
+            [providerName, providerRef],
+            (err, payment) => {
+                if (err) return done(err);
+                if (!payment) {
+                    const missing = new Error('Payment not found');
+                    missing.notFound = true;
+                    return done(missing);
+                }
+
+                // The order was given up (e.g. released when its checkout could not be
+                // started), but the gateway took the money anyway: record it and give it back
+                const paidAfterFailure = payment.status === 'failed' && outcome === 'paid';
+
+                // Already settled (or refunded) - nothing more to do
+                if (payment.status !== 'pending' && payment.status !== 'expired' && !paidAfterFailure) {
+                    return done(null, { payment, action: 'none' });
+                }
+
+                if (outcome === 'failed') {
+                    return runStatements([
+                        { sql: "UPDATE payments SET status = 'failed', updated_at = ? WHERE payment_id = ?", params: [now, payment.payment_id] },
+                        { sql: "UPDATE orders SET status = 'expired', updated_at = ? WHERE order_id = ? AND status = 'pending'", params: [now, payment.order_id] }
+                    ], (err2) => done(err2, { payment, action: payment.order_status === 'pending' ? 'released' : 'none' }));
+                }
+
+                const markPaid = { sql: "UPDATE payments SET status = 'paid', paid_at = ?, updated_at = ? WHERE payment_id = ?", params: [now, now, payment.payment_id] };
+                const confirm = () => runStatements([
+                    markPaid,
+                    { sql: "UPDATE orders SET status = 'confirmed', hold_expires_at = NULL, updated_at = ? WHERE order_id = ?", params: [now, payment.order_id] }
+                ], (err2) => done(err2, { payment, action: 'confirmed' }));
+                const refund = () => runStatements([
+                    markPaid,
+                    { sql: "UPDATE orders SET status = 'expired', updated_at = ? WHERE order_id = ? AND status = 'pending'", params: [now, payment.order_id] }
+                ], (err2) => done(err2, { payment, action: 'refund' }));
+
+                if (paidAfterFailure) return refund();
+                if (payment.order_status === 'pending' && payment.hold_expires_at > now) return confirm();
+                if (payment.order_status !== 'pending' && payment.order_status !== 'expired') return refund();
+
+                // Paid after the hold ran out: keep the booking only if its seats are still free
+                global.db.all('SELECT ticket_type, quantity FROM bookings WHERE order_id = ?', [payment.order_id], (err2, lines) => {
+                    if (err2) return done(err2);
+                    const wanted = lines.map(line => ({ ticketType: line.ticket_type, quantity: line.quantity }));
+                    checkAvailability(payment.event_id, wanted, (err3) => {
+                        if (err3 && err3.ticketType) return refund();
+                        if (err3) return done(err3);
+                        confirm();
+                    });
+                });
+            }
+        );
+    }, (err, result) => {
+        if (err) return callback(err);
+
+        const payment = result.payment;
+        if (result.action === 'confirmed') {
+            sendBookingConfirmation(payment.order_id);
+        } else if (result.action === 'released') {
+            promoteWaitlist(payment.event_id);
+        } else if (result.action === 'refund') {
+            const details = {
+                reason: 'late_payment',
+                note: payment.status === 'failed'
+                    ? 'Paid after the payment had been marked failed and the order released'
+                    : 'Paid after the seat hold ran out and the seats had gone'
+            };
+            refundPayment(payment.payment_id, payment.amount, details, (refundErr) => {
+                if (refundErr) console.error('Late payment refund error:', refundErr);
+            });
+        }
+        callback(null, { action: result.action });
+    });
+}
+
+/**
+ * handleWebhook
+ * Purpose: Check and apply a payment status callback from a gateway
+ * Input: providerName (from the webhook URL), rawBody (Buffer), headers, callback (err, { action })
+ * Output: None - err.notFound is set for an unknown gateway or payment;
+ *         err.userMessage for a body or signature that is not valid
+ */
+function handleWebhook(providerName, rawBody, headers, callback) {
+    const provider = getProvider(providerName);
+    if (!provider) {
+        const unknown = new Error('Unknown payment provider');
+        unknown.notFound = true;
+        return callback(unknown);
+    }
+
+    const update = provider.parseWebhook(rawBody || Buffer.alloc(0), headers);
+    if (!update) return callback(userError('Webhook body or signature is not valid.'));
+
+    applyPaymentOutcome(providerName, update.providerRef, update.outcome, callback);
+}
+
+/**
+ * expirePaymentHolds
+ * Purpose: Release the seats of pending orders whose payment hold has run out
+ * Input: callback (optional, err, count)
+ * Output: None - freed seats are offered to the waitlist
+ * Database: SELECT/UPDATE orders and payments tables
+ */
+function expirePaymentHolds(callback) {
+    const finish = callback || ((err) => { if (err) console.error('Payment hold expiry error:', err); });
+    const now = new Date().toISOString();
+
+    withTransaction((done) => {
+        global.db.all(
+            "SELECT order_id, event_id FROM orders WHERE status = 'pending' AND hold_expires_at <= ?",
+            [now],
+            (err, lapsed) => {
+                if (err) return done(err);
+                if (lapsed.length === 0) return done(null, lapsed);
+
+                const ids = lapsed.map(order => order.order_id);
+                const placeholders = ids.map(() => '?').join(', ');
+                runStatements([
+                    {
+                        sql: `UPDATE payments SET status = 'expired', updated_at = ? WHERE status = 'pending' AND order_id IN (${placeholders})`,
+                        params: [now, ...ids]
+                    },
+                    {
+                        sql: `UPDATE orders SET status = 'expired', updated_at = ? WHERE order_id IN (${placeholders})`,
+                        params: [now, ...ids]
+                    }
+                ], (err2) => done(err2, lapsed));
+            }
+        );
+    }, (err, lapsed) => {
+        if (err) return finish(err);
+        [...new Set(lapsed.map(order => order.event_id))].forEach(eventId => promoteWaitlist(eventId));
+        finish(null, lapsed.length);
+    });
+}
+
+/**
+ * recordRefund
+ * Purpose: Add a pending refund to the ledger for part or all of a paid payment
+ * The amount is capped at what has not been refunded, or promised by another
+ * pending refund, already
+ * Input: paymentId, amount, details ({ reason, note }), callback (err, refundId) -
+ *        refundId is null when nothing is left to refund
+ * Output: None (result passed to callback)
+ * Database: SELECT payments/refunds, INSERT into refunds table (one transaction)
+ */
+function recordRefund(paymentId, amount, details, callback) {
+    withTransaction((done) => {
+        global.db.get(
+            `SELECT p.*, o.event_id, o.attendee_name, e.title AS event_title,
+                    (SELECT COALESCE(SUM(r.amount), 0) FROM refunds r
+                     WHERE r.payment_id = p.payment_id AND r.status = 'pending') AS pending_refunds
+             FROM payments p
+             LEFT JOIN orders o ON o.order_id = p.order_id
+             LEFT JOIN events e ON e.event_id = o.event_id
+             WHERE p.payment_id = ?`,
+            [paymentId],
+            (err, payment) => {
+                if (err) return done(err);
+                if (!payment || payment.status !== 'paid') return done(null, null);
+
+                const refundable = roundMoney(payment.amount - payment.refunded_amount - payment.pending_refunds);
+                const refund = roundMoney(Math.min(amount, refundable));
+                if (refund <= 0) return done(null, null);
+
+                global.db.run(
+                    `INSERT INTO refunds (payment_id, order_id, event_id, booking_reference, event_title, attendee_name,
+                                          amount, reason, policy_note, status, created_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?)`,
+                    [payment.payment_id, payment.order_id, payment.event_id, payment.booking_reference, payment.event_title,
+                        payment.attendee_name, refund, details.reason, details.note || null, new Date().toISOString()],
+                    function(err2) {
+                        if (err2) return done(err2);
+                        done(null, this.lastID);
+                    }
+                );
+            }
+        );
+    }, callback);
+}
+
+/**
+ * processRefund
+ * Purpose: Send a pending refund from the ledger to its payment's gateway
+ * Input: refundId, callback (err, refund) - refund is the ledger row with its new
+ *        status; a refund the gateway turns down stays 'pending' with last_error set
+ * Output: None - err.notFound is set for an unknown refund
+ * Database: SELECT refunds/payments, UPDATE refunds and payments tables
+ */
+function processRefund(refundId, callback) {
+    global.db.get(
+        `SELECT r.*, p.provider, p.provider_ref, p.currency
+         FROM refunds r JOIN payments p ON p.payment_id = r.payment_id
+         WHERE r.refund_id = ?`,
+        [refundId],
+        (err, refund) => {
+            if (err) return callback(err);
+            if (!refund) {
+                const missing = new Error('Refund not found');
+                missing.notFound = true;
+                return callback(missing);
+            }
+            if (refund.status !== 'pending') return callback(null, refund);
+
+            // Claim this attempt first, so a repeated retry cannot send the same refund twice
+            global.db.run(
+                "UPDATE refunds SET attempts = attempts + 1 WHERE refund_id = ? AND status = 'pending' AND attempts = ?",
+                [refund.refund_id, refund.attempts],
+                function(err2) {
+                    if (err2) return callback(err2);
+                    if (this.changes === 0) return callback(null, refund);
+
+                    const provider = getProvider(refund.provider);
+                    const now = new Date().toISOString();
+                    const saveError = (gatewayErr) => {
+                        console.error('Refund error:', gatewayErr);
+                        runStatements([
+                            { sql: 'UPDATE refunds SET last_error = ? WHERE refund_id = ?', params: [gatewayErr.message, refund.refund_id] },
+                            { sql: 'UPDATE payments SET last_error = ?, updated_at = ? WHERE payment_id = ?', params: [gatewayErr.message, now, refund.payment_id] }
+                        ], (err3) => callback(err3, { ...refund, last_error: gatewayErr.message }));
+                    };
+
+                    if (!provider) return saveError(new Error('Unknown payment provider: ' + refund.provider));
+
+                    provider.refundPayment({ providerRef: refund.provider_ref, amount: refund.amount, currency: refund.currency }, (gatewayErr) => {
+                        if (gatewayErr) return saveError(gatewayErr);
+
+                        runStatements([
+                            {
+                                sql: "UPDATE refunds SET status = 'processed', processed_at = ?, last_error = NULL WHERE refund_id = ?",
+                                params: [now, refund.refund_id]
+                            },
+                            {
+                                sql: `UPDATE payments SET refunded_amount = ROUND(refunded_amount + ?, 2),
+                                      status = CASE WHEN ROUND(refunded_amount + ?, 2) >= amount THEN 'refunded' ELSE status END,
+                                      refunded_at = ?, last_error = NULL, updated_at = ?
+                                      WHERE payment_id = ?`,
+                                params: [refund.amount, refund.amount, now, now, refund.payment_id]
+                            }
+                        ], (err3) => callback(err3, { ...refund, status: 'processed', processed_at: now, last_error: null }));
+                    });
+                }
+            );
+        }
+    );
+}
+
+/**
+ * refundPayment
+ * Purpose: Record a refund in the ledger and send it to the gateway straight away
+ * Input: paymentId, amount, details ({ reason, note }), callback (err, refund) -
+ *        refund is null when nothing was left to refund, otherwise the ledger row
+ *        ('processed', or 'pending' if the gateway turned it down)
+ * Output: None (result passed to callback)
+ * Database: See recordRefund and processRefund
+ */
+function refundPayment(paymentId, amount, details, callback) {
+    recordRefund(paymentId, amount, details, (err, refundId) => {
+        if (err || !refundId) return callback(err, null);
+        processRefund(refundId, callback);
+    });
+}
+
+/**
+ * refundOrder
+ * Purpose: Refund money taken for an order (nothing happens for a free or unpaid order)
+ * Input: orderId, amount (or null for everything not yet refunded),
+ *        details ({ reason, note } for the ledger), callback (err, refund)
+ * Output: None (refund passed to callback - see refundPayment)
+ * Database: SELECT from payments, then see refundPayment
+ */
+function refundOrder(orderId, amount, details, callback) {
+    global.db.get(
+        "SELECT * FROM payments WHERE order_id = ? AND status = 'paid' ORDER BY payment_id DESC LIMIT 1",
+        [orderId],
+        (err, payment) => {
+            if (err) return callback(err);
+            if (!payment) return callback(null, null);
+            refundPayment(payment.payment_id, amount === null ? payment.amount : amount, details, callback);
+        }
+    );
+}
+
+/**
+ * refundEventOrders
+ * Purpose: Refund every confirmed, paid order of an event in full (used before an event
+ *          is deleted) - cancelled orders were already refunded under the policy
+ * Input: eventId, callback (err, count) - a refund the gateway turns down stays
+ *        pending in the ledger, and the others still go ahead
+ * Output: None (number of refunds recorded passed to callback)
+ * Database: SELECT from payments and orders, then see refundPayment
+ */
+function refundEventOrders(eventId, callback) {
+    global.db.all(
+        `SELECT p.* FROM payments p JOIN orders o ON o.order_id = p.order_id
+         WHERE o.event_id = ? AND o.status = 'confirmed' AND p.status = 'paid'`,
+        [eventId],
+        (err, payments) => {
+            if (err) return callback(err);
+
+            let refunded = 0;
+            const refundNext = (index) => {
+                if (index >= payments.length) return callback(null, refunded);
+                const details = { reason: 'event_cancelled', note: 'Event cancelled - full refund' };
+                refundPayment(payments[index].payment_id, payments[index].amount, details, (err2, refund) => {
+                    if (err2) return callback(err2);
+                    if (refund) refunded++;
+                    refundNext(index + 1);
+                });
+            };
+            refundNext(0);
+        }
+    );
+}
+
+/**
+ * findOrderPayment
+ * Purpose: Load the latest payment for an order
+ * Input: orderId, callback (err, payment) - payment is undefined for free orders
+ * Output: None (result passed to callback)
+ * Database: SELECT from payments table
+ */
+function findOrderPayment(orderId, callback) {
+    global.db.get('SELECT * FROM payments WHERE order_id = ? ORDER BY payment_id DESC LIMIT 1', [orderId], callback);
+}
+
+module.exports = {
+    PAYMENT_PROVIDER,
+    checkPaymentConfig,
+    getProvider,
+    setWebhookSecret,
+    holdPayment,
+    completeOrder,
+    handleWebhook,
+    expirePaymentHolds,
+    processRefund,
+    refundOrder,
+    refundEventOrders,
+    findOrderPayment
+};
\ No newline at end of file
@@ -0,0 +1,302 @@
+/**
+ * utils/promos.js
+ * Promo Codes
+ *
+ * Purpose: Save promo codes and apply them to bookings
+ * Used by: routes/organiser.js (promo codes page), routes/attendee.js and
+ *          routes/api.js (booking with a code)
+ *
+ * A code takes a percentage or a fixed amount off the tickets it applies to.
+ * The discount is worked out per ticket line and stored on the line, so
+ * exports, reports and later quantity changes all see the same figures.
+ * Usage limits count confirmed orders (and orders whose payment is still being
+ * taken), so a cancelled or unpaid booking frees its use.
+ */
+
+const { formatDate, userError } = require('./helpers');
+const { isValidTimestamp } = require('./sales');
+
+const DISCOUNT_TYPES = ['percent', 'fixed'];
+const CODE_PATTERN = /^[A-Z0-9_-]{3,30}$/;
+
+/**
+ * normalisePromoCode
+ * Purpose: Tidy a code as typed (codes are matched ignoring case and spaces around them)
+ * Input: value (string)
+ * Output: Upper-case code string ('' if none)
+ */
+function normalisePromoCode(value) {
+    return String(value || '').trim().toUpperCase();
+}
+
+/**
+ * roundMoney
+ * Purpose: Round an amount to whole pence
+ * Input: amount (number)
+ * Output: Number with at most two decimal places
+ */
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * validatePromo
+ * Purpose: Check the fields of a promo code
+ * Input: promo ({ code, description, discountType, discountValue, eventId, categoryId,
+ *        ticketType, maxUses, maxUsesPerEmail, validFrom, validUntil, active })
+ * Output: Error message string, or null if valid
+ */
+function validatePromo(promo) {
+    if (!CODE_PATTERN.test(promo.code)) {
+        return 'Codes must be 3-30 letters, numbers, dashes or underscores.';
+    }
+    if (promo.description.length > 200) {
+        return 'Description must be 200 characters or fewer.';
+    }
+    if (!DISCOUNT_TYPES.includes(promo.discountType)) {
+        return 'Choose a percentage or fixed amount discount.';
+    }
+    if (isNaN(promo.discountValue) || promo.discountValue <= 0) {
+        return 'Discount must be more than 0.';
+    }
+    if (promo.discountType === 'percent' && promo.discountValue > 100) {
+        return 'A percentage discount cannot be more than 100.';
+    }
+    if (promo.ticketType.length > 50) {
+        return 'Ticket tier names must be 50 characters or fewer.';
+    }
+    for (const limit of [promo.maxUses, promo.maxUsesPerEmail]) {
+        if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+            return 'Usage limits must be whole numbers of at least 1 (or blank for no limit).';
+        }
+    }
+    if ((promo.validFrom && !isValidTimestamp(promo.validFrom)) || (promo.validUntil && !isValidTimestamp(promo.validUntil))) {
+        return 'Valid from and until must be dates and times.';
+    }
+    if (promo.validFrom && promo.validUntil && new Date(promo.validUntil) <= new Date(promo.validFrom)) {
+        return 'The code must stop being valid after it starts.';
+    }
+    return null;
+}
+
+/**
+ * listPromos
+ * Purpose: Load promo codes with their scope names and how much they have been used
+ * Input: ownerId (only codes limited to events this account owns, or null for all codes -
+ *        see eventOwnerScope in utils/roles.js), callback (err, promos)
+ * Output: None (result passed to callback) - each promo has uses and total_discount
+ *         (confirmed orders only)
+ * Database: SELECT from promo_codes, events, categories, orders, bookings tables
+ */
+function listPromos(ownerId, callback) {
+    global.db.all(
+        `SELECT p.*, e.title AS event_title, e.event_date, c.name AS category_name,
+                (SELECT COUNT(*) FROM orders o WHERE o.promo_id = p.promo_id AND o.status = 'confirmed') AS uses,
+                (SELECT COALESCE(SUM(b.discount), 0) FROM bookings b JOIN orders o ON o.order_id = b.order_id
+                 WHERE o.promo_id = p.promo_id AND o.status = 'confirmed') AS total_discount
+         FROM promo_codes p
+         LEFT JOIN events e ON e.event_id = p.event_id
+         LEFT JOIN categories c ON c.category_id = p.category_id
+         WHERE (? IS NULL OR e.owner_id = ?)
+         ORDER BY p.active DESC, p.code ASC`,
+        [ownerId, ownerId],
+        callback
+    );
+}
+
+/**
+ * savePromo
+ * Purpose: Add a promo code, or update one
+ * Input: promoId (or null to add), promo (see validatePromo), callback (err, promoId)
+ * Output: None - err.userMessage set for a duplicate code, an unknown event or
+ *         category, or an unknown promo
+ * Database: SELECT events/categories, INSERT or UPDATE promo_codes table
+ */
+function savePromo(promoId, promo, callback) {
+    global.db.get(
+        `SELECT (SELECT COUNT(*) FROM events WHERE event_id = ?) AS event_found,
+                (SELECT COUNT(*) FROM categories WHERE category_id = ?) AS category_found`,
+        [promo.eventId, promo.categoryId],
+        (err, check) => {
+            if (err) return callback(err);
+            if (promo.eventId && !check.event_found) return callback(userError('Please choose a valid event.'));
+            if (promo.categoryId && !check.category_found) return callback(userError('Please choose a valid category.'));
+
+            const params = [
+                promo.code, promo.description || null, promo.discountType, promo.discountValue,
+                promo.eventId, promo.categoryId, promo.ticketType || null, promo.maxUses, promo.maxUsesPerEmail,
+                promo.validFrom, promo.validUntil, promo.active ? 1 : 0
+            ];
+
+            const handleError = (err2) => {
+                if (err2 && err2.code === 'SQLITE_CONSTRAINT') {
+                    return callback(userError(`The code ${promo.code} already exists.`));
+                }
+                callback(err2);
+            };
+
+            if (!promoId) {
+                return global.db.run(
+                    `INSERT INTO promo_codes (code, description, discount_type, discount_value, event_id, category_id,
+                                              ticket_type, max_uses, max_uses_per_email, valid_from, valid_until, active, created_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [...params, new Date().toISOString()],
+                    function(err2) {
+                        if (err2) return handleError(err2);
+                        callback(null, this.lastID);
+                    }
+                );
+            }
+
+            global.db.run(
+                `UPDATE promo_codes SET code = ?, description = ?, discount_type = ?, discount_value = ?, event_id = ?,
+                        category_id = ?, ticket_type = ?, max_uses = ?, max_uses_per_email = ?, valid_from = ?,
+                        valid_until = ?, active = ?
+                 WHERE promo_id = ?`,
+                [...params, promoId],
+                function(err2) {
+                    if (err2) return handleError(err2);
+                    if (this.changes === 0) return callback(userError('Promo code not found.'));
+                    callback(null, promoId);
+                }
+            );
+        }
+    );
+}
+
+/**
+ * deletePromo
+ * Purpose: Delete a promo code that has never been used
+ * Input: promoId, callback (err, deleted) - err.userMessage set if orders used the code
+ * Output: None (result passed to callback)
+ * Database: SELECT from orders, DELETE from promo_codes table
+ */
+function deletePromo(promoId, callback) {
+    global.db.get('SELECT COUNT(*) AS count FROM orders WHERE promo_id = ?', [promoId], (err, row) => {
+        if (err) return callback(err);
+        if (row.count > 0) {
+            return callback(userError(`This code has been used on ${row.count} booking(s). Switch it off instead so reports keep it.`));
+        }
+
+        global.db.run('DELETE FROM promo_codes WHERE promo_id = ?', [promoId], function(err2) {
+            if (err2) return callback(err2);
+            callback(null, this.changes > 0);
+        });
+    });
+}
+
+/**
+ * discountLines
+ * Purpose: Work out the discount on each ticket line for a promo code
+ * A percentage comes off every eligible line; a fixed amount comes off the
+ * eligible lines together, shared in proportion to their cost and never more
+ * than they cost
+ * Input: promo (row), lines (array of { ticket, quantity })
+ * Output: Array of the same lines with discount set (0 for lines the code does not cover)
+ */
+function discountLines(promo, lines) {
+    const eligible = (line) => !promo.ticket_type || line.ticket.type.toLowerCase() === promo.ticket_type.toLowerCase();
+    const cost = (line) => line.quantity * line.ticket.price;
+
+    if (promo.discount_type === 'percent') {
+        return lines.map(line => ({
+            ...line,
+            discount: eligible(line) ? roundMoney(cost(line) * promo.discount_value / 100) : 0
+        }));
+    }
+
+    const eligibleTotal = lines.filter(eligible).reduce((sum, line) => sum + cost(line), 0);
+    let remaining = roundMoney(Math.min(promo.discount_value, eligibleTotal));
+    const lastEligible = lines.map(eligible).lastIndexOf(true);
+
+    return lines.map((line, index) => {
+        if (!eligible(line) || eligibleTotal === 0) return { ...line, discount: 0 };
+        // The last eligible line takes whatever rounding left over
+        const share = index === lastEligible ? remaining : roundMoney(promo.discount_value * cost(line) / eligibleTotal);
+        const discount = Math.min(share, remaining, cost(line));
+        remaining = roundMoney(remaining - discount);
+        return { ...line, discount };
+    });
+}
+
+/**
+ * applyPromoCode
+ * Purpose: Check a code can be used for a booking and work out its discount
+ * Must be called inside withTransaction so usage limits cannot be overrun by
+ * two bookings at once
+ * Input: code (as typed), event (row), details ({ email, now }), lines (from selectTicketLines),
+ *        callback (err, { promo, lines }) - lines have discount set; promo is null and
+ *        lines are unchanged when no code was given
+ * Output: None - err.userMessage is set when the code cannot be used
+ * Database: SELECT from promo_codes, orders tables
+ */
+function applyPromoCode(code, event, details, lines, callback) {
+    const normalised = normalisePromoCode(code);
+    if (!normalised) return callback(null, { promo: null, lines: lines.map(line => ({ ...line, discount: 0 })) });
+
+    // Orders still being paid for count too, so the last use cannot be taken twice
+    const counted = `o.promo_id = p.promo_id AND (o.status = 'confirmed' OR (o.status = 'pending' AND o.hold_expires_at > ?))`;
+    global.db.get(
+        `SELECT p.*,
+                (SELECT COUNT(*) FROM orders o WHERE ${counted}) AS uses,
+                (SELECT COUNT(*) FROM orders o WHERE ${counted} AND LOWER(o.attendee_email) = LOWER(?)) AS email_uses
+         FROM promo_codes p WHERE p.code = ?`,
+        [details.now, details.now, details.email || '', normalised],
+        (err, promo) => {
+            if (err) return callback(err);
+            if (!promo || !promo.active) return callback(userError(`${normalised} is not a valid promo code.`));
+
+            if (promo.valid_from && details.now < promo.valid_from) {
+                return callback(userError(`${promo.code} can be used from ${formatDate(promo.valid_from)}.`));
+            }
+            if (promo.valid_until && details.now >= promo.valid_until) {
+                return callback(userError(`${promo.code} has expired.`));
+            }
+            if ((promo.event_id && promo.event_id !== event.event_id) ||
+                (promo.category_id && promo.category_id !== event.category_id)) {
+                return callback(userError(`${promo.code} cannot be used for this event.`));
+            }
+            if (promo.max_uses && promo.uses >= promo.max_uses) {
+                return callback(userError(`${promo.code} has been used the maximum number of times.`));
+            }
+            if (promo.max_uses_per_email) {
+                if (!details.email) {
+                    return callback(userError(`Please enter your email address to use ${promo.code}.`));
+                }
+                if (promo.email_uses >= promo.max_uses_per_email) {
+                    return callback(userError(`You have already used ${promo.code} the maximum number of times.`));
+                }
+            }
+
+            const discounted = discountLines(promo, lines);
+            if (discounted.every(line => line.discount === 0)) {
+                return callback(userError(`${promo.code} does not apply to the tickets you selected.`));
+            }
+            callback(null, { promo, lines: discounted });
+        }
+    );
+}
+
+/**
+ * orderTotals
+ * Purpose: Add up the ticket lines of an order
+ * Input: lines (array of { quantity, unit_price, discount })
+ * Output: { subtotal, discount, total }
+ */
+function orderTotals(lines) {
+    const subtotal = lines.reduce((sum, line) => sum + line.quantity * line.unit_price, 0);
+    const discount = lines.reduce((sum, line) => sum + (line.discount || 0), 0);
+    return { subtotal: roundMoney(subtotal), discount: roundMoney(discount), total: roundMoney(subtotal - discount) };
+}
+
+module.exports = {
+    DISCOUNT_TYPES,
+    normalisePromoCode,
+    roundMoney,
+    validatePromo,
+    listPromos,
+    savePromo,
+    deletePromo,
+    applyPromoCode,
+    orderTotals
+};
\ No newline at end of file
@@ -0,0 +1,327 @@
+/**
+ * utils/refunds.js
+ * Cancellation Policies and Refunds
+ *
+ * Purpose: Save cancellation policies, work out how much of a paid booking an
+ *          attendee gets back when they cancel or reduce it, and list the refunds ledger
+ * Used by: routes/organiser.js (policies and refunds pages, cancelling bookings),
+ *          routes/attendee.js (manage booking), utils/events.js (event saves),
+ *          index.js (policy summaries in views)
+ *
+ * A policy has three bands, counted back from the event's start: a full refund up
+ * to full_refund_days before, partial_refund_percent after that, and nothing
+ * within no_refund_hours of the start. Events without a policy refund in full.
+ * The refunds themselves are recorded and sent by utils/payments.js.
+ */
+
+const { eventStart, userError } = require('./helpers');
+const { roundMoney } = require('./promos');
+const { refundOrder, findOrderPayment } = require('./payments');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_FULL_REFUND_DAYS = 365;
+
+// How each ledger entry came about, as shown on the refunds page
+const REFUND_REASONS = {
+    attendee_cancelled: 'Attendee cancelled',
+    attendee_reduced: 'Attendee reduced tickets',
+    organiser_cancelled: 'Organiser cancelled booking',
+    event_cancelled: 'Event cancelled',
+    late_payment: 'Paid after hold expired or payment failed'
+};
+
+/**
+ * plural
+ * Purpose: Format a count with its unit, e.g. "1 day" or "7 days"
+ * Input: count (number), unit (singular word)
+ * Output: String
+ */
+function plural(count, unit) {
+    return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * validatePolicy
+ * Purpose: Check the fields of a cancellation policy
+ * Input: policy ({ name, fullRefundDays, partialRefundPercent, noRefundHours })
+ * Output: Error message string, or null if valid
+ */
+function validatePolicy(policy) {
+    if (!policy.name) {
+        return 'Policy name is required.';
+    }
+    if (policy.name.length > 100) {
+        return 'Policy name must be 100 characters or fewer.';
+    }
+    if (!Number.isInteger(policy.fullRefundDays) || policy.fullRefundDays < 0 || policy.fullRefundDays > MAX_FULL_REFUND_DAYS) {
+        return `Full refund days must be a whole number from 0 to ${MAX_FULL_REFUND_DAYS}.`;
+    }
+    if (!Number.isInteger(policy.partialRefundPercent) || policy.partialRefundPercent < 0 || policy.partialRefundPercent > 100) {
+        return 'Partial refund must be a whole percentage from 0 to 100.';
+    }
+    if (!Number.isInteger(policy.noRefundHours) || policy.noRefundHours < 0) {
+        return 'No refund hours must be a whole number (0 or more).';
+    }
+    if (policy.noRefundHours > policy.fullRefundDays * 24) {
+        return 'The no refund period cannot be longer than the full refund period.';
+    }
+    return null;
+}
+
+/**
+ * describePolicy
+ * Purpose: Summarise a cancellation policy for attendees and organisers
+ * Input: policy (row, or null for events without a policy)
+ * Output: String, e.g. "Full refund up to 7 days before the start, 50% after that, no refund within 24 hours."
+ */
+function describePolicy(policy) {
+    if (!policy) return 'Full refund if you cancel.';
+    if (policy.full_refund_days === 0) return 'Full refund up to the start.';
+
+    const parts = [`Full refund up to ${plural(policy.full_refund_days, 'day')} before the start`];
+    if (policy.partial_refund_percent > 0 && policy.no_refund_hours < policy.full_refund_days * 24) {
+        parts.push(`${policy.partial_refund_percent}% after that`);
+        if (policy.no_refund_hours > 0) parts.push(`no refund within ${plural(policy.no_refund_hours, 'hour')}`);
+    } else {
+        parts.push('no refund after that');
+    }
+    return parts.join(', ') + '.';
+}
+
+/**
+ * policyRefund
+ * Purpose: Work out the refund due under a policy for money paid towards an event
+ * Input: policy (row or null), event (row with event_date, start_time), amount (paid
+ *        for what is being cancelled), now (Date)
+ * Output: { amount, percent, note } - note says which band applied
+ */
+function policyRefund(policy, event, amount, now) {
+    const band = (percent, note) => ({ amount: roundMoney(amount * percent / 100), percent, note });
+    if (!policy) return band(100, 'Full refund (no cancellation policy)');
+
+    const hoursBefore = (eventStart(event).getTime() - now.getTime()) / HOUR_MS;
+    if (hoursBefore < policy.no_refund_hours) {
+        return band(0, `${policy.name}: no refund within ${plural(policy.no_refund_hours, 'hour')} of the start`);
+    }
+    if (hoursBefore >= policy.full_refund_days * 24) {
+        return band(100, `${policy.name}: full refund, ${plural(policy.full_refund_days, 'day')} or more before the start`);
+    }
+    return band(policy.partial_refund_percent,
+        `${policy.name}: ${policy.partial_refund_percent}% refund, less than ${plural(policy.full_refund_days, 'day')} before the start`);
+}
+
+/**
+ * findEventPolicy
+ * Purpose: Load an event with its cancellation policy
+ * Input: eventId, callback (err, event, policy) - policy is null when the event has none
+ * Output: None (result passed to callback)
+ * Database: SELECT from events, cancellation_policies tables
+ */
+function findEventPolicy(eventId, callback) {
+    global.db.get('SELECT * FROM events WHERE event_id = ?', [eventId], (err, event) => {
+        if (err || !event) return callback(err, event, null);
+        if (!event.cancellation_policy_id) return callback(null, event, null);
+
+        global.db.get('SELECT * FROM cancellation_policies WHERE policy_id = ?', [event.cancellation_policy_id], (err2, policy) => {
+            callback(err2, event, policy || null);
+        });
+    });
+}
+
+/**
+ * quoteRefund
+ * Purpose: Work out the refund due now for money paid towards an event, under its policy
+ * Input: eventId, amount, callback (err, { amount, percent, note, policy })
+ * Output: None (result passed to callback)
+ * Database: SELECT via findEventPolicy
+ */
+function quoteRefund(eventId, amount, callback) {
+    findEventPolicy(eventId, (err, event, policy) => {
+        if (err) return callback(err);
+        if (!event) return callback(userError('Event not found.'));
+        callback(null, { ...policyRefund(policy, event, amount, new Date()), policy });
+    });
+}
+
+/**
+ * refundByPolicy
+ * Purpose: Refund an attendee's cancellation or reduction of a paid order under
+ *          its event's cancellation policy
+ * Input: order (row with order_id, event_id), amount (paid for what is being given
+ *        up, or null for the tickets still on the order), reason (see REFUND_REASONS),
+ *        callback (err, refund, quote) - quote is null when nothing was paid, and
+ *        refund is null when the policy gives nothing back (see refundOrder)
+ * Output: None (result passed to callback)
+ * Database: SELECT payments/bookings/events/cancellation_policies, then refunds via utils/payments.js
+ */
+function refundByPolicy(order, amount, reason, callback) {
+    findOrderPayment(order.order_id, (err, payment) => {
+        if (err) return callback(err);
+        if (!payment || payment.status !== 'paid') return callback(null, null, null);
+
+        global.db.get(
+            'SELECT COALESCE(SUM(quantity * unit_price - discount), 0) AS total FROM bookings WHERE order_id = ?',
+            [order.order_id],
+            (err2, row) => {
+                if (err2) return callback(err2);
+
+                // Never more than is left of the payment (earlier reductions were refunded already)
+                const given = amount === null ? row.total : amount;
+                const due = roundMoney(Math.min(given, payment.amount - payment.refunded_amount));
+                quoteRefund(order.event_id, due, (err3, quote) => {
+                    if (err3) return callback(err3);
+                    if (quote.amount <= 0) return callback(null, null, quote);
+
+                    refundOrder(order.order_id, quote.amount, { reason, note: quote.note }, (err4, refund) => {
+                        callback(err4, refund, quote);
+                    });
+                });
+            }
+        );
+    });
+}
+
+/**
+ * checkPolicy
+ * Purpose: Make sure a chosen cancellation policy exists (no policy is allowed)
+ * Input: policyId (or null), callback (err) - err.userMessage set if the policy is unknown
+ * Output: None
+ * Database: SELECT from cancellation_policies table
+ */
+function checkPolicy(policyId, callback) {
+    if (!policyId) return callback(null);
+
+    global.db.get('SELECT policy_id FROM cancellation_policies WHERE policy_id = ?', [policyId], (err, policy) => {
+        if (err) return callback(err);
+        if (!policy) return callback(userError('Please choose a valid cancellation policy.'));
+        callback(null);
+    });
+}
+
+/**
+ * listPolicies
+ * Purpose: Load all cancellation policies with the number of events using each
+ * Input: ownerId (account limited to its own events, or null for all - see eventOwnerScope
+ *        in utils/roles.js), callback (err, policies)
+ * Output: None (result passed to callback) - editable is 0 when another account's event
+ *         uses the policy, since changing it would change their refunds
+ * Database: SELECT from cancellation_policies, events tables
+ */
+function listPolicies(ownerId, callback) {
+    global.db.all(
+        `SELECT p.*, COUNT(e.event_id) AS event_count,
+                (? IS NULL OR COUNT(CASE WHEN e.event_id IS NOT NULL AND e.owner_id IS NOT ? THEN 1 END) = 0) AS editable
+         FROM cancellation_policies p
+         LEFT JOIN events e ON e.cancellation_policy_id = p.policy_id
+         GROUP BY p.policy_id
+         ORDER BY p.name COLLATE NOCASE ASC`,
+        [ownerId, ownerId],
+        callback
+    );
+}
+
+/**
+ * savePolicy
+ * Purpose: Add a cancellation policy, or update one (changes apply to later cancellations)
+ * Input: policyId (or null to add), policy (see validatePolicy), callback (err, policyId)
+ * Output: None - err.userMessage set for a duplicate name or unknown policy
+ * Database: INSERT or UPDATE cancellation_policies table
+ */
+function savePolicy(policyId, policy, callback) {
+    const params = [policy.name, policy.fullRefundDays, policy.partialRefundPercent, policy.noRefundHours];
+
+    const handleError = (err) => {
+        if (err && err.code === 'SQLITE_CONSTRAINT') {
+            return callback(userError(`A policy called "${policy.name}" already exists.`));
+        }
+        callback(err);
+    };
+
+    if (!policyId) {
+        return global.db.run(
+            `INSERT INTO cancellation_policies (name, full_refund_days, partial_refund_percent, no_refund_hours, created_at)
+             VALUES (?, ?, ?, ?, ?)`,
+            [...params, new Date().toISOString()],
+            function(err) {
+                if (err) return handleError(err);
+                callback(null, this.lastID);
+            }
+        );
+    }
+
+    global.db.run(
+        `UPDATE cancellation_policies SET name = ?, full_refund_days = ?, partial_refund_percent = ?, no_refund_hours = ?
+         WHERE policy_id = ?`,
+        [...params, policyId],
+        function(err) {
+            if (err) return handleError(err);
+            if (this.changes === 0) return callback(userError('Cancellation policy not found.'));
+            callback(null, policyId);
+        }
+    );
+}
+
+/**
+ * deletePolicy
+ * Purpose: Delete a cancellation policy that no event uses
+ * Input: policyId, callback (err, deleted) - err.userMessage set if events use the policy
+ * Output: None (result passed to callback)
+ * Database: SELECT from events, DELETE from cancellation_policies table
+ */
+function deletePolicy(policyId, callback) {
+    global.db.get('SELECT COUNT(*) AS count FROM events WHERE cancellation_policy_id = ?', [policyId], (err, row) => {
+        if (err) return callback(err);
+        if (row.count > 0) {
+            return callback(userError(`This policy is used by ${row.count} event(s). Choose another policy for them first.`));
+        }
+
+        global.db.run('DELETE FROM cancellation_policies WHERE policy_id = ?', [policyId], function(err2) {
+            if (err2) return callback(err2);
+            callback(null, this.changes > 0);
+        });
+    });
+}
+
+/**
+ * listRefunds
+ * Purpose: Load the refunds ledger - every pending refund, and the most recent processed ones
+ * Input: limit (processed refunds to load), ownerId (only refunds for events this account owns,
+ *        or null for all refunds - see eventOwnerScope in utils/roles.js),
+ *        callback (err, { pending, processed, pendingTotal })
+ * Output: None (result passed to callback)
+ * Database: SELECT from refunds and events tables
+ */
+function listRefunds(limit, ownerId, callback) {
+    const query = `SELECT r.* FROM refunds r
+                   LEFT JOIN events e ON e.event_id = r.event_id
+                   WHERE r.status = ? AND (? IS NULL OR e.owner_id = ?)`;
+
+    global.db.all(query + ' ORDER BY r.created_at ASC, r.refund_id ASC', ['pending', ownerId, ownerId], (err, pending) => {
+        if (err) return callback(err);
+
+        global.db.all(
+            query + ' ORDER BY r.processed_at DESC, r.refund_id DESC LIMIT ?',
+            ['processed', ownerId, ownerId, limit],
+            (err2, processed) => {
+                if (err2) return callback(err2);
+                const pendingTotal = roundMoney(pending.reduce((sum, refund) => sum + refund.amount, 0));
+                callback(null, { pending, processed, pendingTotal });
+            }
+        );
+    });
+}
+
+module.exports = {
+    REFUND_REASONS,
+    validatePolicy,
+    describePolicy,
+    policyRefund,
+    findEventPolicy,
+    quoteRefund,
+    refundByPolicy,
+    checkPolicy,
+    listPolicies,
+    savePolicy,
+    deletePolicy,
+    listRefunds
+};
\ No newline at end of file
@@ -0,0 +1,253 @@
+/**
+ * utils/reminders.js
+ * Scheduled Reminders and Follow-ups
+ *
+ * Purpose: Email booked attendees reminders before an event and a thank-you
+ *          afterwards, at the times set in Site Settings
+ * Used by: index.js (scheduler timer), routes/organiser.js (dashboard schedule)
+ *
+ * Every message is recorded in scheduled_emails before it is queued, and the
+ * UNIQUE (order_id, kind) constraint means an order is only ever processed
+ * once per message - a restart of index.js picks up where it left off without
+ * sending anything twice. A message that falls due while the server is down
+ * is still sent when it comes back, as long as the moment has not passed
+ * (reminders stop at the event start, follow-ups after FOLLOW_UP_WINDOW_DAYS).
+ */
+
+const { withTransaction, runStatements } = require('./db');
+const { formatDate, manageLink, ticketQrLink, eventStart, eventEnd } = require('./helpers');
+const { queueEmail } = require('./mailer');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const FOLLOW_UP_WINDOW_DAYS = 7;
+
+/**
+ * parseReminderHours
+ * Purpose: Parse the reminder_hours setting into a list of offsets
+ * Input: value (string e.g. "168,24")
+ * Output: Array of unique positive integers, largest first (invalid entries dropped)
+ */
+function parseReminderHours(value) {
+    const hours = String(value || '')
+        .split(',')
+        .map(part => parseInt(part.trim()))
+        .filter(h => !isNaN(h) && h > 0);
+    return [...new Set(hours)].sort((a, b) => b - a);
+}
+
+/**
+ * describeOffset
+ * Purpose: Label a reminder offset for the dashboard
+ * Input: hours (number)
+ * Output: String e.g. "7 days before", "24 hours before"
+ */
+function describeOffset(hours) {
+    if (hours % 24 === 0 && hours > 24) return `${hours / 24} days before`;
+    return `${hours} ${hours === 1 ? 'hour' : 'hours'} before`;
+}
+
+/**
+ * eventSchedule
+ * Purpose: List the scheduled messages for an event and when each falls due
+ * Input: event (row with event_date, start_time, end_time), settings (row with reminder_hours, follow_up_hours)
+ * Output: Array of { kind, template, label, dueAt (Date), closesAt (Date) } in due order
+ */
+function eventSchedule(event, settings) {
+    const startsAt = eventStart(event);
+    const endsAt = eventEnd(event);
+
+    const schedule = parseReminderHours(settings.reminder_hours).map(hours => ({
+        kind: `reminder_${hours}`,
+        template: 'reminder',
+        label: `Reminder (${describeOffset(hours)})`,
+        dueAt: new Date(startsAt.getTime() - hours * HOUR),
+        closesAt: startsAt
+    }));
+
+    if (settings.follow_up_hours !== null && settings.follow_up_hours !== undefined && settings.follow_up_hours !== '') {
+        const dueAt = new Date(endsAt.getTime() + settings.follow_up_hours * HOUR);
+        schedule.push({
+            kind: 'follow_up',
+            template: 'follow_up',
+            label: 'Thank-you follow-up',
+            dueAt,
+            closesAt: new Date(dueAt.getTime() + FOLLOW_UP_WINDOW_DAYS * DAY)
+        });
+    }
+
+    return schedule;
+}
+
+/**
+ * planOrder
+ * Purpose: Decide which due messages an order should receive now
+ * Input: order (orders row), schedule (from eventSchedule), done (Set of kinds already processed), now (Date)
+ * Output: Array of { item, status } - status 'sent' or 'skipped'
+ *
+ * A reminder that fell due before the order was placed is skipped (the
+ * confirmation has just gone out), and when several reminders are due at
+ * once only the latest one is sent.
+ */
+function planOrder(order, schedule, done, now) {
+    const due = schedule.filter(item =>
+        !done.has(item.kind) && item.dueAt <= now && now < item.closesAt
+    );
+
+    const createdAt = new Date(order.created_at);
+    const reminders = due.filter(item => item.template === 'reminder');
+    const latestReminder = reminders[reminders.length - 1];
+
+    return due.map(item => {
+        const superseded = item.template === 'reminder' && item !== latestReminder;
+        const bookedLater = item.template === 'reminder' && createdAt > item.dueAt;
+        return { item, status: superseded || bookedLater ? 'skipped' : 'sent' };
+    });
+}
+
+/**
+ * processEvent
+ * Purpose: Record and queue the due scheduled messages for one event
+ * Input: event (events row), settings, now (Date), callback (err)
+ * Output: None
+ * Database: SELECT orders/bookings/scheduled_emails, INSERT into scheduled_emails
+ */
+function processEvent(event, settings, now, callback) {
+    const schedule = eventSchedule(event, settings);
+    if (!schedule.some(item => item.dueAt <= now && now < item.closesAt)) return callback(null);
+
+    global.db.all(
+        `SELECT * FROM orders
+         WHERE event_id = ? AND status = 'confirmed' AND attendee_email IS NOT NULL AND attendee_email != ''`,
+        [event.event_id],
+        (err, orders) => {
+            if (err) return callback(err);
+
+            global.db.all(
+                'SELECT order_id, kind FROM scheduled_emails WHERE event_id = ?',
+                [event.event_id],
+                (err2, processed) => {
+                    if (err2) return callback(err2);
+
+                    const next = (index) => {
+                        if (index >= orders.length) return callback(null);
+
+                        const order = orders[index];
+                        const done = new Set(processed.filter(p => p.order_id === order.order_id).map(p => p.kind));
+                        const plan = planOrder(order, schedule, done, now);
+                        if (plan.length === 0) return next(index + 1);
+
+                        const processedAt = now.toISOString();
+                        withTransaction((txDone) => {
+                            runStatements(plan.map(({ item, status }) => ({
+                                sql: 'INSERT INTO scheduled_emails (event_id, order_id, kind, status, processed_at) VALUES (?, ?, ?, ?, ?)',
+                                params: [event.event_id, order.order_id, item.kind, status, processedAt]
+                            })), txDone);
+                        }, (err3) => {
+                            if (err3) return callback(err3);
+
+                            const toSend = plan.filter(p => p.status === 'sent');
+                            if (toSend.length === 0) return next(index + 1);
+
+                            global.db.all('SELECT * FROM bookings WHERE order_id = ? ORDER BY booking_id ASC', [order.order_id], (err4, lines) => {
+                                if (err4) return callback(err4);
+
+                                toSend.forEach(({ item }) => {
+                                    queueEmail(item.template, order.attendee_email, {
+                                        event,
+                                        order,
+                                        lines,
+                                        manageUrl: manageLink(order.booking_reference),
+                                        qrUrl: ticketQrLink(order.booking_reference)
+                                    });
+                                });
+                                next(index + 1);
+                            });
+                        });
+                    };
+                    next(0);
+                }
+            );
+        }
+    );
+}
+
+/**
+ * processScheduledEmails
+ * Purpose: Send every reminder and follow-up that is due across published events
+ * Input: callback (optional, err)
+ * Output: None
+ * Database: SELECT settings/events, then processEvent per event
+ */
+function processScheduledEmails(callback) {
+    const finish = callback || ((err) => { if (err) console.error('Scheduled email error:', err); });
+    const now = new Date();
+
+    global.db.get('SELECT * FROM settings WHERE id = 1', [], (err, settings) => {
+        if (err || !settings) return finish(err);
+
+        // Only events that could still have a reminder or follow-up due
+        const earliest = new Date(now.getTime() - (FOLLOW_UP_WINDOW_DAYS + 1) * DAY - (settings.follow_up_hours || 0) * HOUR);
+        global.db.all(
+            "SELECT * FROM events WHERE status = 'published' AND event_date >= ? ORDER BY event_date ASC",
+            [earliest.toISOString().split('T')[0]],
+            (err2, events) => {
+                if (err2) return finish(err2);
+
+                const next = (index) => {
+                    if (index >= events.length) return finish(null);
+                    processEvent(events[index], settings, now, (err3) => {
+                        if (err3) console.error(`Scheduled email error (event ${events[index].event_id}):`, err3);
+                        next(index + 1);
+                    });
+                };
+                next(0);
+            }
+        );
+    });
+}
+
+/**
+ * loadEventSchedules
+ * Purpose: Attach the message schedule with sent/skipped counts to each event (dashboard)
+ * Input: events (array of event rows), settings, callback (err)
+ * Output: None - sets event.schedule = [{ label, dueAt, dueAtFormatted, sent, skipped }]
+ * Database: SELECT from scheduled_emails table
+ */
+function loadEventSchedules(events, settings, callback) {
+    if (events.length === 0) return callback(null);
+
+    const placeholders = events.map(() => '?').join(', ');
+    global.db.all(
+        `SELECT event_id, kind, status, COUNT(*) AS total
+         FROM scheduled_emails
+         WHERE event_id IN (${placeholders})
+         GROUP BY event_id, kind, status`,
+        events.map(e => e.event_id),
+        (err, counts) => {
+            if (err) return callback(err);
+
+            const countFor = (eventId, kind, status) => {
+                const row = counts.find(c => c.event_id === eventId && c.kind === kind && c.status === status);
+                return row ? row.total : 0;
+            };
+
+            events.forEach(event => {
+                event.schedule = eventSchedule(event, settings).map(item => ({
+                    label: item.label,
+                    dueAt: item.dueAt,
+                    dueAtFormatted: formatDate(item.dueAt),
+                    sent: countFor(event.event_id, item.kind, 'sent'),
+                    skipped: countFor(event.event_id, item.kind, 'skipped')
+                }));
+            });
+            callback(null);
+        }
+    );
+}
+
+module.exports = {
+    parseReminderHours,
+    processScheduledEmails,
+    loadEventSchedules
+};
\ No newline at end of file
@@ -0,0 +1,234 @@
+/**
+ * utils/roles.js
+ * Roles and Permissions
+ *
+ * Purpose: Decide what each organiser account may do. Every account has one role;
+ *          each permission lists the roles that hold it. Accounts with the
+ *          'organiser' role only see and manage the events they own (events.owner_id),
+ *          the other roles work across every event
+ * Used by: routes/organiser.js (route guards, users page), routes/api.js (organiser
+ *          endpoints), routes/calendar.js (private feed), utils/events.js (event owners),
+ *          views via res.locals.can
+ */
+
+const { withTransaction } = require('./db');
+const { userError } = require('./helpers');
+
+// Role names as stored in organisers.role, with the labels shown on the users page
+const ROLES = {
+    admin: 'Administrator',
+    organiser: 'Organiser',
+    staff: 'Check-in staff',
+    finance: 'Finance (read-only)'
+};
+
+// Roles limited to the events they own
+const OWN_EVENTS_ONLY = ['organiser'];
+
+const PERMISSIONS = {
+    // See events, including drafts (dashboard, API event lists)
+    'events.view': ['admin', 'organiser', 'staff', 'finance'],
+    // Create, edit, publish, delete and import events
+    'events.manage': ['admin', 'organiser'],
+    // Hand events to another account
+    'events.assign': ['admin'],
+    // Bookings list, sign-in sheets and booking exports
+    'bookings.view': ['admin', 'organiser', 'finance'],
+    // Cancel bookings and manage the waitlist
+    'bookings.manage': ['admin', 'organiser'],
+    'checkin': ['admin', 'organiser', 'staff'],
+    // Venues, cancellation policies and promo codes - organisers only change venues, policies
+    // and codes that affect no one else's events (see routes/organiser.js)
+    'catalogue.manage': ['admin', 'organiser'],
+    'refunds.view': ['admin', 'organiser', 'finance'],
+    'refunds.manage': ['admin', 'organiser'],
+    'settings.manage': ['admin'],
+    'users.manage': ['admin']
+};
+
+/**
+ * can
+ * Purpose: Check whether a role holds a permission
+ * Input: role (organisers.role), permission (key of PERMISSIONS)
+ * Output: Boolean - unknown roles and permissions are refused
+ */
+function can(role, permission) {
+    const roles = PERMISSIONS[permission];
+    return !!roles && roles.includes(role);
+}
+
+/**
+ * eventOwnerScope
+ * Purpose: Give the owner filter for an account's event queries
+ * Input: user ({ organiser_id, role })
+ * Output: organiser_id for roles limited to their own events, or null for every event -
+ *         use as "(? IS NULL OR e.owner_id = ?)"
+ */
+function eventOwnerScope(user) {
+    return OWN_EVENTS_ONLY.includes(user.role) ? user.organiser_id : null;
+}
+
+/**
+ * loadUser
+ * Purpose: Load an account for the current request, so role changes and deleted
+ *          accounts take effect straight away
+ * Input: userId (organiser_id), callback (err, user or null)
+ * Output: None - accounts still waiting for approval give null; password_changed_at is
+ *         included so the caller can log out sessions older than a password change, and
+ *         two_factor_enabled (0/1) so two-factor can be enforced
+ * Database: SELECT from organisers table
+ */
+function loadUser(userId, callback) {
+    if (!userId) return callback(null, null);
+
+    global.db.get(
+        `SELECT organiser_id, username, email, role, password_changed_at, totp_enabled_at IS NOT NULL AS two_factor_enabled
+         FROM organisers WHERE organiser_id = ? AND status = 'active'`,
+        [userId],
+        (err, user) => callback(err, user || null)
+    );
+}
+
+/**
+ * listUsers
+ * Purpose: Load every account (active and waiting for approval) with how many events it owns
+ * Input: callback (err, users)
+ * Output: None (result passed to callback)
+ * Database: SELECT from organisers and events tables
+ */
+function listUsers(callback) {
+    global.db.all(
+        `SELECT o.organiser_id, o.username, o.email, o.role, o.status, o.created_at,
+                o.totp_enabled_at IS NOT NULL AS two_factor_enabled,
+                (SELECT COUNT(*) FROM events e WHERE e.owner_id = o.organiser_id) AS event_count
+         FROM organisers o
+         ORDER BY o.username COLLATE NOCASE ASC`,
+        [],
+        callback
+    );
+}
+
+/**
+ * checkLastAdmin
+ * Purpose: Refuse a change that would leave the site without an administrator
+ * Must be called inside withTransaction
+ * Input: userId (account losing its admin role), callback (err)
+ * Output: None - err.userMessage is set if userId is the only admin
+ * Database: SELECT from organisers table
+ */
+function checkLastAdmin(userId, callback) {
+    global.db.get(
+        "SELECT COUNT(*) AS count FROM organisers WHERE role = 'admin' AND status = 'active' AND organiser_id != ?",
+        [userId],
+        (err, row) => {
+            if (err) return callback(err);
+            if (row.count === 0) return callback(userError('The site must keep at least one administrator.'));
+            callback(null);
+        }
+    );
+}
+
+/**
+ * changeRole
+ * Purpose: Give an account a new role
+ * Input: actorId (the admin making the change), userId, role, callback (err, user or null)
+ * Output: None - err.userMessage is set for an unknown role, changing your own role,
+ *         or demoting the last admin; user is null if the account does not exist
+ * Database: SELECT/UPDATE organisers table (one transaction)
+ */
+function changeRole(actorId, userId, role, callback) {
+    if (!ROLES[role]) return callback(userError('Please choose a valid role.'));
+    if (actorId === userId) return callback(userError('You cannot change your own role.'));
+
+    withTransaction((done) => {
+        global.db.get('SELECT organiser_id, username, role FROM organisers WHERE organiser_id = ?', [userId], (err, user) => {
+            if (err || !user) return done(err, null);
+
+            const save = () => {
+                global.db.run('UPDATE organisers SET role = ? WHERE organiser_id = ?', [role, userId], (err2) => {
+                    done(err2, { ...user, role });
+                });
+            };
+
+            if (user.role !== 'admin' || role === 'admin') return save();
+            checkLastAdmin(userId, (adminErr) => adminErr ? done(adminErr) : save());
+        });
+    }, callback);
+}
+
+/**
+ * deleteUser
+ * Purpose: Delete an account - its events stay, owned by nobody until an admin
+ *          reassigns them, and its API tokens are removed
+ * Input: actorId (the admin deleting), userId, callback (err, user or null)
+ * Output: None - err.userMessage is set for deleting yourself or the last admin;
+ *         user is null if the account does not exist
+ * Database: DELETE from organisers (events.owner_id set NULL, api_tokens cascade; one transaction)
+ */
+function deleteUser(actorId, userId, callback) {
+    if (actorId === userId) return callback(userError('You cannot delete your own account.'));
+
+    withTransaction((done) => {
+        global.db.get('SELECT organiser_id, username, role FROM organisers WHERE organiser_id = ?', [userId], (err, user) => {
+            if (err || !user) return done(err, null);
+
+            const remove = () => {
+                global.db.run('DELETE FROM organisers WHERE organiser_id = ?', [userId], (err2) => done(err2, user));
+            };
+
+            if (user.role !== 'admin') return remove();
+            checkLastAdmin(userId, (adminErr) => adminErr ? done(adminErr) : remove());
+        });
+    }, callback);
+}
+
+/**
+ * approveUser
+ * Purpose: Let a self-registered account log in, with the role the admin chose
+ * Input: userId, role, callback (err, user or null) - user is null if there is no
+ *        account waiting for approval with that ID
+ * Output: None - err.userMessage is set for an unknown role
+ * Database: UPDATE organisers (status and role)
+ */
+function approveUser(userId, role, callback) {
+    if (!ROLES[role]) return callback(userError('Please choose a valid role.'));
+
+    global.db.get("SELECT organiser_id, username, email FROM organisers WHERE organiser_id = ? AND status = 'pending'", [userId], (err, user) => {
+        if (err || !user) return callback(err, null);
+
+        global.db.run(
+            "UPDATE organisers SET status = 'active', role = ? WHERE organiser_id = ? AND status = 'pending'",
+            [role, userId],
+            (err2) => callback(err2, { ...user, role })
+        );
+    });
+}
+
+/**
+ * rejectUser
+ * Purpose: Turn down a self-registration by deleting the waiting account
+ * Input: userId, callback (err, user or null) - user is null if there is no account
+ *        waiting for approval with that ID
+ * Output: None (result passed to callback)
+ * Database: DELETE from organisers
+ */
+function rejectUser(userId, callback) {
+    global.db.get("SELECT organiser_id, username FROM organisers WHERE organiser_id = ? AND status = 'pending'", [userId], (err, user) => {
+        if (err || !user) return callback(err, null);
+
+        global.db.run("DELETE FROM organisers WHERE organiser_id = ? AND status = 'pending'", [userId], (err2) => callback(err2, user));
+    });
+}
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    can,
+    eventOwnerScope,
+    loadUser,
+    listUsers,
+    changeRole,
+    deleteUser,
+    approveUser,
+    rejectUser
+};
\ No newline at end of file
@@ -0,0 +1,152 @@
+/**
+ * utils/sales.js
+ * Sales Windows
+ *
+ * Purpose: Work out when an event and each of its ticket tiers is on sale
+ * Used by: routes/attendee.js and routes/api.js (event pages, booking and waitlist),
+ *          utils/bookings.js, utils/waitlist.js, utils/events.js (validation)
+ *
+ * An event can set when sales open and close, and a cutoff ("booking closes N
+ * hours before the start"). A tier can set its own open/close times, which
+ * narrow the event's window but never widen it. Whatever is set, booking
+ * always closes when the event starts.
+ */
+
+const { eventStart, formatDate, formatTicketType } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_CUTOFF_HOURS = 720;
+// Timestamps stored for sales windows (ISO 8601 with Z or an offset)
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * isValidTimestamp
+ * Purpose: Check a sales window time is a full ISO timestamp
+ * Input: value (string)
+ * Output: boolean
+ */
+function isValidTimestamp(value) {
+    return TIMESTAMP_PATTERN.test(value || '') && !isNaN(new Date(value).getTime());
+}
+
+/**
+ * validateSalesWindow
+ * Purpose: Check the open and close times of an event or tier
+ * Input: window ({ salesOpenAt, salesCloseAt } - ISO timestamps or null), label (e.g. 'Sales' or a tier name)
+ * Output: Error message string, or null if valid
+ */
+function validateSalesWindow(window, label) {
+    if (window.salesOpenAt && !isValidTimestamp(window.salesOpenAt)) {
+        return `${label} open time is not a valid date and time.`;
+    }
+    if (window.salesCloseAt && !isValidTimestamp(window.salesCloseAt)) {
+        return `${label} close time is not a valid date and time.`;
+    }
+    if (window.salesOpenAt && window.salesCloseAt && new Date(window.salesCloseAt) <= new Date(window.salesOpenAt)) {
+        return `${label} must close after they open.`;
+    }
+    return null;
+}
+
+/**
+ * validateCutoffHours
+ * Purpose: Check the "booking closes N hours before start" setting
+ * Input: hours (number)
+ * Output: Error message string, or null if valid
+ */
+function validateCutoffHours(hours) {
+    if (!Number.isInteger(hours) || hours < 0 || hours > MAX_CUTOFF_HOURS) {
+        return `Booking cutoff must be a whole number of hours between 0 and ${MAX_CUTOFF_HOURS}.`;
+    }
+    return null;
+}
+
+/**
+ * salesWindow
+ * Purpose: Work out when an event (or one of its tiers) opens and closes for booking
+ * Input: event (row with event_date, start_time, sales_open_at, sales_close_at, booking_cutoff_hours),
+ *        ticket (optional tier row with sales_open_at, sales_close_at)
+ * Output: { opensAt (Date or null), closesAt (Date), startsAt (Date) }
+ */
+function salesWindow(event, ticket) {
+    const startsAt = eventStart(event);
+    const closes = [startsAt.getTime() - (event.booking_cutoff_hours || 0) * HOUR_MS];
+    const opens = [];
+
+    [event, ticket].filter(Boolean).forEach(row => {
+        if (row.sales_open_at) opens.push(new Date(row.sales_open_at).getTime());
+        if (row.sales_close_at) closes.push(new Date(row.sales_close_at).getTime());
+    });
+
+    return {
+        opensAt: opens.length > 0 ? new Date(Math.max(...opens)) : null,
+        closesAt: new Date(Math.min(...closes, startsAt.getTime())),
+        startsAt
+    };
+}
+
+/**
+ * salesStatus
+ * Purpose: Say whether an event (or tier) is on sale now
+ * Input: event, ticket (optional) - see salesWindow, now (Date, defaults to now)
+ * Output: { state: 'upcoming' | 'open' | 'closed', opensAt, closesAt, started (boolean) }
+ */
+function salesStatus(event, ticket, now = new Date()) {
+    const window = salesWindow(event, ticket);
+    let state = 'open';
+    if (now >= window.closesAt) {
+        state = 'closed';
+    } else if (window.opensAt && now < window.opensAt) {
+        state = 'upcoming';
+    }
+    return { state, opensAt: window.opensAt, closesAt: window.closesAt, started: now >= window.startsAt };
+}
+
+/**
+ * checkEventSales
+ * Purpose: Explain why an event cannot be booked right now
+ * Input: event (see salesWindow), now (optional Date)
+ * Output: null if on sale, otherwise { code, message } - code is 'event_passed',
+ *         'sales_not_open' or 'sales_closed' (used as the API error code)
+ */
+function checkEventSales(event, now) {
+    const status = salesStatus(event, null, now);
+    if (status.started) {
+        return { code: 'event_passed', message: 'Booking has closed because this event has already started.' };
+    }
+    if (status.state === 'upcoming') {
+        return { code: 'sales_not_open', message: `Booking for this event opens on ${formatDate(status.opensAt.toISOString())}.` };
+    }
+    if (status.state === 'closed') {
+        return { code: 'sales_closed', message: `Booking for this event closed on ${formatDate(status.closesAt.toISOString())}.` };
+    }
+    return null;
+}
+
+/**
+ * checkTierSales
+ * Purpose: Explain why a ticket tier cannot be booked right now
+ * Input: event, ticket (tier row with type, sales_open_at, sales_close_at), now (optional Date)
+ * Output: null if on sale, otherwise { code, message } as for checkEventSales
+ */
+function checkTierSales(event, ticket, now) {
+    const status = salesStatus(event, ticket, now);
+    const label = formatTicketType(ticket.type);
+    if (status.state === 'upcoming') {
+        return { code: 'sales_not_open', message: `Sales for ${label} tickets open on ${formatDate(status.opensAt.toISOString())}.` };
+    }
+    if (status.state === 'closed') {
+        return { code: 'sales_closed', message: `Sales for ${label} tickets have closed.` };
+    }
+    return null;
+}
+
+module.exports = {
+    MAX_CUTOFF_HOURS,
+    isValidTimestamp,
+    validateSalesWindow,
+    validateCutoffHours,
+    salesStatus,
+    checkEventSales,
+    checkTierSales
+};
\ No newline at end of file
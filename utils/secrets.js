@@ -0,0 +1,43 @@
+/**
+ * utils/secrets.js
+ * Signing Secrets
+ *
+ * Purpose: Provide the secrets the site signs things with (attendee links, check-in
+ *          codes, mock gateway webhooks), generating a random one the first time the
+ *          site starts
+ * Used by: index.js (at startup, before the server accepts requests)
+ *
+ * A secret set in the environment is always used as-is. Otherwise a random secret is
+ * made once and kept in the site_secrets table, so signed links keep working across
+ * restarts but no secret ships with the source code.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * loadSecret
+ * Purpose: Get a named secret, creating and saving a random one if it does not exist yet
+ * Input: name (e.g. 'link'), configured (value from the environment, or undefined),
+ *        callback (err, secret)
+ * Output: None (result passed to callback)
+ * Database: INSERT OR IGNORE / SELECT site_secrets table
+ */
+function loadSecret(name, configured, callback) {
+    if (configured) return callback(null, configured);
+
+    global.db.run(
+        'INSERT OR IGNORE INTO site_secrets (name, value, created_at) VALUES (?, ?, ?)',
+        [name, crypto.randomBytes(32).toString('base64url'), new Date().toISOString()],
+        (err) => {
+            if (err) return callback(err);
+            global.db.get('SELECT value FROM site_secrets WHERE name = ?', [name], (err2, row) => {
+                if (err2) return callback(err2);
+                callback(null, row.value);
+            });
+        }
+    );
+}
+
+module.exports = {
+    loadSecret
+};
\ No newline at end of file
@@ -0,0 +1,318 @@
+/**
+ * utils/throttle.js
+ * Login and Form Throttling
+ *
+ * Purpose: Slow down and then lock out repeated failed logins (per account and per IP
+ *          address), and limit how often one IP address can register, ask for a password
+ *          reset link, book or join a waitlist, so scripts cannot guess passwords or flood
+ *          the site (or someone's inbox)
+ * Used by: routes/login.js (login, two-factor step, registration, password reset), routes/attendee.js and
+ *          routes/api.js (bookings and waitlist), routes/organiser.js (login audit page),
+ *          index.js (pruning old attempts)
+ *
+ * Every attempt is stored in the attempts table. Within an action's window, the first
+ * `free` counted attempts go through; after that each one has to wait twice as long
+ * after the previous one (1s, 2s, 4s... up to MAX_BACKOFF_SECONDS), and at `lockAfter`
+ * the account or address is locked until the window has passed. For logins only
+ * failures count, and a successful login clears the account's failures; for the other
+ * actions every request counts. Refused requests are stored as 'throttled' but do not
+ * count, so a lockout cannot be stretched out by someone who keeps trying.
+ *
+ * The check and the stored attempt happen in one transaction (beginAttempt), so a burst
+ * of parallel requests cannot all pass the check before any of them is counted. A login
+ * is stored as failed until the password or code has been checked, then settled.
+ */
+
+const { withTransaction } = require('./db');
+
+const LIMITS = {
+    // Wrong passwords and two-factor codes
+    login: { minutes: 15, free: 3, lockAfter: { account: 10, ip: 30 }, counts: 'failed' },
+    register: { minutes: 60, free: 3, lockAfter: { ip: 10 }, counts: 'allowed' },
+    // Password reset emails
+    reset: { minutes: 60, free: 3, lockAfter: { ip: 10 }, counts: 'allowed' },
+    booking: { minutes: 10, free: 10, lockAfter: { ip: 40 }, counts: 'allowed' },
+    waitlist: { minutes: 10, free: 10, lockAfter: { ip: 40 }, counts: 'allowed' }
+};
+
+const MAX_BACKOFF_SECONDS = 5 * 60;
+// Attempts are kept this long for the audit page, then deleted
+const KEEP_ATTEMPTS_DAYS = 30;
+
+// Column holding each kind of key
+const SCOPE_COLUMNS = { account: 'username', ip: 'ip' };
+
+/**
+ * normaliseUsername
+ * Purpose: Key account attempts the same way however the username was typed
+ * Input: username (string)
+ * Output: Trimmed, lowercase string, or null if empty
+ */
+function normaliseUsername(username) {
+    const key = String(username || '').trim().toLowerCase();
+    return key || null;
+}
+
+/**
+ * describeWait
+ * Purpose: Turn a number of seconds into words for an error message
+ * Input: seconds (number)
+ * Output: String, e.g. "45 seconds" or "12 minutes"
+ */
+function describeWait(seconds) {
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+/**
+ * blockUntil
+ * Purpose: Work out until when a key is held back, from its counted attempts in the window
+ * Input: limit (entry of LIMITS), scope ('account' or 'ip'), count, lastAt (ISO time of the latest)
+ * Output: { until (ms), locked (boolean) }, or null if the key is not held back
+ */
+function blockUntil(limit, scope, count, lastAt) {
+    if (!lastAt || count < limit.free) return null;
+
+    const last = new Date(lastAt).getTime();
+    const lockAfter = limit.lockAfter[scope];
+    if (lockAfter && count >= lockAfter) {
+        return { until: last + limit.minutes * 60 * 1000, locked: true };
+    }
+
+    const backoffSeconds = Math.min(2 ** (count - limit.free), MAX_BACKOFF_SECONDS);
+    return { until: last + backoffSeconds * 1000, locked: false };
+}
+
+/**
+ * checkThrottle
+ * Purpose: Check whether an attempt has to wait, by account and by IP address
+ * Input: action (key of LIMITS), who ({ ip, username }), callback (err, block) - block is
+ *        null if the attempt may go ahead, otherwise { scope, locked, retryAfterSeconds, message }
+ * Output: None (result passed to callback)
+ * Database: SELECT from attempts table
+ */
+function checkThrottle(action, who, callback) {
+    const limit = LIMITS[action];
+    const now = Date.now();
+    const since = new Date(now - limit.minutes * 60 * 1000).toISOString();
+    const keys = { account: normaliseUsername(who.username), ip: who.ip || null };
+    const scopes = Object.keys(limit.lockAfter).filter(scope => keys[scope]);
+
+    const checkNext = (index) => {
+        if (index >= scopes.length) return callback(null, null);
+        const scope = scopes[index];
+
+        global.db.get(
+            `SELECT COUNT(*) AS count, MAX(created_at) AS last_at FROM attempts
+             WHERE action = ? AND ${SCOPE_COLUMNS[scope]} = ? AND outcome = ? AND cleared_at IS NULL AND created_at > ?`,
+            [action, keys[scope], limit.counts, since],
+            (err, row) => {
+                if (err) return callback(err);
+
+                const block = blockUntil(limit, scope, row.count, row.last_at);
+                if (!block || block.until <= now) return checkNext(index + 1);
+
+                const retryAfterSeconds = Math.ceil((block.until - now) / 1000);
+                callback(null, {
+                    scope,
+                    locked: block.locked,
+                    retryAfterSeconds,
+                    message: `Too many attempts. Try again in ${describeWait(retryAfterSeconds)}.`
+                });
+            }
+        );
+    };
+    checkNext(0);
+}
+
+/**
+ * beginAttempt
+ * Purpose: Check whether an attempt has to wait and store it, in one transaction
+ * Input: action (key of LIMITS), who ({ ip, username }), callback (err, block, attemptId) -
+ *        block as for checkThrottle. A refused attempt is stored as 'throttled'; one that may
+ *        go ahead is stored with the outcome the action counts (for logins 'failed', until
+ *        settleAttempt records how it ended)
+ * Output: None (result passed to callback)
+ * Database: SELECT/INSERT attempts table
+ */
+function beginAttempt(action, who, callback) {
+    const limit = LIMITS[action];
+
+    withTransaction((done) => {
+        checkThrottle(action, who, (err, block) => {
+            if (err) return done(err);
+
+            const outcome = block ? 'throttled' : limit.counts;
+            const reason = block ? (block.locked ? 'locked' : 'back-off') : (limit.counts === 'failed' ? 'not checked yet' : null);
+            global.db.run(
+                'INSERT INTO attempts (action, username, ip, outcome, reason, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+                [action, normaliseUsername(who.username), who.ip || null, outcome, reason, new Date().toISOString()],
+                function(err2) {
+                    if (err2) return done(err2);
+                    done(null, { block, attemptId: this.lastID });
+                }
+            );
+        });
+    }, (err, result) => {
+        if (err) return callback(err);
+        callback(null, result.block, result.attemptId);
+    });
+}
+
+/**
+ * settleAttempt
+ * Purpose: Record how an attempt stored by beginAttempt ended
+ * Input: attemptId, outcome ('failed' | 'succeeded' | 'allowed' - a correct password still
+ *        waiting for its two-factor code), reason (or null), callback (err) - optional
+ * Output: None - errors are logged
+ * Database: UPDATE attempts table
+ */
+function settleAttempt(attemptId, outcome, reason, callback) {
+    global.db.run(
+        'UPDATE attempts SET outcome = ?, reason = ? WHERE attempt_id = ?',
+        [outcome, reason || null, attemptId],
+        (err) => {
+            if (err) console.error('Attempt record error:', err);
+            if (callback) callback(err);
+        }
+    );
+}
+
+/**
+ * clearFailures
+ * Purpose: Stop earlier failures from counting against an account or IP address
+ *          (after a successful login, or when an admin unlocks it)
+ * Input: scope ('account' or 'ip'), value (username or address), callback (err, cleared)
+ * Output: None - the rows stay for the audit page
+ * Database: UPDATE attempts.cleared_at
+ */
+function clearFailures(scope, value, callback) {
+    const column = SCOPE_COLUMNS[scope];
+    if (!column) return callback(null, 0);
+
+    global.db.run(
+        `UPDATE attempts SET cleared_at = ? WHERE ${column} = ? AND cleared_at IS NULL`,
+        [new Date().toISOString(), scope === 'account' ? normaliseUsername(value) : value],
+        function(err) {
+            if (err) return callback(err);
+            callback(null, this.changes);
+        }
+    );
+}
+
+/**
+ * limitRequests
+ * Purpose: Middleware - throttle a form or API action by IP address, counting every request
+ * Input: action (key of LIMITS), onLimited (req, res, block) - sends the refusal
+ * Output: Middleware function
+ * Database: SELECT/INSERT attempts table
+ */
+function limitRequests(action, onLimited) {
+    return (req, res, next) => {
+        beginAttempt(action, { ip: req.ip }, (err, block) => {
+            if (err) {
+                console.error('Throttle check error:', err);
+                return next();
+            }
+            if (block) return onLimited(req, res, block);
+            next();
+        });
+    };
+}
+
+/**
+ * listBlocks
+ * Purpose: Find the accounts and IP addresses that are held back right now
+ * Input: callback (err, blocks) - each { action, scope, value, count, locked, until (ISO) }
+ * Output: None (result passed to callback)
+ * Database: SELECT from attempts table
+ */
+function listBlocks(callback) {
+    const now = Date.now();
+    const checks = [];
+    Object.keys(LIMITS).forEach(action => {
+        Object.keys(LIMITS[action].lockAfter).forEach(scope => checks.push({ action, scope }));
+    });
+
+    const blocks = [];
+    const checkNext = (index) => {
+        if (index >= checks.length) {
+            blocks.sort((a, b) => b.until.localeCompare(a.until));
+            return callback(null, blocks);
+        }
+        const { action, scope } = checks[index];
+        const limit = LIMITS[action];
+        const column = SCOPE_COLUMNS[scope];
+
+        global.db.all(
+            `SELECT ${column} AS value, COUNT(*) AS count, MAX(created_at) AS last_at FROM attempts
+             WHERE action = ? AND ${column} IS NOT NULL AND outcome = ? AND cleared_at IS NULL AND created_at > ?
+             GROUP BY ${column} HAVING COUNT(*) >= ?`,
+            [action, limit.counts, new Date(now - limit.minutes * 60 * 1000).toISOString(), limit.free],
+            (err, rows) => {
+                if (err) return callback(err);
+                rows.forEach(row => {
+                    const block = blockUntil(limit, scope, row.count, row.last_at);
+                    if (block && block.until > now) {
+                        blocks.push({
+                            action,
+                            scope,
+                            value: row.value,
+                            count: row.count,
+                            locked: block.locked,
+                            until: new Date(block.until).toISOString()
+                        });
+                    }
+                });
+                checkNext(index + 1);
+            }
+        );
+    };
+    checkNext(0);
+}
+
+/**
+ * listFailedAttempts
+ * Purpose: Load the latest failed and refused attempts for the audit page
+ * Input: limit (number of rows), callback (err, attempts)
+ * Output: None (result passed to callback)
+ * Database: SELECT from attempts table
+ */
+function listFailedAttempts(limit, callback) {
+    global.db.all(
+        `SELECT * FROM attempts WHERE outcome IN ('failed', 'throttled')
+         ORDER BY created_at DESC LIMIT ?`,
+        [limit],
+        callback
+    );
+}
+
+/**
+ * pruneAttempts
+ * Purpose: Delete attempts older than KEEP_ATTEMPTS_DAYS
+ * Input: None
+ * Output: None - errors are logged
+ * Database: DELETE from attempts table
+ */
+function pruneAttempts() {
+    const before = new Date(Date.now() - KEEP_ATTEMPTS_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    global.db.run('DELETE FROM attempts WHERE created_at < ?', [before], (err) => {
+        if (err) console.error('Attempt pruning error:', err);
+    });
+}
+
+module.exports = {
+    LIMITS,
+    MAX_BACKOFF_SECONDS,
+    KEEP_ATTEMPTS_DAYS,
+    blockUntil,
+    checkThrottle,
+    beginAttempt,
+    settleAttempt,
+    clearFailures,
+    limitRequests,
+    listBlocks,
+    listFailedAttempts,
+    pruneAttempts
+};
\ No newline at end of file
@@ -0,0 +1,142 @@
+/**
+ * utils/tokens.js
+ * Organiser API Tokens and Calendar Feed Tokens
+ *
+ * Purpose: Create, look up and revoke personal API tokens and private calendar feed links
+ * Used by: routes/organiser.js (token page), routes/api.js (bearer authentication),
+ *          routes/calendar.js (private feed)
+ *
+ * API tokens are 32 random bytes, shown to the organiser once when created. Only
+ * a SHA-256 hash is stored: tokens are long and random, so a fast hash is
+ * enough and lets a token be found with a single indexed lookup.
+ *
+ * Calendar feed tokens only grant read access to one organiser's calendar and
+ * must stay visible so the feed URL can be copied again, so they are stored as-is.
+ * Regenerating one replaces the old link.
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_PREFIX = 'fa_';
+const TOKEN_SCOPES = ['read', 'write'];
+
+/**
+ * hashApiToken
+ * Purpose: Hash a token for storage or lookup
+ * Input: token (string)
+ * Output: Hex SHA-256 digest
+ */
+function hashApiToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * createApiToken
+ * Purpose: Generate a token for an organiser and store its hash
+ * Input: organiserId, name (label), scope ('read' or 'write'), callback (err, token) - the plain token
+ * Output: None (result passed to callback)
+ * Database: INSERT into api_tokens table
+ */
+function createApiToken(organiserId, name, scope, callback) {
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const now = new Date().toISOString();
+
+    global.db.run(
+        `INSERT INTO api_tokens (organiser_id, name, token_hash, token_prefix, scope, created_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [organiserId, name, hashApiToken(token), token.slice(0, TOKEN_PREFIX.length + 6), scope, now],
+        (err) => callback(err, token)
+    );
+}
+
+/**
+ * findApiToken
+ * Purpose: Look up a live (not revoked) token and record that it was used
+ * Input: token (plain token from the Authorization header), callback (err, row or null)
+ * Output: None - row includes the organiser's username, role and two_factor_enabled
+ * Database: SELECT from api_tokens and organisers, UPDATE api_tokens.last_used_at
+ */
+function findApiToken(token, callback) {
+    if (!token || !token.startsWith(TOKEN_PREFIX)) return callback(null, null);
+
+    global.db.get(
+        `SELECT t.*, o.username, o.role, o.totp_enabled_at IS NOT NULL AS two_factor_enabled
+         FROM api_tokens t
+         JOIN organisers o ON o.organiser_id = t.organiser_id
+         WHERE t.token_hash = ? AND t.revoked_at IS NULL`,
+        [hashApiToken(token)],
+        (err, row) => {
+            if (err || !row) return callback(err, null);
+
+            global.db.run(
+                'UPDATE api_tokens SET last_used_at = ? WHERE token_id = ?',
+                [new Date().toISOString(), row.token_id],
+                (err2) => {
+                    if (err2) console.error('Token usage update error:', err2);
+                    callback(null, row);
+                }
+            );
+        }
+    );
+}
+
+/**
+ * revokeApiToken
+ * Purpose: Revoke one of an organiser's tokens
+ * Input: tokenId, organiserId (owner), callback (err, revoked) - revoked is false if not found
+ * Output: None (result passed to callback)
+ * Database: UPDATE api_tokens.revoked_at
+ */
+function revokeApiToken(tokenId, organiserId, callback) {
+    global.db.run(
+        'UPDATE api_tokens SET revoked_at = ? WHERE token_id = ? AND organiser_id = ? AND revoked_at IS NULL',
+        [new Date().toISOString(), tokenId, organiserId],
+        function(err) {
+            if (err) return callback(err);
+            callback(null, this.changes > 0);
+        }
+    );
+}
+
+/**
+ * regenerateCalendarToken
+ * Purpose: Give an organiser a new private calendar feed token (the old link stops working)
+ * Input: organiserId, callback (err, token)
+ * Output: None (result passed to callback)
+ * Database: UPDATE organisers.calendar_token
+ */
+function regenerateCalendarToken(organiserId, callback) {
+    const token = crypto.randomBytes(24).toString('base64url');
+
+    global.db.run(
+        'UPDATE organisers SET calendar_token = ? WHERE organiser_id = ?',
+        [token, organiserId],
+        (err) => callback(err, token)
+    );
+}
+
+/**
+ * findCalendarOrganiser
+ * Purpose: Look up the organiser a private calendar feed token belongs to
+ * Input: token, callback (err, organiser row or null)
+ * Output: None (result passed to callback)
+ * Database: SELECT from organisers table
+ */
+function findCalendarOrganiser(token, callback) {
+    if (!token) return callback(null, null);
+
+    global.db.get(
+        'SELECT organiser_id, username, role FROM organisers WHERE calendar_token = ?',
+        [token],
+        (err, row) => callback(err, row || null)
+    );
+}
+
+module.exports = {
+    TOKEN_SCOPES,
+    createApiToken,
+    findApiToken,
+    revokeApiToken,
+    regenerateCalendarToken,
+    findCalendarOrganiser
+};
\ No newline at end of file
@@ -0,0 +1,367 @@
+/**
+ * utils/twofactor.js
+ * Two-Factor Authentication
+ *
+ * Purpose: Optional time-based one-time passwords (TOTP, RFC 6238) for organiser
+ *          accounts: enrolment with a QR code, checking codes at login, and
+ *          single-use recovery codes for when the authenticator app is lost
+ * Used by: routes/login.js (second login step), routes/organiser.js (enrolment page,
+ *          users page, enforcing two-factor for every account), routes/api.js (session check)
+ *
+ * Codes are 6 digits from HMAC-SHA1 over 30-second steps, so any authenticator app
+ * works. The shared secret has to be stored as-is to check codes; organisers.totp_last_step
+ * records the last step used so a code cannot be replayed. Recovery codes are random,
+ * shown once, and only a SHA-256 hash of each is kept.
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { withTransaction } = require('./db');
+const { userError } = require('./helpers');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+// Steps either side of now that are still accepted, for clock drift
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * base32Encode
+ * Purpose: Encode bytes as RFC 4648 base32 without padding (the format authenticator apps expect)
+ * Input: buffer (Buffer)
+ * Output: Base32 string
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+/**
+ * base32Decode
+ * Purpose: Decode a base32 secret
+ * Input: text (string - case, spaces and padding are ignored)
+ * Output: Buffer
+ */
+function base32Decode(text) {
+    const clean = text.toUpperCase().replace(/[\s=]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) continue;
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * hashRecoveryCode
+ * Purpose: Hash a recovery code for storage or lookup
+ * Input: code (string, already normalised)
+ * Output: Hex SHA-256 digest
+ */
+function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+/**
+ * normaliseRecoveryCode
+ * Purpose: Accept recovery codes typed with any case, spaces or dashes
+ * Input: code (string)
+ * Output: Lowercase string of letters and digits
+ */
+function normaliseRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * totpCode
+ * Purpose: Work out the code for one time step
+ * Input: secret (base32), step (integer - seconds since 1970 / TOTP_STEP_SECONDS)
+ * Output: Zero-padded code string
+ */
+function totpCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * matchTotp
+ * Purpose: Find the time step a code belongs to, within the allowed clock drift
+ * Input: secret (base32), code (string), lastStep (last step used, or null)
+ * Output: Matching step (integer), or null if the code is wrong, too old or already used
+ */
+function matchTotp(secret, code, lastStep) {
+    const given = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(given) || given.length !== TOTP_DIGITS) return null;
+
+    const now = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+    for (let step = now - TOTP_WINDOW; step <= now + TOTP_WINDOW; step++) {
+        if (lastStep !== null && lastStep !== undefined && step <= lastStep) continue;
+        const expected = totpCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) return step;
+    }
+    return null;
+}
+
+/**
+ * generateSecret
+ * Purpose: Create a new shared secret for enrolment
+ * Input: None
+ * Output: Base32 string (160 bits)
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * formatSecret
+ * Purpose: Split a secret into groups of four for typing into an app by hand
+ * Input: secret (base32)
+ * Output: String, e.g. "ABCD EFGH ..."
+ */
+function formatSecret(secret) {
+    return secret.match(/.{1,4}/g).join(' ');
+}
+
+/**
+ * enrolmentQr
+ * Purpose: Draw the otpauth:// link an authenticator app scans to add the account
+ * Input: secret (base32), username, siteName, callback (err, dataUrl)
+ * Output: None (result passed to callback)
+ */
+function enrolmentQr(secret, username, siteName, callback) {
+    const label = encodeURIComponent(`${siteName}:${username}`);
+    const url = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(siteName)}` +
+        `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+    QRCode.toDataURL(url, { errorCorrectionLevel: 'M', margin: 2, width: 220 }, callback);
+}
+
+/**
+ * saveRecoveryCodes
+ * Purpose: Replace an account's recovery codes with a fresh set
+ * Must be called inside withTransaction
+ * Input: userId, callback (err, codes) - codes are the plain codes, shown once
+ * Output: None (result passed to callback)
+ * Database: DELETE/INSERT recovery_codes
+ */
+function saveRecoveryCodes(userId, callback) {
+    const now = new Date().toISOString();
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const hex = crypto.randomBytes(5).toString('hex');
+        codes.push(`${hex.slice(0, 5)}-${hex.slice(5)}`);
+    }
+
+    global.db.run('DELETE FROM recovery_codes WHERE organiser_id = ?', [userId], (err) => {
+        if (err) return callback(err);
+
+        const insertNext = (index) => {
+            if (index >= codes.length) return callback(null, codes);
+            global.db.run(
+                'INSERT INTO recovery_codes (organiser_id, code_hash, created_at) VALUES (?, ?, ?)',
+                [userId, hashRecoveryCode(normaliseRecoveryCode(codes[index])), now],
+                (err2) => err2 ? callback(err2) : insertNext(index + 1)
+            );
+        };
+        insertNext(0);
+    });
+}
+
+/**
+ * loadTwoFactorStatus
+ * Purpose: Say whether an account uses two-factor and how many recovery codes are left
+ * Input: userId, callback (err, { enabled, enabledAt, recoveryCodesLeft })
+ * Output: None (result passed to callback)
+ * Database: SELECT from organisers, recovery_codes tables
+ */
+function loadTwoFactorStatus(userId, callback) {
+    global.db.get(
+        `SELECT o.totp_enabled_at,
+                (SELECT COUNT(*) FROM recovery_codes r WHERE r.organiser_id = o.organiser_id AND r.used_at IS NULL) AS codes_left
+         FROM organisers o WHERE o.organiser_id = ?`,
+        [userId],
+        (err, row) => {
+            if (err) return callback(err);
+            callback(null, {
+                enabled: !!(row && row.totp_enabled_at),
+                enabledAt: row ? row.totp_enabled_at : null,
+                recoveryCodesLeft: row ? row.codes_left : 0
+            });
+        }
+    );
+}
+
+/**
+ * enableTwoFactor
+ * Purpose: Turn two-factor on once the account has shown its app produces the right codes
+ * Input: userId, secret (base32, from enrolment), code (from the app),
+ *        callback (err, recoveryCodes)
+ * Output: None - err.userMessage is set for a wrong code or if two-factor is already on
+ * Database: UPDATE organisers, DELETE/INSERT recovery_codes (one transaction)
+ */
+function enableTwoFactor(userId, secret, code, callback) {
+    const step = secret ? matchTotp(secret, code, null) : null;
+    if (step === null) return callback(userError('That code did not match. Check the time on your device and try again.'));
+
+    withTransaction((done) => {
+        global.db.run(
+            `UPDATE organisers SET totp_secret = ?, totp_enabled_at = ?, totp_last_step = ?
+             WHERE organiser_id = ? AND totp_enabled_at IS NULL`,
+            [secret, new Date().toISOString(), step, userId],
+            function(err) {
+                if (err) return done(err);
+                if (this.changes === 0) return done(userError('Two-factor authentication is already on for this account.'));
+                saveRecoveryCodes(userId, done);
+            }
+        );
+    }, callback);
+}
+
+/**
+ * disableTwoFactor
+ * Purpose: Turn two-factor off for an account (its own choice, or an admin resetting a lost device)
+ * Input: userId, callback (err, disabled) - disabled is false if it was not on
+ * Output: None (result passed to callback)
+ * Database: UPDATE organisers, DELETE recovery_codes (one transaction)
+ */
+function disableTwoFactor(userId, callback) {
+    withTransaction((done) => {
+        global.db.run(
+            `UPDATE organisers SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL
+             WHERE organiser_id = ? AND totp_enabled_at IS NOT NULL`,
+            [userId],
+            function(err) {
+                if (err) return done(err);
+                const disabled = this.changes > 0;
+                global.db.run('DELETE FROM recovery_codes WHERE organiser_id = ?', [userId], (err2) => done(err2, disabled));
+            }
+        );
+    }, callback);
+}
+
+/**
+ * regenerateRecoveryCodes
+ * Purpose: Replace an account's recovery codes (the old ones stop working)
+ * Input: userId, callback (err, codes)
+ * Output: None - err.userMessage is set if two-factor is not on
+ * Database: SELECT organisers, DELETE/INSERT recovery_codes (one transaction)
+ */
+function regenerateRecoveryCodes(userId, callback) {
+    withTransaction((done) => {
+        global.db.get('SELECT totp_enabled_at FROM organisers WHERE organiser_id = ?', [userId], (err, row) => {
+            if (err) return done(err);
+            if (!row || !row.totp_enabled_at) return done(userError('Two-factor authentication is not on for this account.'));
+            saveRecoveryCodes(userId, done);
+        });
+    }, callback);
+}
+
+/**
+ * verifySecondFactor
+ * Purpose: Check a code from the authenticator app, or a recovery code, for an account
+ * Input: userId, code, callback (err, result) - result is { method: 'app' } or
+ *        { method: 'recovery', recoveryCodesLeft }, or null if the code is wrong or already used
+ * Output: None - a matching app code or recovery code is used up
+ * Database: SELECT/UPDATE organisers, recovery_codes (one transaction)
+ */
+function verifySecondFactor(userId, code, callback) {
+    withTransaction((done) => {
+        global.db.get(
+            'SELECT totp_secret, totp_last_step FROM organisers WHERE organiser_id = ? AND totp_enabled_at IS NOT NULL',
+            [userId],
+            (err, user) => {
+                if (err || !user) return done(err, null);
+
+                const step = matchTotp(user.totp_secret, code, user.totp_last_step);
+                if (step !== null) {
+                    return global.db.run(
+                        'UPDATE organisers SET totp_last_step = ? WHERE organiser_id = ?',
+                        [step, userId],
+                        (err2) => done(err2, { method: 'app' })
+                    );
+                }
+
+                const recoveryCode = normaliseRecoveryCode(code);
+                if (!recoveryCode) return done(null, null);
+
+                global.db.run(
+                    'UPDATE recovery_codes SET used_at = ? WHERE organiser_id = ? AND code_hash = ? AND used_at IS NULL',
+                    [new Date().toISOString(), userId, hashRecoveryCode(recoveryCode)],
+                    function(err2) {
+                        if (err2) return done(err2);
+                        if (this.changes === 0) return done(null, null);
+
+                        global.db.get(
+                            'SELECT COUNT(*) AS count FROM recovery_codes WHERE organiser_id = ? AND used_at IS NULL',
+                            [userId],
+                            (err3, row) => done(err3, { method: 'recovery', recoveryCodesLeft: row ? row.count : 0 })
+                        );
+                    }
+                );
+            }
+        );
+    }, callback);
+}
+
+/**
+ * needsEnrolment
+ * Purpose: Check whether an account must turn on two-factor before using the organiser
+ *          pages (Site Settings requires it and the account has not done so)
+ * Input: user (from loadUser, with two_factor_enabled), callback (err, required)
+ * Output: None (result passed to callback)
+ * Database: SELECT from settings table
+ */
+function needsEnrolment(user, callback) {
+    if (user.two_factor_enabled) return callback(null, false);
+
+    global.db.get('SELECT require_two_factor FROM settings WHERE id = 1', [], (err, settings) => {
+        if (err) return callback(err);
+        callback(null, !!(settings && settings.require_two_factor));
+    });
+}
+
+module.exports = {
+    RECOVERY_CODE_COUNT,
+    base32Encode,
+    base32Decode,
+    totpCode,
+    matchTotp,
+    generateSecret,
+    formatSecret,
+    enrolmentQr,
+    loadTwoFactorStatus,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    verifySecondFactor,
+    needsEnrolment
+};
\ No newline at end of file
@@ -0,0 +1,215 @@
+/**
+ * utils/venues.js
+ * Venues
+ *
+ * Purpose: Save venues and check events against them - an event cannot offer
+ *          more tickets than its venue holds, and two published events cannot
+ *          use the same venue at overlapping times
+ * Used by: routes/organiser.js (venues page), utils/events.js (event saves and publishing)
+ */
+
+const { formatDateShort, userError } = require('./helpers');
+
+/**
+ * validateVenue
+ * Purpose: Check the fields of a venue
+ * Input: venue ({ name, address, kitchenStations, maxCapacity, accessibilityNotes })
+ * Output: Error message string, or null if valid
+ */
+function validateVenue(venue) {
+    if (!venue.name) {
+        return 'Venue name is required.';
+    }
+    if (venue.name.length > 100) {
+        return 'Venue name must be 100 characters or fewer.';
+    }
+    if (venue.address.length > 300) {
+        return 'Address must be 300 characters or fewer.';
+    }
+    if (!Number.isInteger(venue.maxCapacity) || venue.maxCapacity < 1) {
+        return 'Maximum capacity must be a whole number of at least 1.';
+    }
+    if (!Number.isInteger(venue.kitchenStations) || venue.kitchenStations < 0) {
+        return 'Kitchen stations must be a whole number (0 or more).';
+    }
+    if (venue.accessibilityNotes.length > 1000) {
+        return 'Accessibility notes must be 1000 characters or fewer.';
+    }
+    return null;
+}
+
+/**
+ * totalTickets
+ * Purpose: Add up the ticket quantities of an event's tiers
+ * Input: tiers (array of { quantity })
+ * Output: Number
+ */
+function totalTickets(tiers) {
+    return tiers.reduce((sum, tier) => sum + (tier.quantity || 0), 0);
+}
+
+/**
+ * findVenueClash
+ * Purpose: Find a published event in a venue whose times overlap a time slot
+ * (an event ending at 14:00 does not clash with one starting at 14:00)
+ * Input: venueId, slot ({ eventDate, startTime, endTime }), eventId (to ignore, or null),
+ *        callback (err, message or null)
+ * Output: None - message says which event has the venue, ready to show the user
+ * Database: SELECT from events, venues tables
+ */
+function findVenueClash(venueId, slot, eventId, callback) {
+    global.db.get(
+        `SELECT e.title, e.event_date, e.start_time, e.end_time, v.name AS venue_name
+         FROM events e JOIN venues v ON v.venue_id = e.venue_id
+         WHERE e.venue_id = ? AND e.status = 'published' AND e.event_id != ?
+           AND substr(e.event_date, 1, 10) = substr(?, 1, 10)
+           AND e.start_time < ? AND ? < e.end_time
+         ORDER BY e.start_time ASC LIMIT 1`,
+        [venueId, eventId || 0, slot.eventDate, slot.endTime, slot.startTime],
+        (err, clash) => {
+            if (err || !clash) return callback(err, null);
+            callback(null, `${clash.venue_name} is already booked on ${formatDateShort(clash.event_date)} ` +
+                `from ${clash.start_time} to ${clash.end_time} for "${clash.title}".`);
+        }
+    );
+}
+
+/**
+ * checkEventVenue
+ * Purpose: Check an event's venue exists, holds its tickets and (when the event
+ *          is or is becoming published) is free at its times
+ * Input: venueId (or null - no venue is allowed),
+ *        event ({ eventId, eventDate, startTime, endTime, published }),
+ *        tiers (the event's ticket tiers), callback (err) - err.userMessage set on a problem
+ * Output: None
+ * Database: SELECT from venues, events tables
+ */
+function checkEventVenue(venueId, event, tiers, callback) {
+    if (!venueId) return callback(null);
+
+    global.db.get('SELECT * FROM venues WHERE venue_id = ?', [venueId], (err, venue) => {
+        if (err) return callback(err);
+        if (!venue) return callback(userError('Please choose a valid venue.'));
+
+        const total = totalTickets(tiers);
+        if (total > venue.max_capacity) {
+            return callback(userError(`${venue.name} holds ${venue.max_capacity} people, but the ticket tiers add up to ${total}.`));
+        }
+        if (!event.published) return callback(null);
+
+        findVenueClash(venueId, event, event.eventId, (err2, clash) => {
+            if (err2) return callback(err2);
+            callback(clash ? userError(clash) : null);
+        });
+    });
+}
+
+/**
+ * listVenues
+ * Purpose: Load all venues with the number of upcoming events in each
+ * Input: ownerId (account limited to its own events, or null for all - see eventOwnerScope
+ *        in utils/roles.js), callback (err, venues)
+ * Output: None (result passed to callback) - editable is 0 when another account's event
+ *         is held in the venue
+ * Database: SELECT from venues, events tables
+ */
+function listVenues(ownerId, callback) {
+    global.db.all(
+        `SELECT v.*, COUNT(e.event_id) AS upcoming_events,
+                (? IS NULL OR NOT EXISTS (SELECT 1 FROM events o WHERE o.venue_id = v.venue_id AND o.owner_id IS NOT ?)) AS editable
+         FROM venues v
+         LEFT JOIN events e ON e.venue_id = v.venue_id AND substr(e.event_date, 1, 10) >= date('now')
+         GROUP BY v.venue_id
+         ORDER BY v.name COLLATE NOCASE ASC`,
+        [ownerId, ownerId],
+        callback
+    );
+}
+
+/**
+ * saveVenue
+ * Purpose: Add a venue, or update one (refusing a capacity below the tickets
+ *          an event in the venue already offers)
+ * Input: venueId (or null to add), venue (see validateVenue), callback (err, venueId)
+ * Output: None - err.userMessage set for a duplicate name, unknown venue or too small capacity
+ * Database: SELECT events/tickets, INSERT or UPDATE venues table
+ */
+function saveVenue(venueId, venue, callback) {
+    const params = [venue.name, venue.address, venue.kitchenStations, venue.maxCapacity, venue.accessibilityNotes];
+
+    const handleError = (err) => {
+        if (err && err.code === 'SQLITE_CONSTRAINT') {
+            return callback(userError(`A venue called "${venue.name}" already exists.`));
+        }
+        callback(err);
+    };
+
+    if (!venueId) {
+        return global.db.run(
+            `INSERT INTO venues (name, address, kitchen_stations, max_capacity, accessibility_notes, created_at)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [...params, new Date().toISOString()],
+            function(err) {
+                if (err) return handleError(err);
+                callback(null, this.lastID);
+            }
+        );
+    }
+
+    global.db.get(
+        `SELECT e.title, e.event_date, SUM(t.quantity) AS total
+         FROM events e JOIN tickets t ON t.event_id = e.event_id
+         WHERE e.venue_id = ?
+         GROUP BY e.event_id
+         HAVING total > ?
+         ORDER BY total DESC LIMIT 1`,
+        [venueId, venue.maxCapacity],
+        (err, tooBig) => {
+            if (err) return callback(err);
+            if (tooBig) {
+                return callback(userError(`"${tooBig.title}" on ${formatDateShort(tooBig.event_date)} offers ${tooBig.total} tickets in this venue. Reduce its tickets first.`));
+            }
+
+            global.db.run(
+                `UPDATE venues SET name = ?, address = ?, kitchen_stations = ?, max_capacity = ?, accessibility_notes = ?
+                 WHERE venue_id = ?`,
+                [...params, venueId],
+                function(err2) {
+                    if (err2) return handleError(err2);
+                    if (this.changes === 0) return callback(userError('Venue not found.'));
+                    callback(null, venueId);
+                }
+            );
+        }
+    );
+}
+
+/**
+ * deleteVenue
+ * Purpose: Delete a venue that no event uses
+ * Input: venueId, callback (err, deleted) - err.userMessage set if events use the venue
+ * Output: None (result passed to callback)
+ * Database: SELECT from events, DELETE from venues table
+ */
+function deleteVenue(venueId, callback) {
+    global.db.get('SELECT COUNT(*) AS count FROM events WHERE venue_id = ?', [venueId], (err, row) => {
+        if (err) return callback(err);
+        if (row.count > 0) {
+            return callback(userError(`This venue is used by ${row.count} event(s). Move them to another venue first.`));
+        }
+
+        global.db.run('DELETE FROM venues WHERE venue_id = ?', [venueId], function(err2) {
+            if (err2) return callback(err2);
+            callback(null, this.changes > 0);
+        });
+    });
+}
+
+module.exports = {
+    validateVenue,
+    checkEventVenue,
+    findVenueClash,
+    listVenues,
+    saveVenue,
+    deleteVenue
+};
\ No newline at end of file
@@ -0,0 +1,194 @@
+/**
+ * utils/waitlist.js
+ * Waitlist Promotion
+ *
+ * Purpose: Offer freed seats to waitlisted attendees in the order they joined
+ * Used by: routes/attendee.js, routes/organiser.js, utils/events.js, index.js (offer expiry timer)
+ *
+ * When seats free up (cancellation, reduced booking, raised ticket quantity)
+ * the queue for each ticket type is walked in requested_at order and every
+ * entry that fits the free seats is moved to 'offered'. Offered seats count as
+ * held (see the held_seats view) until offer_expires_at; lapsed offers are
+ * marked 'expired' and the seats roll on to the next people in the queue.
+ *
+ * Each offer gets a random claim token for its link; waitlist IDs are sequential, so
+ * the link must not be something that can be worked out from the ID.
+ */
+
+const crypto = require('crypto');
+const { withTransaction, runStatements } = require('./db');
+const { queueEmail } = require('./mailer');
+const { salesStatus } = require('./sales');
+
+const DEFAULT_HOLD_HOURS = 24;
+
+/**
+ * claimLink
+ * Purpose: Build the link an attendee uses to claim a waitlist offer
+ * Input: offer (waitlist row with waitlist_id and claim_token)
+ * Output: Path string e.g. /attendee/waitlist/claim/12?token=...
+ */
+function claimLink(offer) {
+    return `/attendee/waitlist/claim/${offer.waitlist_id}?token=${offer.claim_token}`;
+}
+
+/**
+ * checkClaimToken
+ * Purpose: Check the token from a claim link against the offer's (constant-time comparison)
+ * Input: offer (waitlist row), token (string from the link)
+ * Output: Boolean - false if the entry has never been offered
+ */
+function checkClaimToken(offer, token) {
+    if (!offer.claim_token || typeof token !== 'string') return false;
+    const expected = Buffer.from(offer.claim_token);
+    const given = Buffer.from(token);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * promoteWaitlist
+ * Purpose: Expire lapsed offers for an event, then offer free seats to the queue
+ * Input: eventId, callback (optional, err, offers) - offers is the array of newly offered waitlist rows
+ * Output: None (result passed to callback); each new offer is emailed its claim link
+ * Database: UPDATE waitlist (expire + offer) in one transaction
+ */
+function promoteWaitlist(eventId, callback) {
+    withTransaction((done) => {
+        const now = new Date();
+        const nowIso = now.toISOString();
+
+        global.db.run(
+            "UPDATE waitlist SET status = 'expired' WHERE event_id = ? AND status = 'offered' AND offer_expires_at <= ?",
+            [eventId, nowIso],
+            (err) => {
+                if (err) return done(err);
+
+                global.db.get(
+                    `SELECT e.*, s.waitlist_hold_hours
+                     FROM events e, settings s
+                     WHERE e.event_id = ? AND s.id = 1`,
+                    [eventId],
+                    (err2, event) => {
+                        if (err2) return done(err2);
+
+                        // No offers outside the event's sales window (and never once it has started)
+                        if (!event || event.status !== 'published' || salesStatus(event, null, now).state !== 'open') {
+                            return done(null, []);
+                        }
+
+                        const holdHours = event.waitlist_hold_hours || DEFAULT_HOLD_HOURS;
+                        const expiresAt = new Date(now.getTime() + holdHours * 60 * 60 * 1000).toISOString();
+
+                        global.db.all(
+                            `SELECT t.type, t.sales_open_at, t.sales_close_at,
+                                    t.quantity - COALESCE(SUM(h.quantity), 0) AS available
+                             FROM tickets t
+                             LEFT JOIN held_seats h ON h.event_id = t.event_id AND h.ticket_type = t.type
+                             WHERE t.event_id = ?
+                             GROUP BY t.ticket_id`,
+                            [eventId],
+                            (err3, tickets) => {
+                                if (err3) return done(err3);
+
+                                global.db.all(
+                                    `SELECT * FROM waitlist
+                                     WHERE event_id = ? AND status = 'waiting'
+                                     ORDER BY requested_at ASC, waitlist_id ASC`,
+                                    [eventId],
+                                    (err4, entries) => {
+                                        if (err4) return done(err4);
+
+                                        const available = {};
+                                        tickets.forEach(t => {
+                                            // Tiers outside their own sales window offer nothing
+                                            const onSale = salesStatus(event, t, now).state === 'open';
+                                            available[t.type] = onSale ? Math.max(0, t.available) : 0;
+                                        });
+
+                                        const offers = entries.filter(entry => {
+                                            if ((available[entry.ticket_type] || 0) < entry.quantity) return false;
+                                            available[entry.ticket_type] -= entry.quantity;
+                                            return true;
+                                        });
+
+                                        const offered = offers.map(entry => ({
+                                            ...entry,
+                                            status: 'offered',
+                                            notified_at: nowIso,
+                                            offer_expires_at: expiresAt,
+                                            claim_token: crypto.randomBytes(24).toString('base64url')
+                                        }));
+
+                                        runStatements(offered.map(entry => ({
+                                            sql: `UPDATE waitlist SET status = 'offered', notified_at = ?, offer_expires_at = ?, claim_token = ?
+                                                  WHERE waitlist_id = ?`,
+                                            params: [nowIso, expiresAt, entry.claim_token, entry.waitlist_id]
+                                        })), (err5) => done(err5, offered));
+                                    }
+                                );
+                            }
+                        );
+                    }
+                );
+            }
+        );
+    }, (err, offers) => {
+        if (err) console.error('Waitlist promotion error:', err);
+        if (offers && offers.length > 0) sendOfferEmails(eventId, offers);
+        if (callback) callback(err, offers || []);
+    });
+}
+
+/**
+ * sendOfferEmails
+ * Purpose: Email each newly offered waitlist entry its claim link
+ * Input: eventId, offers (waitlist rows)
+ * Output: None (emails queued in the outbox)
+ * Database: SELECT from events table
+ */
+function sendOfferEmails(eventId, offers) {
+    global.db.get('SELECT * FROM events WHERE event_id = ?', [eventId], (err, event) => {
+        if (err || !event) return console.error('Offer email error:', err);
+
+        offers.forEach(offer => {
+            queueEmail('waitlist_offer', offer.attendee_email, {
+                event,
+                offer,
+                claimUrl: claimLink(offer)
+            });
+        });
+    });
+}
+
+/**
+ * processWaitlistOffers
+ * Purpose: Run promoteWaitlist for every event with a live queue (rolls expired offers on)
+ * Input: callback (optional, err)
+ * Output: None
+ * Database: SELECT from waitlist, then promoteWaitlist per event
+ */
+function processWaitlistOffers(callback) {
+    global.db.all(
+        "SELECT DISTINCT event_id FROM waitlist WHERE status IN ('waiting', 'offered')",
+        [],
+        (err, rows) => {
+            if (err) {
+                console.error('Waitlist offer check error:', err);
+                return callback && callback(err);
+            }
+
+            const next = (index) => {
+                if (index >= rows.length) return callback && callback(null);
+                promoteWaitlist(rows[index].event_id, () => next(index + 1));
+            };
+            next(0);
+        }
+    );
+}
+
+module.exports = {
+    claimLink,
+    checkClaimToken,
+    promoteWaitlist,
+    processWaitlistOffers
+};
\ No newline at end of file